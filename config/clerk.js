@@ -0,0 +1,7 @@
+import { createClerkClient } from "@clerk/clerk-sdk-node";
+import "dotenv/config";
+
+// Shared Clerk backend client (token verification, user lookups)
+export const clerkClient = createClerkClient({
+  secretKey: process.env.CLERK_SECRET_KEY,
+});
@@ -1,20 +1,21 @@
-import { neon } from "@neondatabase/serverless";
 import "dotenv/config";
+import { getDriver } from "./dbDrivers/index.js";
+import { migrateUp } from "./migrator.js";
 
-// Database connection
+// Database connection, through the driver named by DATABASE_DRIVER
 let sql;
+let connection = null;
 
-const createConnection = () => {
-  if (!process.env.DATABASE_URL) {
-    throw new Error("DATABASE_URL environment variable is required");
-  }
-  return neon(process.env.DATABASE_URL);
+const createConnection = async () => {
+  const driver = getDriver();
+  connection = await driver.connect();
+  console.log(`✅ Database connection initialized (${driver.name})`);
+  return connection.sql;
 };
 
 // Initialize connection
 try {
-  sql = createConnection();
-  console.log("✅ Database connection initialized");
+  sql = await createConnection();
 } catch (error) {
   console.error("❌ Failed to initialize database connection:", error.message);
   sql = null;
@@ -24,7 +25,7 @@ try {
 export const testConnection = async (maxRetries = 3) => {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      if (!sql) sql = createConnection();
+      if (!sql) sql = await createConnection();
       const result = await sql`SELECT 1 as test`;
       console.log("✅ Database connection test successful");
       return { connected: true, result: result[0] };
@@ -44,6 +45,41 @@ export const testConnection = async (maxRetries = 3) => {
 
 export { sql };
 
+/**
+ * Close the connection (pool, or the in-process database) so the process
+ * can exit, e.g. at the end of a test run
+ */
+export const closeConnection = async () => {
+  if (!connection) return;
+  await connection.close();
+  connection = null;
+  sql = null;
+};
+
+/**
+ * Run several queries atomically in one Postgres transaction.
+ *
+ * Neon's HTTP transactions are non-interactive: `build` receives a
+ * transaction-scoped `txn` tag and must return every query up front, so
+ * later statements cannot branch on earlier results in JavaScript. Guard
+ * them in SQL instead (e.g. `WHERE status = 'pending'`). Resolves to one
+ * result array per query, in order.
+ *
+ * Other drivers follow the same rules (see config/dbDrivers).
+ *
+ * @param {(txn) => Array} build - returns the queries to run
+ * @param {object} [options] - neon transaction options (isolationLevel, readOnly, ...)
+ */
+export const withTransaction = async (build, options) => {
+  if (!sql) {
+    throw new Error("Database connection is not initialized");
+  }
+  return sql.transaction((txn) => build(txn), options);
+};
+
+/**
+ * Bring the schema up to date by applying all pending migrations
+ */
 export async function initDB() {
   try {
     const connectionTest = await testConnection();
@@ -51,38 +87,14 @@ export async function initDB() {
       throw new Error(`Database connection failed: ${connectionTest.error}`);
     }
 
-    // Create users table with pro status
-    await sql`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        clerk_user_id TEXT NOT NULL UNIQUE,
-        email VARCHAR(255),
-        name VARCHAR(255),
-        is_pro BOOLEAN DEFAULT false,
-        pro_since TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    // Create payments table for one-time payments
-    await sql`
-      CREATE TABLE IF NOT EXISTS payments (
-        id SERIAL PRIMARY KEY,
-        clerk_user_id TEXT NOT NULL,
-        amount DECIMAL(10,2) NOT NULL,
-        transaction_id TEXT NOT NULL UNIQUE,
-        status VARCHAR(20) DEFAULT 'pending',
-        admin_id TEXT,
-        rejection_reason TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        processed_at TIMESTAMP
-      )
-    `;
+    const applied = await migrateUp();
 
-    console.log("✅ Database tables created successfully");
-    return { success: true, message: "Database initialized successfully" };
+    console.log(`✅ Database migrated (${applied.length} migration(s) applied)`);
+    return {
+      success: true,
+      message: "Database initialized successfully",
+      applied: applied.map((m) => m.file),
+    };
   } catch (error) {
     console.error("❌ Error initializing database:", error);
     throw error;
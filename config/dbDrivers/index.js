@@ -0,0 +1,34 @@
+import { neonDriver } from "./neon.js";
+import { pgDriver } from "./pg.js";
+import { pgliteDriver } from "./pglite.js";
+
+/**
+ * 🐘 DATABASE DRIVERS
+ *
+ * Drivers expose:
+ * - name
+ * - connect() → { sql, close }, where sql is neon's tagged-template
+ *   interface (fragments, sql.unsafe, sql.query, sql.transaction)
+ *
+ * The driver is chosen with DATABASE_DRIVER (default neon):
+ *   neon   → Neon over HTTPS (DATABASE_URL)
+ *   pg     → any Postgres server through node-postgres (DATABASE_URL)
+ *   pglite → in-process Postgres, no server (PGLITE_DATA_DIR, optional)
+ *
+ * pg and pglite are only loaded when selected.
+ */
+
+const DRIVERS = {
+  [neonDriver.name]: neonDriver,
+  [pgDriver.name]: pgDriver,
+  [pgliteDriver.name]: pgliteDriver,
+};
+
+export const getDriver = () => {
+  const configured = process.env.DATABASE_DRIVER || "neon";
+  const driver = DRIVERS[configured];
+  if (!driver) {
+    throw new Error(`Unknown database driver "${configured}"`);
+  }
+  return driver;
+};
@@ -0,0 +1,15 @@
+import { neon } from "@neondatabase/serverless";
+
+/**
+ * Neon's serverless driver: queries go over HTTPS to DATABASE_URL
+ */
+export const neonDriver = {
+  name: "neon",
+
+  async connect() {
+    if (!process.env.DATABASE_URL) {
+      throw new Error("DATABASE_URL environment variable is required");
+    }
+    return { sql: neon(process.env.DATABASE_URL), close: async () => {} };
+  },
+};
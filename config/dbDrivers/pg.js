@@ -0,0 +1,47 @@
+import { beginStatement, createSql } from "./sqlTag.js";
+
+/**
+ * node-postgres connection pool for any Postgres at DATABASE_URL, e.g. a
+ * local server. DATABASE_POOL_SIZE sets the pool size (default 10).
+ */
+export const pgDriver = {
+  name: "pg",
+
+  async connect() {
+    if (!process.env.DATABASE_URL) {
+      throw new Error("DATABASE_URL environment variable is required");
+    }
+
+    const { default: pg } = await import("pg");
+    const pool = new pg.Pool({
+      connectionString: process.env.DATABASE_URL,
+      max: parseInt(process.env.DATABASE_POOL_SIZE) || 10,
+    });
+    // Idle clients that lose their connection must not crash the process
+    pool.on("error", (error) => {
+      console.error("❌ Idle database client error:", error.message);
+    });
+
+    const run = async (query, params) => (await pool.query(query, params)).rows;
+
+    const runTransaction = async (statements, options) => {
+      const client = await pool.connect();
+      try {
+        await client.query(beginStatement(options));
+        const results = [];
+        for (const { query, params } of statements) {
+          results.push((await client.query(query, params)).rows);
+        }
+        await client.query("COMMIT");
+        return results;
+      } catch (error) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw error;
+      } finally {
+        client.release();
+      }
+    };
+
+    return { sql: createSql(run, runTransaction), close: () => pool.end() };
+  },
+};
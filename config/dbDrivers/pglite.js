@@ -0,0 +1,54 @@
+import { beginStatement, createSql } from "./sqlTag.js";
+
+/**
+ * PGlite: Postgres compiled to WebAssembly, running inside this process.
+ * No server or network needed, for development and tests. Data lives in
+ * PGLITE_DATA_DIR, or in memory (lost on exit) when that is unset.
+ *
+ * One connection only, so statements run one at a time.
+ */
+export const pgliteDriver = {
+  name: "pglite",
+
+  async connect() {
+    const { PGlite, types } = await import("@electric-sql/pglite");
+    const db = await PGlite.create(process.env.PGLITE_DATA_DIR, {
+      // Match node-postgres and neon, which leave bigint (e.g. COUNT(*)) as text
+      parsers: { [types.INT8]: (value) => value },
+    });
+
+    const run = async (query, params) => (await db.query(query, params)).rows;
+
+    // Transactions hold the only connection; queue other statements behind them
+    let queue = Promise.resolve();
+    const serialized = (task) => {
+      const result = queue.then(task);
+      queue = result.catch(() => {});
+      return result;
+    };
+
+    const runTransaction = (statements, options) =>
+      serialized(async () => {
+        await db.query(beginStatement(options));
+        try {
+          const results = [];
+          for (const { query, params } of statements) {
+            results.push((await db.query(query, params)).rows);
+          }
+          await db.query("COMMIT");
+          return results;
+        } catch (error) {
+          await db.query("ROLLBACK").catch(() => {});
+          throw error;
+        }
+      });
+
+    return {
+      sql: createSql(
+        (query, params) => serialized(() => run(query, params)),
+        runTransaction
+      ),
+      close: () => db.close(),
+    };
+  },
+};
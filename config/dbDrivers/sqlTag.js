@@ -0,0 +1,115 @@
+/**
+ * Neon's `sql` interface for drivers that only run (text, params):
+ *
+ *   sql`SELECT * FROM users WHERE id = ${id}`   lazy, runs when awaited
+ *   sql`... ${sql`AND status = ${status}`}`     fragments compose
+ *   sql`... ${sql.unsafe("ORDER BY id")}`       raw SQL, never user input
+ *   sql.query("SELECT $1::int", [1])
+ *   sql.transaction((txn) => [txn`...`, txn`...`], { isolationLevel })
+ *
+ * Queries resolve to an array of rows, like neon without fullResults.
+ */
+
+class UnsafeSql {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+class SqlQuery {
+  constructor(run, strings, values) {
+    this.run = run;
+    this.strings = strings;
+    this.values = values;
+    this.result = null;
+  }
+
+  /**
+   * @returns {{query: string, params: Array}} placeholders numbered from
+   *   params.length + 1, so fragments can be inlined into a parent query
+   */
+  toParameterizedQuery(params = []) {
+    let query = this.strings[0];
+    this.values.forEach((value, i) => {
+      if (value instanceof SqlQuery) {
+        query += value.toParameterizedQuery(params).query;
+      } else if (value instanceof UnsafeSql) {
+        query += value.text;
+      } else {
+        params.push(value);
+        query += `$${params.length}`;
+      }
+      query += this.strings[i + 1];
+    });
+    return { query, params };
+  }
+
+  execute() {
+    if (!this.result) {
+      const { query, params } = this.toParameterizedQuery();
+      this.result = this.run(query, params);
+    }
+    return this.result;
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.execute().then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.execute().catch(onRejected);
+  }
+
+  finally(onFinally) {
+    return this.execute().finally(onFinally);
+  }
+}
+
+const ISOLATION_LEVELS = {
+  ReadUncommitted: "READ UNCOMMITTED",
+  ReadCommitted: "READ COMMITTED",
+  RepeatableRead: "REPEATABLE READ",
+  Serializable: "SERIALIZABLE",
+};
+
+/**
+ * BEGIN statement for neon's transaction options
+ */
+export const beginStatement = ({ isolationLevel, readOnly, deferrable } = {}) => {
+  const modes = [];
+  if (isolationLevel) {
+    if (!ISOLATION_LEVELS[isolationLevel]) {
+      throw new Error(`Unknown isolation level "${isolationLevel}"`);
+    }
+    modes.push(`ISOLATION LEVEL ${ISOLATION_LEVELS[isolationLevel]}`);
+  }
+  if (readOnly !== undefined) modes.push(readOnly ? "READ ONLY" : "READ WRITE");
+  if (deferrable !== undefined) {
+    modes.push(deferrable ? "DEFERRABLE" : "NOT DEFERRABLE");
+  }
+  return ["BEGIN", ...modes].join(" ");
+};
+
+/**
+ * @param {(query: string, params: Array) => Promise<Array>} run - runs one
+ *   statement, resolves to its rows
+ * @param {(statements: Array<{query, params}>, options) => Promise<Array>} runTransaction
+ *   runs statements in one transaction, resolves to their rows in order
+ */
+export const createSql = (run, runTransaction) => {
+  const sql = (strings, ...values) => new SqlQuery(run, strings, values);
+
+  sql.unsafe = (text) => new UnsafeSql(text);
+
+  sql.query = (text, params = []) => run(text, params);
+
+  sql.transaction = async (build, options) => {
+    const queries = typeof build === "function" ? build(sql) : build;
+    return runTransaction(
+      queries.map((query) => query.toParameterizedQuery()),
+      options
+    );
+  };
+
+  return sql;
+};
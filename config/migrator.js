@@ -0,0 +1,185 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { sql, withTransaction } from "./db.js";
+
+/**
+ * 🗂️ SCHEMA MIGRATIONS
+ *
+ * Migrations live in /migrations as `NNN_description.js` files exporting
+ * `up(sql)` and `down(sql)`. Each returns an array of queries which are run
+ * together with the schema_migrations bookkeeping in a single transaction,
+ * so a migration is either fully applied or not applied at all.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+const requireConnection = () => {
+  if (!sql) {
+    throw new Error("Database connection is not initialized");
+  }
+};
+
+/**
+ * Load migration modules from disk, ordered by version
+ */
+export const loadMigrations = async () => {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = [];
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)));
+    if (typeof module.up !== "function" || typeof module.down !== "function") {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+
+    migrations.push({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      file,
+      up: module.up,
+      down: module.down,
+    });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(
+        `Duplicate migration version ${migrations[i].version}: ${
+          migrations[i - 1].file
+        } and ${migrations[i].file}`
+      );
+    }
+  }
+
+  return migrations;
+};
+
+/**
+ * Create the tracking table if this is a fresh database
+ */
+export const ensureMigrationsTable = async () => {
+  requireConnection();
+  await sql`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+};
+
+/**
+ * Compare migration files with what has been applied
+ */
+export const getMigrationStatus = async () => {
+  await ensureMigrationsTable();
+
+  const [migrations, appliedRows] = await Promise.all([
+    loadMigrations(),
+    sql`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`,
+  ]);
+
+  const appliedVersions = new Set(appliedRows.map((row) => row.version));
+  const knownVersions = new Set(migrations.map((m) => m.version));
+
+  return {
+    applied: appliedRows,
+    pending: migrations.filter((m) => !appliedVersions.has(m.version)),
+    // Applied in the database but no longer present on disk
+    missing: appliedRows.filter((row) => !knownVersions.has(row.version)),
+    migrations,
+  };
+};
+
+/**
+ * Apply pending migrations in order
+ * @param {object} options
+ * @param {number} [options.to] - stop after this version
+ */
+export const migrateUp = async ({ to } = {}) => {
+  const { pending } = await getMigrationStatus();
+  const toApply = pending.filter((m) => to === undefined || m.version <= to);
+
+  for (const migration of toApply) {
+    console.log(`⬆️  Applying migration ${migration.file}`);
+    await withTransaction((txn) => [
+      ...migration.up(txn),
+      txn`
+        INSERT INTO schema_migrations (version, name)
+        VALUES (${migration.version}, ${migration.name})
+      `,
+    ]);
+  }
+
+  return toApply;
+};
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {object} options
+ * @param {number} [options.steps=1] - number of migrations to revert, at
+ *   least 1
+ */
+export const migrateDown = async ({ steps = 1 } = {}) => {
+  // slice(-0) would select every applied migration
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`Cannot roll back ${steps} steps: steps must be at least 1`);
+  }
+
+  const { applied, migrations } = await getMigrationStatus();
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+  const toRevert = applied.slice(-steps).reverse();
+
+  for (const row of toRevert) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(
+        `Cannot roll back version ${row.version} (${row.name}): migration file not found`
+      );
+    }
+
+    console.log(`⬇️  Reverting migration ${migration.file}`);
+    await withTransaction((txn) => [
+      ...migration.down(txn),
+      txn`DELETE FROM schema_migrations WHERE version = ${migration.version}`,
+    ]);
+  }
+
+  return toRevert;
+};
+
+/**
+ * Startup guard: refuse to run against an out-of-date schema unless
+ * auto-apply is requested
+ * @param {object} options
+ * @param {boolean} [options.autoApply=false]
+ */
+export const ensureSchemaUpToDate = async ({ autoApply = false } = {}) => {
+  const { pending } = await getMigrationStatus();
+
+  if (pending.length === 0) {
+    console.log("✅ Database schema is up to date");
+    return [];
+  }
+
+  if (!autoApply) {
+    const list = pending.map((m) => m.file).join(", ");
+    throw new Error(
+      `${pending.length} pending migration(s): ${list}. ` +
+        `Run "npm run db:migrate" or start with AUTO_MIGRATE=true`
+    );
+  }
+
+  const applied = await migrateUp();
+  console.log(`✅ Applied ${applied.length} migration(s)`);
+  return applied;
+};
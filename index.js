@@ -0,0 +1,74 @@
+import app from "./server.js";
+import { testConnection } from "./config/db.js";
+import { ensureSchemaUpToDate } from "./config/migrator.js";
+import { startSubscriptionExpiryJob } from "./services/subscriptions.js";
+import { startWebhookWorker } from "./services/webhooks.js";
+import { startNotificationWorker } from "./services/notifications/index.js";
+
+/**
+ * 🚀 ENTRY POINT
+ *
+ * Checks the database, starts the background jobs and listens. The app
+ * itself lives in server.js so tests and scripts can import it without
+ * starting a server.
+ */
+
+// Server initialization
+const PORT = process.env.PORT || 5001;
+
+const startServer = async () => {
+  try {
+    console.log("🔄 Checking database migrations...");
+    const connectionTest = await testConnection();
+    if (!connectionTest.connected) {
+      throw new Error(`Database connection failed: ${connectionTest.error}`);
+    }
+    await ensureSchemaUpToDate({
+      autoApply: process.env.AUTO_MIGRATE === "true",
+    });
+
+    startSubscriptionExpiryJob();
+    startWebhookWorker();
+    startNotificationWorker();
+
+    app.listen(PORT, () => {
+      console.log("=".repeat(50));
+      console.log("🚀 Payment Pro Server Started Successfully");
+      console.log("=".repeat(50));
+      console.log(`📡 PORT: ${PORT}`);
+      console.log(`🌍 Environment: ${process.env.NODE_ENV || "development"}`);
+      console.log(
+        `🔐 Clerk Auth: ${
+          process.env.CLERK_SECRET_KEY ? "Enabled" : "Disabled"
+        }`
+      );
+      console.log(`🏠 Local URL: http://localhost:${PORT}`);
+      console.log(`👑 Admin Dashboard: http://localhost:${PORT}/admin`);
+      console.log(`❤️ Health Check: http://localhost:${PORT}/api/health`);
+      console.log(`📘 OpenAPI: http://localhost:${PORT}/api/openapi.json`);
+      console.log("=".repeat(50));
+      console.log("📊 Available Endpoints:");
+      console.log("  • GET  /api/payment-flow/plans - Available plans");
+      console.log("  • GET  /api/payment-flow/pro-status - Check Pro status");
+      console.log("  • POST /api/payment-flow/submit-payment - Submit payment");
+      console.log(
+        "  • GET  /api/payment-flow/payment-history - Payment history"
+      );
+      console.log(
+        "  • GET  /api/admin/subscription/payments/pending - Admin view"
+      );
+      console.log(
+        "  • POST /api/admin/subscription/payments/:id/approve - Approve"
+      );
+      console.log(
+        "  • POST /api/admin/subscription/payments/:id/reject - Reject"
+      );
+      console.log("=".repeat(50));
+    });
+  } catch (error) {
+    console.error("❌ Failed to start server:", error);
+    process.exit(1);
+  }
+};
+
+startServer();
@@ -1,33 +1,130 @@
-import { createClerkClient } from "@clerk/clerk-sdk-node";
+import { sql } from "../config/db.js";
+import { getAuthProvider } from "../services/auth/index.js";
+import { upsertUserProfile } from "../services/userSync.js";
+import { getRoleStore, permissionsFor } from "../services/roles/index.js";
+import {
+  CSRF_HEADER,
+  SESSION_COOKIE,
+  isValidCsrfToken,
+  touchSession,
+} from "../services/adminSessions.js";
 
-const clerkClient = createClerkClient({
-  secretKey: process.env.CLERK_SECRET_KEY,
-});
+// Users whose profile this process has already synced
+const syncedUsers = new Set();
+const MAX_SYNCED_USERS = 10000;
 
-console.log("🔐 Clerk Auth - Ready");
+/**
+ * Make sure a users row with email and name exists for the user, fetching
+ * the profile from the auth provider the first time they are seen. Clerk
+ * webhooks keep it up to date afterwards. Failures are logged; the request
+ * carries on.
+ */
+const syncUserOnFirstRequest = async (clerkUserId) => {
+  if (syncedUsers.has(clerkUserId)) return;
+
+  try {
+    const existing = await sql`
+      SELECT email, deleted_at FROM users
+      WHERE clerk_user_id = ${clerkUserId}
+      LIMIT 1
+    `;
+
+    if (!existing[0]?.email && !existing[0]?.deleted_at) {
+      const profile = await getAuthProvider().getProfile(clerkUserId);
+      if (profile) {
+        await upsertUserProfile(profile);
+        console.log(`🔄 Synced profile for new user ${clerkUserId}`);
+      }
+    }
+
+    if (syncedUsers.size >= MAX_SYNCED_USERS) syncedUsers.clear();
+    syncedUsers.add(clerkUserId);
+  } catch (error) {
+    console.error(`❌ Failed to sync user ${clerkUserId}:`, error.message);
+  }
+};
+
+console.log("🔐 Auth - Ready");
+
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+/**
+ * Read one cookie from the Cookie header
+ */
+export const readCookie = (req, name) => {
+  for (const pair of (req.headers.cookie || "").split(";")) {
+    const separator = pair.indexOf("=");
+    if (separator === -1) continue;
+    if (pair.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(pair.slice(separator + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+};
 
 /**
- * Clerk Authentication Middleware
- * Extracts and verifies Clerk user ID from requests
+ * Authenticate with the admin session cookie (see services/adminSessions).
+ * Sets admin_session on the request.
+ */
+const authenticateSession = async (req, res, next, token) => {
+  const session = await touchSession(token);
+  if (!session) {
+    return res.status(401).json({
+      error: "Session expired",
+      message: "Your session has ended, please sign in again",
+    });
+  }
+
+  if (
+    !SAFE_METHODS.has(req.method) &&
+    !isValidCsrfToken(session, req.headers[CSRF_HEADER])
+  ) {
+    console.log(`🚫 CSRF check failed for session ${session.id}`);
+    return res.status(403).json({
+      error: "Invalid CSRF token",
+      message: "Send the session's CSRF token in the X-CSRF-Token header",
+    });
+  }
+
+  req.auth = { userId: session.admin_id, sessionId: session.id };
+  req.admin_session = session;
+  next();
+};
+
+/**
+ * Authentication Middleware
+ * Extracts and verifies the user ID from requests: a bearer token checked by
+ * the auth provider (see services/auth), or else an admin session cookie.
+ * Sets auth.userId and, for bearer tokens, auth.sessionClaims.
  */
 export const requireAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers["authorization"];
 
     if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      const sessionToken = readCookie(req, SESSION_COOKIE);
+      if (sessionToken) {
+        return await authenticateSession(req, res, next, sessionToken);
+      }
+
       return res.status(401).json({
         error: "Authentication required",
-        message: "Bearer token required in Authorization header",
+        message:
+          "Bearer token required in Authorization header, or sign in for a session",
       });
     }
 
     const token = authHeader.substring(7);
 
-    // Verify the token with Clerk
+    // Verify the token with the auth provider
     try {
-      const session = await clerkClient.verifyToken(token);
-      req.auth = { userId: session.sub };
-      console.log("✅ Token verified for user:", session.sub);
+      const claims = await getAuthProvider().verifyToken(token);
+      req.auth = { userId: claims.sub, sessionClaims: claims };
+      console.log("✅ Token verified for user:", claims.sub);
       next();
     } catch (verifyError) {
       console.log("❌ Token verification failed:", verifyError.message);
@@ -59,6 +156,7 @@ export const getUserId = async (req, res, next) => {
 
     req.clerk_user_id = req.auth.userId;
     console.log(`👤 Using Clerk user ID: ${req.clerk_user_id}`);
+    await syncUserOnFirstRequest(req.clerk_user_id);
     next();
   } catch (error) {
     console.error("❌ User ID processing error:", error);
@@ -70,7 +168,9 @@ export const getUserId = async (req, res, next) => {
 };
 
 /**
- * Admin check middleware using Clerk
+ * Admin check middleware: the user must have an admin role in the
+ * configured role store (see services/roles). Sets admin_id, admin_role
+ * and admin_permissions on the request.
  */
 export const requireAdmin = async (req, res, next) => {
   try {
@@ -81,15 +181,9 @@ export const requireAdmin = async (req, res, next) => {
       });
     }
 
-    // Get user from Clerk to check admin role
-    const user = await clerkClient.users.getUser(req.auth.userId);
-
-    // Check if user has admin role
-    const isAdmin =
-      user.publicMetadata?.role === "admin" ||
-      user.privateMetadata?.isAdmin === true;
+    const role = await getRoleStore().getRole(req.auth.userId);
 
-    if (!isAdmin) {
+    if (!role) {
       return res.status(403).json({
         error: "Admin access required",
         message: "User does not have admin privileges",
@@ -97,7 +191,9 @@ export const requireAdmin = async (req, res, next) => {
     }
 
     req.admin_id = req.auth.userId;
-    console.log(`👑 Admin access granted: ${req.admin_id}`);
+    req.admin_role = role;
+    req.admin_permissions = permissionsFor(role);
+    console.log(`👑 Admin access granted: ${req.admin_id} (${role})`);
     next();
   } catch (error) {
     console.error("❌ Admin check error:", error);
@@ -107,3 +203,28 @@ export const requireAdmin = async (req, res, next) => {
     });
   }
 };
+
+/**
+ * Require every listed permission (see PERMISSIONS in services/roles).
+ * Use after requireAdmin.
+ */
+export const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    const missing = permissions.filter(
+      (permission) => !req.admin_permissions?.includes(permission)
+    );
+
+    if (missing.length > 0) {
+      console.log(
+        `🚫 ${req.admin_id || "anonymous"} (${req.admin_role || "no role"}) denied: needs ${missing.join(", ")}`
+      );
+      return res.status(403).json({
+        error: "Permission denied",
+        message: `Your role (${req.admin_role || "none"}) does not allow this: requires ${missing.join(", ")}`,
+        required: missing,
+      });
+    }
+
+    next();
+  };
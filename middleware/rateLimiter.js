@@ -1,9 +1,13 @@
 import rateLimit from "express-rate-limit";
 
+// Limits can be overridden through the environment (see each limiter)
+const limitFromEnv = (name, fallback) =>
+  parseInt(process.env[name]) || fallback;
+
 // General rate limiter for all endpoints
 export const rateLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: limitFromEnv("RATE_LIMIT_MAX", 100), // limit each IP to 100 requests per windowMs
   message: {
     error: "Too many requests from this IP, please try again later.",
   },
@@ -14,7 +18,7 @@ export const rateLimiter = rateLimit({
 // Stricter rate limiter for payment operations
 export const paymentRateLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
-  max: 5, // limit each IP to 5 payment attempts per hour
+  max: limitFromEnv("PAYMENT_RATE_LIMIT_MAX", 5), // limit each IP to 5 payment attempts per hour
   message: {
     error: "Too many payment attempts. Please try again later.",
   },
@@ -22,4 +26,15 @@ export const paymentRateLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Password logins (local auth provider)
+export const loginRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: limitFromEnv("LOGIN_RATE_LIMIT_MAX", 10), // limit each IP to 10 login attempts per windowMs
+  message: {
+    error: "Too many login attempts. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 export default rateLimiter;
@@ -0,0 +1,279 @@
+/**
+ * ✅ REQUEST VALIDATION
+ *
+ * Routes declare what they accept as JSON Schemas for params, query and
+ * body (see schemas/), and validateRequest turns anything else away with
+ * a 400 before the handler runs:
+ *
+ *   router.post("/payments/:paymentId/reject", canReject,
+ *     validateRequest(rejectPayment), async (req, res) => { ... });
+ *
+ *   400 {
+ *     "error": "Invalid request",
+ *     "message": "body.rejection_reason is required",
+ *     "fields": [{ "field": "body.rejection_reason", "message": "is required" }]
+ *   }
+ *
+ * Path and query values arrive as text, so there "42" passes as an
+ * integer and "true" as a boolean, and an empty value counts as left out.
+ * The request itself is never changed. Unknown query parameters are
+ * ignored; unknown body fields are refused where the schema sets
+ * additionalProperties: false.
+ *
+ * Supported keywords: type (one name or a list, "null" included), enum,
+ * const, anyOf, if/then, minimum, exclusiveMinimum, maximum, multipleOf,
+ * minLength, maxLength, pattern, format (date, date-time), properties,
+ * required, additionalProperties (false only), items, minItems and
+ * maxItems. errorMessage replaces the message of a failed const, pattern,
+ * format or anyOf.
+ * The same schemas are published as OpenAPI (services/openapi.js).
+ */
+
+const REQUEST_PARTS = ["params", "query", "body"];
+
+const TYPE_NAMES = {
+  string: "a string",
+  number: "a number",
+  integer: "an integer",
+  boolean: "a boolean",
+  object: "an object",
+  array: "an array",
+  null: "null",
+};
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: isObject,
+  array: Array.isArray,
+  null: (value) => value === null,
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+const FORMATS = {
+  date: (value) => {
+    const date = new Date(`${value}T00:00:00Z`);
+    return (
+      DATE.test(value) &&
+      !Number.isNaN(date.getTime()) &&
+      date.toISOString().slice(0, 10) === value
+    );
+  },
+  "date-time": (value) =>
+    DATE_TIME.test(value) && !Number.isNaN(Date.parse(value)),
+};
+
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Read a path or query value as the type the schema expects. Anything
+ * that does not convert is left as text and fails the type check.
+ */
+const fromText = (value, types) => {
+  if (typeof value !== "string" || types.includes("string")) return value;
+  if (
+    (types.includes("integer") || types.includes("number")) &&
+    NUMERIC.test(value)
+  ) {
+    return Number(value);
+  }
+  if (types.includes("boolean") && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  return value;
+};
+
+const decimalPlaces = (number) => (String(number).split(".")[1] || "").length;
+
+// Scaled to integers so 19.99 counts as a multiple of 0.01
+const isMultipleOf = (value, divisor) => {
+  const places = decimalPlaces(divisor);
+  const scale = 10 ** places;
+  return (
+    Number(value.toFixed(places)) === value &&
+    Math.round(value * scale) % Math.round(divisor * scale) === 0
+  );
+};
+
+const patterns = new Map();
+const compilePattern = (pattern) => {
+  if (!patterns.has(pattern)) patterns.set(pattern, new RegExp(pattern, "u"));
+  return patterns.get(pattern);
+};
+
+/**
+ * Check a value against a schema, adding { field, message } for each
+ * problem to errors
+ * @param {boolean} asText - the value came from the path or query string
+ */
+const check = (schema, input, field, errors, asText) => {
+  const fail = (message) => errors.push({ field, message });
+  let value = input;
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some((option) => {
+      const optionErrors = [];
+      check(option, value, field, optionErrors, asText);
+      return optionErrors.length === 0;
+    });
+    if (!matches) {
+      return fail(schema.errorMessage || "does not match any allowed form");
+    }
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (asText) value = fromText(value, types);
+    if (!types.some((type) => TYPE_CHECKS[type](value))) {
+      const names = types.map((type) => TYPE_NAMES[type]);
+      return fail(`must be ${names.join(" or ")}`);
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(", ")}`);
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    return fail(
+      schema.errorMessage || `must be ${JSON.stringify(schema.const)}`
+    );
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    } else if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail(`must be greater than ${schema.exclusiveMinimum}`);
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    } else if (
+      schema.multipleOf !== undefined &&
+      !isMultipleOf(value, schema.multipleOf)
+    ) {
+      fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail(
+        schema.minLength === 1
+          ? "must not be empty"
+          : `must be at least ${schema.minLength} characters`
+      );
+    } else if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    } else if (schema.pattern && !compilePattern(schema.pattern).test(value)) {
+      fail(schema.errorMessage || `must match ${schema.pattern}`);
+    } else if (FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(schema.errorMessage || `must be a valid ${schema.format}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(
+        schema.minItems === 1
+          ? "must not be empty"
+          : `must have at least ${schema.minItems} items`
+      );
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        check(schema.items, item, `${field}[${index}]`, errors, asText)
+      );
+    }
+  }
+
+  if (isObject(value)) {
+    const properties = schema.properties || {};
+
+    // An empty query value means the parameter was left out
+    const isMissing = (propertyValue) =>
+      propertyValue === undefined || (asText && propertyValue === "");
+
+    for (const name of schema.required || []) {
+      if (isMissing(value[name])) {
+        errors.push({ field: `${field}.${name}`, message: "is required" });
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (Object.hasOwn(properties, name)) {
+        if (!isMissing(propertyValue)) {
+          const path = `${field}.${name}`;
+          check(properties[name], propertyValue, path, errors, asText);
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: `${field}.${name}`, message: "is not allowed" });
+      }
+    }
+  }
+
+  // then only applies when the value matches if
+  if (schema.if && schema.then) {
+    const conditionErrors = [];
+    check(schema.if, value, field, conditionErrors, asText);
+    if (conditionErrors.length === 0) {
+      check(schema.then, value, field, errors, asText);
+    }
+  }
+};
+
+/**
+ * Collect every problem with a request
+ * @param {{params?: object, query?: object, body?: object}} schema
+ * @param {import("express").Request} req
+ * @returns {{field: string, message: string}[]}
+ */
+const findRequestErrors = (schema, req) => {
+  const errors = [];
+  for (const part of REQUEST_PARTS) {
+    if (!schema[part]) continue;
+    // Express leaves body undefined when nothing was sent
+    const value = part === "body" ? req.body ?? {} : req[part];
+    check(schema[part], value, part, errors, part !== "body");
+  }
+  return errors;
+};
+
+/**
+ * Reject requests that do not match the schema with a 400 listing every
+ * problem. Use after authentication and permission checks, so callers who
+ * may not use a route learn nothing about its inputs.
+ * @param {{params?: object, query?: object, body?: object}} schema
+ */
+export const validateRequest = (schema) => {
+  const validate = (req, res, next) => {
+    const errors = findRequestErrors(schema, req);
+    if (errors.length === 0) return next();
+
+    res.status(400).json({
+      error: "Invalid request",
+      message: errors
+        .map(({ field, message }) => `${field} ${message}`)
+        .join(", "),
+      fields: errors,
+    });
+  };
+
+  // Read by services/openapi.js to document the route
+  validate.schema = schema;
+  return validate;
+};
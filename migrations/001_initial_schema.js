@@ -0,0 +1,39 @@
+/**
+ * Initial schema: users with Pro status and one-time payments.
+ *
+ * Uses IF NOT EXISTS so deployments created by the old initDB() adopt
+ * this migration without touching their existing tables.
+ */
+export const up = (sql) => [
+  sql`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      clerk_user_id TEXT NOT NULL UNIQUE,
+      email VARCHAR(255),
+      name VARCHAR(255),
+      is_pro BOOLEAN DEFAULT false,
+      pro_since TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  sql`
+    CREATE TABLE IF NOT EXISTS payments (
+      id SERIAL PRIMARY KEY,
+      clerk_user_id TEXT NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      transaction_id TEXT NOT NULL UNIQUE,
+      status VARCHAR(20) DEFAULT 'pending',
+      admin_id TEXT,
+      rejection_reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      processed_at TIMESTAMP
+    )
+  `,
+];
+
+export const down = (sql) => [
+  sql`DROP TABLE IF EXISTS payments`,
+  sql`DROP TABLE IF EXISTS users`,
+];
@@ -0,0 +1,29 @@
+/**
+ * Record which payment provider a submission used and the outcome of
+ * verifying its transaction reference with that provider.
+ */
+export const up = (sql) => [
+  sql`
+    ALTER TABLE payments
+      ADD COLUMN IF NOT EXISTS provider VARCHAR(50) DEFAULT 'bank_transfer',
+      ADD COLUMN IF NOT EXISTS verification_status VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS verification_details JSONB,
+      ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP
+  `,
+  sql`
+    CREATE INDEX IF NOT EXISTS idx_payments_verification_status
+      ON payments (verification_status)
+      WHERE status = 'pending'
+  `,
+];
+
+export const down = (sql) => [
+  sql`DROP INDEX IF EXISTS idx_payments_verification_status`,
+  sql`
+    ALTER TABLE payments
+      DROP COLUMN IF EXISTS verified_at,
+      DROP COLUMN IF EXISTS verification_details,
+      DROP COLUMN IF EXISTS verification_status,
+      DROP COLUMN IF EXISTS provider
+  `,
+];
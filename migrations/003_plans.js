@@ -0,0 +1,33 @@
+/**
+ * Plans and pricing catalog. Payments reference the plan they were made
+ * for and snapshot its price as the expected amount.
+ */
+export const up = (sql) => [
+  sql`
+    CREATE TABLE IF NOT EXISTS plans (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      description TEXT,
+      price DECIMAL(10,2) NOT NULL CHECK (price > 0),
+      duration_days INTEGER CHECK (duration_days > 0),
+      features JSONB NOT NULL DEFAULT '[]',
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  sql`
+    ALTER TABLE payments
+      ADD COLUMN IF NOT EXISTS plan_id INTEGER REFERENCES plans(id),
+      ADD COLUMN IF NOT EXISTS expected_amount DECIMAL(10,2)
+  `,
+];
+
+export const down = (sql) => [
+  sql`
+    ALTER TABLE payments
+      DROP COLUMN IF EXISTS expected_amount,
+      DROP COLUMN IF EXISTS plan_id
+  `,
+  sql`DROP TABLE IF EXISTS plans`,
+];
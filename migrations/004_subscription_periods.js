@@ -0,0 +1,41 @@
+/**
+ * Time-limited subscriptions: users get a current billing period and each
+ * approved payment records the period it paid for. A NULL period end on a
+ * Pro user means lifetime access (plans without a duration, and everyone
+ * upgraded before this migration).
+ */
+export const up = (sql) => [
+  sql`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS plan_id INTEGER REFERENCES plans(id),
+      ADD COLUMN IF NOT EXISTS current_period_start TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS current_period_end TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS expired_at TIMESTAMP
+  `,
+  sql`
+    ALTER TABLE payments
+      ADD COLUMN IF NOT EXISTS period_start TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS period_end TIMESTAMP
+  `,
+  sql`
+    CREATE INDEX IF NOT EXISTS idx_users_current_period_end
+      ON users (current_period_end)
+      WHERE is_pro = true
+  `,
+];
+
+export const down = (sql) => [
+  sql`DROP INDEX IF EXISTS idx_users_current_period_end`,
+  sql`
+    ALTER TABLE payments
+      DROP COLUMN IF EXISTS period_end,
+      DROP COLUMN IF EXISTS period_start
+  `,
+  sql`
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS expired_at,
+      DROP COLUMN IF EXISTS current_period_end,
+      DROP COLUMN IF EXISTS current_period_start,
+      DROP COLUMN IF EXISTS plan_id
+  `,
+];
@@ -0,0 +1,47 @@
+/**
+ * Append-only audit trail of admin actions and payment state transitions.
+ * A trigger rejects UPDATE and DELETE so history cannot be rewritten
+ * through the application's database role.
+ */
+export const up = (sql) => [
+  sql`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id BIGSERIAL PRIMARY KEY,
+      actor_id TEXT NOT NULL,
+      actor_type VARCHAR(20) NOT NULL,
+      action VARCHAR(50) NOT NULL,
+      target_type VARCHAR(20) NOT NULL,
+      target_id TEXT,
+      payment_id INTEGER,
+      user_id TEXT,
+      before_state JSONB,
+      after_state JSONB,
+      metadata JSONB,
+      ip_address TEXT,
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  sql`CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events (created_at)`,
+  sql`CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events (actor_id)`,
+  sql`CREATE INDEX IF NOT EXISTS idx_audit_events_payment ON audit_events (payment_id)`,
+  sql`CREATE INDEX IF NOT EXISTS idx_audit_events_user ON audit_events (user_id)`,
+  sql`
+    CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_events is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `,
+  sql`DROP TRIGGER IF EXISTS audit_events_no_mutation ON audit_events`,
+  sql`
+    CREATE TRIGGER audit_events_no_mutation
+      BEFORE UPDATE OR DELETE ON audit_events
+      FOR EACH ROW EXECUTE FUNCTION audit_events_append_only()
+  `,
+];
+
+export const down = (sql) => [
+  sql`DROP TABLE IF EXISTS audit_events`,
+  sql`DROP FUNCTION IF EXISTS audit_events_append_only()`,
+];
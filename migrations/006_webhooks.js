@@ -0,0 +1,51 @@
+/**
+ * Outbound webhooks: admin-registered endpoints and a persistent delivery
+ * queue that doubles as the delivery log.
+ */
+export const up = (sql) => [
+  sql`
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id SERIAL PRIMARY KEY,
+      url TEXT NOT NULL,
+      description TEXT,
+      secret TEXT NOT NULL,
+      events JSONB NOT NULL DEFAULT '["*"]',
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      created_by TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  sql`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+      event_id TEXT NOT NULL,
+      event_type VARCHAR(50) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_attempt_at TIMESTAMP,
+      response_status INTEGER,
+      response_body TEXT,
+      last_error TEXT,
+      delivered_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  sql`
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+      ON webhook_deliveries (next_attempt_at)
+      WHERE status = 'pending'
+  `,
+  sql`
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint
+      ON webhook_deliveries (endpoint_id, created_at)
+  `,
+];
+
+export const down = (sql) => [
+  sql`DROP TABLE IF EXISTS webhook_deliveries`,
+  sql`DROP TABLE IF EXISTS webhook_endpoints`,
+];
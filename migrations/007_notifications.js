@@ -0,0 +1,49 @@
+/**
+ * Email/SMS notifications: per-user channel preferences and a queue of
+ * outgoing messages that doubles as the delivery log.
+ */
+export const up = (sql) => [
+  sql`
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      clerk_user_id TEXT PRIMARY KEY,
+      email_enabled BOOLEAN NOT NULL DEFAULT true,
+      sms_enabled BOOLEAN NOT NULL DEFAULT false,
+      email VARCHAR(255),
+      phone VARCHAR(20),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  sql`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id BIGSERIAL PRIMARY KEY,
+      clerk_user_id TEXT,
+      audience VARCHAR(10) NOT NULL DEFAULT 'user',
+      channel VARCHAR(10) NOT NULL,
+      recipient TEXT NOT NULL,
+      template VARCHAR(50) NOT NULL,
+      subject TEXT,
+      body TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  sql`
+    CREATE INDEX IF NOT EXISTS idx_notifications_due
+      ON notifications (next_attempt_at)
+      WHERE status = 'pending'
+  `,
+  sql`
+    CREATE INDEX IF NOT EXISTS idx_notifications_user
+      ON notifications (clerk_user_id, created_at)
+  `,
+];
+
+export const down = (sql) => [
+  sql`DROP TABLE IF EXISTS notifications`,
+  sql`DROP TABLE IF EXISTS notification_preferences`,
+];
@@ -0,0 +1,18 @@
+/**
+ * Clerk user sync: users deleted in Clerk keep their row (payments and the
+ * audit trail refer to it) but lose their personal data and are marked
+ * deleted so late webhook deliveries cannot bring it back.
+ */
+export const up = (sql) => [
+  sql`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP
+  `,
+];
+
+export const down = (sql) => [
+  sql`
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS deleted_at
+  `,
+];
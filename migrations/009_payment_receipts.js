@@ -0,0 +1,32 @@
+/**
+ * Payment receipts: an optional uploaded screenshot or PDF per payment.
+ * The file lives in storage under receipt_key; receipt_sha256 is indexed
+ * so a receipt reused for another payment can be spotted.
+ */
+export const up = (sql) => [
+  sql`
+    ALTER TABLE payments
+      ADD COLUMN IF NOT EXISTS receipt_key TEXT,
+      ADD COLUMN IF NOT EXISTS receipt_filename VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS receipt_content_type VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS receipt_size INTEGER,
+      ADD COLUMN IF NOT EXISTS receipt_sha256 CHAR(64)
+  `,
+  sql`
+    CREATE INDEX IF NOT EXISTS idx_payments_receipt_sha256
+      ON payments (receipt_sha256)
+      WHERE receipt_sha256 IS NOT NULL
+  `,
+];
+
+export const down = (sql) => [
+  sql`DROP INDEX IF EXISTS idx_payments_receipt_sha256`,
+  sql`
+    ALTER TABLE payments
+      DROP COLUMN IF EXISTS receipt_sha256,
+      DROP COLUMN IF EXISTS receipt_size,
+      DROP COLUMN IF EXISTS receipt_content_type,
+      DROP COLUMN IF EXISTS receipt_filename,
+      DROP COLUMN IF EXISTS receipt_key
+  `,
+];
@@ -0,0 +1,51 @@
+/**
+ * Fraud risk scoring: each payment keeps the IP it was submitted from, a
+ * normalized transaction ID for spotting near-duplicates, and the score,
+ * level and reasons from the risk engine (services/risk.js).
+ */
+export const up = (sql) => [
+  sql`
+    ALTER TABLE payments
+      ADD COLUMN IF NOT EXISTS submitted_ip TEXT,
+      ADD COLUMN IF NOT EXISTS normalized_transaction_id TEXT
+        GENERATED ALWAYS AS (
+          upper(regexp_replace(transaction_id, '[^A-Za-z0-9]', '', 'g'))
+        ) STORED,
+      ADD COLUMN IF NOT EXISTS risk_score INTEGER,
+      ADD COLUMN IF NOT EXISTS risk_level VARCHAR(10),
+      ADD COLUMN IF NOT EXISTS risk_reasons JSONB,
+      ADD COLUMN IF NOT EXISTS risk_assessed_at TIMESTAMP
+  `,
+  // Earlier submissions only have their IP in the audit trail
+  sql`
+    UPDATE payments p
+    SET submitted_ip = a.ip_address
+    FROM audit_events a
+    WHERE a.payment_id = p.id
+      AND a.action = 'payment.submitted'
+      AND p.submitted_ip IS NULL
+  `,
+  sql`
+    CREATE INDEX IF NOT EXISTS idx_payments_normalized_transaction_id
+      ON payments (normalized_transaction_id)
+  `,
+  sql`
+    CREATE INDEX IF NOT EXISTS idx_payments_submitted_ip
+      ON payments (submitted_ip, created_at)
+      WHERE submitted_ip IS NOT NULL
+  `,
+];
+
+export const down = (sql) => [
+  sql`DROP INDEX IF EXISTS idx_payments_submitted_ip`,
+  sql`DROP INDEX IF EXISTS idx_payments_normalized_transaction_id`,
+  sql`
+    ALTER TABLE payments
+      DROP COLUMN IF EXISTS risk_assessed_at,
+      DROP COLUMN IF EXISTS risk_reasons,
+      DROP COLUMN IF EXISTS risk_level,
+      DROP COLUMN IF EXISTS risk_score,
+      DROP COLUMN IF EXISTS normalized_transaction_id,
+      DROP COLUMN IF EXISTS submitted_ip
+  `,
+];
@@ -0,0 +1,37 @@
+/**
+ * Refunds and reversals of approved payments. Each refund is a row in
+ * payment_refunds; payments.refunded_amount keeps the running total so an
+ * over-refund can be refused in the same UPDATE that records it.
+ *
+ * A payment refunded in full becomes 'refunded'; a provider reversal
+ * (chargeback) becomes 'reversed'. Partial refunds leave it 'approved'.
+ */
+export const up = (sql) => [
+  sql`
+    ALTER TABLE payments
+      ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0
+  `,
+  sql`
+    CREATE TABLE IF NOT EXISTS payment_refunds (
+      id SERIAL PRIMARY KEY,
+      payment_id INTEGER NOT NULL REFERENCES payments(id),
+      type VARCHAR(20) NOT NULL CHECK (type IN ('refund', 'reversal')),
+      amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+      reason TEXT NOT NULL,
+      admin_id TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  sql`
+    CREATE INDEX IF NOT EXISTS idx_payment_refunds_payment_id
+      ON payment_refunds (payment_id)
+  `,
+];
+
+export const down = (sql) => [
+  sql`DROP TABLE IF EXISTS payment_refunds`,
+  sql`
+    ALTER TABLE payments
+      DROP COLUMN IF EXISTS refunded_amount
+  `,
+];
@@ -0,0 +1,35 @@
+/**
+ * Statement reconciliation: saved CSV column mappings per provider and a
+ * record of every imported statement with the report it produced.
+ */
+export const up = (sql) => [
+  sql`
+    CREATE TABLE IF NOT EXISTS reconciliation_mappings (
+      provider VARCHAR(50) PRIMARY KEY,
+      mapping JSONB NOT NULL,
+      updated_by TEXT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  sql`
+    CREATE TABLE IF NOT EXISTS reconciliation_runs (
+      id SERIAL PRIMARY KEY,
+      provider VARCHAR(50) NOT NULL,
+      filename TEXT,
+      mapping JSONB NOT NULL,
+      summary JSONB NOT NULL,
+      report JSONB NOT NULL,
+      admin_id TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  sql`
+    CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_created_at
+      ON reconciliation_runs (created_at DESC)
+  `,
+];
+
+export const down = (sql) => [
+  sql`DROP TABLE IF EXISTS reconciliation_runs`,
+  sql`DROP TABLE IF EXISTS reconciliation_mappings`,
+];
@@ -0,0 +1,40 @@
+/**
+ * Four-eyes approval: every approval of a payment is a row in
+ * payment_approvals. Payments above PAYMENT_DUAL_APPROVAL_THRESHOLD need
+ * two of them and sit in 'partially_approved' after the first. The unique
+ * key stops one admin from giving both.
+ */
+export const up = (sql) => [
+  sql`
+    CREATE TABLE IF NOT EXISTS payment_approvals (
+      id SERIAL PRIMARY KEY,
+      payment_id INTEGER NOT NULL REFERENCES payments(id),
+      admin_id TEXT NOT NULL,
+      actor_type VARCHAR(20) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (payment_id, admin_id)
+    )
+  `,
+  // Earlier payments were approved by a single admin (or the system)
+  sql`
+    INSERT INTO payment_approvals (payment_id, admin_id, actor_type, created_at)
+    SELECT
+      id,
+      admin_id,
+      CASE WHEN admin_id LIKE 'system:%' THEN 'system' ELSE 'admin' END,
+      processed_at
+    FROM payments
+    WHERE status IN ('approved', 'refunded', 'reversed')
+      AND admin_id IS NOT NULL
+    ON CONFLICT (payment_id, admin_id) DO NOTHING
+  `,
+];
+
+export const down = (sql) => [
+  sql`
+    UPDATE payments
+    SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'partially_approved'
+  `,
+  sql`DROP TABLE IF EXISTS payment_approvals`,
+];
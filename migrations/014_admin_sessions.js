@@ -0,0 +1,27 @@
+/**
+ * Server-side admin sessions for the dashboard. The session token itself
+ * only lives in the admin's httpOnly cookie; the table keeps its SHA-256.
+ */
+export const up = (sql) => [
+  sql`
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      id SERIAL PRIMARY KEY,
+      token_hash TEXT NOT NULL UNIQUE,
+      admin_id TEXT NOT NULL,
+      csrf_token TEXT NOT NULL,
+      ip_address TEXT,
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP
+    )
+  `,
+  sql`
+    CREATE INDEX IF NOT EXISTS idx_admin_sessions_admin_id
+      ON admin_sessions (admin_id)
+      WHERE revoked_at IS NULL
+  `,
+];
+
+export const down = (sql) => [sql`DROP TABLE IF EXISTS admin_sessions`];
@@ -0,0 +1,14 @@
+/**
+ * Notifications queued inside a payment's transaction store the template
+ * data and are rendered by the worker when they are sent.
+ */
+export const up = (sql) => [
+  sql`ALTER TABLE notifications ADD COLUMN IF NOT EXISTS data JSONB`,
+  sql`ALTER TABLE notifications ALTER COLUMN body DROP NOT NULL`,
+];
+
+export const down = (sql) => [
+  sql`DELETE FROM notifications WHERE body IS NULL`,
+  sql`ALTER TABLE notifications ALTER COLUMN body SET NOT NULL`,
+  sql`ALTER TABLE notifications DROP COLUMN IF EXISTS data`,
+];
@@ -0,0 +1,287 @@
+import express from "express";
+import {
+  requireAuth,
+  requireAdmin,
+  requirePermission,
+} from "../middleware/bulletproofAuth.js";
+import { actorFromRequest } from "../services/audit.js";
+import {
+  getProvider,
+  listProviders,
+} from "../services/paymentProviders/index.js";
+import {
+  MAX_STATEMENT_BYTES,
+  approveReconciledPayments,
+  getMapping,
+  getRun,
+  listMappings,
+  listRuns,
+  runReconciliation,
+  saveMapping,
+  validateMapping,
+} from "../services/reconciliation.js";
+import { PERMISSIONS } from "../services/roles/index.js";
+
+const router = express.Router();
+
+// Apply admin middleware to all routes
+router.use(requireAuth);
+router.use(requireAdmin);
+
+// Per-route permission checks (see services/roles)
+const canView = requirePermission(PERMISSIONS.VIEW_PAYMENTS);
+const canReconcile = requirePermission(PERMISSIONS.RECONCILE);
+// Approving matches approves payments, so both are needed
+const canApproveMatches = requirePermission(
+  PERMISSIONS.RECONCILE,
+  PERMISSIONS.APPROVE_PAYMENTS
+);
+
+/**
+ * 🧮 ADMIN STATEMENT RECONCILIATION
+ *
+ * Features:
+ * - Column mapping per provider for statement CSV exports
+ * - Import a statement and match it against payments
+ * - Browse past imports and their reports
+ * - Approve the confident matches of an import
+ */
+
+const POSITIVE_ID = /^[1-9]\d*$/;
+
+const providerNotFound = (res, provider) =>
+  res.status(404).json({
+    error: "Provider not found",
+    message: `Payment provider "${provider}" is not enabled`,
+  });
+
+const runNotFound = (res, runId) =>
+  res.status(404).json({
+    error: "Reconciliation run not found",
+    message: `Reconciliation run with ID ${runId} does not exist`,
+  });
+
+/**
+ * Column mappings for every enabled provider
+ * GET /api/admin/reconciliation/mappings
+ */
+router.get("/mappings", canView, async (req, res) => {
+  try {
+    const providers = listProviders();
+    const mappings = await listMappings(providers.map((p) => p.name));
+
+    res.json({
+      mappings: mappings.map((entry, i) => ({
+        ...entry,
+        display_name: providers[i].display_name,
+      })),
+    });
+  } catch (error) {
+    console.error("❌ Get reconciliation mappings error:", error);
+    res.status(500).json({
+      error: "Failed to get reconciliation mappings",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Save the column mapping for a provider
+ * PUT /api/admin/reconciliation/mappings/:provider
+ *
+ * Body: reference, amount, date (column names, required), status (column
+ * name or null), delimiter, date_order (dmy, mdy, ymd), utc_offset (+03:00)
+ */
+router.put("/mappings/:provider", canReconcile, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    if (!getProvider(provider)) return providerNotFound(res, provider);
+
+    const { errors, mapping } = validateMapping(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid mapping",
+        message: errors.join("; "),
+        errors,
+      });
+    }
+
+    const saved = await saveMapping(provider, mapping, actorFromRequest(req));
+
+    console.log(
+      `🧮 Reconciliation mapping for ${provider} updated by admin ${req.admin_id}`
+    );
+
+    res.json({
+      success: true,
+      message: "Mapping saved",
+      mapping: saved,
+    });
+  } catch (error) {
+    console.error("❌ Save reconciliation mapping error:", error);
+    res.status(500).json({
+      error: "Failed to save reconciliation mapping",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Import a statement and match it against payments
+ * POST /api/admin/reconciliation/runs
+ *
+ * Body: provider (required), csv (statement text, required), filename,
+ * mapping (optional; defaults to the provider's saved mapping)
+ */
+router.post("/runs", canReconcile, async (req, res) => {
+  try {
+    const { provider, csv, filename = null, mapping: mappingInput } =
+      req.body || {};
+
+    if (!provider || typeof csv !== "string" || !csv.trim()) {
+      return res.status(400).json({
+        error: "Missing required fields",
+        message: "provider and csv are required",
+      });
+    }
+    if (!getProvider(provider)) return providerNotFound(res, provider);
+
+    if (Buffer.byteLength(csv) > MAX_STATEMENT_BYTES) {
+      return res.status(413).json({
+        error: "Statement too large",
+        message: `Statements can be at most ${MAX_STATEMENT_BYTES} bytes`,
+      });
+    }
+
+    const { errors: mappingErrors, mapping } = validateMapping(
+      mappingInput ?? (await getMapping(provider))
+    );
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid mapping",
+        message: mappingErrors.join("; "),
+        errors: mappingErrors,
+      });
+    }
+
+    const { errors, run } = await runReconciliation(
+      {
+        provider,
+        csv,
+        mapping,
+        filename: typeof filename === "string" ? filename.slice(0, 255) : null,
+      },
+      actorFromRequest(req)
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid statement",
+        message: errors.join("; "),
+        errors,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      run: await getRun(run.id),
+    });
+  } catch (error) {
+    console.error("❌ Reconciliation import error:", error);
+    res.status(500).json({
+      error: "Failed to reconcile statement",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Recent imports, newest first (without their reports)
+ * GET /api/admin/reconciliation/runs
+ */
+router.get("/runs", canView, async (req, res) => {
+  try {
+    const runs = await listRuns();
+
+    res.json({
+      runs,
+      count: runs.length,
+    });
+  } catch (error) {
+    console.error("❌ Get reconciliation runs error:", error);
+    res.status(500).json({
+      error: "Failed to get reconciliation runs",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * One import with its full report
+ * GET /api/admin/reconciliation/runs/:runId
+ */
+router.get("/runs/:runId", canView, async (req, res) => {
+  try {
+    const { runId } = req.params;
+    if (!POSITIVE_ID.test(runId)) return runNotFound(res, runId);
+
+    const run = await getRun(runId);
+    if (!run) return runNotFound(res, runId);
+
+    res.json({ run });
+  } catch (error) {
+    console.error("❌ Get reconciliation run error:", error);
+    res.status(500).json({
+      error: "Failed to get reconciliation run",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Approve the confident matches of an import that still await approval
+ * POST /api/admin/reconciliation/runs/:runId/approve
+ *
+ * Body: payment_ids (optional; defaults to every confident match)
+ * Always 200 once the batch has run; check each entry of results.
+ */
+router.post("/runs/:runId/approve", canApproveMatches, async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const { payment_ids = null } = req.body || {};
+
+    if (
+      payment_ids !== null &&
+      (!Array.isArray(payment_ids) ||
+        !payment_ids.every((id) => POSITIVE_ID.test(String(id))))
+    ) {
+      return res.status(400).json({
+        error: "Invalid payment IDs",
+        message: "payment_ids must be an array of payment IDs",
+      });
+    }
+
+    if (!POSITIVE_ID.test(runId)) return runNotFound(res, runId);
+    const run = await getRun(runId);
+    if (!run) return runNotFound(res, runId);
+
+    const outcome = await approveReconciledPayments(
+      run,
+      actorFromRequest(req),
+      payment_ids && [...new Set(payment_ids.map(Number))]
+    );
+
+    console.log(
+      `✅ Reconciliation run ${runId} approvals by admin ${req.admin_id}: ${outcome.summary.succeeded}/${outcome.summary.requested} approved`
+    );
+
+    res.json(outcome);
+  } catch (error) {
+    console.error("❌ Reconciliation approval error:", error);
+    res.status(500).json({
+      error: "Failed to approve reconciled payments",
+      message: error.message,
+    });
+  }
+});
+
+export default router;
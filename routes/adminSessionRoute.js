@@ -0,0 +1,236 @@
+import express from "express";
+import {
+  readCookie,
+  requireAuth,
+  requireAdmin,
+} from "../middleware/bulletproofAuth.js";
+import { getAuthProvider } from "../services/auth/index.js";
+import {
+  CSRF_HEADER,
+  IDLE_MINUTES,
+  SESSION_COOKIE,
+  createSession,
+  isValidCsrfToken,
+  listSessions,
+  publicSession,
+  revokeSession,
+  sessionCookieOptions,
+  touchSession,
+} from "../services/adminSessions.js";
+import {
+  AUDIT_ACTIONS,
+  actorFromRequest,
+  recordAuditEvent,
+} from "../services/audit.js";
+
+const router = express.Router();
+
+/**
+ * 🍪 ADMIN SESSIONS
+ *
+ * Features:
+ * - Exchange a bearer token (Clerk session, or local account) for a cookie
+ *   session
+ * - Current session and its CSRF token (after a page reload)
+ * - List and revoke your sessions
+ * - Logout revokes the session server-side, and clears the cookie even
+ *   once the session has ended
+ */
+
+/**
+ * What the dashboard needs to show the right sign-in
+ * GET /api/admin/session/config
+ */
+router.get("/config", (req, res) => {
+  res.json({
+    auth_provider: getAuthProvider().name,
+    clerk_publishable_key: process.env.CLERK_PUBLISHABLE_KEY || null,
+    idle_timeout_minutes: IDLE_MINUTES,
+  });
+});
+
+/**
+ * Revoke a session and record it in the audit trail
+ * @returns {Promise<object|null>} null if there was no such live session
+ */
+const endSession = async (req, sessionId, reason) => {
+  const revoked = await revokeSession(sessionId, req.admin_id);
+  if (!revoked) return null;
+
+  await recordAuditEvent(actorFromRequest(req), {
+    action: AUDIT_ACTIONS.ADMIN_SESSION_REVOKED,
+    targetType: "admin_session",
+    targetId: revoked.id,
+    metadata: { reason },
+  });
+  console.log(`🍪 Session ${revoked.id} of admin ${req.admin_id} ${reason}`);
+  return revoked;
+};
+
+/**
+ * End the current session. Needs no live session, so an expired or
+ * revoked cookie can always be cleared.
+ * POST /api/admin/session/logout
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    const token = readCookie(req, SESSION_COOKIE);
+    const session = token ? await touchSession(token) : null;
+
+    if (session) {
+      // A live session is only ended with its CSRF token, like any change
+      if (!isValidCsrfToken(session, req.headers[CSRF_HEADER])) {
+        console.log(`🚫 CSRF check failed for session ${session.id}`);
+        return res.status(403).json({
+          error: "Invalid CSRF token",
+          message: "Send the session's CSRF token in the X-CSRF-Token header",
+        });
+      }
+
+      req.admin_id = session.admin_id;
+      await endSession(req, session.id, "logged out");
+    }
+
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+    res.json({
+      success: true,
+      message: "Logged out",
+    });
+  } catch (error) {
+    console.error("❌ Admin logout error:", error);
+    res.status(500).json({
+      error: "Failed to log out",
+      message: error.message,
+    });
+  }
+});
+
+// Everything below needs a signed-in admin
+router.use(requireAuth);
+router.use(requireAdmin);
+
+const sessionResponse = (req, session) => ({
+  admin_id: req.admin_id,
+  role: req.admin_role,
+  permissions: req.admin_permissions,
+  csrf_token: session.csrf_token,
+  idle_timeout_minutes: IDLE_MINUTES,
+  session: publicSession(session, session.id),
+});
+
+/**
+ * Exchange a bearer token from the auth provider (Authorization: Bearer)
+ * for a server-side session cookie
+ * POST /api/admin/session/login
+ */
+router.post("/login", async (req, res) => {
+  try {
+    // A session cannot renew itself past its maximum age
+    if (req.admin_session) {
+      return res.status(400).json({
+        error: "Bearer token required",
+        message: "Sign in with a token in the Authorization header",
+      });
+    }
+
+    const actor = actorFromRequest(req);
+    const { token, session } = await createSession(req.admin_id, actor);
+
+    await recordAuditEvent(actor, {
+      action: AUDIT_ACTIONS.ADMIN_SESSION_CREATED,
+      targetType: "admin_session",
+      targetId: session.id,
+      metadata: { expires_at: session.expires_at },
+    });
+
+    console.log(`🍪 Session ${session.id} started for admin ${req.admin_id}`);
+
+    res.cookie(SESSION_COOKIE, token, sessionCookieOptions());
+    res.status(201).json(sessionResponse(req, session));
+  } catch (error) {
+    console.error("❌ Admin login error:", error);
+    res.status(500).json({
+      error: "Failed to start session",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * The current cookie session with its CSRF token
+ * GET /api/admin/session
+ */
+router.get("/", (req, res) => {
+  if (!req.admin_session) {
+    return res.status(404).json({
+      error: "No session",
+      message: "This request was not made with a session cookie",
+    });
+  }
+  res.json(sessionResponse(req, req.admin_session));
+});
+
+/**
+ * Your live sessions, most recently used first
+ * GET /api/admin/session/sessions
+ */
+router.get("/sessions", async (req, res) => {
+  try {
+    const sessions = await listSessions(req.admin_id);
+    res.json({
+      sessions: sessions.map((session) =>
+        publicSession(session, req.admin_session?.id)
+      ),
+      idle_timeout_minutes: IDLE_MINUTES,
+    });
+  } catch (error) {
+    console.error("❌ List admin sessions error:", error);
+    res.status(500).json({
+      error: "Failed to list sessions",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Revoke one of your sessions, e.g. on a lost device
+ * DELETE /api/admin/session/sessions/:sessionId
+ */
+router.delete("/sessions/:sessionId", async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!/^[1-9]\d*$/.test(sessionId)) {
+      return res.status(400).json({
+        error: "Invalid session ID",
+        message: "Session ID must be a positive integer",
+      });
+    }
+
+    const revoked = await endSession(req, sessionId, "revoked");
+    if (!revoked) {
+      return res.status(404).json({
+        error: "Session not found",
+        message: `You have no active session ${sessionId}`,
+      });
+    }
+
+    if (revoked.id === req.admin_session?.id) {
+      res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+    }
+
+    res.json({
+      success: true,
+      message: "Session revoked",
+      session_id: revoked.id,
+    });
+  } catch (error) {
+    console.error("❌ Revoke admin session error:", error);
+    res.status(500).json({
+      error: "Failed to revoke session",
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,6 +1,58 @@
 import express from "express";
 import { sql } from "../config/db.js";
-import { requireAuth, requireAdmin } from "../middleware/bulletproofAuth.js";
+import {
+  APPROVALS_REQUIRED,
+  DUAL_APPROVAL_THRESHOLD,
+  REFUND_TYPES,
+  approvePayment,
+  hasAmountMismatch,
+  refundPayment,
+  rejectPayment,
+  verifyAndProcessPayment,
+} from "../services/payments.js";
+import {
+  createPlan,
+  getPlan,
+  listPlans,
+  updatePlan,
+  planFromBody,
+} from "../services/plans.js";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_LIST,
+  actorFromRequest,
+  recordAuditEvent,
+  searchAuditEvents,
+} from "../services/audit.js";
+import {
+  PRO_FILTER,
+  USER_LIST,
+  getUser,
+  getUserPayments,
+  grantPro,
+  listUsers,
+  revokePro,
+} from "../services/users.js";
+import { readReceipt } from "../services/receipts.js";
+import {
+  listColumns,
+  listConditions,
+  listOrder,
+  listPage,
+  parseDateFilter,
+  parseListQuery,
+} from "../services/listQuery.js";
+import { streamExport } from "../services/exports.js";
+import { getAnalytics } from "../services/analytics.js";
+import { getSubscriptionState } from "../services/subscriptions.js";
+import {
+  requireAuth,
+  requireAdmin,
+  requirePermission,
+} from "../middleware/bulletproofAuth.js";
+import { validateRequest } from "../middleware/validate.js";
+import * as schemas from "../schemas/adminSubscription.js";
+import { PERMISSIONS } from "../services/roles/index.js";
 
 const router = express.Router();
 
@@ -8,277 +60,1470 @@ const router = express.Router();
 router.use(requireAuth);
 router.use(requireAdmin);
 
+// Per-route permission checks (see services/roles)
+const canView = requirePermission(PERMISSIONS.VIEW_PAYMENTS);
+const canApprove = requirePermission(PERMISSIONS.APPROVE_PAYMENTS);
+const canReject = requirePermission(PERMISSIONS.REJECT_PAYMENTS);
+const canRefund = requirePermission(PERMISSIONS.REFUND_PAYMENTS);
+const canManageUsers = requirePermission(PERMISSIONS.MANAGE_USERS);
+const canManagePlans = requirePermission(PERMISSIONS.MANAGE_PLANS);
+const canExport = requirePermission(PERMISSIONS.EXPORT_DATA);
+
 /**
  * 🔧 ADMIN PAYMENT MANAGEMENT
  *
  * Features:
- * - View pending payments
- * - Approve payments (idempotent)
+ * - View pending payments, sortable by risk score
+ * - Approve payments (idempotent); large ones need two admins
  * - Reject payments with reason
- * - Audit trail with admin IDs
+ * - Approve or reject payments in bulk
+ * - Re-run provider verification
+ * - Refund or reverse approved payments
+ * - View uploaded payment receipts
+ * - Search users and grant/revoke Pro manually
+ * - Manage plans and pricing
+ * - Revenue and conversion analytics over time
+ * - CSV/XLSX exports of payments and users
+ * - Every action checked against the admin's role (services/roles)
+ * - Audit trail of every admin action and payment transition
  */
 
 /**
- * Get all pending payments for admin review
- * GET /api/admin/subscription/payments/pending
+ * The signed-in admin's role and permissions, so the dashboard can hide
+ * actions it cannot perform
+ * GET /api/admin/subscription/me
+ */
+router.get("/me", validateRequest(schemas.getAdmin), (req, res) => {
+  res.json({
+    admin_id: req.admin_id,
+    role: req.admin_role,
+    permissions: req.admin_permissions,
+  });
+});
+
+/**
+ * Sorting, search and date filters for payment lists (see
+ * services/listQuery.js)
+ */
+const PAYMENT_LIST = {
+  sorts: {
+    created_at: { expression: "p.created_at", type: "timestamp" },
+    processed_at: {
+      expression: "COALESCE(p.processed_at, '-infinity')",
+      type: "timestamp",
+    },
+    amount: { expression: "p.amount", type: "numeric" },
+    risk_score: { expression: "COALESCE(p.risk_score, -1)", type: "integer" },
+  },
+  defaultSort: "-created_at",
+  id: "p.id",
+  search: ["p.transaction_id", "u.email", "u.name"],
+  dateColumn: "p.created_at",
+};
+
+// The review queue's original sort names still work
+const PENDING_LIST = {
+  ...PAYMENT_LIST,
+  sortAliases: {
+    newest: "-created_at",
+    oldest: "created_at",
+    risk: "-risk_score",
+  },
+};
+
+const invalidListQuery = (res, message) =>
+  res.status(400).json({
+    error: "Invalid list query",
+    message,
+  });
+
+/**
+ * Who approved a payment so far and how many approvals it needs. A
+ * partially approved payment needs two even if the threshold changed since.
  */
-router.get("/payments/pending", async (req, res) => {
+const approvalColumns = () => sql`
+  ARRAY(
+    SELECT a.admin_id FROM payment_approvals a
+    WHERE a.payment_id = p.id
+    ORDER BY a.id
+  ) as approved_by,
+  CASE
+    WHEN p.status = 'partially_approved'
+      OR GREATEST(p.amount, COALESCE(p.expected_amount, p.amount))
+        > ${DUAL_APPROVAL_THRESHOLD}::numeric
+      THEN ${APPROVALS_REQUIRED}::integer
+    ELSE 1
+  END as approvals_required
+`;
+
+/**
+ * List the payments in one review stage, one page at a time
+ * @param {string} status - pending or partially_approved
+ * @param {string} description - for errors
+ */
+const reviewQueue = (status, description) => async (req, res) => {
   try {
-    const payments = await sql`
+    const { error, list } = parseListQuery(req.query, PENDING_LIST);
+    if (error) return invalidListQuery(res, error);
+
+    const rows = await sql`
       SELECT 
         p.*,
         u.email as user_email,
-        u.name as user_name
+        u.name as user_name,
+        pl.name as plan_name,
+        ARRAY(
+          SELECT other.id FROM payments other
+          WHERE other.receipt_sha256 = p.receipt_sha256 AND other.id <> p.id
+          ORDER BY other.id
+        ) as receipt_reused_by,
+        ${approvalColumns()},
+        ${listColumns(list, PENDING_LIST)}
       FROM payments p
       LEFT JOIN users u ON p.clerk_user_id = u.clerk_user_id
-      WHERE p.status = 'pending'
-      ORDER BY p.created_at DESC
+      LEFT JOIN plans pl ON p.plan_id = pl.id
+      WHERE p.status = ${status}
+        ${listConditions(list, PENDING_LIST)}
+      ${listOrder(list, PENDING_LIST)}
     `;
 
+    const { items, next_cursor, has_more } = listPage(rows, list);
+
     res.json({
-      payments,
-      count: payments.length,
+      payments: items,
+      count: items.length,
+      next_cursor,
+      has_more,
     });
   } catch (error) {
-    console.error("❌ Get pending payments error:", error);
+    console.error(`❌ Get ${description} error:`, error);
     res.status(500).json({
-      error: "Failed to get pending payments",
+      error: `Failed to get ${description}`,
       message: error.message,
     });
   }
-});
+};
 
 /**
- * Approve a payment (idempotent)
- * POST /api/admin/subscription/payments/:paymentId/approve
+ * Pending payments for admin review, one page at a time
+ * GET /api/admin/subscription/payments/pending
+ *
+ * Query: sort (created_at, processed_at, amount, risk_score; "-" prefix
+ * for descending; also newest, oldest, risk), search (transaction ID,
+ * email or name), from, to (submission date), limit (max 200), cursor
+ * (next_cursor of the previous page)
+ */
+router.get(
+  "/payments/pending",
+  canView,
+  validateRequest(schemas.listPendingPayments),
+  reviewQueue("pending", "pending payments")
+);
+
+/**
+ * Payments approved once that wait for a second admin (four-eyes), with
+ * the same query parameters as GET /payments/pending
+ * GET /api/admin/subscription/payments/partially-approved
  */
-router.post("/payments/:paymentId/approve", async (req, res) => {
+router.get(
+  "/payments/partially-approved",
+  canView,
+  validateRequest(schemas.listPartiallyApprovedPayments),
+  reviewQueue("partially_approved", "payments awaiting a second approval")
+);
+
+/**
+ * 📤 EXPORTS
+ */
+
+/**
+ * Stream an export in the requested format. Filters must be validated.
+ */
+const sendExport = async (req, res, resource, filters) => {
+  const format = req.query.format || "csv";
+
   try {
-    const { paymentId } = req.params;
-    const { admin_id } = req;
+    await streamExport(
+      { resource, format, filters },
+      res,
+      actorFromRequest(req)
+    );
+    console.log(
+      `📤 ${resource} exported as ${format} by admin ${req.admin_id}`
+    );
+  } catch (error) {
+    console.error(`❌ Export ${resource} error:`, error);
+    // Part of the file is already out; cut it off rather than append JSON
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      error: `Failed to export ${resource}`,
+      message: error.message,
+    });
+  }
+};
 
-    const payment = await sql`
-      SELECT * FROM payments 
-      WHERE id = ${paymentId} 
-      FOR UPDATE
+/**
+ * Export payments as CSV or XLSX (with a summary sheet), streamed
+ * GET /api/admin/subscription/payments/export
+ *
+ * Query: format (csv, xlsx), status, user_id, from, to (ISO dates; a bare
+ * date for to includes that whole day), date_field (created_at,
+ * processed_at; which timestamp from/to apply to)
+ */
+router.get(
+  "/payments/export",
+  canExport,
+  validateRequest(schemas.exportPayments),
+  async (req, res) => {
+    const { user_id } = req.query;
+    const status =
+      req.query.status && req.query.status !== "all" ? req.query.status : null;
+    const dateField = req.query.date_field || "created_at";
+
+    await sendExport(req, res, "payments", {
+      status,
+      user_id: user_id || null,
+      from: parseDateFilter(req.query.from),
+      to: parseDateFilter(req.query.to, true),
+      date_field: dateField,
+    });
+  }
+);
+
+/**
+ * Get a single payment with its user, plan, receipt reuse, approvals and
+ * refunds
+ * GET /api/admin/subscription/payments/:paymentId
+ */
+router.get(
+  "/payments/:paymentId",
+  canView,
+  validateRequest(schemas.getPayment),
+  async (req, res) => {
+    try {
+      const { paymentId } = req.params;
+
+      const payment = await sql`
+      SELECT
+        p.*,
+        u.email as user_email,
+        u.name as user_name,
+        pl.name as plan_name,
+        ARRAY(
+          SELECT other.id FROM payments other
+          WHERE other.receipt_sha256 = p.receipt_sha256 AND other.id <> p.id
+          ORDER BY other.id
+        ) as receipt_reused_by,
+        ${approvalColumns()}
+      FROM payments p
+      LEFT JOIN users u ON p.clerk_user_id = u.clerk_user_id
+      LEFT JOIN plans pl ON p.plan_id = pl.id
+      WHERE p.id = ${paymentId}
+      LIMIT 1
     `;
 
-    if (payment.length === 0) {
-      return res.status(404).json({
+      if (payment.length === 0) {
+        return res.status(404).json({
+          error: "Payment not found",
+          message: `Payment with ID ${paymentId} does not exist`,
+        });
+      }
+
+      const [approvals, refunds] = await Promise.all([
+        sql`
+        SELECT admin_id, actor_type, created_at FROM payment_approvals
+        WHERE payment_id = ${paymentId}
+        ORDER BY id ASC
+      `,
+        sql`
+        SELECT * FROM payment_refunds
+        WHERE payment_id = ${paymentId}
+        ORDER BY created_at ASC, id ASC
+      `,
+      ]);
+
+      res.json({
+        payment: payment[0],
+        approvals,
+        refunds,
+      });
+    } catch (error) {
+      console.error("❌ Get payment error:", error);
+      res.status(500).json({
+        error: "Failed to get payment",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Explain why a conditional status update matched no rows: the payment is
+ * missing, already in the target status (idempotent success), or in some
+ * other state. Also covers losing a race to another admin and the
+ * four-eyes rules.
+ *
+ * @param {string} adminId - the admin who tried
+ * @returns {Promise<{status: number, body: object}>} HTTP status and body
+ */
+const explainUnprocessedPayment = async (paymentId, targetStatus, adminId) => {
+  const payment = await sql`
+    SELECT
+      id, clerk_user_id, status, amount, expected_amount,
+      EXISTS (
+        SELECT 1 FROM payment_approvals
+        WHERE payment_id = payments.id AND admin_id = ${adminId}
+      ) as approved_by_admin
+    FROM payments WHERE id = ${paymentId}
+  `;
+
+  if (payment.length === 0) {
+    return {
+      status: 404,
+      body: {
         error: "Payment not found",
         message: `Payment with ID ${paymentId} does not exist`,
-      });
+      },
+    };
+  }
+
+  const paymentData = payment[0];
+  const action = targetStatus === "approved" ? "approve" : "reject";
+
+  // Idempotency check
+  if (paymentData.status === targetStatus) {
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: `Payment already ${targetStatus}`,
+        payment_id: paymentId,
+        user_id: paymentData.clerk_user_id,
+      },
+    };
+  }
+
+  const awaitingDecision = ["pending", "partially_approved"].includes(
+    paymentData.status
+  );
+
+  if (awaitingDecision && targetStatus === "approved") {
+    if (paymentData.clerk_user_id === adminId) {
+      return {
+        status: 403,
+        body: {
+          error: "Own payment",
+          message: "Admins cannot approve their own payments",
+        },
+      };
+    }
+    if (paymentData.approved_by_admin) {
+      return {
+        status: 409,
+        body: {
+          error: "Second approver required",
+          message:
+            "You already approved this payment; a different admin must give the second approval",
+        },
+      };
     }
+  }
+
+  if (
+    awaitingDecision &&
+    targetStatus === "approved" &&
+    hasAmountMismatch(paymentData)
+  ) {
+    return {
+      status: 409,
+      body: {
+        error: "Amount mismatch",
+        message: `Submitted ETB ${paymentData.amount} does not match the plan price of ETB ${paymentData.expected_amount}. Resend with allow_amount_mismatch to approve anyway.`,
+        amount: paymentData.amount,
+        expected_amount: paymentData.expected_amount,
+      },
+    };
+  }
 
-    const paymentData = payment[0];
+  return {
+    status: 400,
+    body: {
+      error: "Invalid payment status",
+      message: `Cannot ${action} payment with status: ${paymentData.status}`,
+    },
+  };
+};
 
-    // Idempotency check
-    if (paymentData.status === "approved") {
-      return res.json({
+const respondToUnprocessedPayment = async (
+  res,
+  paymentId,
+  targetStatus,
+  adminId
+) => {
+  const { status, body } = await explainUnprocessedPayment(
+    paymentId,
+    targetStatus,
+    adminId
+  );
+  return res.status(status).json(body);
+};
+
+/**
+ * Approve a payment (idempotent)
+ * POST /api/admin/subscription/payments/:paymentId/approve
+ *
+ * The status change and the Pro upgrade commit in one transaction, and
+ * concurrent approvals of the same payment can only succeed once. Above
+ * PAYMENT_DUAL_APPROVAL_THRESHOLD the first approval only makes the
+ * payment partially_approved; a second admin completes it.
+ */
+router.post(
+  "/payments/:paymentId/approve",
+  canApprove,
+  validateRequest(schemas.approvePayment),
+  async (req, res) => {
+    try {
+      const { paymentId } = req.params;
+      const { admin_id } = req;
+      const { allow_amount_mismatch = false } = req.body || {};
+
+      const paymentData = await approvePayment(
+        paymentId,
+        actorFromRequest(req),
+        {
+          allowAmountMismatch: allow_amount_mismatch === true,
+        }
+      );
+
+      if (!paymentData) {
+        return respondToUnprocessedPayment(
+          res,
+          paymentId,
+          "approved",
+          admin_id
+        );
+      }
+
+      if (paymentData.status === "partially_approved") {
+        console.log(
+          `🖐️ Payment ${paymentId} approved by admin ${admin_id} (1 of ${APPROVALS_REQUIRED})`
+        );
+        return res.json({
+          success: true,
+          status: paymentData.status,
+          message:
+            "Approval recorded; a second admin must approve this payment",
+          payment_id: paymentId,
+          user_id: paymentData.clerk_user_id,
+          approved_by: admin_id,
+          approvals_required: APPROVALS_REQUIRED,
+        });
+      }
+
+      console.log(`✅ Payment ${paymentId} approved by admin ${admin_id}`);
+      console.log(`🎉 User ${paymentData.clerk_user_id} upgraded to Pro`);
+
+      res.json({
         success: true,
-        message: "Payment already approved",
+        status: paymentData.status,
+        message: "Payment approved and user upgraded to Pro",
         payment_id: paymentId,
         user_id: paymentData.clerk_user_id,
+        approved_by: admin_id,
+      });
+    } catch (error) {
+      console.error("❌ Payment approval error:", error);
+      res.status(500).json({
+        error: "Failed to approve payment",
+        message: error.message,
       });
     }
+  }
+);
 
-    if (paymentData.status !== "pending") {
-      return res.status(400).json({
-        error: "Invalid payment status",
-        message: `Cannot approve payment with status: ${paymentData.status}`,
+/**
+ * Reject a payment (idempotent)
+ * POST /api/admin/subscription/payments/:paymentId/reject
+ */
+router.post(
+  "/payments/:paymentId/reject",
+  canReject,
+  validateRequest(schemas.rejectPayment),
+  async (req, res) => {
+    try {
+      const { paymentId } = req.params;
+      const { admin_id } = req;
+      const { rejection_reason } = req.body;
+
+      const rejected = await rejectPayment(
+        paymentId,
+        actorFromRequest(req),
+        rejection_reason
+      );
+
+      if (!rejected) {
+        return respondToUnprocessedPayment(
+          res,
+          paymentId,
+          "rejected",
+          admin_id
+        );
+      }
+
+      console.log(`❌ Payment ${paymentId} rejected by admin ${admin_id}`);
+
+      res.json({
+        success: true,
+        message: "Payment rejected successfully",
+        payment_id: paymentId,
+        rejected_by: admin_id,
+        rejection_reason: rejection_reason,
+      });
+    } catch (error) {
+      console.error("❌ Payment rejection error:", error);
+      res.status(500).json({
+        error: "Failed to reject payment",
+        message: error.message,
       });
     }
+  }
+);
 
-    // Update payment status
-    await sql`
-      UPDATE payments 
-      SET 
-        status = 'approved',
-        admin_id = ${admin_id},
-        processed_at = CURRENT_TIMESTAMP,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ${paymentId}
-    `;
+/**
+ * Payment IDs from a bulk request body without duplicates, in their
+ * original order
+ * @returns {number[]}
+ */
+const uniquePaymentIds = (paymentIds) => [...new Set(paymentIds)];
 
-    // Create or update user with pro status
-    await sql`
-      INSERT INTO users (clerk_user_id, is_pro, pro_since, created_at)
-      VALUES (${paymentData.clerk_user_id}, true, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-      ON CONFLICT (clerk_user_id) 
-      DO UPDATE SET 
-        is_pro = true,
-        pro_since = CURRENT_TIMESTAMP,
-        updated_at = CURRENT_TIMESTAMP
-    `;
+/**
+ * Run a status change over each payment in turn. Every payment commits on
+ * its own, so one failure never undoes the others; the outcome of each is
+ * reported the same way the single-payment endpoint would.
+ *
+ * @param {number[]} paymentIds
+ * @param {string} targetStatus - approved or rejected
+ * @param {string} adminId
+ * @param {(paymentId: number) => Promise<object|null>} apply - returns the
+ *   updated payment, or null if it was not in a state to change
+ */
+const processBulk = async (paymentIds, targetStatus, adminId, apply) => {
+  const results = [];
 
-    console.log(`✅ Payment ${paymentId} approved by admin ${admin_id}`);
-    console.log(`🎉 User ${paymentData.clerk_user_id} upgraded to Pro`);
+  for (const paymentId of paymentIds) {
+    try {
+      const payment = await apply(paymentId);
+      if (payment) {
+        // partially_approved when a second admin still has to approve
+        results.push({
+          payment_id: paymentId,
+          success: true,
+          status: payment.status,
+          user_id: payment.clerk_user_id,
+        });
+        continue;
+      }
 
-    res.json({
-      success: true,
-      message: "Payment approved and user upgraded to Pro",
-      payment_id: paymentId,
-      user_id: paymentData.clerk_user_id,
-      approved_by: admin_id,
-    });
-  } catch (error) {
-    console.error("❌ Payment approval error:", error);
-    res.status(500).json({
-      error: "Failed to approve payment",
-      message: error.message,
-    });
+      const { status, body } = await explainUnprocessedPayment(
+        paymentId,
+        targetStatus,
+        adminId
+      );
+      results.push(
+        status === 200
+          ? {
+              payment_id: paymentId,
+              success: true,
+              status: targetStatus,
+              user_id: body.user_id,
+              message: body.message,
+            }
+          : {
+              payment_id: paymentId,
+              success: false,
+              error: body.error,
+              message: body.message,
+            }
+      );
+    } catch (error) {
+      console.error(
+        `❌ Bulk ${targetStatus} failed for payment ${paymentId}:`,
+        error
+      );
+      results.push({
+        payment_id: paymentId,
+        success: false,
+        error: "Processing failed",
+        message: error.message,
+      });
+    }
   }
-});
+
+  const succeeded = results.filter((result) => result.success).length;
+  return {
+    success: succeeded === results.length,
+    results,
+    summary: {
+      requested: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+    },
+  };
+};
 
 /**
- * Reject a payment
- * POST /api/admin/subscription/payments/:paymentId/reject
+ * Approve several payments at once
+ * POST /api/admin/subscription/payments/bulk-approve
+ *
+ * Body: payment_ids (up to 100), allow_amount_mismatch
+ * Always 200 once the batch has run; check each entry of results.
  */
-router.post("/payments/:paymentId/reject", async (req, res) => {
-  try {
-    const { paymentId } = req.params;
-    const { admin_id } = req;
-    const { rejection_reason } = req.body;
+router.post(
+  "/payments/bulk-approve",
+  canApprove,
+  validateRequest(schemas.bulkApprovePayments),
+  async (req, res) => {
+    try {
+      const { admin_id } = req;
+      const { payment_ids, allow_amount_mismatch = false } = req.body;
+
+      const actor = actorFromRequest(req);
+      const outcome = await processBulk(
+        uniquePaymentIds(payment_ids),
+        "approved",
+        admin_id,
+        (paymentId) =>
+          approvePayment(paymentId, actor, {
+            allowAmountMismatch: allow_amount_mismatch === true,
+          })
+      );
 
-    if (!rejection_reason) {
-      return res.status(400).json({
-        error: "Rejection reason required",
-        message: "Please provide a reason for rejection",
+      console.log(
+        `✅ Bulk approve by admin ${admin_id}: ${outcome.summary.succeeded}/${outcome.summary.requested} approved`
+      );
+
+      res.json(outcome);
+    } catch (error) {
+      console.error("❌ Bulk approval error:", error);
+      res.status(500).json({
+        error: "Failed to approve payments",
+        message: error.message,
       });
     }
+  }
+);
 
-    const payment = await sql`
-      SELECT * FROM payments 
-      WHERE id = ${paymentId} 
-      FOR UPDATE
-    `;
+/**
+ * Reject several payments at once with the same reason
+ * POST /api/admin/subscription/payments/bulk-reject
+ *
+ * Body: payment_ids (up to 100), rejection_reason
+ * Always 200 once the batch has run; check each entry of results.
+ */
+router.post(
+  "/payments/bulk-reject",
+  canReject,
+  validateRequest(schemas.bulkRejectPayments),
+  async (req, res) => {
+    try {
+      const { admin_id } = req;
+      const { payment_ids, rejection_reason } = req.body;
 
-    if (payment.length === 0) {
-      return res.status(404).json({
-        error: "Payment not found",
-        message: `Payment with ID ${paymentId} does not exist`,
+      const actor = actorFromRequest(req);
+      const outcome = await processBulk(
+        uniquePaymentIds(payment_ids),
+        "rejected",
+        admin_id,
+        (paymentId) => rejectPayment(paymentId, actor, rejection_reason)
+      );
+
+      console.log(
+        `❌ Bulk reject by admin ${admin_id}: ${outcome.summary.succeeded}/${outcome.summary.requested} rejected`
+      );
+
+      res.json(outcome);
+    } catch (error) {
+      console.error("❌ Bulk rejection error:", error);
+      res.status(500).json({
+        error: "Failed to reject payments",
+        message: error.message,
       });
     }
+  }
+);
 
-    const paymentData = payment[0];
+/**
+ * Re-run provider verification for a pending payment
+ * POST /api/admin/subscription/payments/:paymentId/verify
+ */
+router.post(
+  "/payments/:paymentId/verify",
+  canApprove,
+  validateRequest(schemas.verifyPayment),
+  async (req, res) => {
+    try {
+      const { paymentId } = req.params;
+
+      const payment = await sql`
+      SELECT * FROM payments WHERE id = ${paymentId} LIMIT 1
+    `;
+
+      if (payment.length === 0) {
+        return res.status(404).json({
+          error: "Payment not found",
+          message: `Payment with ID ${paymentId} does not exist`,
+        });
+      }
 
-    // Idempotency check
-    if (paymentData.status === "rejected") {
-      return res.json({
+      if (payment[0].status !== "pending") {
+        return res.status(400).json({
+          error: "Invalid payment status",
+          message: `Cannot verify payment with status: ${payment[0].status}`,
+        });
+      }
+
+      const result = await verifyAndProcessPayment(payment[0]);
+
+      res.json({
         success: true,
-        message: "Payment already rejected",
         payment_id: paymentId,
+        status: result.payment.status,
+        verification: {
+          status: result.verification.status,
+          reasons: result.verification.reasons,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Payment verification error:", error);
+      res.status(500).json({
+        error: "Failed to verify payment",
+        message: error.message,
       });
     }
+  }
+);
 
-    if (paymentData.status !== "pending") {
-      return res.status(400).json({
-        error: "Invalid payment status",
-        message: `Cannot reject payment with status: ${paymentData.status}`,
+/**
+ * Refund an approved payment in full or in part, or record a reversal
+ * POST /api/admin/subscription/payments/:paymentId/refund
+ *
+ * Body: reason (required), type (refund or reversal, default refund),
+ * amount (refunds only, a number or text such as "150.50"; omit to refund
+ * everything not yet refunded)
+ *
+ * A full refund or reversal revokes Pro unless another approved payment
+ * still covers the user.
+ */
+router.post(
+  "/payments/:paymentId/refund",
+  canRefund,
+  validateRequest(schemas.refundPayment),
+  async (req, res) => {
+    try {
+      const { paymentId } = req.params;
+      const { reason, type = REFUND_TYPES.REFUND, amount = null } = req.body;
+
+      const result = await refundPayment(paymentId, actorFromRequest(req), {
+        type,
+        amount: amount === null ? null : Number(amount).toFixed(2),
+        reason: reason.trim(),
+      });
+
+      if (!result) {
+        const payment = await sql`
+        SELECT status, amount, refunded_amount FROM payments WHERE id = ${paymentId}
+      `;
+        if (payment.length === 0) {
+          return res.status(404).json({
+            error: "Payment not found",
+            message: `Payment with ID ${paymentId} does not exist`,
+          });
+        }
+        if (payment[0].status !== "approved") {
+          return res.status(400).json({
+            error: "Invalid payment status",
+            message: `Cannot refund payment with status: ${payment[0].status}`,
+          });
+        }
+        return res.status(400).json({
+          error: "Invalid refund amount",
+          message: `At most ETB ${(
+            parseFloat(payment[0].amount) -
+            parseFloat(payment[0].refunded_amount)
+          ).toFixed(2)} can still be refunded`,
+        });
+      }
+
+      const { payment, refund, user } = result;
+      const proRevoked = Boolean(user && !user.is_pro);
+      const outcome =
+        payment.status === "approved" ? "partially refunded" : payment.status;
+
+      console.log(
+        `↩️ Payment ${paymentId} ${outcome} (ETB ${refund.amount}) by ${req.admin_id}`
+      );
+
+      res.json({
+        success: true,
+        message: proRevoked
+          ? `Payment ${outcome}; the user's Pro status was revoked`
+          : `Payment ${outcome}`,
+        payment,
+        refund,
+        pro_revoked: proRevoked,
+        user_period_end: user?.current_period_end ?? null,
+      });
+    } catch (error) {
+      console.error("❌ Refund payment error:", error);
+      res.status(500).json({
+        error: "Failed to refund payment",
+        message: error.message,
       });
     }
+  }
+);
+
+/**
+ * Download a payment's receipt for preview
+ * GET /api/admin/subscription/payments/:paymentId/receipt
+ */
+router.get(
+  "/payments/:paymentId/receipt",
+  canView,
+  validateRequest(schemas.getReceipt),
+  async (req, res) => {
+    try {
+      const { paymentId } = req.params;
 
-    // Update payment status
-    await sql`
-      UPDATE payments 
-      SET 
-        status = 'rejected',
-        admin_id = ${admin_id},
-        rejection_reason = ${rejection_reason},
-        processed_at = CURRENT_TIMESTAMP,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ${paymentId}
+      const payment = await sql`
+      SELECT id, receipt_key, receipt_filename, receipt_content_type
+      FROM payments WHERE id = ${paymentId}
     `;
 
-    console.log(`❌ Payment ${paymentId} rejected by admin ${admin_id}`);
+      const file = payment[0] ? await readReceipt(payment[0]) : null;
+      if (!file) {
+        return res.status(404).json({
+          error: "Receipt not found",
+          message: `Payment with ID ${paymentId} has no receipt`,
+        });
+      }
 
-    res.json({
-      success: true,
-      message: "Payment rejected successfully",
-      payment_id: paymentId,
-      rejected_by: admin_id,
-      rejection_reason: rejection_reason,
-    });
-  } catch (error) {
-    console.error("❌ Payment rejection error:", error);
-    res.status(500).json({
-      error: "Failed to reject payment",
-      message: error.message,
-    });
+      const filename = payment[0].receipt_filename || `receipt-${paymentId}`;
+      res.set({
+        "Content-Type": payment[0].receipt_content_type,
+        "Content-Length": file.length,
+        "Content-Disposition": `inline; filename="${filename}"`,
+        "Cache-Control": "private, no-store",
+        "X-Content-Type-Options": "nosniff",
+        "Content-Security-Policy": "default-src 'none'; sandbox",
+      });
+      res.send(file);
+    } catch (error) {
+      console.error("❌ Get receipt error:", error);
+      res.status(500).json({
+        error: "Failed to get receipt",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
 /**
- * Get all payments with filtering
+ * Payments of every status, one page at a time
  * GET /api/admin/subscription/payments
+ *
+ * Query: status (default all), user_id, plus the list parameters of
+ * GET /payments/pending (sort, search, from, to, limit, cursor)
  */
-router.get("/payments", async (req, res) => {
-  try {
-    const { status, user_id } = req.query;
+router.get(
+  "/payments",
+  canView,
+  validateRequest(schemas.listPayments),
+  async (req, res) => {
+    try {
+      const userId = req.query.user_id || null;
+      const status =
+        req.query.status && req.query.status !== "all"
+          ? req.query.status
+          : null;
+
+      const { error, list } = parseListQuery(req.query, PAYMENT_LIST);
+      if (error) return invalidListQuery(res, error);
 
-    let query = sql`
+      const rows = await sql`
       SELECT 
         p.*,
         u.email as user_email,
         u.name as user_name,
-        u.is_pro
+        u.is_pro,
+        ${listColumns(list, PAYMENT_LIST)}
       FROM payments p
       LEFT JOIN users u ON p.clerk_user_id = u.clerk_user_id
-      WHERE 1=1
+      WHERE (${status}::text IS NULL OR p.status = ${status})
+        AND (${userId}::text IS NULL OR p.clerk_user_id = ${userId})
+        ${listConditions(list, PAYMENT_LIST)}
+      ${listOrder(list, PAYMENT_LIST)}
     `;
 
-    if (status && status !== "all") {
-      query = query.append(sql` AND p.status = ${status}`);
-    }
+      const { items, next_cursor, has_more } = listPage(rows, list);
 
-    if (user_id) {
-      query = query.append(sql` AND p.clerk_user_id = ${user_id}`);
+      res.json({
+        payments: items,
+        count: items.length,
+        next_cursor,
+        has_more,
+      });
+    } catch (error) {
+      console.error("❌ Get payments error:", error);
+      res.status(500).json({
+        error: "Failed to get payments",
+        message: error.message,
+      });
     }
-
-    query = query.append(sql` ORDER BY p.created_at DESC`);
-
-    const payments = await query;
-
-    res.json({
-      payments,
-      count: payments.length,
-    });
-  } catch (error) {
-    console.error("❌ Get payments error:", error);
-    res.status(500).json({
-      error: "Failed to get payments",
-      message: error.message,
-    });
   }
-});
+);
 
 /**
  * Get admin dashboard stats
  * GET /api/admin/subscription/stats
  */
-router.get("/stats", async (req, res) => {
-  try {
-    const [totalRevenue, proUsers, pendingPayments, totalPayments] =
-      await Promise.all([
-        sql`SELECT COALESCE(SUM(amount), 0) as total FROM payments WHERE status = 'approved'`,
+router.get(
+  "/stats",
+  canView,
+  validateRequest(schemas.getStats),
+  async (req, res) => {
+    try {
+      const [
+        revenue,
+        proUsers,
+        pendingPayments,
+        partiallyApproved,
+        totalPayments,
+      ] = await Promise.all([
+        sql`
+          SELECT
+            COALESCE(SUM(amount), 0) as gross,
+            COALESCE(SUM(refunded_amount), 0) as refunded,
+            COUNT(*) FILTER (WHERE status IN ('refunded', 'reversed')) as refunded_count
+          FROM payments
+          WHERE status IN ('approved', 'refunded', 'reversed')
+        `,
         sql`SELECT COUNT(*) as count FROM users WHERE is_pro = true`,
         sql`SELECT COUNT(*) as count FROM payments WHERE status = 'pending'`,
+        sql`SELECT COUNT(*) as count FROM payments WHERE status = 'partially_approved'`,
         sql`SELECT COUNT(*) as count FROM payments WHERE status = 'approved'`,
       ]);
 
-    res.json({
-      total_revenue: parseFloat(totalRevenue[0].total) || 0,
-      pro_users: parseInt(proUsers[0].count) || 0,
-      pending_payments: parseInt(pendingPayments[0].count) || 0,
-      total_payments: parseInt(totalPayments[0].count) || 0,
-    });
-  } catch (error) {
-    console.error("❌ Get admin stats error:", error);
-    res.status(500).json({
-      error: "Failed to get admin statistics",
-      message: error.message,
+      const grossRevenue = parseFloat(revenue[0].gross) || 0;
+      const refunded = parseFloat(revenue[0].refunded) || 0;
+
+      res.json({
+        // Net of refunds and reversals
+        total_revenue: Math.round((grossRevenue - refunded) * 100) / 100,
+        gross_revenue: grossRevenue,
+        refunded_amount: refunded,
+        refunded_payments: parseInt(revenue[0].refunded_count) || 0,
+        pro_users: parseInt(proUsers[0].count) || 0,
+        pending_payments: parseInt(pendingPayments[0].count) || 0,
+        partially_approved_payments: parseInt(partiallyApproved[0].count) || 0,
+        total_payments: parseInt(totalPayments[0].count) || 0,
+      });
+    } catch (error) {
+      console.error("❌ Get admin stats error:", error);
+      res.status(500).json({
+        error: "Failed to get admin statistics",
+        message: error.message,
+      });
+    }
+  }
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ANALYTICS_POINTS = 400;
+const DAYS_PER_POINT = { day: 1, week: 7, month: 28 };
+const DEFAULT_ANALYTICS_DAYS = 30;
+
+/**
+ * Revenue and conversion analytics for a date range
+ * GET /api/admin/subscription/analytics
+ *
+ * Query: from, to (YYYY-MM-DD in UTC, inclusive; default the last 30
+ * days), granularity (day, week, month; default day)
+ */
+router.get(
+  "/analytics",
+  canView,
+  validateRequest(schemas.getAnalytics),
+  async (req, res) => {
+    try {
+      const granularity = req.query.granularity || "day";
+      const to = req.query.to || new Date().toISOString().slice(0, 10);
+      const from =
+        req.query.from ||
+        new Date(Date.parse(to) - (DEFAULT_ANALYTICS_DAYS - 1) * DAY_MS)
+          .toISOString()
+          .slice(0, 10);
+
+      if (from > to) {
+        return res.status(400).json({
+          error: "Invalid date range",
+          message: "from must not be after to",
+        });
+      }
+
+      const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+      if (days / DAYS_PER_POINT[granularity] > MAX_ANALYTICS_POINTS) {
+        return res.status(400).json({
+          error: "Date range too long",
+          message: `At most ${MAX_ANALYTICS_POINTS} ${granularity}s can be requested; use a coarser granularity`,
+        });
+      }
+
+      res.json(await getAnalytics({ from, to, granularity }));
+    } catch (error) {
+      console.error("❌ Get analytics error:", error);
+      res.status(500).json({
+        error: "Failed to get analytics",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * 👥 USERS
+ */
+
+/**
+ * Search users, one page at a time
+ * GET /api/admin/subscription/users
+ *
+ * Query: search (user ID, email or name), pro (all, pro, non_pro),
+ * sort (created_at, last_payment_at, total_paid; "-" prefix for
+ * descending), from, to (sign-up date), limit (max 200), cursor
+ */
+router.get(
+  "/users",
+  canView,
+  validateRequest(schemas.listUsers),
+  async (req, res) => {
+    try {
+      const pro = req.query.pro || PRO_FILTER.ALL;
+      const { error, list } = parseListQuery(req.query, USER_LIST);
+      if (error) return invalidListQuery(res, error);
+
+      const { users, next_cursor, has_more } = await listUsers({ pro }, list);
+
+      res.json({
+        users: users.map((user) => ({
+          ...user,
+          subscription: getSubscriptionState(user),
+        })),
+        count: users.length,
+        next_cursor,
+        has_more,
+      });
+    } catch (error) {
+      console.error("❌ Get users error:", error);
+      res.status(500).json({
+        error: "Failed to get users",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Export users as CSV or XLSX (with a summary sheet), streamed
+ * GET /api/admin/subscription/users/export
+ *
+ * Query: format (csv, xlsx), search, pro (all, pro, non_pro)
+ */
+router.get(
+  "/users/export",
+  canExport,
+  validateRequest(schemas.exportUsers),
+  async (req, res) => {
+    await sendExport(req, res, "users", {
+      search: (req.query.search || "").trim() || null,
+      pro: req.query.pro || PRO_FILTER.ALL,
     });
   }
-});
+);
+
+/**
+ * User detail with full payment history and recent audit events
+ * GET /api/admin/subscription/users/:clerkUserId
+ */
+router.get(
+  "/users/:clerkUserId",
+  canView,
+  validateRequest(schemas.getUser),
+  async (req, res) => {
+    try {
+      const { clerkUserId } = req.params;
+
+      // The most recent events; the full trail is under GET /audit
+      const { list } = parseListQuery({ limit: "50" }, AUDIT_LIST);
+      const [user, payments, { events }] = await Promise.all([
+        getUser(clerkUserId),
+        getUserPayments(clerkUserId),
+        searchAuditEvents({ user_id: clerkUserId }, list),
+      ]);
+
+      // Users who have paid but were never approved only exist in payments
+      if (!user && payments.length === 0) {
+        return res.status(404).json({
+          error: "User not found",
+          message: `User ${clerkUserId} does not exist`,
+        });
+      }
+
+      res.json({
+        user,
+        subscription: getSubscriptionState(user),
+        payments,
+        audit_events: events,
+      });
+    } catch (error) {
+      console.error("❌ Get user error:", error);
+      res.status(500).json({
+        error: "Failed to get user",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Grant Pro manually
+ * POST /api/admin/subscription/users/:clerkUserId/grant-pro
+ *
+ * Body: reason (required), plan_id, duration_days (defaults to the plan's
+ * duration; omit both for lifetime)
+ */
+router.post(
+  "/users/:clerkUserId/grant-pro",
+  canManageUsers,
+  validateRequest(schemas.grantPro),
+  async (req, res) => {
+    try {
+      const { clerkUserId } = req.params;
+      const { reason, plan_id = null } = req.body;
+      let durationDays = req.body.duration_days ?? null;
+
+      let plan = null;
+      if (plan_id !== null) {
+        plan = await getPlan(plan_id);
+        if (!plan) {
+          return res.status(400).json({
+            error: "Invalid plan",
+            message: `Plan with ID ${plan_id} does not exist`,
+          });
+        }
+        if (req.body.duration_days === undefined)
+          durationDays = plan.duration_days;
+      }
+
+      const user = await grantPro(clerkUserId, actorFromRequest(req), {
+        reason: reason.trim(),
+        planId: plan?.id ?? null,
+        durationDays,
+      });
+
+      if (!user) {
+        return res.status(409).json({
+          error: "User already has Pro status",
+          message: "This user already has lifetime Pro",
+        });
+      }
+
+      console.log(`👑 Pro granted to ${clerkUserId} by ${req.admin_id}`);
+
+      res.json({
+        success: true,
+        message: "Pro status granted",
+        user,
+        subscription: getSubscriptionState(user),
+      });
+    } catch (error) {
+      console.error("❌ Grant Pro error:", error);
+      res.status(500).json({
+        error: "Failed to grant Pro",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Revoke Pro manually
+ * POST /api/admin/subscription/users/:clerkUserId/revoke-pro
+ *
+ * Body: reason (required)
+ */
+router.post(
+  "/users/:clerkUserId/revoke-pro",
+  canManageUsers,
+  validateRequest(schemas.revokePro),
+  async (req, res) => {
+    try {
+      const { clerkUserId } = req.params;
+      const { reason } = req.body;
+
+      const user = await revokePro(clerkUserId, actorFromRequest(req), {
+        reason: reason.trim(),
+      });
+
+      if (!user) {
+        return res.status(409).json({
+          error: "User does not have Pro status",
+          message: `User ${clerkUserId} is not Pro`,
+        });
+      }
+
+      console.log(`🚫 Pro revoked from ${clerkUserId} by ${req.admin_id}`);
+
+      res.json({
+        success: true,
+        message: "Pro status revoked",
+        user,
+        subscription: getSubscriptionState(user),
+      });
+    } catch (error) {
+      console.error("❌ Revoke Pro error:", error);
+      res.status(500).json({
+        error: "Failed to revoke Pro",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * 💳 PLANS & PRICING
+ */
+
+const UNIQUE_VIOLATION = "23505";
+
+/**
+ * List all plans, including inactive ones
+ * GET /api/admin/subscription/plans
+ */
+router.get(
+  "/plans",
+  canView,
+  validateRequest(schemas.listPlans),
+  async (req, res) => {
+    try {
+      const plans = await listPlans();
+
+      res.json({
+        plans,
+        count: plans.length,
+      });
+    } catch (error) {
+      console.error("❌ Get plans error:", error);
+      res.status(500).json({
+        error: "Failed to get plans",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Create a plan
+ * POST /api/admin/subscription/plans
+ */
+router.post(
+  "/plans",
+  canManagePlans,
+  validateRequest(schemas.createPlan),
+  async (req, res) => {
+    try {
+      const created = await createPlan(planFromBody(req.body));
+      console.log(`💳 Plan "${created.name}" created by admin ${req.admin_id}`);
+
+      await recordAuditEvent(actorFromRequest(req), {
+        action: AUDIT_ACTIONS.PLAN_CREATED,
+        targetType: "plan",
+        targetId: created.id,
+        after: created,
+      });
+
+      res.status(201).json({
+        success: true,
+        plan: created,
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          error: "Plan name already exists",
+          message: "Choose a different plan name",
+        });
+      }
+      console.error("❌ Create plan error:", error);
+      res.status(500).json({
+        error: "Failed to create plan",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Update a plan (partial)
+ * PUT /api/admin/subscription/plans/:planId
+ *
+ * Price changes only affect new submissions; existing payments keep the
+ * expected amount captured when they were submitted.
+ */
+router.put(
+  "/plans/:planId",
+  canManagePlans,
+  validateRequest(schemas.updatePlan),
+  async (req, res) => {
+    try {
+      const { planId } = req.params;
+
+      const existing = await getPlan(planId);
+      if (!existing) {
+        return res.status(404).json({
+          error: "Plan not found",
+          message: `Plan with ID ${planId} does not exist`,
+        });
+      }
+
+      const updated = await updatePlan(
+        planId,
+        planFromBody(req.body || {}, existing)
+      );
+      console.log(`💳 Plan ${planId} updated by admin ${req.admin_id}`);
+
+      await recordAuditEvent(actorFromRequest(req), {
+        action: AUDIT_ACTIONS.PLAN_UPDATED,
+        targetType: "plan",
+        targetId: planId,
+        before: existing,
+        after: updated,
+      });
+
+      res.json({
+        success: true,
+        plan: updated,
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          error: "Plan name already exists",
+          message: "Choose a different plan name",
+        });
+      }
+      console.error("❌ Update plan error:", error);
+      res.status(500).json({
+        error: "Failed to update plan",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Deactivate a plan. Plans are never deleted because payments reference them.
+ * DELETE /api/admin/subscription/plans/:planId
+ */
+router.delete(
+  "/plans/:planId",
+  canManagePlans,
+  validateRequest(schemas.deactivatePlan),
+  async (req, res) => {
+    try {
+      const { planId } = req.params;
+
+      const existing = await getPlan(planId);
+      if (!existing) {
+        return res.status(404).json({
+          error: "Plan not found",
+          message: `Plan with ID ${planId} does not exist`,
+        });
+      }
+
+      const updated = await updatePlan(planId, {
+        ...existing,
+        is_active: false,
+      });
+      console.log(`💳 Plan ${planId} deactivated by admin ${req.admin_id}`);
+
+      await recordAuditEvent(actorFromRequest(req), {
+        action: AUDIT_ACTIONS.PLAN_DEACTIVATED,
+        targetType: "plan",
+        targetId: planId,
+        before: { is_active: existing.is_active },
+        after: { is_active: false },
+      });
+
+      res.json({
+        success: true,
+        message: "Plan deactivated",
+        plan: updated,
+      });
+    } catch (error) {
+      console.error("❌ Deactivate plan error:", error);
+      res.status(500).json({
+        error: "Failed to deactivate plan",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * 📜 AUDIT TRAIL
+ */
+
+/**
+ * Search audit events, one page at a time
+ * GET /api/admin/subscription/audit
+ *
+ * Query: actor_id, action, payment_id, user_id, plus search (actor,
+ * action or target), sort (created_at; default -created_at), from, to,
+ * limit (max 200), cursor
+ */
+router.get(
+  "/audit",
+  canView,
+  validateRequest(schemas.searchAuditEvents),
+  async (req, res) => {
+    try {
+      const { actor_id, action, payment_id, user_id } = req.query;
+      const { error, list } = parseListQuery(req.query, AUDIT_LIST);
+      if (error) return invalidListQuery(res, error);
+
+      const { events, next_cursor, has_more } = await searchAuditEvents(
+        {
+          actor_id: actor_id || null,
+          action: action || null,
+          payment_id: parseInt(payment_id) || null,
+          user_id: user_id || null,
+        },
+        list
+      );
+
+      res.json({
+        events,
+        count: events.length,
+        next_cursor,
+        has_more,
+      });
+    } catch (error) {
+      console.error("❌ Get audit events error:", error);
+      res.status(500).json({
+        error: "Failed to get audit events",
+        message: error.message,
+      });
+    }
+  }
+);
 
 export default router;
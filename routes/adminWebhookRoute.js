@@ -0,0 +1,336 @@
+import express from "express";
+import { sql } from "../config/db.js";
+import {
+  requireAuth,
+  requireAdmin,
+  requirePermission,
+} from "../middleware/bulletproofAuth.js";
+import { PERMISSIONS } from "../services/roles/index.js";
+import {
+  WEBHOOK_EVENTS,
+  enqueueWebhookEvent,
+  generateWebhookSecret,
+  maskEndpoint,
+  validateWebhookUrl,
+} from "../services/webhooks.js";
+
+const router = express.Router();
+
+// Apply admin middleware to all routes
+router.use(requireAuth);
+router.use(requireAdmin);
+router.use(requirePermission(PERMISSIONS.MANAGE_WEBHOOKS));
+
+/**
+ * 📡 ADMIN WEBHOOK MANAGEMENT
+ *
+ * Features:
+ * - Register, update and remove endpoints
+ * - Send a test event
+ * - Browse the delivery log
+ * - Manually redeliver an event
+ */
+
+const SUBSCRIBABLE_EVENTS = [
+  WEBHOOK_EVENTS.PAYMENT_SUBMITTED,
+  WEBHOOK_EVENTS.PAYMENT_APPROVED,
+  WEBHOOK_EVENTS.PAYMENT_REJECTED,
+  WEBHOOK_EVENTS.PAYMENT_REFUNDED,
+  WEBHOOK_EVENTS.PAYMENT_REVERSED,
+  WEBHOOK_EVENTS.SUBSCRIPTION_EXPIRED,
+];
+
+const validateEvents = (events) =>
+  Array.isArray(events) &&
+  events.length > 0 &&
+  events.every((event) => event === "*" || SUBSCRIBABLE_EVENTS.includes(event));
+
+const endpointNotFound = (res, endpointId) =>
+  res.status(404).json({
+    error: "Webhook endpoint not found",
+    message: `Webhook endpoint with ID ${endpointId} does not exist`,
+  });
+
+/**
+ * List registered endpoints
+ * GET /api/admin/webhooks
+ */
+router.get("/", async (req, res) => {
+  try {
+    const endpoints = await sql`
+      SELECT * FROM webhook_endpoints ORDER BY created_at DESC
+    `;
+
+    res.json({
+      endpoints: endpoints.map(maskEndpoint),
+      count: endpoints.length,
+      available_events: SUBSCRIBABLE_EVENTS,
+    });
+  } catch (error) {
+    console.error("❌ Get webhook endpoints error:", error);
+    res.status(500).json({
+      error: "Failed to get webhook endpoints",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Register an endpoint. The signing secret is only returned here.
+ * POST /api/admin/webhooks
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { url, description = null, events = ["*"] } = req.body || {};
+
+    const urlError = validateWebhookUrl(url);
+    if (urlError) {
+      return res.status(400).json({
+        error: "Invalid webhook URL",
+        message: urlError,
+      });
+    }
+
+    if (!validateEvents(events)) {
+      return res.status(400).json({
+        error: "Invalid events",
+        message: `events must be a non-empty array of: *, ${SUBSCRIBABLE_EVENTS.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const endpoint = await sql`
+      INSERT INTO webhook_endpoints (url, description, secret, events, created_by)
+      VALUES (
+        ${url},
+        ${description},
+        ${generateWebhookSecret()},
+        ${JSON.stringify(events)},
+        ${req.admin_id}
+      )
+      RETURNING *
+    `;
+
+    console.log(`📡 Webhook endpoint ${endpoint[0].id} registered by ${req.admin_id}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Store the secret now; it will not be shown again",
+      endpoint: endpoint[0],
+    });
+  } catch (error) {
+    console.error("❌ Create webhook endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to create webhook endpoint",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Update an endpoint (partial)
+ * PUT /api/admin/webhooks/:endpointId
+ */
+router.put("/:endpointId", async (req, res) => {
+  try {
+    const { endpointId } = req.params;
+    const body = req.body || {};
+
+    const existing = await sql`
+      SELECT * FROM webhook_endpoints WHERE id = ${endpointId} LIMIT 1
+    `;
+    if (existing.length === 0) return endpointNotFound(res, endpointId);
+
+    const endpoint = { ...existing[0], ...body };
+
+    const urlError = validateWebhookUrl(endpoint.url);
+    if (urlError) {
+      return res.status(400).json({
+        error: "Invalid webhook URL",
+        message: urlError,
+      });
+    }
+
+    if (!validateEvents(endpoint.events)) {
+      return res.status(400).json({
+        error: "Invalid events",
+        message: `events must be a non-empty array of: *, ${SUBSCRIBABLE_EVENTS.join(
+          ", "
+        )}`,
+      });
+    }
+
+    if (typeof endpoint.is_active !== "boolean") {
+      return res.status(400).json({
+        error: "Invalid endpoint",
+        message: "is_active must be a boolean",
+      });
+    }
+
+    const updated = await sql`
+      UPDATE webhook_endpoints
+      SET
+        url = ${endpoint.url},
+        description = ${endpoint.description},
+        events = ${JSON.stringify(endpoint.events)},
+        is_active = ${endpoint.is_active},
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${endpointId}
+      RETURNING *
+    `;
+
+    res.json({
+      success: true,
+      endpoint: maskEndpoint(updated[0]),
+    });
+  } catch (error) {
+    console.error("❌ Update webhook endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to update webhook endpoint",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Remove an endpoint and its delivery log
+ * DELETE /api/admin/webhooks/:endpointId
+ */
+router.delete("/:endpointId", async (req, res) => {
+  try {
+    const { endpointId } = req.params;
+
+    const deleted = await sql`
+      DELETE FROM webhook_endpoints WHERE id = ${endpointId} RETURNING id
+    `;
+    if (deleted.length === 0) return endpointNotFound(res, endpointId);
+
+    console.log(`📡 Webhook endpoint ${endpointId} removed by ${req.admin_id}`);
+
+    res.json({
+      success: true,
+      message: "Webhook endpoint removed",
+    });
+  } catch (error) {
+    console.error("❌ Delete webhook endpoint error:", error);
+    res.status(500).json({
+      error: "Failed to delete webhook endpoint",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Queue a webhook.test event for one endpoint
+ * POST /api/admin/webhooks/:endpointId/test
+ */
+router.post("/:endpointId/test", async (req, res) => {
+  try {
+    const { endpointId } = req.params;
+
+    const queued = await enqueueWebhookEvent(
+      WEBHOOK_EVENTS.TEST,
+      { message: "Test event from Payment Pro", sent_by: req.admin_id },
+      { endpointId: parseInt(endpointId) }
+    );
+
+    if (queued === 0) {
+      return res.status(404).json({
+        error: "Webhook endpoint not found",
+        message: `No active webhook endpoint with ID ${endpointId}`,
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: "Test event queued",
+    });
+  } catch (error) {
+    console.error("❌ Test webhook error:", error);
+    res.status(500).json({
+      error: "Failed to queue test event",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Delivery log, newest first
+ * GET /api/admin/webhooks/deliveries
+ *
+ * Query: endpoint_id, status (pending, delivered, failed), event_type, limit
+ */
+router.get("/deliveries", async (req, res) => {
+  try {
+    const { status, event_type } = req.query;
+    const endpointId = parseInt(req.query.endpoint_id) || null;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const deliveries = await sql`
+      SELECT d.*, e.url
+      FROM webhook_deliveries d
+      JOIN webhook_endpoints e ON e.id = d.endpoint_id
+      WHERE (${endpointId}::integer IS NULL OR d.endpoint_id = ${endpointId})
+        AND (${status || null}::text IS NULL OR d.status = ${status || null})
+        AND (${event_type || null}::text IS NULL OR d.event_type = ${event_type || null})
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT ${limit}
+    `;
+
+    res.json({
+      deliveries,
+      count: deliveries.length,
+    });
+  } catch (error) {
+    console.error("❌ Get webhook deliveries error:", error);
+    res.status(500).json({
+      error: "Failed to get webhook deliveries",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Send an event again. A new delivery is queued with the same event id so
+ * receivers can de-duplicate; the original stays in the log.
+ * POST /api/admin/webhooks/deliveries/:deliveryId/redeliver
+ */
+router.post("/deliveries/:deliveryId/redeliver", async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+
+    const delivery = await sql`
+      INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload)
+      SELECT endpoint_id, event_id, event_type, payload
+      FROM webhook_deliveries
+      WHERE id = ${deliveryId}
+      RETURNING *
+    `;
+
+    if (delivery.length === 0) {
+      return res.status(404).json({
+        error: "Delivery not found",
+        message: `Webhook delivery with ID ${deliveryId} does not exist`,
+      });
+    }
+
+    console.log(
+      `📡 Delivery ${deliveryId} requeued as ${delivery[0].id} by ${req.admin_id}`
+    );
+
+    res.status(202).json({
+      success: true,
+      message: "Event queued for redelivery",
+      delivery: delivery[0],
+    });
+  } catch (error) {
+    console.error("❌ Redeliver webhook error:", error);
+    res.status(500).json({
+      error: "Failed to redeliver webhook",
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,10 +1,12 @@
 import express from "express";
-import { ClerkExpressRequireAuth } from "@clerk/clerk-sdk-node";
+import { requireAuth } from "../middleware/bulletproofAuth.js";
+import { loginRateLimiter } from "../middleware/rateLimiter.js";
+import { getAuthProvider } from "../services/auth/index.js";
 
 const router = express.Router();
 
 // Simple auth check endpoint
-router.get("/check", ClerkExpressRequireAuth(), (req, res) => {
+router.get("/check", requireAuth, (req, res) => {
   res.json({
     authenticated: true,
     user: {
@@ -14,7 +16,7 @@ router.get("/check", ClerkExpressRequireAuth(), (req, res) => {
 });
 
 // Get user profile (if needed)
-router.get("/profile", ClerkExpressRequireAuth(), (req, res) => {
+router.get("/profile", requireAuth, (req, res) => {
   res.json({
     user_id: req.auth.userId,
     email: req.auth.sessionClaims?.email,
@@ -22,4 +24,50 @@ router.get("/profile", ClerkExpressRequireAuth(), (req, res) => {
   });
 });
 
+/**
+ * Sign in to a local account (AUTH_PROVIDER=local only)
+ * POST /api/auth/login
+ */
+router.post("/login", loginRateLimiter, async (req, res) => {
+  try {
+    const provider = getAuthProvider();
+    if (!provider.login) {
+      return res.status(404).json({
+        error: "Password login not available",
+        message: `Sign in through ${provider.name} instead`,
+      });
+    }
+
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({
+        error: "Missing credentials",
+        message: "email and password are required",
+      });
+    }
+
+    const user = await provider.login(email, password);
+    if (!user) {
+      console.log(`🚫 Failed local login for ${email}`);
+      return res.status(401).json({
+        error: "Invalid credentials",
+        message: "Email or password is incorrect",
+      });
+    }
+
+    console.log(`🔑 Local login: ${user.id}`);
+    res.json({
+      token: provider.signToken(user),
+      token_type: "Bearer",
+      user: await provider.getProfile(user.id),
+    });
+  } catch (error) {
+    console.error("❌ Login error:", error);
+    res.status(500).json({
+      error: "Login failed",
+      message: error.message,
+    });
+  }
+});
+
 export default router;
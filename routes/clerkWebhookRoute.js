@@ -0,0 +1,74 @@
+import express from "express";
+import {
+  handleClerkEvent,
+  verifySvixSignature,
+} from "../services/userSync.js";
+
+const router = express.Router();
+
+/**
+ * 🔄 CLERK WEBHOOK RECEIVER
+ *
+ * Keeps users.email and users.name in sync with Clerk. Mounted before the
+ * JSON body parser: the Svix signature covers the raw body.
+ *
+ * Configure an endpoint in the Clerk dashboard pointing at
+ * /api/webhooks/clerk for user.created, user.updated and user.deleted,
+ * and set CLERK_WEBHOOK_SECRET to its signing secret.
+ */
+
+/**
+ * Receive a Clerk webhook
+ * POST /api/webhooks/clerk
+ */
+router.post(
+  "/",
+  express.raw({ type: "*/*", limit: "1mb" }),
+  async (req, res) => {
+    try {
+      const secret = process.env.CLERK_WEBHOOK_SECRET;
+      if (!secret) {
+        return res.status(503).json({
+          error: "Webhook not configured",
+          message: "CLERK_WEBHOOK_SECRET is not set",
+        });
+      }
+
+      const body = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+
+      if (!verifySvixSignature(secret, req.headers, body)) {
+        console.log(`❌ Clerk webhook ${req.headers["svix-id"]} rejected: bad signature`);
+        return res.status(400).json({
+          error: "Invalid signature",
+          message: "Webhook signature verification failed",
+        });
+      }
+
+      let event;
+      try {
+        event = JSON.parse(body);
+      } catch {
+        return res.status(400).json({
+          error: "Invalid JSON",
+          message: "The request contains invalid JSON",
+        });
+      }
+
+      // Failures below answer 500 so Svix retries the delivery
+      const result = await handleClerkEvent(event);
+      console.log(
+        `🔄 Clerk ${event.type} for ${event.data?.id}: ${result}`
+      );
+
+      res.json({ success: true, result });
+    } catch (error) {
+      console.error("❌ Clerk webhook error:", error);
+      res.status(500).json({
+        error: "Failed to process webhook",
+        message: error.message,
+      });
+    }
+  }
+);
+
+export default router;
@@ -2,6 +2,34 @@ import express from "express";
 import { sql } from "../config/db.js";
 import { requireAuth, getUserId } from "../middleware/bulletproofAuth.js";
 import { paymentRateLimiter } from "../middleware/rateLimiter.js";
+import { validateRequest } from "../middleware/validate.js";
+import * as schemas from "../schemas/paymentFlow.js";
+import {
+  createPayment,
+  verifyAndProcessPayment,
+} from "../services/payments.js";
+import { getPlan, listPlans } from "../services/plans.js";
+import { getSubscriptionState } from "../services/subscriptions.js";
+import { actorFromRequest } from "../services/audit.js";
+import {
+  listColumns,
+  listConditions,
+  listOrder,
+  listPage,
+  parseListQuery,
+} from "../services/listQuery.js";
+import { getNotificationPreferences } from "../services/notifications/index.js";
+import { screenPayment } from "../services/risk.js";
+import {
+  RECEIPT_REQUIRED,
+  parseReceipt,
+  storeReceipt,
+} from "../services/receipts.js";
+import {
+  DEFAULT_PROVIDER,
+  getProvider,
+  listProviders,
+} from "../services/paymentProviders/index.js";
 
 const router = express.Router();
 
@@ -9,13 +37,47 @@ const router = express.Router();
  * 🎯 SIMPLE ONE-TIME PAYMENT FLOW
  *
  * Flow:
- * 1. User submits payment with transaction ID
- * 2. System checks if user is already pro → prevents if true
- * 3. Admin verifies transaction ID and approves/rejects
- * 4. User gets pro status on approval
+ * 1. User picks a plan and submits payment with provider and transaction ID
+ *    (optionally attaching a receipt screenshot or PDF)
+ * 2. System checks the user's subscription → lifetime Pro or renewal
+ *    window not yet open prevents payment
+ * 3. Risk engine scores the submission → auto-rejects above the threshold
+ * 4. Provider adapter verifies the transaction → auto-approves a confident,
+ *    not high-risk match
+ * 5. Otherwise admin verifies transaction ID and approves/rejects
+ * 6. User gets pro status on approval
  */
 
-// Apply auth middleware to all routes
+/**
+ * List active plans (public, no auth required)
+ * GET /api/payment-flow/plans
+ */
+router.get("/plans", validateRequest(schemas.listPlans), async (req, res) => {
+  try {
+    const plans = await listPlans({ activeOnly: true });
+
+    res.json({
+      plans: plans.map((plan) => ({
+        id: plan.id,
+        name: plan.name,
+        description: plan.description,
+        price: plan.price,
+        currency: "ETB",
+        duration_days: plan.duration_days,
+        features: plan.features,
+      })),
+      count: plans.length,
+    });
+  } catch (error) {
+    console.error("❌ Get plans error:", error);
+    res.status(500).json({
+      error: "Failed to get plans",
+      message: error.message,
+    });
+  }
+});
+
+// Apply auth middleware to all other routes
 router.use(requireAuth);
 router.use(getUserId);
 
@@ -23,156 +85,429 @@ router.use(getUserId);
  * Check if user is pro
  * GET /api/payment-flow/pro-status
  */
-router.get("/pro-status", async (req, res) => {
-  try {
-    const { clerk_user_id } = req;
+router.get(
+  "/pro-status",
+  validateRequest(schemas.getProStatus),
+  async (req, res) => {
+    try {
+      const { clerk_user_id } = req;
 
-    const user = await sql`
-      SELECT is_pro, pro_since FROM users WHERE clerk_user_id = ${clerk_user_id} LIMIT 1
+      const user = await sql`
+      SELECT u.*, pl.name as plan_name
+      FROM users u
+      LEFT JOIN plans pl ON u.plan_id = pl.id
+      WHERE u.clerk_user_id = ${clerk_user_id}
+      LIMIT 1
     `;
 
-    if (user.length === 0) {
-      return res.json({
-        isPro: false,
-        proSince: null,
-        message: "User is not Pro",
+      const userData = user[0] || null;
+      const subscription = getSubscriptionState(userData);
+
+      const messages = {
+        active: subscription.lifetime
+          ? "User has lifetime Pro status"
+          : "User has Pro status",
+        grace: "Pro subscription has ended and is in its grace period",
+        expired: "Pro subscription has expired",
+        none: "User is not Pro",
+      };
+
+      res.json({
+        isPro: subscription.isPro,
+        proSince: subscription.isPro ? userData.pro_since : null,
+        state: subscription.state,
+        plan: userData?.plan_id
+          ? { id: userData.plan_id, name: userData.plan_name }
+          : null,
+        lifetime: subscription.lifetime,
+        periodStart: subscription.periodStart,
+        expiresAt: subscription.expiresAt,
+        graceEndsAt: subscription.graceEndsAt,
+        daysRemaining: subscription.daysRemaining,
+        canRenew: subscription.canRenew,
+        message: messages[subscription.state],
+      });
+    } catch (error) {
+      console.error("❌ Pro status check error:", error);
+      res.status(500).json({
+        error: "Failed to check Pro status",
+        message: error.message,
       });
     }
-
-    const userData = user[0];
-    res.json({
-      isPro: userData.is_pro,
-      proSince: userData.pro_since,
-      message: userData.is_pro ? "User has Pro status" : "User is not Pro",
-    });
-  } catch (error) {
-    console.error("❌ Pro status check error:", error);
-    res.status(500).json({
-      error: "Failed to check Pro status",
-      message: error.message,
-    });
   }
+);
+
+/**
+ * List payment providers users can pay with
+ * GET /api/payment-flow/providers
+ */
+router.get("/providers", validateRequest(schemas.listProviders), (req, res) => {
+  res.json({
+    providers: listProviders(),
+    default_provider: DEFAULT_PROVIDER,
+  });
 });
 
 /**
  * Submit one-time payment with transaction ID
  * POST /api/payment-flow/submit-payment
+ *
+ * Body: plan_id, transaction_id, provider, amount, receipt
+ * ({ filename, content_type, data } with base64 data; PNG, JPEG, WebP or PDF)
  */
-router.post("/submit-payment", paymentRateLimiter, async (req, res) => {
-  try {
-    const { clerk_user_id } = req;
-    const { amount, transaction_id } = req.body;
-
-    // Input validation
-    if (!amount || !transaction_id) {
-      return res.status(400).json({
-        error: "Missing required fields",
-        message: "Amount and transaction_id are required",
-      });
-    }
+router.post(
+  "/submit-payment",
+  paymentRateLimiter,
+  validateRequest(schemas.submitPayment),
+  async (req, res) => {
+    try {
+      const { clerk_user_id } = req;
+      const {
+        plan_id,
+        transaction_id,
+        provider = DEFAULT_PROVIDER,
+        receipt: receiptInput,
+      } = req.body;
+
+      // The schema requires a receipt when RECEIPT_REQUIRED, but it may be null
+      if (RECEIPT_REQUIRED && !receiptInput) {
+        return res.status(400).json({
+          error: "Missing required fields",
+          message: "A payment receipt is required",
+        });
+      }
+
+      let receipt = null;
+      if (receiptInput) {
+        const parsed = parseReceipt(receiptInput);
+        if (parsed.errors.length > 0) {
+          return res.status(400).json({
+            error: "Invalid receipt",
+            message: parsed.errors.join(", "),
+          });
+        }
+        receipt = parsed.receipt;
+      }
+
+      const plan = await getPlan(plan_id);
+      if (!plan || !plan.is_active) {
+        return res.status(400).json({
+          error: "Invalid plan",
+          message: "The selected plan does not exist or is no longer available",
+        });
+      }
 
-    // Check if user already has pro status
-    const user = await sql`
-      SELECT is_pro FROM users WHERE clerk_user_id = ${clerk_user_id} LIMIT 1
+      // The plan decides the price. A differing amount typed by the user is
+      // kept as submitted so admins see the mismatch before approving.
+      const amount = req.body.amount ?? plan.price;
+
+      if (!getProvider(provider)) {
+        return res.status(400).json({
+          error: "Unsupported payment provider",
+          message: `Provider must be one of: ${listProviders()
+            .map((p) => p.name)
+            .join(", ")}`,
+        });
+      }
+
+      // Lifetime Pro users never pay again; subscribers may renew once the
+      // renewal window opens
+      const user = await sql`
+      SELECT is_pro, pro_since, current_period_start, current_period_end
+      FROM users WHERE clerk_user_id = ${clerk_user_id} LIMIT 1
     `;
+      const subscription = getSubscriptionState(user[0] || null);
 
-    if (user.length > 0 && user[0].is_pro) {
-      return res.status(409).json({
-        error: "User already has Pro status",
-        message: "Pro users cannot submit new payments",
-      });
-    }
+      if (subscription.lifetime) {
+        return res.status(409).json({
+          error: "User already has Pro status",
+          message: "Lifetime Pro users cannot submit new payments",
+        });
+      }
+
+      if (!subscription.canRenew) {
+        return res.status(409).json({
+          error: "Renewal not yet available",
+          message: `Your subscription runs until ${subscription.expiresAt.toISOString()}. You can renew from ${subscription.renewalOpensAt.toISOString()}.`,
+        });
+      }
 
-    // Check for existing pending payments
-    const existingPending = await sql`
+      // Check for existing pending payments (including those approved once)
+      const existingPending = await sql`
       SELECT id FROM payments 
-      WHERE clerk_user_id = ${clerk_user_id} AND status = 'pending'
+      WHERE clerk_user_id = ${clerk_user_id}
+        AND status IN ('pending', 'partially_approved')
       LIMIT 1
     `;
 
-    if (existingPending.length > 0) {
-      return res.status(409).json({
-        error: "Pending payment exists",
-        message: "You already have a pending payment request",
-      });
-    }
+      if (existingPending.length > 0) {
+        return res.status(409).json({
+          error: "Pending payment exists",
+          message: "You already have a pending payment request",
+        });
+      }
 
-    // Check if transaction ID already used
-    const existingTransaction = await sql`
+      // Check if transaction ID already used
+      const existingTransaction = await sql`
       SELECT id FROM payments WHERE transaction_id = ${transaction_id} LIMIT 1
     `;
 
-    if (existingTransaction.length > 0) {
-      return res.status(409).json({
-        error: "Transaction ID already used",
-        message: "This transaction ID has already been submitted",
+      if (existingTransaction.length > 0) {
+        return res.status(409).json({
+          error: "Transaction ID already used",
+          message: "This transaction ID has already been submitted",
+        });
+      }
+
+      // Stored before the payment row so the row never points at a missing
+      // file; an orphaned file is harmless since storage is content-addressed
+      const receiptFields = receipt ? await storeReceipt(receipt) : {};
+
+      // Create payment record
+      const payment = await createPayment(
+        {
+          clerk_user_id,
+          amount,
+          expected_amount: plan.price,
+          plan_id: plan.id,
+          transaction_id,
+          provider,
+          ...receiptFields,
+        },
+        actorFromRequest(req)
+      );
+
+      console.log(
+        `💰 Payment submitted for user ${clerk_user_id}, Transaction: ${transaction_id} (${provider})`
+      );
+
+      // Screening or verification failures must not fail the submission;
+      // the payment stays pending for an admin
+      let processed = payment;
+      let verification = null;
+      try {
+        ({ payment: processed } = await screenPayment(payment));
+        if (processed.status === "pending") {
+          ({ verification, payment: processed } =
+            await verifyAndProcessPayment(processed));
+        }
+      } catch (processError) {
+        console.error("❌ Payment screening/verification error:", processError);
+      }
+      const autoApproved = processed.status === "approved";
+      const autoRejected = processed.status === "rejected";
+
+      res.status(201).json({
+        success: true,
+        renewal: subscription.isPro,
+        message: autoApproved
+          ? "Payment verified and approved. You now have Pro status."
+          : autoRejected
+            ? processed.rejection_reason
+            : "Payment submitted successfully. Waiting for admin approval.",
+        payment: {
+          id: processed.id,
+          plan_id: processed.plan_id,
+          plan_name: plan.name,
+          amount: processed.amount,
+          expected_amount: processed.expected_amount,
+          transaction_id: processed.transaction_id,
+          provider: processed.provider,
+          status: processed.status,
+          verification_status: verification?.status ?? null,
+          has_receipt: Boolean(processed.receipt_key),
+          created_at: processed.created_at,
+        },
+      });
+    } catch (error) {
+      // The same transaction ID submitted twice at once
+      if (
+        error.code === "23505" &&
+        error.constraint === "payments_transaction_id_key"
+      ) {
+        return res.status(409).json({
+          error: "Transaction ID already used",
+          message: "This transaction ID has already been submitted",
+        });
+      }
+      console.error("❌ Payment submission error:", error);
+      res.status(500).json({
+        error: "Failed to submit payment",
+        message: error.message,
       });
     }
+  }
+);
+
+/**
+ * Sorting, search and date filters for the payment history (see
+ * services/listQuery.js)
+ */
+const HISTORY_LIST = {
+  sorts: {
+    created_at: { expression: "p.created_at", type: "timestamp" },
+    amount: { expression: "p.amount", type: "numeric" },
+  },
+  defaultSort: "-created_at",
+  id: "p.id",
+  search: ["p.transaction_id", "pl.name"],
+  dateColumn: "p.created_at",
+};
+
+/**
+ * Get user's payment history, one page at a time
+ * GET /api/payment-flow/payment-history
+ *
+ * Query: sort (created_at, amount; "-" prefix for descending), search
+ * (transaction ID or plan name), from, to, limit (max 200), cursor
+ * (next_cursor of the previous page)
+ */
+router.get(
+  "/payment-history",
+  validateRequest(schemas.getPaymentHistory),
+  async (req, res) => {
+    try {
+      const { clerk_user_id } = req;
 
-    // Create payment record
-    const payment = await sql`
-      INSERT INTO payments (clerk_user_id, amount, transaction_id, status)
-      VALUES (${clerk_user_id}, ${amount}, ${transaction_id}, 'pending')
-      RETURNING *
+      const { error, list } = parseListQuery(req.query, HISTORY_LIST);
+      if (error) {
+        return res.status(400).json({
+          error: "Invalid list query",
+          message: error,
+        });
+      }
+
+      const rows = await sql`
+      SELECT 
+        p.id,
+        p.plan_id,
+        pl.name as plan_name,
+        p.amount,
+        p.transaction_id,
+        p.provider,
+        p.status,
+        p.rejection_reason,
+        p.receipt_key IS NOT NULL as has_receipt,
+        p.period_start,
+        p.period_end,
+        p.created_at,
+        p.processed_at,
+        ${listColumns(list, HISTORY_LIST)}
+      FROM payments p
+      LEFT JOIN plans pl ON p.plan_id = pl.id
+      WHERE p.clerk_user_id = ${clerk_user_id}
+        ${listConditions(list, HISTORY_LIST)}
+      ${listOrder(list, HISTORY_LIST)}
     `;
 
-    console.log(
-      `💰 Payment submitted for user ${clerk_user_id}, Transaction: ${transaction_id}`
-    );
-
-    res.status(201).json({
-      success: true,
-      message: "Payment submitted successfully. Waiting for admin approval.",
-      payment: {
-        id: payment[0].id,
-        amount: payment[0].amount,
-        transaction_id: payment[0].transaction_id,
-        status: payment[0].status,
-        created_at: payment[0].created_at,
-      },
-    });
-  } catch (error) {
-    console.error("❌ Payment submission error:", error);
-    res.status(500).json({
-      error: "Failed to submit payment",
-      message: error.message,
-    });
+      const { items, next_cursor, has_more } = listPage(rows, list);
+
+      res.json({
+        payments: items,
+        count: items.length,
+        next_cursor,
+        has_more,
+      });
+    } catch (error) {
+      console.error("❌ Payment history error:", error);
+      res.status(500).json({
+        error: "Failed to fetch payment history",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
 /**
- * Get user's payment history
- * GET /api/payment-flow/payment-history
+ * Get the user's notification preferences
+ * GET /api/payment-flow/notification-preferences
  */
-router.get("/payment-history", async (req, res) => {
-  try {
-    const { clerk_user_id } = req;
+router.get(
+  "/notification-preferences",
+  validateRequest(schemas.getNotificationPreferences),
+  async (req, res) => {
+    try {
+      const { email_enabled, sms_enabled, email, phone } =
+        await getNotificationPreferences(req.clerk_user_id);
+      res.json({ preferences: { email_enabled, sms_enabled, email, phone } });
+    } catch (error) {
+      console.error("❌ Get notification preferences error:", error);
+      res.status(500).json({
+        error: "Failed to get notification preferences",
+        message: error.message,
+      });
+    }
+  }
+);
 
-    const payments = await sql`
-      SELECT 
-        id,
-        amount,
-        transaction_id,
-        status,
-        rejection_reason,
-        created_at,
-        processed_at
-      FROM payments 
-      WHERE clerk_user_id = ${clerk_user_id}
-      ORDER BY created_at DESC
+/**
+ * Update the user's notification preferences (partial)
+ * PUT /api/payment-flow/notification-preferences
+ *
+ * Body: email_enabled, sms_enabled, email (overrides the account email),
+ * phone (required for SMS)
+ */
+router.put(
+  "/notification-preferences",
+  validateRequest(schemas.updateNotificationPreferences),
+  async (req, res) => {
+    try {
+      const { clerk_user_id } = req;
+      const { email_enabled, sms_enabled, email, phone } =
+        await getNotificationPreferences(clerk_user_id);
+      const preferences = {
+        email_enabled,
+        sms_enabled,
+        email,
+        phone,
+        ...req.body,
+      };
+
+      // The schema checks each field; this needs the stored values too
+      if (preferences.sms_enabled && !preferences.phone) {
+        return res.status(400).json({
+          error: "Invalid notification preferences",
+          message: "phone is required to enable SMS",
+        });
+      }
+
+      await sql`
+      INSERT INTO notification_preferences (
+        clerk_user_id, email_enabled, sms_enabled, email, phone
+      )
+      VALUES (
+        ${clerk_user_id},
+        ${preferences.email_enabled},
+        ${preferences.sms_enabled},
+        ${preferences.email},
+        ${preferences.phone}
+      )
+      ON CONFLICT (clerk_user_id)
+      DO UPDATE SET
+        email_enabled = EXCLUDED.email_enabled,
+        sms_enabled = EXCLUDED.sms_enabled,
+        email = EXCLUDED.email,
+        phone = EXCLUDED.phone,
+        updated_at = CURRENT_TIMESTAMP
     `;
 
-    res.json({
-      payments,
-      count: payments.length,
-    });
-  } catch (error) {
-    console.error("❌ Payment history error:", error);
-    res.status(500).json({
-      error: "Failed to fetch payment history",
-      message: error.message,
-    });
+      res.json({
+        success: true,
+        preferences: {
+          email_enabled: preferences.email_enabled,
+          sms_enabled: preferences.sms_enabled,
+          email: preferences.email,
+          phone: preferences.phone,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Update notification preferences error:", error);
+      res.status(500).json({
+        error: "Failed to update notification preferences",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
 export default router;
@@ -0,0 +1,309 @@
+import { ANALYTICS_GRANULARITIES } from "../services/analytics.js";
+import { EXPORT_FORMATS } from "../services/exports.js";
+import { PAYMENT_STATUSES, REFUND_TYPES } from "../services/payments.js";
+import { PRO_FILTER } from "../services/users.js";
+import {
+  amount,
+  id,
+  isoDate,
+  listQuery,
+  pathParams,
+  text,
+  userId,
+} from "./common.js";
+
+/**
+ * 🔧 ADMIN SUBSCRIPTION REQUEST SCHEMAS
+ *
+ * One per route in routes/adminSubscriptionRoute.js (see
+ * middleware/validate.js). summary only feeds the OpenAPI document.
+ */
+
+const MAX_BULK_PAYMENTS = 100;
+const MAX_REASON_LENGTH = 500;
+
+// Refund amounts may also be sent as text, e.g. straight from a form field,
+// which keeps exact decimals. At most 8 digits before the point keeps them
+// within MAX_PRICE, and zero is refused
+const AMOUNT_TEXT = "^(?!0+(\\.0+)?$)\\d{1,8}(\\.\\d{1,2})?$";
+
+const paymentParams = pathParams({ paymentId: id });
+const userParams = pathParams({ clerkUserId: userId });
+const planParams = pathParams({ planId: id });
+
+const paymentStatusFilter = {
+  type: "string",
+  enum: ["all", ...PAYMENT_STATUSES],
+};
+const exportFormat = { type: "string", enum: EXPORT_FORMATS };
+const proFilter = { type: "string", enum: Object.values(PRO_FILTER) };
+
+// Duplicates are dropped by the route
+const paymentIds = {
+  type: "array",
+  minItems: 1,
+  maxItems: MAX_BULK_PAYMENTS,
+  items: id,
+};
+
+const planFields = {
+  name: text(100),
+  description: { type: ["string", "null"], maxLength: 2000 },
+  price: amount,
+  duration_days: {
+    type: ["integer", "null"],
+    minimum: 1,
+    description: "null for lifetime",
+  },
+  features: { type: "array", maxItems: 50, items: text(200) },
+  is_active: { type: "boolean" },
+};
+
+export const getAdmin = {
+  summary: "The signed-in admin's role and permissions",
+};
+
+export const listPendingPayments = {
+  summary: "Pending payments for review, one page at a time",
+  query: listQuery(),
+};
+
+export const listPartiallyApprovedPayments = {
+  summary: "Payments waiting for a second approval",
+  query: listQuery(),
+};
+
+export const exportPayments = {
+  summary: "Export payments as CSV or XLSX",
+  query: {
+    type: "object",
+    properties: {
+      format: exportFormat,
+      status: paymentStatusFilter,
+      user_id: userId,
+      from: isoDate,
+      to: isoDate,
+      date_field: {
+        type: "string",
+        enum: ["created_at", "processed_at"],
+        description: "Which timestamp from and to apply to",
+      },
+    },
+  },
+};
+
+export const getPayment = {
+  summary: "A payment with its approvals and refunds",
+  params: paymentParams,
+};
+
+export const approvePayment = {
+  summary: "Approve a payment (idempotent)",
+  params: paymentParams,
+  body: {
+    type: "object",
+    properties: {
+      allow_amount_mismatch: { type: "boolean" },
+    },
+    additionalProperties: false,
+  },
+};
+
+export const rejectPayment = {
+  summary: "Reject a payment (idempotent)",
+  params: paymentParams,
+  body: {
+    type: "object",
+    properties: {
+      rejection_reason: text(MAX_REASON_LENGTH),
+    },
+    required: ["rejection_reason"],
+    additionalProperties: false,
+  },
+};
+
+export const bulkApprovePayments = {
+  summary: "Approve several payments at once",
+  body: {
+    type: "object",
+    properties: {
+      payment_ids: paymentIds,
+      allow_amount_mismatch: { type: "boolean" },
+    },
+    required: ["payment_ids"],
+    additionalProperties: false,
+  },
+};
+
+export const bulkRejectPayments = {
+  summary: "Reject several payments at once with the same reason",
+  body: {
+    type: "object",
+    properties: {
+      payment_ids: paymentIds,
+      rejection_reason: text(MAX_REASON_LENGTH),
+    },
+    required: ["payment_ids", "rejection_reason"],
+    additionalProperties: false,
+  },
+};
+
+export const verifyPayment = {
+  summary: "Re-run provider verification for a pending payment",
+  params: paymentParams,
+};
+
+export const refundPayment = {
+  summary: "Refund an approved payment in full or in part, or reverse it",
+  params: paymentParams,
+  body: {
+    type: "object",
+    properties: {
+      reason: text(MAX_REASON_LENGTH),
+      type: { type: "string", enum: Object.values(REFUND_TYPES) },
+      amount: {
+        anyOf: [
+          { ...amount, type: ["number", "null"] },
+          { type: "string", pattern: AMOUNT_TEXT },
+        ],
+        errorMessage: "must be a positive amount with at most 2 decimals",
+        description:
+          'Refunds only; omit to refund everything not yet refunded. Also accepted as text, e.g. "150.50"',
+      },
+    },
+    required: ["reason"],
+    additionalProperties: false,
+    if: {
+      properties: { type: { const: REFUND_TYPES.REVERSAL } },
+      required: ["type"],
+    },
+    then: {
+      properties: {
+        amount: {
+          const: null,
+          errorMessage: "must be left out, reversals cover the full amount",
+        },
+      },
+    },
+  },
+};
+
+export const getReceipt = {
+  summary: "Download a payment's receipt",
+  params: paymentParams,
+};
+
+export const listPayments = {
+  summary: "Payments of every status, one page at a time",
+  query: listQuery({ status: paymentStatusFilter, user_id: userId }),
+};
+
+export const getStats = {
+  summary: "Dashboard statistics",
+};
+
+export const getAnalytics = {
+  summary: "Revenue and conversion analytics for a date range",
+  query: {
+    type: "object",
+    properties: {
+      from: { type: "string", format: "date", description: "UTC" },
+      to: { type: "string", format: "date", description: "UTC, inclusive" },
+      granularity: { type: "string", enum: ANALYTICS_GRANULARITIES },
+    },
+  },
+};
+
+export const listUsers = {
+  summary: "Search users, one page at a time",
+  query: listQuery({ pro: proFilter }),
+};
+
+export const exportUsers = {
+  summary: "Export users as CSV or XLSX",
+  query: {
+    type: "object",
+    properties: {
+      format: exportFormat,
+      search: { type: "string", maxLength: 200 },
+      pro: proFilter,
+    },
+  },
+};
+
+export const getUser = {
+  summary: "A user with their payments and recent audit events",
+  params: userParams,
+};
+
+export const grantPro = {
+  summary: "Grant Pro manually",
+  params: userParams,
+  body: {
+    type: "object",
+    properties: {
+      reason: text(MAX_REASON_LENGTH),
+      plan_id: { ...id, type: ["integer", "null"] },
+      duration_days: {
+        type: ["integer", "null"],
+        minimum: 1,
+        maximum: 3650,
+        description: "Defaults to the plan's duration; omit both for lifetime",
+      },
+    },
+    required: ["reason"],
+    additionalProperties: false,
+  },
+};
+
+export const revokePro = {
+  summary: "Revoke Pro manually",
+  params: userParams,
+  body: {
+    type: "object",
+    properties: {
+      reason: text(MAX_REASON_LENGTH),
+    },
+    required: ["reason"],
+    additionalProperties: false,
+  },
+};
+
+export const listPlans = {
+  summary: "All plans, including inactive ones",
+};
+
+export const createPlan = {
+  summary: "Create a plan",
+  body: {
+    type: "object",
+    properties: planFields,
+    required: ["name", "price"],
+    additionalProperties: false,
+  },
+};
+
+export const updatePlan = {
+  summary: "Update a plan (partial)",
+  params: planParams,
+  body: {
+    type: "object",
+    properties: planFields,
+    additionalProperties: false,
+  },
+};
+
+export const deactivatePlan = {
+  summary: "Deactivate a plan",
+  params: planParams,
+};
+
+export const searchAuditEvents = {
+  summary: "Search audit events, one page at a time",
+  query: listQuery({
+    actor_id: userId,
+    action: { type: "string", maxLength: 100 },
+    payment_id: id,
+    user_id: userId,
+  }),
+};
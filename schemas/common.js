@@ -0,0 +1,82 @@
+import { MAX_PAGE_SIZE } from "../services/listQuery.js";
+import { MAX_PRICE } from "../services/plans.js";
+
+/**
+ * 🧩 SHARED SCHEMA PIECES
+ *
+ * Building blocks for the request schemas of each router (see
+ * middleware/validate.js). Everything here must stay plain JSON Schema
+ * because it is also published as OpenAPI.
+ */
+
+// SERIAL columns (payments.id, plans.id) are 32-bit
+export const id = { type: "integer", minimum: 1, maximum: 2147483647 };
+
+// Users are keyed by their auth provider's ID
+export const userId = { type: "string", minLength: 1, maxLength: 255 };
+
+/**
+ * Money in ETB, as stored in DECIMAL(10,2) columns
+ */
+export const amount = {
+  type: "number",
+  exclusiveMinimum: 0,
+  maximum: MAX_PRICE,
+  multipleOf: 0.01,
+};
+
+/**
+ * Free text that must contain more than whitespace
+ */
+export const text = (maxLength) => ({
+  type: "string",
+  minLength: 1,
+  maxLength,
+  pattern: "\\S",
+  errorMessage: "must not be blank",
+});
+
+export const isoDate = {
+  anyOf: [
+    { type: "string", format: "date" },
+    { type: "string", format: "date-time" },
+  ],
+  errorMessage: "must be an ISO 8601 date or date-time",
+};
+
+/**
+ * Path parameters; all of them are required
+ * @param {Record<string, object>} properties
+ */
+export const pathParams = (properties) => ({
+  type: "object",
+  properties,
+  required: Object.keys(properties),
+});
+
+/**
+ * The query parameters every list endpoint reads (see
+ * services/listQuery.js), plus the endpoint's own filters. Which sort
+ * values are allowed differs per list and is checked by parseListQuery.
+ * @param {Record<string, object>} [filters]
+ */
+export const listQuery = (filters = {}) => ({
+  type: "object",
+  properties: {
+    sort: {
+      type: "string",
+      maxLength: 50,
+      description: 'Field to sort by; "-" prefix for descending',
+    },
+    search: { type: "string", maxLength: 200 },
+    from: isoDate,
+    to: { ...isoDate, description: "A bare date includes that whole day" },
+    limit: { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE },
+    cursor: {
+      type: "string",
+      maxLength: 500,
+      description: "next_cursor of the previous page",
+    },
+    ...filters,
+  },
+});
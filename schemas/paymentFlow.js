@@ -0,0 +1,96 @@
+import { RECEIPT_REQUIRED } from "../services/receipts.js";
+import { amount, id, listQuery, text } from "./common.js";
+
+/**
+ * 📋 PAYMENT FLOW REQUEST SCHEMAS
+ *
+ * One per route in routes/paymentFlow.js (see middleware/validate.js).
+ * summary and public only feed the OpenAPI document.
+ */
+
+const MAX_TRANSACTION_ID_LENGTH = 100;
+
+export const listPlans = {
+  summary: "List active plans",
+  public: true,
+};
+
+export const getProStatus = {
+  summary: "The user's Pro status and subscription period",
+};
+
+export const listProviders = {
+  summary: "Payment providers users can pay with",
+};
+
+export const submitPayment = {
+  summary: "Submit a one-time payment with its transaction ID",
+  body: {
+    type: "object",
+    properties: {
+      plan_id: id,
+      transaction_id: text(MAX_TRANSACTION_ID_LENGTH),
+      provider: { type: "string", minLength: 1, maxLength: 50 },
+      amount: {
+        ...amount,
+        type: ["number", "null"],
+        description: "Amount paid; defaults to the plan price",
+      },
+      receipt: {
+        type: ["object", "null"],
+        description: "PNG, JPEG, WebP or PDF",
+        properties: {
+          filename: { type: "string", maxLength: 255 },
+          content_type: { type: "string", maxLength: 100 },
+          data: {
+            type: "string",
+            minLength: 1,
+            description: "base64 or a data: URL",
+          },
+        },
+        required: ["data"],
+        additionalProperties: false,
+      },
+    },
+    required: [
+      "plan_id",
+      "transaction_id",
+      ...(RECEIPT_REQUIRED ? ["receipt"] : []),
+    ],
+    additionalProperties: false,
+  },
+};
+
+export const getPaymentHistory = {
+  summary: "The user's payments, one page at a time",
+  query: listQuery(),
+};
+
+export const getNotificationPreferences = {
+  summary: "The user's notification preferences",
+};
+
+export const updateNotificationPreferences = {
+  summary: "Update the user's notification preferences (partial)",
+  body: {
+    type: "object",
+    properties: {
+      email_enabled: { type: "boolean" },
+      sms_enabled: { type: "boolean" },
+      email: {
+        type: ["string", "null"],
+        maxLength: 254,
+        pattern: "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$",
+        errorMessage: "must be a valid email address",
+        description: "Overrides the account email",
+      },
+      phone: {
+        type: ["string", "null"],
+        pattern: "^\\+?[0-9]{9,15}$",
+        errorMessage: "must be 9-15 digits, optionally starting with +",
+        description: "Required for SMS",
+      },
+    },
+    additionalProperties: false,
+  },
+};
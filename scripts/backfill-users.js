@@ -0,0 +1,61 @@
+import { testConnection } from "../config/db.js";
+import { clerkClient } from "../config/clerk.js";
+import { profileFromClerkUser, upsertUserProfile } from "../services/userSync.js";
+
+/**
+ * Copy email and name for every Clerk user into the users table
+ *
+ * Usage:
+ *   node scripts/backfill-users.js [--dry-run]
+ *
+ * Safe to re-run: profiles are upserted and Pro status is never touched.
+ */
+
+const PAGE_SIZE = 100;
+const dryRun = process.argv.includes("--dry-run");
+
+try {
+  const connectionTest = await testConnection(1);
+  if (!connectionTest.connected) {
+    throw new Error(`Database connection failed: ${connectionTest.error}`);
+  }
+
+  let offset = 0;
+  let synced = 0;
+  let skipped = 0;
+
+  while (true) {
+    const { data: users, totalCount } = await clerkClient.users.getUserList({
+      limit: PAGE_SIZE,
+      offset,
+      orderBy: "created_at",
+    });
+    if (users.length === 0) break;
+
+    for (const user of users) {
+      const profile = profileFromClerkUser(user);
+      if (dryRun) {
+        console.log(`  • ${profile.clerk_user_id} ${profile.email ?? "-"} ${profile.name ?? "-"}`);
+        synced++;
+      } else if (await upsertUserProfile(profile)) {
+        synced++;
+      } else {
+        skipped++;
+      }
+    }
+
+    offset += users.length;
+    console.log(`🔄 ${offset}/${totalCount} Clerk users processed`);
+    if (offset >= totalCount) break;
+  }
+
+  console.log(
+    `✅ ${dryRun ? "Would sync" : "Synced"} ${synced} user(s)${
+      skipped ? `, skipped ${skipped} deleted` : ""
+    }`
+  );
+  process.exit(0);
+} catch (error) {
+  console.error("❌ Backfill failed:", error.message);
+  process.exit(1);
+}
@@ -0,0 +1,48 @@
+import fs from "fs/promises";
+import { signSvixPayload } from "../services/userSync.js";
+
+/**
+ * Replay a recorded Clerk webhook against a running server
+ *
+ * Usage:
+ *   CLERK_WEBHOOK_SECRET=whsec_... node scripts/clerk-webhook-replay.js <fixture> [url]
+ *
+ * Fixtures live in test/fixtures/clerk. The body is re-signed with the
+ * server's secret and the current time, since recorded signatures are
+ * outside the replay window.
+ */
+
+const [fixturePath, url = "http://localhost:5001/api/webhooks/clerk"] =
+  process.argv.slice(2);
+const secret = process.env.CLERK_WEBHOOK_SECRET;
+
+if (!fixturePath || !secret) {
+  console.error(
+    "❌ Usage: CLERK_WEBHOOK_SECRET=whsec_... node scripts/clerk-webhook-replay.js <fixture> [url]"
+  );
+  process.exit(1);
+}
+
+try {
+  const fixture = JSON.parse(await fs.readFile(fixturePath, "utf8"));
+  const id = fixture.headers["svix-id"];
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "svix-id": id,
+      "svix-timestamp": String(timestamp),
+      "svix-signature": signSvixPayload(secret, id, timestamp, fixture.body),
+    },
+    body: fixture.body,
+  });
+
+  console.log(`📨 ${JSON.parse(fixture.body).type} → HTTP ${response.status}`);
+  console.log(await response.text());
+  process.exit(response.ok ? 0 : 1);
+} catch (error) {
+  console.error("❌ Replay failed:", error.message);
+  process.exit(1);
+}
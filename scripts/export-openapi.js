@@ -0,0 +1,27 @@
+import fs from "fs/promises";
+import { openApiDocument } from "../server.js";
+
+/**
+ * Write the OpenAPI document the server publishes at /api/openapi.json
+ *
+ * Usage:
+ *   node scripts/export-openapi.js [file]
+ *
+ * Writes openapi.json in the current directory unless a file is given.
+ * Loads the app like the server does, so it needs the same environment.
+ */
+
+const file = process.argv[2] || "openapi.json";
+
+try {
+  await fs.writeFile(file, `${JSON.stringify(openApiDocument, null, 2)}\n`);
+  console.log(
+    `📘 OpenAPI document written to ${file} (${
+      Object.keys(openApiDocument.paths).length
+    } paths)`
+  );
+  process.exit(0);
+} catch (error) {
+  console.error("❌", error.message);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+import bcrypt from "bcryptjs";
+import { localAuthProvider } from "../services/auth/local.js";
+
+/**
+ * Helpers for local accounts (AUTH_PROVIDER=local)
+ *
+ * Usage:
+ *   node scripts/local-auth.js hash <password>
+ *   LOCAL_AUTH_USERS=users.json LOCAL_AUTH_SECRET=... node scripts/local-auth.js token <user id or email>
+ *
+ * hash prints a bcrypt hash for a user's password_hash; token prints a
+ * bearer token for a seeded user.
+ */
+
+const [command, value] = process.argv.slice(2);
+
+try {
+  if (command === "hash" && value) {
+    console.log(await bcrypt.hash(value, 10));
+  } else if (command === "token" && value) {
+    const user = localAuthProvider.findUser(value);
+    if (!user) throw new Error(`No local user "${value}" in LOCAL_AUTH_USERS`);
+    console.log(localAuthProvider.signToken(user));
+  } else {
+    console.error(
+      "❌ Usage: node scripts/local-auth.js hash <password> | token <user id or email>"
+    );
+    process.exit(1);
+  }
+  process.exit(0);
+} catch (error) {
+  console.error("❌", error.message);
+  process.exit(1);
+}
@@ -0,0 +1,124 @@
+import fs from "fs/promises";
+import path from "path";
+import { testConnection } from "../config/db.js";
+import {
+  MIGRATIONS_DIR,
+  getMigrationStatus,
+  loadMigrations,
+  migrateDown,
+  migrateUp,
+} from "../config/migrator.js";
+
+/**
+ * Migration CLI
+ *
+ * Usage:
+ *   node scripts/migrate.js up [--to <version>]
+ *   node scripts/migrate.js down [--steps <n>]
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js create <name>
+ */
+
+const template = (name) => `/**
+ * ${name.replace(/_/g, " ")}
+ */
+export const up = (sql) => [
+  // sql\`ALTER TABLE ...\`,
+];
+
+export const down = (sql) => [
+  // sql\`ALTER TABLE ...\`,
+];
+`;
+
+// Versions and step counts both start at 1
+const getOption = (args, name) => {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+  const value = args[index + 1];
+  if (!/^[1-9]\d*$/.test(value ?? "")) {
+    throw new Error(`--${name} requires a positive integer`);
+  }
+  return parseInt(value, 10);
+};
+
+const connect = async () => {
+  const connectionTest = await testConnection(1);
+  if (!connectionTest.connected) {
+    throw new Error(`Database connection failed: ${connectionTest.error}`);
+  }
+};
+
+const commands = {
+  async up(args) {
+    await connect();
+    const applied = await migrateUp({ to: getOption(args, "to") });
+    console.log(
+      applied.length
+        ? `✅ Applied ${applied.length} migration(s)`
+        : "✅ Nothing to apply, schema is up to date"
+    );
+  },
+
+  async down(args) {
+    await connect();
+    const reverted = await migrateDown({ steps: getOption(args, "steps") ?? 1 });
+    console.log(
+      reverted.length
+        ? `✅ Reverted ${reverted.length} migration(s)`
+        : "✅ Nothing to revert"
+    );
+  },
+
+  async status() {
+    await connect();
+    const { applied, pending, missing } = await getMigrationStatus();
+
+    console.log("📋 Migration status");
+    for (const row of applied) {
+      console.log(
+        `  ✔ ${String(row.version).padStart(3, "0")}_${row.name}  (${new Date(
+          row.applied_at
+        ).toISOString()})`
+      );
+    }
+    for (const migration of pending) {
+      console.log(`  • ${migration.file}  (pending)`);
+    }
+    for (const row of missing) {
+      console.log(`  ⚠ ${row.version}_${row.name}  (applied, file missing)`);
+    }
+    console.log(`${applied.length} applied, ${pending.length} pending`);
+  },
+
+  async create(args) {
+    const name = (args[0] || "").toLowerCase().replace(/[^a-z0-9]+/g, "_");
+    if (!name) {
+      throw new Error("Usage: node scripts/migrate.js create <name>");
+    }
+
+    const migrations = await loadMigrations();
+    const next = (migrations.at(-1)?.version ?? 0) + 1;
+    const file = `${String(next).padStart(3, "0")}_${name}.js`;
+
+    await fs.writeFile(path.join(MIGRATIONS_DIR, file), template(name), {
+      flag: "wx",
+    });
+    console.log(`📝 Created migrations/${file}`);
+  },
+};
+
+const [command = "status", ...args] = process.argv.slice(2);
+
+if (!commands[command]) {
+  console.error(`Unknown command "${command}". Use: up, down, status, create`);
+  process.exit(1);
+}
+
+try {
+  await commands[command](args);
+  process.exit(0);
+} catch (error) {
+  console.error("❌ Migration failed:", error.message);
+  process.exit(1);
+}
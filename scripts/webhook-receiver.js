@@ -0,0 +1,53 @@
+import http from "http";
+import { verifySignature } from "../services/webhooks.js";
+
+/**
+ * Local webhook receiver for development
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port]
+ *
+ * Register http://localhost:<port>/ as an endpoint, then watch events
+ * arrive here with their signature check result. Set FAIL_RATE (0-1) to
+ * answer some requests with 500 and exercise retries.
+ */
+
+const port = parseInt(process.argv[2]) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+const failRate = parseFloat(process.env.FAIL_RATE) || 0;
+
+if (!secret) {
+  console.error("❌ WEBHOOK_SECRET is required");
+  process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const valid = verifySignature(
+      secret,
+      body,
+      req.headers["x-webhook-signature"]
+    );
+
+    console.log("=".repeat(50));
+    console.log(
+      `📨 ${req.headers["x-webhook-event"]} ${req.headers["x-webhook-id"]}`
+    );
+    console.log(`🔏 Signature: ${valid ? "valid" : "INVALID"}`);
+    console.log(body);
+
+    if (!valid) {
+      res.writeHead(401).end("invalid signature");
+    } else if (Math.random() < failRate) {
+      res.writeHead(500).end("simulated failure");
+    } else {
+      res.writeHead(200).end("ok");
+    }
+  });
+});
+
+server.listen(port, () => {
+  console.log(`📡 Webhook receiver listening on http://localhost:${port}/`);
+});
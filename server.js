@@ -3,11 +3,28 @@ import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
 import { initDB } from "./config/db.js";
+import {
+  requireAuth,
+  requireAdmin,
+  requirePermission,
+} from "./middleware/bulletproofAuth.js";
 import { rateLimiter } from "./middleware/rateLimiter.js";
+import { getAuthProvider } from "./services/auth/index.js";
+import { buildOpenApiDocument } from "./services/openapi.js";
+import { PERMISSIONS } from "./services/roles/index.js";
+import {
+  AUDIT_ACTIONS,
+  actorFromRequest,
+  recordAuditEvent,
+} from "./services/audit.js";
 
 // Import routes
+import adminReconciliationRoute from "./routes/adminReconciliationRoute.js";
+import adminSessionRoute from "./routes/adminSessionRoute.js";
 import adminSubscriptionRoute from "./routes/adminSubscriptionRoute.js";
+import adminWebhookRoute from "./routes/adminWebhookRoute.js";
 import authRoute from "./routes/authRoute.js";
+import clerkWebhookRoute from "./routes/clerkWebhookRoute.js";
 import paymentFlowRoute from "./routes/paymentFlow.js";
 
 dotenv.config();
@@ -19,6 +36,8 @@ const __dirname = path.dirname(__filename);
 
 // Rate limiting & JSON parsing
 app.use(rateLimiter);
+// Signed webhooks need the raw body, so they are mounted before the parsers
+app.use("/api/webhooks/clerk", clerkWebhookRoute);
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
@@ -50,10 +69,12 @@ app.get("/api/health", (req, res) => {
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV,
     features: {
-      clerk_auth: true,
+      auth_provider: getAuthProvider().name,
       payment_flow: true,
       pro_management: true,
       admin_dashboard: true,
+      webhooks: true,
+      clerk_user_sync: Boolean(process.env.CLERK_WEBHOOK_SECRET),
     },
   });
 });
@@ -66,9 +87,14 @@ app.get("/", (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       health: "/api/health",
+      openapi: "/api/openapi.json",
       auth: "/api/auth",
       payment_flow: "/api/payment-flow",
       admin: "/api/admin/subscription",
+      admin_session: "/api/admin/session",
+      admin_webhooks: "/api/admin/webhooks",
+      admin_reconciliation: "/api/admin/reconciliation",
+      clerk_webhook: "/api/webhooks/clerk",
       admin_dashboard: "/admin",
     },
   });
@@ -77,7 +103,24 @@ app.get("/", (req, res) => {
 // API Routes
 app.use("/api/auth", authRoute);
 app.use("/api/payment-flow", paymentFlowRoute);
+app.use("/api/admin/session", adminSessionRoute);
 app.use("/api/admin/subscription", adminSubscriptionRoute);
+app.use("/api/admin/webhooks", adminWebhookRoute);
+app.use("/api/admin/reconciliation", adminReconciliationRoute);
+
+// Request schemas of the validated routes (see services/openapi.js)
+export const openApiDocument = buildOpenApiDocument([
+  { path: "/api/payment-flow", router: paymentFlowRoute, tag: "Payment flow" },
+  {
+    path: "/api/admin/subscription",
+    router: adminSubscriptionRoute,
+    tag: "Admin subscription",
+  },
+]);
+
+app.get("/api/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
 
 // Serve admin dashboard - exact route
 app.get("/admin", (req, res) => {
@@ -89,8 +132,14 @@ app.get(["/admin/dashboard", "/admin/payments", "/admin/users"], (req, res) => {
   res.sendFile(path.join(__dirname, "admin", "dashboard.html"));
 });
 
-// Database setup route
-app.post("/api/setup-database", async (req, res) => {
+// Database setup route (superadmins only, plus SETUP_KEY when configured)
+const canRunSetup = [
+  requireAuth,
+  requireAdmin,
+  requirePermission(PERMISSIONS.RUN_SETUP),
+];
+
+app.post("/api/setup-database", canRunSetup, async (req, res) => {
   try {
     const { setup_key } = req.body;
 
@@ -98,8 +147,18 @@ app.post("/api/setup-database", async (req, res) => {
       return res.status(401).json({ error: "Invalid setup key" });
     }
 
-    await initDB();
-    res.json({ message: "Database initialized successfully" });
+    const result = await initDB();
+
+    await recordAuditEvent(actorFromRequest(req), {
+      action: AUDIT_ACTIONS.DATABASE_SETUP,
+      targetType: "database",
+      metadata: { applied_migrations: result.applied },
+    });
+
+    res.json({
+      message: "Database initialized successfully",
+      applied_migrations: result.applied,
+    });
   } catch (error) {
     console.error("Database setup error:", error);
     res.status(500).json({ error: "Database setup failed: " + error.message });
@@ -143,52 +202,4 @@ app.use((err, req, res, next) => {
   res.status(500).json(errorResponse);
 });
 
-// Server initialization
-const PORT = process.env.PORT || 5001;
-
-const startServer = async () => {
-  try {
-    console.log("🔄 Initializing database...");
-    await initDB();
-
-    app.listen(PORT, () => {
-      console.log("=".repeat(50));
-      console.log("🚀 Payment Pro Server Started Successfully");
-      console.log("=".repeat(50));
-      console.log(`📡 PORT: ${PORT}`);
-      console.log(`🌍 Environment: ${process.env.NODE_ENV || "development"}`);
-      console.log(
-        `🔐 Clerk Auth: ${
-          process.env.CLERK_SECRET_KEY ? "Enabled" : "Disabled"
-        }`
-      );
-      console.log(`🏠 Local URL: http://localhost:${PORT}`);
-      console.log(`👑 Admin Dashboard: http://localhost:${PORT}/admin`);
-      console.log(`❤️ Health Check: http://localhost:${PORT}/api/health`);
-      console.log("=".repeat(50));
-      console.log("📊 Available Endpoints:");
-      console.log("  • GET  /api/payment-flow/pro-status - Check Pro status");
-      console.log("  • POST /api/payment-flow/submit-payment - Submit payment");
-      console.log(
-        "  • GET  /api/payment-flow/payment-history - Payment history"
-      );
-      console.log(
-        "  • GET  /api/admin/subscription/payments/pending - Admin view"
-      );
-      console.log(
-        "  • POST /api/admin/subscription/payments/:id/approve - Approve"
-      );
-      console.log(
-        "  • POST /api/admin/subscription/payments/:id/reject - Reject"
-      );
-      console.log("=".repeat(50));
-    });
-  } catch (error) {
-    console.error("❌ Failed to start server:", error);
-    process.exit(1);
-  }
-};
-
-startServer();
-
 export default app;
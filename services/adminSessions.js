@@ -0,0 +1,143 @@
+import crypto from "crypto";
+import { sql } from "../config/db.js";
+
+/**
+ * 🍪 ADMIN SESSIONS
+ *
+ * The dashboard signs in once with a token from the auth provider (a Clerk
+ * session token, or a local account's token) and gets a server-side session
+ * back: an opaque token in an httpOnly, SameSite cookie. Only the token's
+ * SHA-256 is stored. A session ends after
+ * ADMIN_SESSION_IDLE_MINUTES without a request (default 30), after
+ * ADMIN_SESSION_MAX_HOURS in total (default 12), or when revoked.
+ *
+ * Requests authenticated by the cookie that change anything must send the
+ * session's CSRF token in the X-CSRF-Token header.
+ */
+
+export const SESSION_COOKIE = "admin_session";
+export const CSRF_HEADER = "x-csrf-token";
+
+export const IDLE_MINUTES =
+  parseInt(process.env.ADMIN_SESSION_IDLE_MINUTES) || 30;
+export const MAX_HOURS = parseInt(process.env.ADMIN_SESSION_MAX_HOURS) || 12;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+/**
+ * Cookie attributes for the session token. Secure outside development so
+ * the token never travels over plain HTTP.
+ */
+export const sessionCookieOptions = () => ({
+  httpOnly: true,
+  sameSite: "strict",
+  secure: process.env.NODE_ENV === "production",
+  path: "/api",
+  maxAge: MAX_HOURS * 60 * 60 * 1000,
+});
+
+/**
+ * Start a session for an admin
+ * @param {string} adminId
+ * @param {{ip: string|null, userAgent: string|null}} client
+ * @returns {Promise<{token: string, session: object}>} the token goes into
+ *   the cookie and is not recoverable afterwards
+ */
+export const createSession = async (adminId, { ip, userAgent }) => {
+  const token = randomToken();
+
+  const [session] = await sql`
+    INSERT INTO admin_sessions (
+      token_hash, admin_id, csrf_token, ip_address, user_agent, expires_at
+    )
+    VALUES (
+      ${hashToken(token)},
+      ${adminId},
+      ${randomToken()},
+      ${ip},
+      ${userAgent},
+      CURRENT_TIMESTAMP + make_interval(hours => ${MAX_HOURS})
+    )
+    RETURNING *
+  `;
+
+  return { token, session };
+};
+
+/**
+ * Look up a live session by its token and mark it as used now
+ * @returns {Promise<object|null>} null if unknown, revoked, idle too long
+ *   or past its maximum age
+ */
+export const touchSession = async (token) => {
+  const [session] = await sql`
+    UPDATE admin_sessions
+    SET last_seen_at = CURRENT_TIMESTAMP
+    WHERE token_hash = ${hashToken(token)}
+      AND revoked_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+      AND last_seen_at > CURRENT_TIMESTAMP - make_interval(mins => ${IDLE_MINUTES})
+    RETURNING *
+  `;
+  return session || null;
+};
+
+/**
+ * Constant-time comparison of the CSRF token sent with a request
+ */
+export const isValidCsrfToken = (session, sent) => {
+  if (typeof sent !== "string") return false;
+  const expected = Buffer.from(session.csrf_token);
+  const actual = Buffer.from(sent);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+/**
+ * Session fields safe to show the admin (no token hash or CSRF token)
+ */
+export const publicSession = (session, currentSessionId = null) => ({
+  id: session.id,
+  admin_id: session.admin_id,
+  ip_address: session.ip_address,
+  user_agent: session.user_agent,
+  created_at: session.created_at,
+  last_seen_at: session.last_seen_at,
+  expires_at: session.expires_at,
+  current: session.id === currentSessionId,
+});
+
+/**
+ * An admin's live sessions, most recently used first
+ */
+export const listSessions = async (adminId) =>
+  sql`
+    SELECT * FROM admin_sessions
+    WHERE admin_id = ${adminId}
+      AND revoked_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+      AND last_seen_at > CURRENT_TIMESTAMP - make_interval(mins => ${IDLE_MINUTES})
+    ORDER BY last_seen_at DESC, id DESC
+  `;
+
+/**
+ * Revoke one of an admin's sessions
+ * @returns {Promise<object|null>} the revoked session, or null if the admin
+ *   has no such live session
+ */
+export const revokeSession = async (sessionId, adminId) => {
+  const [session] = await sql`
+    UPDATE admin_sessions
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = ${sessionId}
+      AND admin_id = ${adminId}
+      AND revoked_at IS NULL
+    RETURNING *
+  `;
+  return session || null;
+};
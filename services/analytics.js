@@ -0,0 +1,269 @@
+import { sql } from "../config/db.js";
+
+/**
+ * 📈 REVENUE AND CONVERSION ANALYTICS
+ *
+ * Figures for a date range (UTC days, both ends inclusive), as totals, a
+ * time series and per-plan / per-provider breakdowns.
+ *
+ * Definitions:
+ * - A payment counts as approved (and its amount as gross revenue) on the
+ *   day it was approved, even if it was later refunded or reversed
+ * - Refunds count on the day they were made (payment_refunds), so net
+ *   revenue for a period is gross minus the refunds made in it
+ * - Approval rate is approvals / (approvals + rejections) decided in the
+ *   period; null when nothing was decided
+ * - Time to approval runs from submission to approval
+ * - New Pro users are users whose first ever approved payment falls in
+ *   the period; manual grants are not conversions
+ */
+
+export const ANALYTICS_GRANULARITIES = ["day", "week", "month"];
+
+const toNumber = (value) => (value === null ? null : Number(value));
+
+const money = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const approvalRate = (approvals, rejections) =>
+  approvals + rejections === 0
+    ? null
+    : Math.round((approvals / (approvals + rejections)) * 10000) / 10000;
+
+const revenueFigures = (row) => {
+  const gross = money(row.gross_revenue);
+  const refunded = money(row.refunded);
+  return {
+    gross_revenue: gross,
+    refunded,
+    net_revenue: money(gross - refunded),
+  };
+};
+
+const conversionFigures = (row) => {
+  const approvals = parseInt(row.approvals) || 0;
+  const rejections = parseInt(row.rejections) || 0;
+  return {
+    submissions: parseInt(row.submissions) || 0,
+    approvals,
+    rejections,
+    approval_rate: approvalRate(approvals, rejections),
+  };
+};
+
+/**
+ * @param {object} range
+ * @param {string} range.from - YYYY-MM-DD
+ * @param {string} range.to - YYYY-MM-DD, inclusive
+ * @param {string} range.granularity - one of ANALYTICS_GRANULARITIES
+ */
+export const getAnalytics = async ({ from, to, granularity }) => {
+  const [series, totals, byPlan, byProvider] = await Promise.all([
+    sql`
+      WITH buckets AS (
+        SELECT generate_series(
+          date_trunc(${granularity}, ${from}::timestamp),
+          date_trunc(${granularity}, ${to}::timestamp),
+          ('1 ' || ${granularity})::interval
+        ) as period
+      ),
+      decided AS (
+        SELECT
+          date_trunc(${granularity}, processed_at) as period,
+          COUNT(*) FILTER (WHERE status <> 'rejected') as approvals,
+          COUNT(*) FILTER (WHERE status = 'rejected') as rejections,
+          SUM(amount) FILTER (WHERE status <> 'rejected') as gross_revenue,
+          percentile_cont(0.5) WITHIN GROUP (
+            ORDER BY EXTRACT(EPOCH FROM processed_at - created_at)
+          ) FILTER (WHERE status <> 'rejected') as median_seconds
+        FROM payments
+        WHERE status IN ('approved', 'refunded', 'reversed', 'rejected')
+          AND processed_at >= ${from}::date
+          AND processed_at < ${to}::date + 1
+        GROUP BY 1
+      ),
+      submitted AS (
+        SELECT date_trunc(${granularity}, created_at) as period, COUNT(*) as submissions
+        FROM payments
+        WHERE created_at >= ${from}::date AND created_at < ${to}::date + 1
+        GROUP BY 1
+      ),
+      refunded AS (
+        SELECT date_trunc(${granularity}, created_at) as period, SUM(amount) as refunded
+        FROM payment_refunds
+        WHERE created_at >= ${from}::date AND created_at < ${to}::date + 1
+        GROUP BY 1
+      ),
+      converted AS (
+        SELECT date_trunc(${granularity}, first_approved_at) as period, COUNT(*) as new_pro_users
+        FROM (
+          SELECT MIN(processed_at) as first_approved_at
+          FROM payments
+          WHERE status IN ('approved', 'refunded', 'reversed')
+          GROUP BY clerk_user_id
+        ) firsts
+        WHERE first_approved_at >= ${from}::date
+          AND first_approved_at < ${to}::date + 1
+        GROUP BY 1
+      )
+      SELECT
+        b.period,
+        d.approvals,
+        d.rejections,
+        d.gross_revenue,
+        d.median_seconds,
+        s.submissions,
+        r.refunded,
+        c.new_pro_users
+      FROM buckets b
+      LEFT JOIN decided d ON d.period = b.period
+      LEFT JOIN submitted s ON s.period = b.period
+      LEFT JOIN refunded r ON r.period = b.period
+      LEFT JOIN converted c ON c.period = b.period
+      ORDER BY b.period
+    `,
+    sql`
+      SELECT
+        COUNT(*) FILTER (WHERE status <> 'rejected') as approvals,
+        COUNT(*) FILTER (WHERE status = 'rejected') as rejections,
+        SUM(amount) FILTER (WHERE status <> 'rejected') as gross_revenue,
+        percentile_cont(0.5) WITHIN GROUP (
+          ORDER BY EXTRACT(EPOCH FROM processed_at - created_at)
+        ) FILTER (WHERE status <> 'rejected') as median_seconds,
+        (
+          SELECT COUNT(*) FROM payments
+          WHERE created_at >= ${from}::date AND created_at < ${to}::date + 1
+        ) as submissions,
+        (
+          SELECT SUM(amount) FROM payment_refunds
+          WHERE created_at >= ${from}::date AND created_at < ${to}::date + 1
+        ) as refunded,
+        (
+          SELECT COUNT(*) FROM (
+            SELECT MIN(processed_at) as first_approved_at
+            FROM payments
+            WHERE status IN ('approved', 'refunded', 'reversed')
+            GROUP BY clerk_user_id
+          ) firsts
+          WHERE first_approved_at >= ${from}::date
+            AND first_approved_at < ${to}::date + 1
+        ) as new_pro_users
+      FROM payments
+      WHERE status IN ('approved', 'refunded', 'reversed', 'rejected')
+        AND processed_at >= ${from}::date
+        AND processed_at < ${to}::date + 1
+    `,
+    // Payments without a plan (legacy submissions) are grouped under plan 0
+    sql`
+      WITH approved AS (
+        SELECT
+          COALESCE(plan_id, 0) as plan_key,
+          COUNT(*) as approvals,
+          SUM(amount) as gross_revenue
+        FROM payments
+        WHERE status IN ('approved', 'refunded', 'reversed')
+          AND processed_at >= ${from}::date
+          AND processed_at < ${to}::date + 1
+        GROUP BY 1
+      ),
+      refunded AS (
+        SELECT COALESCE(p.plan_id, 0) as plan_key, SUM(r.amount) as refunded
+        FROM payment_refunds r
+        JOIN payments p ON p.id = r.payment_id
+        WHERE r.created_at >= ${from}::date AND r.created_at < ${to}::date + 1
+        GROUP BY 1
+      ),
+      plan_keys AS (
+        SELECT plan_key FROM approved
+        UNION
+        SELECT plan_key FROM refunded
+      )
+      SELECT
+        NULLIF(k.plan_key, 0) as plan_id,
+        pl.name as plan_name,
+        a.approvals,
+        a.gross_revenue,
+        r.refunded
+      FROM plan_keys k
+      LEFT JOIN approved a ON a.plan_key = k.plan_key
+      LEFT JOIN refunded r ON r.plan_key = k.plan_key
+      LEFT JOIN plans pl ON pl.id = k.plan_key
+      ORDER BY COALESCE(a.gross_revenue, 0) DESC, k.plan_key
+    `,
+    sql`
+      WITH decided AS (
+        SELECT
+          COALESCE(provider, 'unknown') as provider,
+          COUNT(*) FILTER (WHERE status <> 'rejected') as approvals,
+          COUNT(*) FILTER (WHERE status = 'rejected') as rejections,
+          SUM(amount) FILTER (WHERE status <> 'rejected') as gross_revenue
+        FROM payments
+        WHERE status IN ('approved', 'refunded', 'reversed', 'rejected')
+          AND processed_at >= ${from}::date
+          AND processed_at < ${to}::date + 1
+        GROUP BY 1
+      ),
+      submitted AS (
+        SELECT COALESCE(provider, 'unknown') as provider, COUNT(*) as submissions
+        FROM payments
+        WHERE created_at >= ${from}::date AND created_at < ${to}::date + 1
+        GROUP BY 1
+      ),
+      refunded AS (
+        SELECT COALESCE(p.provider, 'unknown') as provider, SUM(r.amount) as refunded
+        FROM payment_refunds r
+        JOIN payments p ON p.id = r.payment_id
+        WHERE r.created_at >= ${from}::date AND r.created_at < ${to}::date + 1
+        GROUP BY 1
+      ),
+      providers AS (
+        SELECT provider FROM decided
+        UNION
+        SELECT provider FROM submitted
+        UNION
+        SELECT provider FROM refunded
+      )
+      SELECT
+        k.provider,
+        s.submissions,
+        d.approvals,
+        d.rejections,
+        d.gross_revenue,
+        r.refunded
+      FROM providers k
+      LEFT JOIN decided d ON d.provider = k.provider
+      LEFT JOIN submitted s ON s.provider = k.provider
+      LEFT JOIN refunded r ON r.provider = k.provider
+      ORDER BY COALESCE(d.gross_revenue, 0) DESC, k.provider
+    `,
+  ]);
+
+  const [total] = totals;
+
+  return {
+    range: { from, to, granularity },
+    totals: {
+      ...revenueFigures(total),
+      ...conversionFigures(total),
+      median_time_to_approval_seconds: toNumber(total.median_seconds),
+      new_pro_users: parseInt(total.new_pro_users) || 0,
+    },
+    series: series.map((row) => ({
+      period: row.period,
+      ...revenueFigures(row),
+      ...conversionFigures(row),
+      median_time_to_approval_seconds: toNumber(row.median_seconds),
+      new_pro_users: parseInt(row.new_pro_users) || 0,
+    })),
+    by_plan: byPlan.map((row) => ({
+      plan_id: row.plan_id,
+      plan_name: row.plan_name,
+      approvals: parseInt(row.approvals) || 0,
+      ...revenueFigures(row),
+    })),
+    by_provider: byProvider.map((row) => ({
+      provider: row.provider,
+      ...conversionFigures(row),
+      ...revenueFigures(row),
+    })),
+  };
+};
@@ -0,0 +1,160 @@
+import { sql } from "../config/db.js";
+import {
+  listColumns,
+  listConditions,
+  listOrder,
+  listPage,
+} from "./listQuery.js";
+
+/**
+ * 📜 AUDIT TRAIL
+ *
+ * Every admin action and payment state transition is appended to
+ * audit_events. State transitions write their event inside the same
+ * transaction as the change itself (see services/payments.js), so the
+ * trail can never disagree with the data.
+ */
+
+export const AUDIT_ACTIONS = {
+  PAYMENT_SUBMITTED: "payment.submitted",
+  PAYMENT_VERIFIED: "payment.verified",
+  PAYMENT_RISK_ASSESSED: "payment.risk_assessed",
+  PAYMENT_PARTIALLY_APPROVED: "payment.partially_approved",
+  PAYMENT_APPROVED: "payment.approved",
+  PAYMENT_REJECTED: "payment.rejected",
+  PAYMENT_REFUNDED: "payment.refunded",
+  PAYMENT_REVERSED: "payment.reversed",
+  PRO_GRANTED: "user.pro_granted",
+  PRO_REVOKED: "user.pro_revoked",
+  SUBSCRIPTION_EXPIRED: "subscription.expired",
+  PLAN_CREATED: "plan.created",
+  PLAN_UPDATED: "plan.updated",
+  PLAN_DEACTIVATED: "plan.deactivated",
+  RECONCILIATION_IMPORTED: "reconciliation.imported",
+  RECONCILIATION_MAPPING_UPDATED: "reconciliation.mapping_updated",
+  DATA_EXPORTED: "data.exported",
+  ADMIN_SESSION_CREATED: "admin.session_created",
+  ADMIN_SESSION_REVOKED: "admin.session_revoked",
+  DATABASE_SETUP: "database.setup",
+};
+
+/**
+ * Who did something and from where
+ * @typedef {object} AuditActor
+ * @property {string} id
+ * @property {"admin"|"user"|"system"|"anonymous"} type
+ * @property {string|null} ip
+ * @property {string|null} userAgent
+ */
+
+/**
+ * Build the actor for an authenticated request
+ * @returns {AuditActor}
+ */
+export const actorFromRequest = (req) => {
+  let actor = { id: "anonymous", type: "anonymous" };
+  if (req.admin_id) actor = { id: req.admin_id, type: "admin" };
+  else if (req.clerk_user_id) actor = { id: req.clerk_user_id, type: "user" };
+
+  return {
+    ...actor,
+    ip: req.ip || null,
+    userAgent: req.get?.("user-agent") || null,
+  };
+};
+
+/**
+ * Actor for automated changes (provider verification, scheduled jobs)
+ * @returns {AuditActor}
+ */
+export const systemActor = (name) => ({
+  id: `system:${name}`,
+  type: "system",
+  ip: null,
+  userAgent: null,
+});
+
+const toJson = (value) =>
+  value === undefined || value === null ? null : JSON.stringify(value);
+
+/**
+ * Build an INSERT for an event whose states are already known in JS.
+ * Pass a transaction tag to make it part of a larger transaction.
+ */
+export const auditEventQuery = (
+  query,
+  actor,
+  {
+    action,
+    targetType,
+    targetId = null,
+    paymentId = null,
+    userId = null,
+    before = null,
+    after = null,
+    metadata = null,
+  }
+) => query`
+  INSERT INTO audit_events (
+    actor_id, actor_type, action, target_type, target_id, payment_id, user_id,
+    before_state, after_state, metadata, ip_address, user_agent
+  )
+  VALUES (
+    ${actor.id}, ${actor.type}, ${action}, ${targetType},
+    ${targetId === null ? null : String(targetId)}, ${paymentId}, ${userId},
+    ${toJson(before)}, ${toJson(after)}, ${toJson(metadata)},
+    ${actor.ip}, ${actor.userAgent}
+  )
+`;
+
+/**
+ * Record an event outside of any transaction. Failures are logged rather
+ * than thrown so auditing never breaks the action being audited.
+ */
+export const recordAuditEvent = async (actor, event) => {
+  try {
+    await auditEventQuery(sql, actor, event);
+  } catch (error) {
+    console.error(`❌ Failed to record audit event ${event.action}:`, error);
+  }
+};
+
+/**
+ * Sorting, search and date filters for searchAuditEvents (see
+ * services/listQuery.js)
+ * @type {import("./listQuery.js").ListSpec}
+ */
+export const AUDIT_LIST = {
+  sorts: {
+    created_at: { expression: "created_at", type: "timestamp" },
+  },
+  defaultSort: "-created_at",
+  id: "id",
+  search: ["actor_id", "action", "target_id"],
+  dateColumn: "created_at",
+};
+
+/**
+ * Search the audit trail, one page at a time
+ * @param {object} filters - actor_id, action, payment_id, user_id
+ * @param {object} list - parsed by parseListQuery with AUDIT_LIST
+ * @returns {Promise<{events: object[], next_cursor: string|null, has_more: boolean}>}
+ */
+export const searchAuditEvents = async (
+  { actor_id = null, action = null, payment_id = null, user_id = null } = {},
+  list
+) => {
+  const rows = await sql`
+    SELECT *, ${listColumns(list, AUDIT_LIST)}
+    FROM audit_events
+    WHERE (${actor_id}::text IS NULL OR actor_id = ${actor_id})
+      AND (${action}::text IS NULL OR action = ${action})
+      AND (${payment_id}::integer IS NULL OR payment_id = ${payment_id})
+      AND (${user_id}::text IS NULL OR user_id = ${user_id})
+      ${listConditions(list, AUDIT_LIST)}
+    ${listOrder(list, AUDIT_LIST)}
+  `;
+
+  const { items, next_cursor, has_more } = listPage(rows, list);
+  return { events: items, next_cursor, has_more };
+};
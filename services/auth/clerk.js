@@ -0,0 +1,19 @@
+import { clerkClient } from "../../config/clerk.js";
+import { profileFromClerkUser } from "../userSync.js";
+
+/**
+ * Clerk session tokens, verified with CLERK_SECRET_KEY. Profiles come from
+ * the Clerk user API.
+ */
+export const clerkAuthProvider = {
+  name: "clerk",
+  roleStore: "clerk",
+
+  async verifyToken(token) {
+    return clerkClient.verifyToken(token);
+  },
+
+  async getProfile(userId) {
+    return profileFromClerkUser(await clerkClient.users.getUser(userId));
+  },
+};
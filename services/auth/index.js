@@ -0,0 +1,29 @@
+import { clerkAuthProvider } from "./clerk.js";
+import { localAuthProvider } from "./local.js";
+
+/**
+ * 🔑 AUTH PROVIDERS
+ *
+ * Providers expose:
+ * - name
+ * - roleStore - admin role store used unless ADMIN_ROLE_STORE says otherwise
+ * - verifyToken(token) → token claims (sub is the user ID), throws if invalid
+ * - getProfile(userId) → { clerk_user_id, email, name }, null if unknown
+ *
+ * The provider is chosen with AUTH_PROVIDER (default clerk). The local
+ * provider also has login(email, password) and signToken(user).
+ */
+
+const PROVIDERS = {
+  [clerkAuthProvider.name]: clerkAuthProvider,
+  [localAuthProvider.name]: localAuthProvider,
+};
+
+export const getAuthProvider = () => {
+  const configured = process.env.AUTH_PROVIDER || "clerk";
+  const provider = PROVIDERS[configured];
+  if (!provider) {
+    throw new Error(`Unknown auth provider "${configured}"`);
+  }
+  return provider;
+};
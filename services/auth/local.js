@@ -0,0 +1,122 @@
+import bcrypt from "bcryptjs";
+import fs from "fs";
+import jwt from "jsonwebtoken";
+import { localRoleStore } from "../roles/local.js";
+import { isRole } from "../roles/permissions.js";
+
+/**
+ * Local accounts for development and CI, no Clerk needed.
+ *
+ * Users are seeded from the JSON file named by LOCAL_AUTH_USERS:
+ *
+ *   [{ "id": "user_local_admin", "email": "admin@example.com",
+ *      "name": "Local Admin", "password_hash": "$2b$10$...",
+ *      "role": "superadmin" }]
+ *
+ * password_hash (bcrypt) is only needed for POST /api/auth/login and role
+ * only for admins; roles are handed to the local role store. Tokens are
+ * HS256 JWTs signed with LOCAL_AUTH_SECRET and valid for
+ * LOCAL_AUTH_TOKEN_TTL (default 12h). scripts/local-auth.js hashes
+ * passwords and mints tokens.
+ */
+
+const ISSUER = "payment-pro-local";
+
+const users = new Map();
+
+const loadUsers = (file) => {
+  const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(entries)) {
+    throw new Error(`${file} must contain an array of users`);
+  }
+
+  for (const entry of entries) {
+    if (!entry?.id) {
+      console.warn(`⚠️ Ignoring local user without an id in ${file}`);
+      continue;
+    }
+    users.set(entry.id, entry);
+    if (entry.role !== undefined) {
+      if (!isRole(entry.role)) {
+        throw new Error(`Unknown role "${entry.role}" for local user ${entry.id}`);
+      }
+      localRoleStore.setRole(entry.id, entry.role);
+    }
+  }
+};
+
+if (process.env.LOCAL_AUTH_USERS) loadUsers(process.env.LOCAL_AUTH_USERS);
+
+const secret = () => {
+  if (!process.env.LOCAL_AUTH_SECRET) {
+    throw new Error("LOCAL_AUTH_SECRET is not configured");
+  }
+  return process.env.LOCAL_AUTH_SECRET;
+};
+
+const findByEmail = (email) =>
+  [...users.values()].find(
+    (user) => user.email?.toLowerCase() === String(email).toLowerCase()
+  );
+
+// Compared against when the email is unknown, so both cases take as long
+const DUMMY_HASH =
+  "$2b$10$am3vJpmNGsfxd9DuxXYr1eFWtufuK9H3xfCT3Ne7bk3IIGyMPaA7K";
+
+export const localAuthProvider = {
+  name: "local",
+  roleStore: "local",
+
+  async verifyToken(token) {
+    const claims = jwt.verify(token, secret(), {
+      algorithms: ["HS256"],
+      issuer: ISSUER,
+    });
+    if (!users.has(claims.sub)) {
+      throw new Error(`Unknown local user ${claims.sub}`);
+    }
+    return claims;
+  },
+
+  async getProfile(userId) {
+    const user = users.get(userId);
+    if (!user) return null;
+    return {
+      clerk_user_id: user.id,
+      email: user.email || null,
+      name: user.name || null,
+    };
+  },
+
+  /**
+   * Look up a seeded user by id or email
+   */
+  findUser(idOrEmail) {
+    return users.get(idOrEmail) || findByEmail(idOrEmail) || null;
+  },
+
+  /**
+   * @returns {string} a signed token for a seeded user
+   */
+  signToken(user) {
+    return jwt.sign({ email: user.email, name: user.name }, secret(), {
+      algorithm: "HS256",
+      issuer: ISSUER,
+      subject: user.id,
+      expiresIn: process.env.LOCAL_AUTH_TOKEN_TTL || "12h",
+    });
+  },
+
+  /**
+   * Check an email and password
+   * @returns {Promise<object|null>} the user, null if the credentials are wrong
+   */
+  async login(email, password) {
+    const user = findByEmail(email);
+    const matches = await bcrypt.compare(
+      String(password),
+      user?.password_hash || DUMMY_HASH
+    );
+    return user?.password_hash && matches ? user : null;
+  },
+};
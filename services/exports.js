@@ -0,0 +1,519 @@
+import ExcelJS from "exceljs";
+import { sql } from "../config/db.js";
+import { AUDIT_ACTIONS, recordAuditEvent } from "./audit.js";
+import { searchPattern } from "./listQuery.js";
+import { PRO_FILTER } from "./users.js";
+
+/**
+ * 📤 DATA EXPORTS
+ *
+ * CSV and XLSX exports of payments and users for the finance team. Rows
+ * are read in keyset batches and written to the response as they arrive,
+ * so memory use does not grow with the size of the export.
+ *
+ * Column sets are part of the contract: spreadsheets and accounting
+ * imports refer to them by position and header, so only ever add columns
+ * at the end. Timestamps are UTC and amounts are plain numbers with two
+ * decimals (no currency symbol or thousands separator).
+ */
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+export const EXPORT_RESOURCES = ["payments", "users"];
+
+const BATCH_SIZE = 1000;
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+const APPROVED_STATUSES = ["approved", "refunded", "reversed"];
+
+const PAYMENT_COLUMNS = [
+  { key: "id", header: "Payment ID", type: "integer" },
+  { key: "created_at", header: "Submitted At (UTC)", type: "datetime" },
+  { key: "processed_at", header: "Processed At (UTC)", type: "datetime" },
+  { key: "status", header: "Status", type: "text" },
+  { key: "clerk_user_id", header: "User ID", type: "text" },
+  { key: "user_email", header: "User Email", type: "text" },
+  { key: "user_name", header: "User Name", type: "text" },
+  { key: "plan_id", header: "Plan ID", type: "integer" },
+  { key: "plan_name", header: "Plan", type: "text" },
+  { key: "provider", header: "Provider", type: "text" },
+  { key: "transaction_id", header: "Transaction ID", type: "text" },
+  { key: "amount", header: "Amount (ETB)", type: "money" },
+  { key: "expected_amount", header: "Expected Amount (ETB)", type: "money" },
+  { key: "refunded_amount", header: "Refunded (ETB)", type: "money" },
+  { key: "net_amount", header: "Net Revenue (ETB)", type: "money" },
+  { key: "period_start", header: "Period Start (UTC)", type: "datetime" },
+  { key: "period_end", header: "Period End (UTC)", type: "datetime" },
+  { key: "admin_id", header: "Processed By", type: "text" },
+  { key: "rejection_reason", header: "Rejection Reason", type: "text" },
+  { key: "verification_status", header: "Verification", type: "text" },
+  { key: "risk_score", header: "Risk Score", type: "integer" },
+  { key: "risk_level", header: "Risk Level", type: "text" },
+];
+
+const USER_COLUMNS = [
+  { key: "clerk_user_id", header: "User ID", type: "text" },
+  { key: "email", header: "Email", type: "text" },
+  { key: "name", header: "Name", type: "text" },
+  { key: "is_pro", header: "Pro", type: "boolean" },
+  { key: "plan_id", header: "Plan ID", type: "integer" },
+  { key: "plan_name", header: "Plan", type: "text" },
+  { key: "pro_since", header: "Pro Since (UTC)", type: "datetime" },
+  {
+    key: "current_period_start",
+    header: "Period Start (UTC)",
+    type: "datetime",
+  },
+  { key: "current_period_end", header: "Period End (UTC)", type: "datetime" },
+  { key: "expired_at", header: "Expired At (UTC)", type: "datetime" },
+  { key: "payment_count", header: "Payments", type: "integer" },
+  { key: "total_paid", header: "Total Paid (ETB)", type: "money" },
+  { key: "last_payment_at", header: "Last Payment At (UTC)", type: "datetime" },
+  { key: "created_at", header: "Created At (UTC)", type: "datetime" },
+  { key: "deleted_at", header: "Deleted At (UTC)", type: "datetime" },
+];
+
+const XLSX_FORMATS = {
+  money: "#,##0.00",
+  integer: "0",
+  datetime: "yyyy-mm-dd hh:mm:ss",
+};
+
+const XLSX_WIDTHS = {
+  money: 16,
+  integer: 12,
+  datetime: 20,
+  boolean: 8,
+  text: 24,
+};
+
+/**
+ * Read rows in id order, one batch at a time
+ * @param {(afterId: number) => Promise<object[]>} fetchBatch
+ */
+async function* batches(fetchBatch) {
+  let afterId = 0;
+  for (;;) {
+    const rows = await fetchBatch(afterId);
+    if (rows.length > 0) yield rows;
+    if (rows.length < BATCH_SIZE) return;
+    afterId = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * @param {object} filters - status, user_id, from, to (ISO timestamps),
+ * date_field (created_at or processed_at)
+ */
+const paymentBatches = ({ status, user_id, from, to, date_field }) =>
+  batches(
+    (afterId) => sql`
+      SELECT
+        p.id,
+        p.created_at,
+        p.processed_at,
+        p.status,
+        p.clerk_user_id,
+        u.email as user_email,
+        u.name as user_name,
+        p.plan_id,
+        pl.name as plan_name,
+        p.provider,
+        p.transaction_id,
+        p.amount,
+        p.expected_amount,
+        p.refunded_amount,
+        CASE
+          WHEN p.status = ANY(${APPROVED_STATUSES}::text[])
+          THEN p.amount - p.refunded_amount
+          ELSE 0
+        END as net_amount,
+        p.period_start,
+        p.period_end,
+        p.admin_id,
+        p.rejection_reason,
+        p.verification_status,
+        p.risk_score,
+        p.risk_level
+      FROM payments p
+      LEFT JOIN users u ON u.clerk_user_id = p.clerk_user_id
+      LEFT JOIN plans pl ON pl.id = p.plan_id
+      CROSS JOIN LATERAL (
+        SELECT CASE
+          WHEN ${date_field} = 'processed_at' THEN p.processed_at
+          ELSE p.created_at
+        END as filter_date
+      ) d
+      WHERE p.id > ${afterId}
+        AND (${status}::text IS NULL OR p.status = ${status})
+        AND (${user_id}::text IS NULL OR p.clerk_user_id = ${user_id})
+        AND (${from}::timestamp IS NULL OR d.filter_date >= ${from}::timestamp)
+        AND (${to}::timestamp IS NULL OR d.filter_date <= ${to}::timestamp)
+      ORDER BY p.id
+      LIMIT ${BATCH_SIZE}
+    `
+  );
+
+/**
+ * @param {object} filters - search, pro (one of PRO_FILTER)
+ */
+const userBatches = ({ search, pro }) => {
+  const pattern = searchPattern(search);
+  const isPro = pro === PRO_FILTER.ALL ? null : pro === PRO_FILTER.PRO;
+
+  return batches(
+    (afterId) => sql`
+      SELECT
+        u.id,
+        u.clerk_user_id,
+        u.email,
+        u.name,
+        COALESCE(u.is_pro, false) as is_pro,
+        u.plan_id,
+        pl.name as plan_name,
+        u.pro_since,
+        u.current_period_start,
+        u.current_period_end,
+        u.expired_at,
+        COALESCE(stats.payment_count, 0) as payment_count,
+        COALESCE(stats.total_paid, 0) as total_paid,
+        stats.last_payment_at,
+        u.created_at,
+        u.deleted_at
+      FROM users u
+      LEFT JOIN plans pl ON u.plan_id = pl.id
+      LEFT JOIN LATERAL (
+        SELECT
+          COUNT(*) as payment_count,
+          SUM(amount - refunded_amount) FILTER (
+            WHERE status = ANY(${APPROVED_STATUSES}::text[])
+          ) as total_paid,
+          MAX(created_at) as last_payment_at
+        FROM payments
+        WHERE clerk_user_id = u.clerk_user_id
+      ) stats ON true
+      WHERE u.id > ${afterId}
+        AND (${isPro}::boolean IS NULL OR COALESCE(u.is_pro, false) = ${isPro})
+        AND (
+          ${pattern}::text IS NULL
+          OR u.clerk_user_id ILIKE ${pattern}
+          OR u.email ILIKE ${pattern}
+          OR u.name ILIKE ${pattern}
+        )
+      ORDER BY u.id
+      LIMIT ${BATCH_SIZE}
+    `
+  );
+};
+
+const money = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Running totals for the summary sheet, per status
+ */
+const paymentSummary = () => {
+  const byStatus = new Map();
+  const totals = { count: 0, amount: 0, refunded: 0, net: 0 };
+
+  return {
+    add(row) {
+      const entry = byStatus.get(row.status) || {
+        count: 0,
+        amount: 0,
+        refunded: 0,
+        net: 0,
+      };
+      for (const target of [entry, totals]) {
+        target.count += 1;
+        target.amount = money(target.amount + Number(row.amount));
+        target.refunded = money(target.refunded + Number(row.refunded_amount));
+        target.net = money(target.net + Number(row.net_amount));
+      }
+      byStatus.set(row.status, entry);
+    },
+    rows: () => [
+      [
+        "Status",
+        "Payments",
+        "Amount (ETB)",
+        "Refunded (ETB)",
+        "Net Revenue (ETB)",
+      ],
+      ...[...byStatus.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([status, entry]) => [
+          status,
+          entry.count,
+          entry.amount,
+          entry.refunded,
+          entry.net,
+        ]),
+      ["Total", totals.count, totals.amount, totals.refunded, totals.net],
+    ],
+    get count() {
+      return totals.count;
+    },
+  };
+};
+
+const userSummary = () => {
+  const totals = { count: 0, pro: 0, paid: 0 };
+
+  return {
+    add(row) {
+      totals.count += 1;
+      if (row.is_pro) totals.pro += 1;
+      totals.paid = money(totals.paid + Number(row.total_paid));
+    },
+    rows: () => [
+      ["Users", "Pro Users", "Total Paid (ETB)"],
+      [totals.count, totals.pro, totals.paid],
+    ],
+    get count() {
+      return totals.count;
+    },
+  };
+};
+
+const EXPORTS = {
+  payments: {
+    columns: PAYMENT_COLUMNS,
+    batches: paymentBatches,
+    summary: paymentSummary,
+  },
+  users: { columns: USER_COLUMNS, batches: userBatches, summary: userSummary },
+};
+
+const toDate = (value) => {
+  if (value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Normalize a database value for a column, shared by both formats
+ */
+const cellValue = (column, value) => {
+  if (value === null || value === undefined) return null;
+  switch (column.type) {
+    case "money":
+      return money(value);
+    case "integer":
+      return Number(value);
+    case "datetime":
+      return toDate(value);
+    case "boolean":
+      return Boolean(value);
+    default:
+      return String(value);
+  }
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const utcTimestamp = (date) =>
+  date.toISOString().slice(0, 19).replace("T", " ");
+
+const csvField = (column, value) => {
+  const cell = cellValue(column, value);
+  if (cell === null) return "";
+
+  let text;
+  if (column.type === "money") text = cell.toFixed(2);
+  else if (column.type === "datetime") text = utcTimestamp(cell);
+  else if (column.type === "text" && FORMULA_PREFIX.test(cell)) {
+    text = `'${cell}`;
+  } else text = String(cell);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (fields) => `${fields.join(",")}\r\n`;
+
+/**
+ * Wait for a full response buffer to empty; rejects if the client goes away
+ */
+const drain = (stream) =>
+  new Promise((resolve, reject) => {
+    const settle = (error) => {
+      stream.off("drain", settle);
+      stream.off("close", closed);
+      if (error) reject(error);
+      else resolve();
+    };
+    const closed = () => settle(new Error("Client disconnected"));
+    stream.on("drain", settle);
+    stream.on("close", closed);
+  });
+
+const ensureOpen = (res) => {
+  if (res.destroyed) throw new Error("Client disconnected");
+};
+
+const writeCsv = async (res, { columns, rows, summary }) => {
+  const write = async (chunk) => {
+    ensureOpen(res);
+    if (!res.write(chunk)) await drain(res);
+  };
+
+  // BOM so Excel opens the file as UTF-8
+  await write(`\uFEFF${csvLine(columns.map((column) => column.header))}`);
+
+  for await (const batch of rows) {
+    batch.forEach((row) => summary.add(row));
+    await write(
+      batch
+        .map((row) =>
+          csvLine(columns.map((column) => csvField(column, row[column.key])))
+        )
+        .join("")
+    );
+  }
+
+  res.end();
+};
+
+const writeXlsx = async (res, { columns, rows, summary, details }) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+    useSharedStrings: false,
+  });
+
+  const sheet = workbook.addWorksheet(details.title, {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  sheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: XLSX_WIDTHS[column.type],
+    style: XLSX_FORMATS[column.type]
+      ? { numFmt: XLSX_FORMATS[column.type] }
+      : undefined,
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const batch of rows) {
+    ensureOpen(res);
+    for (const row of batch) {
+      summary.add(row);
+      sheet
+        .addRow(
+          Object.fromEntries(
+            columns.map((column) => [
+              column.key,
+              cellValue(column, row[column.key]),
+            ])
+          )
+        )
+        .commit();
+    }
+    if (res.writableNeedDrain) await drain(res);
+  }
+  sheet.commit();
+
+  // Written last: the streaming writer cannot go back to an earlier sheet
+  const summarySheet = workbook.addWorksheet("Summary");
+  const moneyColumn = { width: 18, style: { numFmt: XLSX_FORMATS.money } };
+  summarySheet.columns = [
+    { width: 24 },
+    { width: 36 },
+    moneyColumn,
+    moneyColumn,
+    moneyColumn,
+  ];
+  for (const [label, value] of details.lines) {
+    summarySheet.addRow([label, value]).commit();
+  }
+  summarySheet.addRow([]).commit();
+  summary.rows().forEach((values, i) => {
+    const row = summarySheet.addRow(values);
+    if (i === 0) row.font = { bold: true };
+    row.commit();
+  });
+  summarySheet.commit();
+
+  await workbook.commit();
+};
+
+/**
+ * Stream an export to the response and record it in the audit trail.
+ * Filters must already be validated. Once this starts writing, errors can
+ * no longer become a JSON response: it rethrows and the caller should
+ * destroy the response so the download is visibly truncated.
+ *
+ * @param {object} options
+ * @param {"payments"|"users"} options.resource
+ * @param {"csv"|"xlsx"} options.format
+ * @param {object} options.filters - see paymentBatches / userBatches
+ * @param {import("express").Response} res
+ * @param {import("./audit.js").AuditActor} actor
+ */
+export const streamExport = async (
+  { resource, format, filters },
+  res,
+  actor
+) => {
+  const {
+    columns,
+    batches: readBatches,
+    summary: createSummary,
+  } = EXPORTS[resource];
+  const summary = createSummary();
+  const generatedAt = new Date();
+  const stamp = generatedAt.toISOString().slice(0, 10);
+
+  const details = {
+    title: resource === "payments" ? "Payments" : "Users",
+    lines: [
+      ["Export", resource],
+      ["Generated At (UTC)", utcTimestamp(generatedAt)],
+      ["Generated By", actor.id],
+      ...Object.entries(filters)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => [`Filter: ${name}`, String(value)]),
+    ],
+  };
+
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${resource}-${stamp}.${format}"`
+  );
+  res.setHeader("Cache-Control", "no-store");
+
+  // recordAuditEvent logs its own failures, so auditing a failed export
+  // never replaces the error that stopped it
+  const recordExport = (failure) =>
+    recordAuditEvent(actor, {
+      action: AUDIT_ACTIONS.DATA_EXPORTED,
+      targetType: "export",
+      targetId: resource,
+      metadata: {
+        format,
+        filters,
+        rows: summary.count,
+        completed: failure === null,
+        error: failure ? failure.message : undefined,
+      },
+    });
+
+  try {
+    const write = format === "xlsx" ? writeXlsx : writeCsv;
+    await write(res, {
+      columns,
+      rows: readBatches(filters),
+      summary,
+      details,
+    });
+  } catch (error) {
+    await recordExport(error);
+    throw error;
+  }
+  await recordExport(null);
+};
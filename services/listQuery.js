@@ -0,0 +1,215 @@
+import { sql } from "../config/db.js";
+
+/**
+ * 📄 LIST QUERIES
+ *
+ * Cursor pagination, whitelisted sorting, free-text search and date-range
+ * filters shared by the list endpoints. Each endpoint describes itself
+ * with a spec and keeps its own filters in SQL; this module parses the
+ * common query parameters and builds the fragments to splice in:
+ *
+ *   const { error, list } = parseListQuery(req.query, PAYMENT_LIST);
+ *   const rows = await sql`
+ *     SELECT p.*, ${listColumns(list, PAYMENT_LIST)}
+ *     FROM payments p
+ *     WHERE p.status = 'pending' ${listConditions(list, PAYMENT_LIST)}
+ *     ${listOrder(list, PAYMENT_LIST)}
+ *   `;
+ *   const { items, next_cursor, has_more } = listPage(rows, list);
+ *
+ * Cursors are keyset positions (sort value + id), so pages stay stable
+ * while rows are inserted and never skip or repeat a row.
+ */
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+/**
+ * @typedef {object} ListSpec
+ * @property {Record<string, {expression: string, type: string}>} sorts -
+ *   sortable fields and the SQL expression and type behind each. The
+ *   expression must never be NULL (wrap nullable columns in COALESCE) so
+ *   the keyset comparison is total.
+ * @property {string} defaultSort - field name, prefixed with "-" for descending
+ * @property {string} id - unique tie-breaker column
+ * @property {string[]} [search] - columns matched by ?search
+ * @property {string} [dateColumn] - column ?from and ?to apply to
+ * @property {Record<string, string>} [sortAliases] - legacy ?sort values
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a from/to query value. A bare date for the end of a range covers
+ * that whole day.
+ * @returns {string|null|undefined} ISO timestamp, null if absent,
+ * undefined if invalid
+ */
+export const parseDateFilter = (value, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(
+    DATE_ONLY.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value
+  );
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+/**
+ * ILIKE pattern matching the search text anywhere, or null for no search
+ */
+export const searchPattern = (search) =>
+  search ? `%${search.replace(/[\\%_]/g, "\\$&")}%` : null;
+
+const encodeCursor = (sort, value, id) =>
+  Buffer.from(JSON.stringify([sort, value, id])).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const [sort, value, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString()
+    );
+    if (
+      typeof sort === "string" &&
+      typeof value === "string" &&
+      /^\d+$/.test(id)
+    ) {
+      return { sort, value, id };
+    }
+  } catch {
+    // Fall through: not one of ours
+  }
+  return null;
+};
+
+const sortOptions = (spec) =>
+  Object.keys(spec.sorts).flatMap((field) => [field, `-${field}`]);
+
+/**
+ * Read limit, sort, cursor, search, from and to from a request query
+ * @param {object} query - req.query
+ * @param {ListSpec} spec
+ * @returns {{error: string|null, list: object|null}}
+ */
+export const parseListQuery = (query, spec) => {
+  const fail = (error) => ({ error, list: null });
+
+  const requested =
+    typeof query.sort === "string" && query.sort ? query.sort : null;
+  const sort =
+    requested && spec.sortAliases && Object.hasOwn(spec.sortAliases, requested)
+      ? spec.sortAliases[requested]
+      : requested || spec.defaultSort;
+  const field = sort.replace(/^-/, "");
+  if (!Object.hasOwn(spec.sorts, field)) {
+    return fail(`sort must be one of: ${sortOptions(spec).join(", ")}`);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    // A cursor only makes sense for the ordering it was issued for
+    if (!cursor || cursor.sort !== sort) {
+      return fail("cursor is invalid or was issued for a different sort");
+    }
+  }
+
+  const from = parseDateFilter(query.from);
+  const to = parseDateFilter(query.to, true);
+  if (from === undefined || to === undefined) {
+    return fail("from and to must be ISO 8601 dates");
+  }
+
+  const search =
+    typeof query.search === "string" ? query.search.trim() || null : null;
+
+  return {
+    error: null,
+    list: {
+      limit: Math.min(
+        Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1),
+        MAX_PAGE_SIZE
+      ),
+      sort,
+      field,
+      descending: sort.startsWith("-"),
+      cursor,
+      search,
+      from,
+      to,
+    },
+  };
+};
+
+/**
+ * Extra select columns carrying the cursor position of each row. They are
+ * read as text so timestamps keep their microseconds; listPage strips them.
+ */
+export const listColumns = (list, spec) => sql`
+  (${sql.unsafe(spec.sorts[list.field].expression)})::text as cursor_value,
+  (${sql.unsafe(spec.id)})::text as cursor_id
+`;
+
+/**
+ * Search, date-range and cursor conditions, each starting with AND so the
+ * fragment can follow the endpoint's own WHERE clause
+ */
+export const listConditions = (list, spec) => {
+  let conditions = sql``;
+
+  const pattern = searchPattern(list.search);
+  if (pattern && spec.search?.length) {
+    const matches = spec.search
+      .map((column) => sql`${sql.unsafe(column)} ILIKE ${pattern}`)
+      .reduce((either, match) => sql`${either} OR ${match}`);
+    conditions = sql`${conditions} AND (${matches})`;
+  }
+
+  if (spec.dateColumn) {
+    const dateColumn = sql.unsafe(spec.dateColumn);
+    if (list.from) {
+      conditions = sql`${conditions} AND ${dateColumn} >= ${list.from}::timestamp`;
+    }
+    if (list.to) {
+      conditions = sql`${conditions} AND ${dateColumn} <= ${list.to}::timestamp`;
+    }
+  }
+
+  if (list.cursor) {
+    const { expression, type } = spec.sorts[list.field];
+    conditions = sql`${conditions}
+      AND (${sql.unsafe(expression)}, ${sql.unsafe(spec.id)})
+        ${sql.unsafe(list.descending ? "<" : ">")}
+        (${list.cursor.value}::${sql.unsafe(type)}, ${list.cursor.id}::bigint)`;
+  }
+
+  return conditions;
+};
+
+/**
+ * ORDER BY and LIMIT; fetches one extra row to tell whether more follow
+ */
+export const listOrder = (list, spec) => {
+  const direction = sql.unsafe(list.descending ? "DESC" : "ASC");
+  return sql`
+    ORDER BY ${sql.unsafe(spec.sorts[list.field].expression)} ${direction},
+      ${sql.unsafe(spec.id)} ${direction}
+    LIMIT ${list.limit + 1}
+  `;
+};
+
+/**
+ * Trim the look-ahead row and build the pagination envelope
+ * @returns {{items: object[], next_cursor: string|null, has_more: boolean}}
+ */
+export const listPage = (rows, list) => {
+  const has_more = rows.length > list.limit;
+  const page = has_more ? rows.slice(0, list.limit) : rows;
+  const last = page[page.length - 1];
+
+  return {
+    items: page.map(({ cursor_value, cursor_id, ...item }) => item),
+    next_cursor: has_more
+      ? encodeCursor(list.sort, last.cursor_value, last.cursor_id)
+      : null,
+    has_more,
+  };
+};
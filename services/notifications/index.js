@@ -0,0 +1,254 @@
+import { sql } from "../../config/db.js";
+import { renderTemplate } from "./templates.js";
+import { smtpTransport } from "./transports/smtp.js";
+import { smsGatewayTransport } from "./transports/smsGateway.js";
+import { consoleTransport, fileTransport } from "./transports/local.js";
+
+/**
+ * ✉️ NOTIFICATIONS
+ *
+ * Messages are queued in the notifications table with their template data,
+ * in the same transaction as the change they report, and rendered and sent
+ * by a background worker, so a slow or failing transport never affects the
+ * request that triggered it. Failures are retried with exponential backoff
+ * up to NOTIFICATION_MAX_ATTEMPTS.
+ *
+ * Transports per channel:
+ * - NOTIFICATION_EMAIL_TRANSPORT: smtp | file | console (default console)
+ * - NOTIFICATION_SMS_TRANSPORT: gateway | file | console (default console)
+ *
+ * Admins are notified at ADMIN_NOTIFICATION_EMAILS / ADMIN_NOTIFICATION_PHONES
+ * (comma separated).
+ */
+
+const TRANSPORTS = {
+  email: { smtp: smtpTransport, file: fileTransport, console: consoleTransport },
+  sms: { gateway: smsGatewayTransport, file: fileTransport, console: consoleTransport },
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const POLL_INTERVAL_SECONDS =
+  parseInt(process.env.NOTIFICATION_POLL_INTERVAL_SECONDS) || 15;
+const BASE_RETRY_SECONDS = 60;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+const CLAIM_LEASE_SECONDS = 120;
+const BATCH_SIZE = 20;
+
+const listFromEnv = (name) =>
+  (process.env[name] || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+export const getTransport = (channel) => {
+  const configured =
+    channel === "email"
+      ? process.env.NOTIFICATION_EMAIL_TRANSPORT
+      : process.env.NOTIFICATION_SMS_TRANSPORT;
+  const transport = TRANSPORTS[channel]?.[configured || "console"];
+  if (!transport) {
+    throw new Error(`Unknown ${channel} transport "${configured}"`);
+  }
+  return transport;
+};
+
+/**
+ * Preferences for a user, falling back to defaults and the synced
+ * users.email when they have not set any
+ */
+export const getNotificationPreferences = async (clerkUserId) => {
+  const rows = await sql`
+    SELECT
+      u.email as user_email,
+      u.name as user_name,
+      np.email_enabled,
+      np.sms_enabled,
+      np.email,
+      np.phone
+    FROM (SELECT ${clerkUserId}::text AS clerk_user_id) target
+    LEFT JOIN users u ON u.clerk_user_id = target.clerk_user_id
+    LEFT JOIN notification_preferences np ON np.clerk_user_id = target.clerk_user_id
+  `;
+  const row = rows[0] || {};
+
+  return {
+    email_enabled: row.email_enabled ?? true,
+    sms_enabled: row.sms_enabled ?? false,
+    email: row.email || row.user_email || null,
+    phone: row.phone || null,
+    name: row.user_name || null,
+  };
+};
+
+/**
+ * INSERT queueing a templated notification for each user in `source` on
+ * every channel they have enabled and an address for (see
+ * getNotificationPreferences). Pass a transaction's `txn` to queue it with
+ * the change it reports.
+ *
+ * @param {Function} query - sql or txn
+ * @param {string} template - a template in templates.js
+ * @param {object} source - fragment selecting clerk_user_id and the
+ *   template data as a jsonb `data` column; no row queues nothing
+ */
+export const userNotificationQuery = (query, template, source) => query`
+  INSERT INTO notifications (
+    clerk_user_id, audience, channel, recipient, template, data
+  )
+  SELECT
+    s.clerk_user_id,
+    'user',
+    c.channel,
+    c.recipient,
+    ${template},
+    s.data || jsonb_build_object('name', u.name)
+  FROM (${source}) s
+  LEFT JOIN users u ON u.clerk_user_id = s.clerk_user_id
+  LEFT JOIN notification_preferences np ON np.clerk_user_id = s.clerk_user_id
+  CROSS JOIN LATERAL (
+    VALUES
+      (
+        'email',
+        COALESCE(np.email_enabled, true),
+        COALESCE(NULLIF(np.email, ''), NULLIF(u.email, ''))
+      ),
+      ('sms', COALESCE(np.sms_enabled, false), NULLIF(np.phone, ''))
+  ) AS c (channel, enabled, recipient)
+  WHERE c.enabled AND c.recipient IS NOT NULL
+`;
+
+/**
+ * INSERT queueing a templated notification for the admin team, like
+ * userNotificationQuery
+ */
+export const adminNotificationQuery = (query, template, source) => {
+  const recipients = [
+    ...listFromEnv("ADMIN_NOTIFICATION_EMAILS").map((recipient) => ({
+      channel: "email",
+      recipient,
+    })),
+    ...listFromEnv("ADMIN_NOTIFICATION_PHONES").map((recipient) => ({
+      channel: "sms",
+      recipient,
+    })),
+  ];
+
+  return query`
+    INSERT INTO notifications (audience, channel, recipient, template, data)
+    SELECT 'admin', r.channel, r.recipient, ${template}, s.data
+    FROM (${source}) s
+    CROSS JOIN jsonb_to_recordset(${JSON.stringify(recipients)}::jsonb)
+      AS r (channel TEXT, recipient TEXT)
+  `;
+};
+
+/**
+ * Subject and body for a queued notification, rendering its template if it
+ * was queued with data only
+ */
+const renderMessage = (notification) => {
+  if (notification.body !== null) return notification;
+
+  const rendered = renderTemplate(notification.template, notification.data);
+  return notification.channel === "sms"
+    ? { ...notification, subject: null, body: rendered.sms }
+    : { ...notification, subject: rendered.subject, body: rendered.text };
+};
+
+/**
+ * Seconds to wait before the next attempt after `attempts` failures
+ */
+const retryDelaySeconds = (attempts) =>
+  Math.min(BASE_RETRY_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+
+const sendNotification = async (notification) => {
+  try {
+    const message = renderMessage(notification);
+    await getTransport(message.channel).send(message);
+    await sql`
+      UPDATE notifications
+      SET
+        status = 'sent',
+        subject = ${message.subject},
+        body = ${message.body},
+        sent_at = CURRENT_TIMESTAMP,
+        last_error = NULL
+      WHERE id = ${notification.id}
+    `;
+    return true;
+  } catch (error) {
+    const exhausted = notification.attempts >= MAX_ATTEMPTS;
+    await sql`
+      UPDATE notifications
+      SET
+        status = ${exhausted ? "failed" : "pending"},
+        last_error = ${error.message},
+        next_attempt_at = CURRENT_TIMESTAMP + make_interval(
+          secs => ${retryDelaySeconds(notification.attempts)}
+        )
+      WHERE id = ${notification.id}
+    `;
+    console.error(
+      `❌ Notification ${notification.id} (${notification.channel}) failed: ${
+        error.message
+      }${exhausted ? " - giving up" : ""}`
+    );
+    return false;
+  }
+};
+
+/**
+ * Claim due notifications and send them
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+export const processDueNotifications = async () => {
+  const claimed = await sql`
+    UPDATE notifications
+    SET
+      attempts = attempts + 1,
+      next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => ${CLAIM_LEASE_SECONDS})
+    WHERE id IN (
+      SELECT id FROM notifications
+      WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+      ORDER BY next_attempt_at
+      LIMIT ${BATCH_SIZE}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+
+  let sent = 0;
+  for (const notification of claimed) {
+    if (await sendNotification(notification)) sent++;
+  }
+
+  return { sent, failed: claimed.length - sent };
+};
+
+/**
+ * Poll for due notifications every NOTIFICATION_POLL_INTERVAL_SECONDS
+ * @returns {() => void} stops the worker
+ */
+export const startNotificationWorker = ({
+  intervalMs = POLL_INTERVAL_SECONDS * 1000,
+} = {}) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueNotifications();
+    } catch (error) {
+      console.error("❌ Notification worker error:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  console.log(`✉️  Notification worker polling every ${intervalMs / 1000}s`);
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,119 @@
+/**
+ * Message templates. Each returns the email subject, the email body and a
+ * short SMS text (kept under 160 characters where possible).
+ */
+
+const APP_NAME = process.env.APP_NAME || "Payment Pro";
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().slice(0, 10) : null;
+
+export const templates = {
+  "payment.approved": (data) => {
+    const until = formatDate(data.period_end);
+    const access = until ? `until ${until}` : "with lifetime access";
+    return {
+      subject: `${APP_NAME}: your payment was approved`,
+      text: [
+        `Hello${data.name ? ` ${data.name}` : ""},`,
+        "",
+        `Your payment of ETB ${data.amount} (transaction ${data.transaction_id}) has been approved.`,
+        `You now have Pro ${access}.`,
+        "",
+        `Thank you for choosing ${APP_NAME}.`,
+      ].join("\n"),
+      sms: `${APP_NAME}: payment ETB ${data.amount} approved. You have Pro ${access}.`,
+    };
+  },
+
+  "payment.rejected": (data) => ({
+    subject: `${APP_NAME}: your payment could not be approved`,
+    text: [
+      `Hello${data.name ? ` ${data.name}` : ""},`,
+      "",
+      `Your payment of ETB ${data.amount} (transaction ${data.transaction_id}) was not approved.`,
+      "",
+      `Reason: ${data.rejection_reason}`,
+      "",
+      "If you believe this is a mistake, please submit the payment again with the correct details or contact support.",
+    ].join("\n"),
+    sms: `${APP_NAME}: payment ${data.transaction_id} rejected. Reason: ${data.rejection_reason}`,
+  }),
+
+  "payment.refunded": (data) => {
+    const access = data.pro_revoked ? " Your Pro access has ended." : "";
+    return {
+      subject: `${APP_NAME}: your payment was refunded`,
+      text: [
+        `Hello${data.name ? ` ${data.name}` : ""},`,
+        "",
+        `ETB ${data.refund_amount} of your payment of ETB ${data.amount} (transaction ${data.transaction_id}) has been refunded.${access}`,
+        "",
+        `Reason: ${data.reason}`,
+      ].join("\n"),
+      sms: `${APP_NAME}: ETB ${data.refund_amount} of payment ${data.transaction_id} refunded.${access}`,
+    };
+  },
+
+  "payment.reversed": (data) => {
+    const access = data.pro_revoked ? " Your Pro access has ended." : "";
+    return {
+      subject: `${APP_NAME}: your payment was reversed`,
+      text: [
+        `Hello${data.name ? ` ${data.name}` : ""},`,
+        "",
+        `Your payment of ETB ${data.amount} (transaction ${data.transaction_id}) was reversed by the payment provider.${access}`,
+        "",
+        `Reason: ${data.reason}`,
+        "",
+        "If you believe this is a mistake, please contact support.",
+      ].join("\n"),
+      sms: `${APP_NAME}: payment ${data.transaction_id} was reversed.${access}`,
+    };
+  },
+
+  "admin.payment_submitted": (data) => ({
+    subject: `[${APP_NAME}] New payment awaiting review: ETB ${data.amount}`,
+    text: [
+      "A new payment was submitted.",
+      "",
+      `User: ${data.user_id}`,
+      `Amount: ETB ${data.amount}`,
+      `Provider: ${data.provider}`,
+      `Transaction ID: ${data.transaction_id}`,
+      `Payment ID: ${data.payment_id}`,
+      "",
+      "Review it in the admin dashboard.",
+    ].join("\n"),
+    sms: `${APP_NAME}: new payment ETB ${data.amount} via ${data.provider} awaiting review (#${data.payment_id}).`,
+  }),
+
+  "admin.payment_second_approval": (data) => ({
+    subject: `[${APP_NAME}] Payment needs a second approval: ETB ${data.amount}`,
+    text: [
+      "A payment above the four-eyes threshold was approved once and needs a second admin.",
+      "",
+      `First approval by: ${data.approved_by}`,
+      `User: ${data.user_id}`,
+      `Amount: ETB ${data.amount}`,
+      `Provider: ${data.provider}`,
+      `Transaction ID: ${data.transaction_id}`,
+      `Payment ID: ${data.payment_id}`,
+      "",
+      "Review it in the admin dashboard.",
+    ].join("\n"),
+    sms: `${APP_NAME}: payment ETB ${data.amount} (#${data.payment_id}) needs a second approval.`,
+  }),
+};
+
+/**
+ * Render a template by name
+ * @returns {{subject: string, text: string, sms: string}}
+ */
+export const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+  return template(data);
+};
@@ -0,0 +1,26 @@
+import fs from "fs/promises";
+
+/**
+ * Local testing transports: print messages to the console, or append them
+ * as JSON lines to NOTIFICATION_LOG_FILE.
+ */
+export const consoleTransport = {
+  name: "console",
+  async send({ channel, recipient, subject, body }) {
+    console.log("=".repeat(50));
+    console.log(`✉️  [${channel}] to ${recipient}${subject ? `: ${subject}` : ""}`);
+    console.log(body);
+    console.log("=".repeat(50));
+  },
+};
+
+export const fileTransport = {
+  name: "file",
+  async send(message) {
+    const file = process.env.NOTIFICATION_LOG_FILE || "notifications.log";
+    await fs.appendFile(
+      file,
+      JSON.stringify({ ...message, sent_at: new Date().toISOString() }) + "\n"
+    );
+  },
+};
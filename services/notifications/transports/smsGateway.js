@@ -0,0 +1,31 @@
+/**
+ * SMS through an HTTP gateway (SMS_GATEWAY_URL, SMS_GATEWAY_TOKEN,
+ * SMS_SENDER_ID). Posts { to, from, message } as JSON with a bearer token;
+ * any 2xx response counts as accepted.
+ */
+export const smsGatewayTransport = {
+  name: "gateway",
+  async send({ recipient, body }) {
+    if (!process.env.SMS_GATEWAY_URL) {
+      throw new Error("SMS_GATEWAY_URL is not configured");
+    }
+
+    const response = await fetch(process.env.SMS_GATEWAY_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}`,
+      },
+      body: JSON.stringify({
+        to: recipient,
+        from: process.env.SMS_SENDER_ID,
+        message: body,
+      }),
+      signal: AbortSignal.timeout(10000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with HTTP ${response.status}`);
+    }
+  },
+};
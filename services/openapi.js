@@ -0,0 +1,156 @@
+import fs from "fs";
+import { SESSION_COOKIE } from "./adminSessions.js";
+
+/**
+ * 📘 OPENAPI DOCUMENT
+ *
+ * Describes every route that declares its inputs with validateRequest
+ * (middleware/validate.js), built from the very schemas the API enforces
+ * so the document cannot drift from the code. Served at
+ * GET /api/openapi.json and written to a file by scripts/export-openapi.js.
+ */
+
+const { version } = JSON.parse(
+  fs.readFileSync(new URL("../package.json", import.meta.url), "utf8")
+);
+
+const errorSchema = {
+  type: "object",
+  properties: {
+    error: { type: "string" },
+    message: { type: "string" },
+  },
+  required: ["error"],
+};
+
+const COMPONENTS = {
+  securitySchemes: {
+    bearerAuth: {
+      type: "http",
+      scheme: "bearer",
+      description: "Token from the auth provider (Clerk, or a local account)",
+    },
+    adminSession: {
+      type: "apiKey",
+      in: "cookie",
+      name: SESSION_COOKIE,
+      description:
+        "Admin dashboard session from POST /api/admin/session/login; requests that change anything also need its X-CSRF-Token header",
+    },
+  },
+  schemas: {
+    Error: errorSchema,
+    ValidationError: {
+      ...errorSchema,
+      properties: {
+        ...errorSchema.properties,
+        fields: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              field: { type: "string", examples: ["body.amount"] },
+              message: { type: "string", examples: ["must be greater than 0"] },
+            },
+            required: ["field", "message"],
+          },
+        },
+      },
+      required: ["error", "message", "fields"],
+    },
+  },
+  responses: {
+    ValidationError: {
+      description: "The request does not match the schema",
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/ValidationError" },
+        },
+      },
+    },
+    Error: {
+      description: "Error",
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/Error" },
+        },
+      },
+    },
+  },
+};
+
+const SECURITY = [{ bearerAuth: [] }, { adminSession: [] }];
+
+// /payments/:paymentId → /payments/{paymentId}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+const parameters = (location, schema) =>
+  Object.entries(schema?.properties || {}).map(([name, property]) => {
+    const { description, ...propertySchema } = property;
+    return {
+      name,
+      in: location,
+      required: location === "path" || Boolean(schema.required?.includes(name)),
+      ...(description && { description }),
+      schema: propertySchema,
+    };
+  });
+
+const operation = (schema, tag) => {
+  const inputs = [
+    ...parameters("path", schema.params),
+    ...parameters("query", schema.query),
+  ];
+
+  return {
+    tags: [tag],
+    summary: schema.summary,
+    ...(schema.public && { security: [] }),
+    ...(inputs.length > 0 && { parameters: inputs }),
+    ...(schema.body && {
+      requestBody: {
+        required: Boolean(schema.body.required?.length),
+        content: { "application/json": { schema: schema.body } },
+      },
+    }),
+    responses: {
+      "2XX": { description: "Success" },
+      400: { $ref: "#/components/responses/ValidationError" },
+      default: { $ref: "#/components/responses/Error" },
+    },
+  };
+};
+
+/**
+ * Build the document from the routers the app mounts
+ * @param {{path: string, router: import("express").Router, tag: string}[]} mounts
+ * @returns {object} OpenAPI 3.1 document
+ */
+export const buildOpenApiDocument = (mounts) => {
+  const paths = {};
+
+  for (const { path: prefix, router, tag } of mounts) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      const schema = layer.route.stack.find((handler) => handler.handle.schema)
+        ?.handle.schema;
+      if (!schema) continue;
+
+      const path = toOpenApiPath(`${prefix}${layer.route.path}`);
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[path] = { ...paths[path], [method]: operation(schema, tag) };
+      }
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: { title: "Payment Pro API", version },
+    security: SECURITY,
+    tags: [...new Set(mounts.map((mount) => mount.tag))].map((name) => ({
+      name,
+    })),
+    paths,
+    components: COMPONENTS,
+  };
+};
@@ -0,0 +1,18 @@
+/**
+ * Plain bank transfer: there is no API to query, so every submission is
+ * left for an admin to check against the bank statement.
+ */
+export const bankTransfer = {
+  name: "bank_transfer",
+  displayName: "Bank Transfer",
+  recipient: process.env.BANK_TRANSFER_RECIPIENT,
+  verifiable: false,
+
+  isConfigured() {
+    return true;
+  },
+
+  async lookupTransaction() {
+    return undefined;
+  },
+};
@@ -0,0 +1,20 @@
+import { createHttpProvider } from "./httpProvider.js";
+
+/**
+ * CBE Birr mobile wallet (Commercial Bank of Ethiopia)
+ */
+export const cbeBirr = createHttpProvider({
+  name: "cbe_birr",
+  displayName: "CBE Birr",
+  baseUrl: process.env.CBE_BIRR_API_URL,
+  apiKey: process.env.CBE_BIRR_API_KEY,
+  recipient: process.env.CBE_BIRR_RECIPIENT,
+  mapResponse: (body) => ({
+    reference: body.transactionId ?? body.reference,
+    amount: parseFloat(body.amount),
+    currency: body.currency ?? "ETB",
+    recipient: body.receiverAccount ?? body.recipient,
+    paid_at: body.transactionDate ?? body.paid_at,
+    status: String(body.status ?? "").toLowerCase() || null,
+  }),
+});
@@ -0,0 +1,52 @@
+/**
+ * Factory for providers that expose a transaction lookup over HTTPS.
+ *
+ * The adapter calls `GET {baseUrl}/transactions/{reference}` with a bearer
+ * API key and normalizes the JSON body through `mapResponse`. A 404 means
+ * the reference is unknown; any other failure is reported as unavailable
+ * so the payment falls back to manual review.
+ */
+export const createHttpProvider = ({
+  name,
+  displayName,
+  baseUrl,
+  apiKey,
+  recipient,
+  timeoutMs = 10000,
+  mapResponse,
+}) => ({
+  name,
+  displayName,
+  recipient,
+  verifiable: true,
+
+  isConfigured() {
+    return Boolean(baseUrl && apiKey);
+  },
+
+  async lookupTransaction(reference) {
+    if (!this.isConfigured()) {
+      throw new Error(`${displayName} verification is not configured`);
+    }
+
+    const response = await fetch(
+      `${baseUrl.replace(/\/$/, "")}/transactions/${encodeURIComponent(
+        reference
+      )}`,
+      {
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          Accept: "application/json",
+        },
+        signal: AbortSignal.timeout(timeoutMs),
+      }
+    );
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`${displayName} lookup failed with HTTP ${response.status}`);
+    }
+
+    return mapResponse(await response.json());
+  },
+});
@@ -0,0 +1,182 @@
+import { bankTransfer } from "./bankTransfer.js";
+import { cbeBirr } from "./cbeBirr.js";
+import { mock } from "./mock.js";
+import { telebirr } from "./telebirr.js";
+
+/**
+ * 🏦 PAYMENT PROVIDER VERIFICATION
+ *
+ * Each adapter exposes:
+ * - name / displayName
+ * - recipient: our account the money must be paid into (optional)
+ * - verifiable: false for providers with no lookup API
+ * - isConfigured()
+ * - lookupTransaction(reference) → normalized record, null if unknown
+ *
+ * Normalized record: { reference, amount, currency, recipient, paid_at, status }
+ *
+ * Enabled adapters come from PAYMENT_PROVIDERS (comma separated).
+ */
+
+const ALL_PROVIDERS = [telebirr, cbeBirr, bankTransfer, mock];
+
+export const DEFAULT_PROVIDER = process.env.PAYMENT_DEFAULT_PROVIDER || "bank_transfer";
+
+const enabledNames = (
+  process.env.PAYMENT_PROVIDERS || "telebirr,cbe_birr,bank_transfer"
+)
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+const providers = new Map(
+  ALL_PROVIDERS.filter((p) => enabledNames.includes(p.name)).map((p) => [
+    p.name,
+    p,
+  ])
+);
+
+// Transactions older than this (relative to submission) are rejected
+export const MAX_AGE_HOURS = parseInt(process.env.PAYMENT_MAX_AGE_HOURS) || 72;
+// Allowed clock difference between us and the provider
+export const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const COMPLETED_STATUSES = ["completed", "success", "successful", "paid"];
+
+export const VERIFICATION_STATUS = {
+  VERIFIED: "verified",
+  MISMATCH: "mismatch",
+  NOT_FOUND: "not_found",
+  UNAVAILABLE: "unavailable",
+  MANUAL: "manual_review",
+};
+
+export const getProvider = (name) => providers.get(name) || null;
+
+export const listProviders = () =>
+  [...providers.values()].map((p) => ({
+    name: p.name,
+    display_name: p.displayName,
+    automatic_verification: p.verifiable && p.isConfigured(),
+  }));
+
+/**
+ * Compare a provider record with what the user submitted. A record
+ * without a status is not held against it here, since bank statements
+ * often have no status column; verifyTransaction requires one.
+ */
+export const evaluateTransaction = (provider, record, expected) => {
+  const reasons = [];
+
+  if (
+    record.status &&
+    !COMPLETED_STATUSES.includes(String(record.status).toLowerCase())
+  ) {
+    reasons.push(`Transaction status is "${record.status}"`);
+  }
+
+  if (record.currency && record.currency !== "ETB") {
+    reasons.push(`Transaction currency is ${record.currency}, expected ETB`);
+  }
+
+  const paidAmount = parseFloat(record.amount);
+  const expectedAmount = parseFloat(expected.amount);
+  if (Number.isNaN(paidAmount) || Math.abs(paidAmount - expectedAmount) > 0.005) {
+    reasons.push(
+      `Paid amount ETB ${record.amount} does not match submitted ETB ${expected.amount}`
+    );
+  }
+
+  if (provider.recipient && record.recipient !== provider.recipient) {
+    reasons.push(`Payment was sent to ${record.recipient || "unknown account"}`);
+  }
+
+  const paidAt = new Date(record.paid_at);
+  const submittedAt = new Date(expected.submitted_at || Date.now());
+  if (Number.isNaN(paidAt.getTime())) {
+    reasons.push("Transaction date is missing");
+  } else if (paidAt.getTime() > submittedAt.getTime() + CLOCK_SKEW_MS) {
+    reasons.push("Transaction date is after the submission");
+  } else if (
+    submittedAt.getTime() - paidAt.getTime() >
+    MAX_AGE_HOURS * 60 * 60 * 1000
+  ) {
+    reasons.push(`Transaction is older than ${MAX_AGE_HOURS} hours`);
+  }
+
+  return reasons.length === 0
+    ? { status: VERIFICATION_STATUS.VERIFIED, confident: true, reasons }
+    : { status: VERIFICATION_STATUS.MISMATCH, confident: false, reasons };
+};
+
+/**
+ * Look up a submitted transaction with its provider and return a verdict.
+ * Never throws: provider outages become an "unavailable" verdict.
+ *
+ * @param {object} payment - { provider, transaction_id, amount, submitted_at }
+ * @returns {Promise<{status, confident, reasons, transaction}>}
+ */
+export const verifyTransaction = async (payment) => {
+  const provider = getProvider(payment.provider);
+
+  if (!provider) {
+    return {
+      status: VERIFICATION_STATUS.MANUAL,
+      confident: false,
+      reasons: [`Provider "${payment.provider}" is not enabled`],
+      transaction: null,
+    };
+  }
+
+  if (!provider.verifiable || !provider.isConfigured()) {
+    return {
+      status: VERIFICATION_STATUS.MANUAL,
+      confident: false,
+      reasons: [`${provider.displayName} payments are verified manually`],
+      transaction: null,
+    };
+  }
+
+  try {
+    const record = await provider.lookupTransaction(payment.transaction_id);
+
+    if (!record) {
+      return {
+        status: VERIFICATION_STATUS.NOT_FOUND,
+        confident: false,
+        reasons: [`Reference not found at ${provider.displayName}`],
+        transaction: null,
+      };
+    }
+
+    const verdict = evaluateTransaction(provider, record, payment);
+
+    // A lookup that does not say the transfer completed proves nothing
+    if (!record.status) {
+      return {
+        status:
+          verdict.reasons.length === 0
+            ? VERIFICATION_STATUS.MANUAL
+            : VERIFICATION_STATUS.MISMATCH,
+        confident: false,
+        reasons: [
+          ...verdict.reasons,
+          `${provider.displayName} did not report a transaction status`,
+        ],
+        transaction: record,
+      };
+    }
+
+    return { ...verdict, transaction: record };
+  } catch (error) {
+    console.error(
+      `❌ ${provider.displayName} verification error:`,
+      error.message
+    );
+    return {
+      status: VERIFICATION_STATUS.UNAVAILABLE,
+      confident: false,
+      reasons: [`${provider.displayName} could not be reached`],
+      transaction: null,
+    };
+  }
+};
@@ -0,0 +1,53 @@
+import fs from "fs";
+
+/**
+ * Local provider for development and tests. Transactions come from the
+ * JSON array in MOCK_PROVIDER_FILE (if set) plus anything registered with
+ * addMockTransaction(), keyed by reference.
+ */
+const transactions = new Map();
+
+const loadFixtures = () => {
+  const file = process.env.MOCK_PROVIDER_FILE;
+  if (!file) return;
+
+  try {
+    const records = JSON.parse(fs.readFileSync(file, "utf8"));
+    records.forEach((record) => addMockTransaction(record));
+    console.log(`🧪 Mock provider loaded ${records.length} transaction(s)`);
+  } catch (error) {
+    console.error("❌ Failed to load mock provider fixtures:", error.message);
+  }
+};
+
+export const addMockTransaction = (record) => {
+  transactions.set(record.reference, {
+    currency: "ETB",
+    status: "completed",
+    recipient: process.env.MOCK_PROVIDER_RECIPIENT,
+    paid_at: new Date().toISOString(),
+    ...record,
+  });
+};
+
+export const clearMockTransactions = () => transactions.clear();
+
+export const mock = {
+  name: "mock",
+  displayName: "Mock Provider",
+  recipient: process.env.MOCK_PROVIDER_RECIPIENT,
+  verifiable: true,
+
+  isConfigured() {
+    return true;
+  },
+
+  async lookupTransaction(reference) {
+    if (reference === "MOCK-UNAVAILABLE") {
+      throw new Error("Mock provider is unavailable");
+    }
+    return transactions.get(reference) ?? null;
+  },
+};
+
+loadFixtures();
@@ -0,0 +1,20 @@
+import { createHttpProvider } from "./httpProvider.js";
+
+/**
+ * Telebirr mobile money (Ethio Telecom)
+ */
+export const telebirr = createHttpProvider({
+  name: "telebirr",
+  displayName: "Telebirr",
+  baseUrl: process.env.TELEBIRR_API_URL,
+  apiKey: process.env.TELEBIRR_API_KEY,
+  recipient: process.env.TELEBIRR_RECIPIENT,
+  mapResponse: (body) => ({
+    reference: body.transactionNo ?? body.reference,
+    amount: parseFloat(body.totalAmount ?? body.amount),
+    currency: body.currency ?? "ETB",
+    recipient: body.creditPartyId ?? body.recipient,
+    paid_at: body.transactionTime ?? body.paid_at,
+    status: String(body.tradeStatus ?? body.status ?? "").toLowerCase() || null,
+  }),
+});
@@ -0,0 +1,838 @@
+import { sql, withTransaction } from "../config/db.js";
+import { verifyTransaction } from "./paymentProviders/index.js";
+import { GRACE_DAYS } from "./subscriptions.js";
+import {
+  AUDIT_ACTIONS,
+  recordAuditEvent,
+  systemActor,
+} from "./audit.js";
+import { WEBHOOK_EVENTS, webhookEventQuery } from "./webhooks.js";
+import {
+  adminNotificationQuery,
+  userNotificationQuery,
+} from "./notifications/index.js";
+
+/**
+ * Payment state transitions shared by the user flow, the admin routes and
+ * automatic provider verification.
+ */
+
+export const PAYMENT_STATUSES = [
+  "pending",
+  "partially_approved",
+  "approved",
+  "rejected",
+  "refunded",
+  "reversed",
+];
+
+const AUTO_APPROVE = process.env.PAYMENT_AUTO_APPROVE !== "false";
+
+const dualApprovalThreshold = parseFloat(
+  process.env.PAYMENT_DUAL_APPROVAL_THRESHOLD
+);
+
+/**
+ * Payments above this amount (ETB) need approvals from two distinct admins
+ * (four-eyes). Unset turns the rule off.
+ */
+export const DUAL_APPROVAL_THRESHOLD = Number.isFinite(dualApprovalThreshold)
+  ? dualApprovalThreshold
+  : null;
+
+export const APPROVALS_REQUIRED = 2;
+
+/**
+ * True when a payment needs a second admin to approve it. The plan price
+ * counts as well as the amount the user typed, so under-declaring the
+ * amount does not skip the second approval.
+ */
+export const requiresDualApproval = (payment) =>
+  DUAL_APPROVAL_THRESHOLD !== null &&
+  Math.max(
+    parseFloat(payment.amount),
+    parseFloat(payment.expected_amount ?? payment.amount)
+  ) > DUAL_APPROVAL_THRESHOLD;
+
+/**
+ * Insert a pending payment together with its submission audit event
+ * @param {object} fields - clerk_user_id, amount, expected_amount, plan_id, transaction_id, provider
+ *   and optionally the receipt_* columns from storeReceipt()
+ * @param {import("./audit.js").AuditActor} actor
+ * @returns {Promise<object>} the new payments row
+ */
+export const createPayment = async (fields, actor) => {
+  const [created] = await withTransaction((txn) => [
+    txn`
+      INSERT INTO payments (
+        clerk_user_id, amount, expected_amount, plan_id, transaction_id, provider,
+        receipt_key, receipt_filename, receipt_content_type, receipt_size,
+        receipt_sha256, submitted_ip, status
+      )
+      VALUES (
+        ${fields.clerk_user_id},
+        ${fields.amount},
+        ${fields.expected_amount},
+        ${fields.plan_id},
+        ${fields.transaction_id},
+        ${fields.provider},
+        ${fields.receipt_key ?? null},
+        ${fields.receipt_filename ?? null},
+        ${fields.receipt_content_type ?? null},
+        ${fields.receipt_size ?? null},
+        ${fields.receipt_sha256 ?? null},
+        ${actor.ip},
+        'pending'
+      )
+      RETURNING *
+    `,
+    txn`
+      INSERT INTO audit_events (
+        actor_id, actor_type, action, target_type, target_id, payment_id,
+        user_id, after_state, ip_address, user_agent
+      )
+      SELECT
+        ${actor.id},
+        ${actor.type},
+        ${AUDIT_ACTIONS.PAYMENT_SUBMITTED},
+        'payment',
+        id::text,
+        id,
+        clerk_user_id,
+        jsonb_build_object(
+          'status', status,
+          'plan_id', plan_id,
+          'amount', amount,
+          'expected_amount', expected_amount,
+          'provider', provider,
+          'transaction_id', transaction_id,
+          'receipt_sha256', receipt_sha256
+        ),
+        ${actor.ip},
+        ${actor.userAgent}
+      FROM payments
+      WHERE transaction_id = ${fields.transaction_id}
+    `,
+    webhookEventQuery(
+      txn,
+      WEBHOOK_EVENTS.PAYMENT_SUBMITTED,
+      txn`
+        SELECT jsonb_build_object(
+          'payment_id', id,
+          'user_id', clerk_user_id,
+          'plan_id', plan_id,
+          'amount', amount::text,
+          'provider', provider,
+          'transaction_id', transaction_id,
+          'status', status
+        ) AS data
+        FROM payments
+        WHERE transaction_id = ${fields.transaction_id}
+      `
+    ),
+    adminNotificationQuery(
+      txn,
+      "admin.payment_submitted",
+      txn`
+        SELECT jsonb_build_object(
+          'payment_id', id,
+          'user_id', clerk_user_id,
+          'amount', amount::text,
+          'provider', provider,
+          'transaction_id', transaction_id
+        ) AS data
+        FROM payments
+        WHERE transaction_id = ${fields.transaction_id}
+      `
+    ),
+  ]);
+
+  return created[0];
+};
+
+/**
+ * True when a payment was made for a plan but the submitted amount differs
+ * from the plan price at submission time
+ */
+export const hasAmountMismatch = (payment) =>
+  payment.expected_amount !== null &&
+  payment.expected_amount !== undefined &&
+  Math.abs(parseFloat(payment.amount) - parseFloat(payment.expected_amount)) >
+    0.005;
+
+/**
+ * Approve a pending payment and upgrade its user to Pro atomically.
+ *
+ * The UPDATE only matches a pending payment, so concurrent approvals
+ * serialize on the row lock and only the first one wins. Payments whose
+ * amount does not match their plan price are skipped unless
+ * `allowAmountMismatch` is set. The audit event commits with the change.
+ *
+ * Payments above DUAL_APPROVAL_THRESHOLD (by amount or plan price) go
+ * through 'partially_approved' first and need a second approval from a different admin; the Pro
+ * upgrade happens on the second. Every approval is recorded in
+ * payment_approvals. No one can approve their own payment.
+ *
+ * @param {number|string} paymentId
+ * @param {import("./audit.js").AuditActor} actor - recorded as admin_id
+ * @param {object} [options]
+ * @returns {Promise<object|null>} the approved or partially approved
+ *   payment, or null if it was not approvable (missing, already processed,
+ *   another admin won the race, an amount mismatch, or this admin already
+ *   gave the first approval)
+ */
+export const approvePayment = async (
+  paymentId,
+  actor,
+  { allowAmountMismatch = false } = {}
+) => {
+  const results = await withTransaction((txn) => [
+    // Only the first of two approvals leaves the payment partially
+    // approved. SET sees the row as it was, and a concurrent approval
+    // re-reads it after the row lock, so the second one completes it.
+    txn`
+      WITH approved AS (
+        UPDATE payments
+        SET
+          status = CASE
+            WHEN status = 'pending'
+              AND GREATEST(amount, COALESCE(expected_amount, amount))
+                > ${DUAL_APPROVAL_THRESHOLD}::numeric
+              THEN 'partially_approved'
+            ELSE 'approved'
+          END,
+          admin_id = ${actor.id},
+          processed_at = CASE
+            WHEN status = 'pending'
+              AND GREATEST(amount, COALESCE(expected_amount, amount))
+                > ${DUAL_APPROVAL_THRESHOLD}::numeric
+              THEN processed_at
+            ELSE CURRENT_TIMESTAMP
+          END,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${paymentId}
+          AND status IN ('pending', 'partially_approved')
+          AND clerk_user_id <> ${actor.id}
+          AND NOT EXISTS (
+            SELECT 1 FROM payment_approvals
+            WHERE payment_id = ${paymentId} AND admin_id = ${actor.id}
+          )
+          AND (
+            ${allowAmountMismatch}
+            OR expected_amount IS NULL
+            OR amount = expected_amount
+          )
+        RETURNING *
+      ),
+      recorded AS (
+        INSERT INTO payment_approvals (payment_id, admin_id, actor_type)
+        SELECT id, ${actor.id}, ${actor.type} FROM approved
+      )
+      SELECT * FROM approved
+    `,
+    // CURRENT_TIMESTAMP is fixed for the whole transaction, so this only
+    // matches if the UPDATE above approved the payment just now.
+    //
+    // EXCLUDED holds a fresh period starting now; its length (NULL for a
+    // lifetime plan) is added to the current period end when the user is
+    // still active or in grace, so renewals extend without losing days.
+    txn`
+      INSERT INTO users (
+        clerk_user_id, is_pro, pro_since, plan_id,
+        current_period_start, current_period_end, created_at
+      )
+      SELECT
+        p.clerk_user_id,
+        true,
+        CURRENT_TIMESTAMP,
+        p.plan_id,
+        CURRENT_TIMESTAMP,
+        CURRENT_TIMESTAMP + make_interval(days => pl.duration_days),
+        CURRENT_TIMESTAMP
+      FROM payments p
+      LEFT JOIN plans pl ON pl.id = p.plan_id
+      WHERE p.id = ${paymentId}
+        AND p.status = 'approved'
+        AND p.processed_at = CURRENT_TIMESTAMP
+      ON CONFLICT (clerk_user_id)
+      DO UPDATE SET
+        is_pro = true,
+        pro_since = CASE
+          WHEN users.is_pro THEN COALESCE(users.pro_since, CURRENT_TIMESTAMP)
+          ELSE CURRENT_TIMESTAMP
+        END,
+        plan_id = CASE
+          WHEN users.is_pro AND users.current_period_end IS NULL THEN users.plan_id
+          ELSE EXCLUDED.plan_id
+        END,
+        current_period_start = CASE
+          WHEN users.is_pro AND (
+            users.current_period_end IS NULL
+            OR users.current_period_end + make_interval(days => ${GRACE_DAYS}) >= CURRENT_TIMESTAMP
+          )
+            THEN users.current_period_start
+          ELSE CURRENT_TIMESTAMP
+        END,
+        current_period_end = CASE
+          -- Lifetime access is never shortened
+          WHEN users.is_pro AND users.current_period_end IS NULL THEN NULL
+          WHEN users.is_pro
+            AND users.current_period_end + make_interval(days => ${GRACE_DAYS}) >= CURRENT_TIMESTAMP
+            THEN users.current_period_end
+              + (EXCLUDED.current_period_end - EXCLUDED.current_period_start)
+          ELSE EXCLUDED.current_period_end
+        END,
+        expired_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    `,
+    // Remember which period this payment paid for: the last plan-length
+    // stretch of the (possibly extended) subscription
+    txn`
+      UPDATE payments p
+      SET
+        period_start = COALESCE(
+          u.current_period_end - make_interval(
+            days => (SELECT duration_days FROM plans WHERE id = p.plan_id)
+          ),
+          p.processed_at
+        ),
+        period_end = u.current_period_end
+      FROM users u
+      WHERE p.id = ${paymentId}
+        AND p.status = 'approved'
+        AND p.processed_at = CURRENT_TIMESTAMP
+        AND u.clerk_user_id = p.clerk_user_id
+      RETURNING p.*
+    `,
+    // The WHERE on the first UPDATE guarantees the payment was pending,
+    // or partially approved if it now has more than one approval
+    txn`
+      INSERT INTO audit_events (
+        actor_id, actor_type, action, target_type, target_id, payment_id,
+        user_id, before_state, after_state, metadata, ip_address, user_agent
+      )
+      SELECT
+        ${actor.id},
+        ${actor.type},
+        ${AUDIT_ACTIONS.PAYMENT_APPROVED},
+        'payment',
+        p.id::text,
+        p.id,
+        p.clerk_user_id,
+        jsonb_build_object(
+          'status',
+          CASE
+            WHEN array_length(a.approvals, 1) > 1 THEN 'partially_approved'
+            ELSE 'pending'
+          END
+        ),
+        jsonb_build_object(
+          'status', p.status,
+          'admin_id', p.admin_id,
+          'approvals', to_jsonb(a.approvals),
+          'period_start', p.period_start,
+          'period_end', p.period_end,
+          'user', jsonb_build_object(
+            'is_pro', u.is_pro,
+            'plan_id', u.plan_id,
+            'current_period_end', u.current_period_end
+          )
+        ),
+        ${JSON.stringify({ allow_amount_mismatch: allowAmountMismatch })}::jsonb,
+        ${actor.ip},
+        ${actor.userAgent}
+      FROM payments p
+      JOIN users u ON u.clerk_user_id = p.clerk_user_id
+      CROSS JOIN LATERAL (
+        SELECT ARRAY(
+          SELECT admin_id FROM payment_approvals
+          WHERE payment_id = p.id
+          ORDER BY id
+        ) AS approvals
+      ) a
+      WHERE p.id = ${paymentId}
+        AND p.status = 'approved'
+        AND p.processed_at = CURRENT_TIMESTAMP
+    `,
+    txn`
+      INSERT INTO audit_events (
+        actor_id, actor_type, action, target_type, target_id, payment_id,
+        user_id, before_state, after_state, metadata, ip_address, user_agent
+      )
+      SELECT
+        ${actor.id},
+        ${actor.type},
+        ${AUDIT_ACTIONS.PAYMENT_PARTIALLY_APPROVED},
+        'payment',
+        id::text,
+        id,
+        clerk_user_id,
+        jsonb_build_object('status', 'pending'),
+        jsonb_build_object(
+          'status', status,
+          'admin_id', admin_id,
+          'approvals', jsonb_build_array(admin_id),
+          'approvals_required', ${APPROVALS_REQUIRED}::integer
+        ),
+        ${JSON.stringify({
+          allow_amount_mismatch: allowAmountMismatch,
+          threshold: DUAL_APPROVAL_THRESHOLD,
+        })}::jsonb,
+        ${actor.ip},
+        ${actor.userAgent}
+      FROM payments
+      WHERE id = ${paymentId}
+        AND status = 'partially_approved'
+        AND updated_at = CURRENT_TIMESTAMP
+    `,
+    webhookEventQuery(
+      txn,
+      WEBHOOK_EVENTS.PAYMENT_APPROVED,
+      txn`
+        SELECT jsonb_build_object(
+          'payment_id', id,
+          'user_id', clerk_user_id,
+          'plan_id', plan_id,
+          'amount', amount::text,
+          'approved_by', admin_id,
+          'period_start', period_start,
+          'period_end', period_end
+        ) AS data
+        FROM payments
+        WHERE id = ${paymentId}
+          AND status = 'approved'
+          AND processed_at = CURRENT_TIMESTAMP
+      `
+    ),
+    userNotificationQuery(
+      txn,
+      "payment.approved",
+      txn`
+        SELECT
+          clerk_user_id,
+          jsonb_build_object(
+            'amount', amount::text,
+            'transaction_id', transaction_id,
+            'period_end', period_end
+          ) AS data
+        FROM payments
+        WHERE id = ${paymentId}
+          AND status = 'approved'
+          AND processed_at = CURRENT_TIMESTAMP
+      `
+    ),
+    adminNotificationQuery(
+      txn,
+      "admin.payment_second_approval",
+      txn`
+        SELECT jsonb_build_object(
+          'payment_id', id,
+          'user_id', clerk_user_id,
+          'amount', amount::text,
+          'provider', provider,
+          'transaction_id', transaction_id,
+          'approved_by', admin_id
+        ) AS data
+        FROM payments
+        WHERE id = ${paymentId}
+          AND status = 'partially_approved'
+          AND updated_at = CURRENT_TIMESTAMP
+      `
+    ),
+  ]).catch((error) => {
+    // One admin approving twice at once: the unique key lets only one in
+    if (error.code === "23505" && error.table === "payment_approvals") {
+      return null;
+    }
+    throw error;
+  });
+  if (!results) return null;
+
+  const [approved, , withPeriod] = results;
+  return withPeriod[0] || approved[0] || null;
+};
+
+/**
+ * Reject a pending or partially approved payment with a reason
+ * @param {import("./audit.js").AuditActor} actor - recorded as admin_id
+ * @returns {Promise<object|null>} the rejected payment, or null if it was
+ *   not awaiting a decision
+ */
+export const rejectPayment = async (paymentId, actor, rejectionReason) => {
+  const [rejected] = await withTransaction((txn) => [
+    txn`
+      UPDATE payments
+      SET
+        status = 'rejected',
+        admin_id = ${actor.id},
+        rejection_reason = ${rejectionReason},
+        processed_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${paymentId}
+        AND status IN ('pending', 'partially_approved')
+      RETURNING *
+    `,
+    txn`
+      INSERT INTO audit_events (
+        actor_id, actor_type, action, target_type, target_id, payment_id,
+        user_id, before_state, after_state, ip_address, user_agent
+      )
+      SELECT
+        ${actor.id},
+        ${actor.type},
+        ${AUDIT_ACTIONS.PAYMENT_REJECTED},
+        'payment',
+        id::text,
+        id,
+        clerk_user_id,
+        -- Only a partially approved payment has approvals to show for it
+        jsonb_build_object(
+          'status',
+          CASE
+            WHEN EXISTS (
+              SELECT 1 FROM payment_approvals WHERE payment_id = payments.id
+            )
+              THEN 'partially_approved'
+            ELSE 'pending'
+          END
+        ),
+        jsonb_build_object(
+          'status', status,
+          'admin_id', admin_id,
+          'rejection_reason', rejection_reason
+        ),
+        ${actor.ip},
+        ${actor.userAgent}
+      FROM payments
+      WHERE id = ${paymentId}
+        AND status = 'rejected'
+        AND processed_at = CURRENT_TIMESTAMP
+    `,
+    webhookEventQuery(
+      txn,
+      WEBHOOK_EVENTS.PAYMENT_REJECTED,
+      txn`
+        SELECT jsonb_build_object(
+          'payment_id', id,
+          'user_id', clerk_user_id,
+          'plan_id', plan_id,
+          'amount', amount::text,
+          'rejected_by', admin_id,
+          'rejection_reason', rejection_reason
+        ) AS data
+        FROM payments
+        WHERE id = ${paymentId}
+          AND status = 'rejected'
+          AND processed_at = CURRENT_TIMESTAMP
+      `
+    ),
+    userNotificationQuery(
+      txn,
+      "payment.rejected",
+      txn`
+        SELECT
+          clerk_user_id,
+          jsonb_build_object(
+            'amount', amount::text,
+            'transaction_id', transaction_id,
+            'rejection_reason', rejection_reason
+          ) AS data
+        FROM payments
+        WHERE id = ${paymentId}
+          AND status = 'rejected'
+          AND processed_at = CURRENT_TIMESTAMP
+      `
+    ),
+  ]);
+
+  return rejected[0] || null;
+};
+
+export const REFUND_TYPES = {
+  REFUND: "refund",
+  REVERSAL: "reversal",
+};
+
+/**
+ * Refund an approved payment in full or in part, or record a provider
+ * reversal (always the full remaining amount).
+ *
+ * A payment refunded in full becomes 'refunded', a reversal 'reversed'.
+ * Either way, if that payment is what the user's current period rests on,
+ * the period falls back to what their other approved payments still
+ * cover, and Pro is revoked if nothing does. Partial refunds keep Pro.
+ * Lifetime plans cover for good; payments approved before subscription
+ * periods were recorded cover nothing.
+ *
+ * @param {number|string} paymentId
+ * @param {import("./audit.js").AuditActor} actor
+ * @param {object} refund - type (REFUND_TYPES), amount (omit for the full
+ *   remaining amount), reason
+ * @returns {Promise<{payment: object, refund: object, user: object|null}|null>}
+ *   null if the payment is not approved or the amount exceeds what is left;
+ *   user is set only when the entitlement changed
+ */
+export const refundPayment = async (
+  paymentId,
+  actor,
+  { type = REFUND_TYPES.REFUND, amount = null, reason }
+) => {
+  // null refunds everything not yet refunded
+  const refundAmount = type === REFUND_TYPES.REVERSAL ? null : amount;
+  const action =
+    type === REFUND_TYPES.REVERSAL
+      ? AUDIT_ACTIONS.PAYMENT_REVERSED
+      : AUDIT_ACTIONS.PAYMENT_REFUNDED;
+
+  const [refunded, recorded, rolledBack] = await withTransaction((txn) => [
+    txn`
+      WITH target AS (
+        SELECT
+          id,
+          COALESCE(${refundAmount}::numeric, amount - refunded_amount) AS refund
+        FROM payments
+        WHERE id = ${paymentId} AND status = 'approved'
+        FOR UPDATE
+      ),
+      updated AS (
+        UPDATE payments p
+        SET
+          refunded_amount = p.refunded_amount + t.refund,
+          status = CASE
+            WHEN ${type} = 'reversal' THEN 'reversed'
+            WHEN p.refunded_amount + t.refund >= p.amount THEN 'refunded'
+            ELSE p.status
+          END,
+          updated_at = CURRENT_TIMESTAMP
+        FROM target t
+        WHERE p.id = t.id
+          AND t.refund > 0
+          AND p.refunded_amount + t.refund <= p.amount
+        RETURNING p.*
+      ),
+      recorded AS (
+        INSERT INTO payment_refunds (payment_id, type, amount, reason, admin_id)
+        SELECT updated.id, ${type}, t.refund, ${reason}, ${actor.id}
+        FROM updated JOIN target t ON t.id = updated.id
+      )
+      SELECT * FROM updated
+    `,
+    txn`
+      SELECT * FROM payment_refunds
+      WHERE payment_id = ${paymentId} AND created_at = CURRENT_TIMESTAMP
+    `,
+    // Only when the payment left 'approved' in this transaction, and only
+    // if its period is the one the user currently holds
+    txn`
+      WITH refunded AS (
+        SELECT clerk_user_id, period_end
+        FROM payments
+        WHERE id = ${paymentId}
+          AND status IN ('refunded', 'reversed')
+          AND updated_at = CURRENT_TIMESTAMP
+      ),
+      -- Payments approved before subscription periods existed have no
+      -- period at all (period_start is NULL). Their lifetime access lives
+      -- on the users row, so they never count as covering anything here.
+      remaining AS (
+        SELECT
+          COALESCE(
+            bool_or(p.period_start IS NOT NULL AND p.period_end IS NULL),
+            false
+          ) AS lifetime,
+          MAX(p.period_end) AS covered_until
+        FROM payments p
+        JOIN refunded r ON r.clerk_user_id = p.clerk_user_id
+        WHERE p.status = 'approved'
+          AND p.id <> ${paymentId}
+          AND (p.period_end IS NULL OR p.period_end > CURRENT_TIMESTAMP)
+      )
+      UPDATE users u
+      SET
+        is_pro = rem.covered_until IS NOT NULL,
+        current_period_end = COALESCE(rem.covered_until, CURRENT_TIMESTAMP),
+        expired_at = CASE
+          WHEN rem.covered_until IS NULL THEN CURRENT_TIMESTAMP
+          ELSE u.expired_at
+        END,
+        updated_at = CURRENT_TIMESTAMP
+      FROM refunded r, remaining rem
+      WHERE u.clerk_user_id = r.clerk_user_id
+        AND u.is_pro = true
+        AND NOT rem.lifetime
+        AND (r.period_end IS NULL OR u.current_period_end <= r.period_end)
+      RETURNING u.*
+    `,
+    txn`
+      INSERT INTO audit_events (
+        actor_id, actor_type, action, target_type, target_id, payment_id,
+        user_id, before_state, after_state, metadata, ip_address, user_agent
+      )
+      SELECT
+        ${actor.id},
+        ${actor.type},
+        ${action},
+        'payment',
+        p.id::text,
+        p.id,
+        p.clerk_user_id,
+        jsonb_build_object(
+          'status', 'approved',
+          'refunded_amount', p.refunded_amount - r.amount
+        ),
+        jsonb_build_object(
+          'status', p.status,
+          'refunded_amount', p.refunded_amount,
+          'user', jsonb_build_object(
+            'is_pro', u.is_pro,
+            'current_period_end', u.current_period_end
+          )
+        ),
+        jsonb_build_object('type', r.type, 'amount', r.amount, 'reason', r.reason),
+        ${actor.ip},
+        ${actor.userAgent}
+      FROM payments p
+      JOIN payment_refunds r
+        ON r.payment_id = p.id AND r.created_at = CURRENT_TIMESTAMP
+      LEFT JOIN users u ON u.clerk_user_id = p.clerk_user_id
+      WHERE p.id = ${paymentId}
+        AND p.updated_at = CURRENT_TIMESTAMP
+    `,
+    // Pro was revoked if the rollback above updated the user to non-Pro
+    webhookEventQuery(
+      txn,
+      type === REFUND_TYPES.REVERSAL
+        ? WEBHOOK_EVENTS.PAYMENT_REVERSED
+        : WEBHOOK_EVENTS.PAYMENT_REFUNDED,
+      txn`
+        SELECT jsonb_build_object(
+          'payment_id', p.id,
+          'user_id', p.clerk_user_id,
+          'amount', p.amount::text,
+          'refund_amount', r.amount::text,
+          'refunded_amount', p.refunded_amount::text,
+          'status', p.status,
+          'reason', r.reason,
+          'pro_revoked', COALESCE(
+            u.updated_at = CURRENT_TIMESTAMP AND NOT u.is_pro,
+            false
+          )
+        ) AS data
+        FROM payments p
+        JOIN payment_refunds r
+          ON r.payment_id = p.id AND r.created_at = CURRENT_TIMESTAMP
+        LEFT JOIN users u ON u.clerk_user_id = p.clerk_user_id
+        WHERE p.id = ${paymentId}
+          AND p.updated_at = CURRENT_TIMESTAMP
+      `
+    ),
+    userNotificationQuery(
+      txn,
+      type === REFUND_TYPES.REVERSAL ? "payment.reversed" : "payment.refunded",
+      txn`
+        SELECT
+          p.clerk_user_id,
+          jsonb_build_object(
+            'amount', p.amount::text,
+            'refund_amount', r.amount::text,
+            'transaction_id', p.transaction_id,
+            'reason', r.reason,
+            'pro_revoked', COALESCE(
+              u.updated_at = CURRENT_TIMESTAMP AND NOT u.is_pro,
+              false
+            )
+          ) AS data
+        FROM payments p
+        JOIN payment_refunds r
+          ON r.payment_id = p.id AND r.created_at = CURRENT_TIMESTAMP
+        LEFT JOIN users u ON u.clerk_user_id = p.clerk_user_id
+        WHERE p.id = ${paymentId}
+          AND p.updated_at = CURRENT_TIMESTAMP
+      `
+    ),
+  ]);
+
+  if (refunded.length === 0) return null;
+
+  return {
+    payment: refunded[0],
+    refund: recorded[0],
+    user: rolledBack[0] || null,
+  };
+};
+
+/**
+ * Verify a pending payment with its provider, store the verdict and
+ * auto-approve confident matches (unless PAYMENT_AUTO_APPROVE=false, the
+ * risk engine rated the payment high risk or it needs two admins).
+ * Anything else stays pending and is flagged for the admin queue.
+ *
+ * @param {object} payment - payments row
+ * @returns {Promise<{verification: object, payment: object}>}
+ */
+export const verifyAndProcessPayment = async (payment) => {
+  // The provider must show the plan price was paid, whatever the user typed
+  const verification = await verifyTransaction({
+    provider: payment.provider,
+    transaction_id: payment.transaction_id,
+    amount: payment.expected_amount ?? payment.amount,
+    submitted_at: payment.created_at,
+  });
+
+  const [updated] = await sql`
+    UPDATE payments
+    SET
+      verification_status = ${verification.status},
+      verification_details = ${JSON.stringify({
+        reasons: verification.reasons,
+        transaction: verification.transaction,
+      })},
+      verified_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${payment.id}
+    RETURNING *
+  `;
+
+  const actor = systemActor(payment.provider);
+  await recordAuditEvent(actor, {
+    action: AUDIT_ACTIONS.PAYMENT_VERIFIED,
+    targetType: "payment",
+    targetId: payment.id,
+    paymentId: payment.id,
+    userId: payment.clerk_user_id,
+    before: { verification_status: payment.verification_status ?? null },
+    after: {
+      verification_status: verification.status,
+      reasons: verification.reasons,
+    },
+  });
+
+  // A provider match does not clear a near-duplicate or reused receipt
+  const highRisk = payment.risk_level === "high";
+  // Nor does it stand in for either of the admins four-eyes asks for
+  const dualApproval = requiresDualApproval(payment);
+
+  if (verification.confident && AUTO_APPROVE && !highRisk && !dualApproval) {
+    const approved = await approvePayment(payment.id, actor, {
+      allowAmountMismatch: true,
+    });
+    if (approved) {
+      console.log(
+        `🤖 Payment ${payment.id} auto-approved after ${payment.provider} verification`
+      );
+      return { verification, payment: approved };
+    }
+  } else if (!verification.confident) {
+    console.log(
+      `🚩 Payment ${payment.id} flagged for review: ${verification.status}`
+    );
+  } else if (highRisk) {
+    console.log(`🚩 Payment ${payment.id} held for review: high risk`);
+  } else if (dualApproval) {
+    console.log(
+      `🖐️ Payment ${payment.id} held for review: needs ${APPROVALS_REQUIRED} approvals`
+    );
+  }
+
+  return { verification, payment: updated || payment };
+};
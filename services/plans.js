@@ -0,0 +1,79 @@
+import { sql } from "../config/db.js";
+
+/**
+ * Plans and pricing catalog. Prices are in ETB; a null duration_days
+ * means the plan never expires.
+ */
+
+// DECIMAL(10,2)
+export const MAX_PRICE = 99999999.99;
+
+export const listPlans = async ({ activeOnly = false } = {}) => {
+  if (activeOnly) {
+    return sql`
+      SELECT * FROM plans WHERE is_active = true ORDER BY price ASC, id ASC
+    `;
+  }
+  return sql`SELECT * FROM plans ORDER BY is_active DESC, price ASC, id ASC`;
+};
+
+export const getPlan = async (planId) => {
+  const plan = await sql`SELECT * FROM plans WHERE id = ${planId} LIMIT 1`;
+  return plan[0] || null;
+};
+
+/**
+ * Plan fields from a validated request body (see schemas/adminSubscription.js)
+ * @param {object} body
+ * @param {object} [existing] - current plan when updating; missing fields fall back to it
+ * @returns {object}
+ */
+export const planFromBody = (body, existing = null) => {
+  const has = (field) => body[field] !== undefined;
+
+  return {
+    name: has("name") ? body.name.trim() : existing?.name,
+    description: has("description")
+      ? body.description
+      : existing?.description ?? null,
+    price: has("price") ? body.price : Number(existing?.price),
+    duration_days: has("duration_days")
+      ? body.duration_days
+      : existing?.duration_days ?? null,
+    features: has("features") ? body.features : existing?.features ?? [],
+    is_active: has("is_active") ? body.is_active : existing?.is_active ?? true,
+  };
+};
+
+export const createPlan = async (plan) => {
+  const created = await sql`
+    INSERT INTO plans (name, description, price, duration_days, features, is_active)
+    VALUES (
+      ${plan.name},
+      ${plan.description},
+      ${plan.price},
+      ${plan.duration_days},
+      ${JSON.stringify(plan.features)},
+      ${plan.is_active}
+    )
+    RETURNING *
+  `;
+  return created[0];
+};
+
+export const updatePlan = async (planId, plan) => {
+  const updated = await sql`
+    UPDATE plans
+    SET
+      name = ${plan.name},
+      description = ${plan.description},
+      price = ${plan.price},
+      duration_days = ${plan.duration_days},
+      features = ${JSON.stringify(plan.features)},
+      is_active = ${plan.is_active},
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${planId}
+    RETURNING *
+  `;
+  return updated[0] || null;
+};
@@ -0,0 +1,147 @@
+import crypto from "crypto";
+import { getStorage } from "./storage/index.js";
+
+/**
+ * 🧾 PAYMENT RECEIPTS
+ *
+ * Users may attach a receipt screenshot or PDF to a submission, sent as
+ * base64 in the JSON body. The type is read from the file's own bytes,
+ * never trusted from the client, and the SHA-256 of the content is kept
+ * on the payment so a receipt reused for another payment stands out.
+ *
+ * Files are stored content-addressed (receipts/<sha256>.<ext>), so the
+ * same receipt is only stored once.
+ */
+
+export const MAX_RECEIPT_BYTES =
+  parseInt(process.env.RECEIPT_MAX_BYTES) || 5 * 1024 * 1024;
+
+export const RECEIPT_REQUIRED = process.env.RECEIPT_REQUIRED === "true";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Recognised by their leading bytes
+const RECEIPT_TYPES = [
+  {
+    contentType: "image/png",
+    extension: "png",
+    matches: (bytes) => bytes.subarray(0, 8).equals(PNG_SIGNATURE),
+  },
+  {
+    contentType: "image/jpeg",
+    extension: "jpg",
+    matches: (bytes) =>
+      bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+  },
+  {
+    contentType: "image/webp",
+    extension: "webp",
+    matches: (bytes) =>
+      bytes.toString("latin1", 0, 4) === "RIFF" &&
+      bytes.toString("latin1", 8, 12) === "WEBP",
+  },
+  {
+    contentType: "application/pdf",
+    extension: "pdf",
+    matches: (bytes) => bytes.toString("latin1", 0, 5) === "%PDF-",
+  },
+];
+
+export const ALLOWED_RECEIPT_TYPES = RECEIPT_TYPES.map((type) => type.contentType);
+
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+const DATA_URL = /^data:([\w.+-]+\/[\w.+-]+);base64,/;
+
+/**
+ * Decode and validate a receipt from a request body
+ * @param {object} input - { filename, content_type, data } where data is
+ *   base64 or a data: URL
+ * @returns {{ errors: string[], receipt: object|null }}
+ */
+export const parseReceipt = (input) => {
+  const errors = [];
+
+  if (!input || typeof input !== "object" || typeof input.data !== "string") {
+    return { errors: ["receipt.data must be a base64 string"], receipt: null };
+  }
+
+  let declaredType = input.content_type || null;
+  let data = input.data.trim();
+  const dataUrl = data.match(DATA_URL);
+  if (dataUrl) {
+    declaredType = declaredType || dataUrl[1];
+    data = data.slice(dataUrl[0].length);
+  }
+  data = data.replace(/\s/g, "");
+
+  if (!BASE64.test(data) || data.length === 0) {
+    return { errors: ["receipt.data must be a base64 string"], receipt: null };
+  }
+
+  // Check the encoded length first so oversized uploads are never decoded
+  if (Math.floor((data.length * 3) / 4) > MAX_RECEIPT_BYTES + 2) {
+    return {
+      errors: [`receipt must be at most ${MAX_RECEIPT_BYTES} bytes`],
+      receipt: null,
+    };
+  }
+
+  const buffer = Buffer.from(data, "base64");
+  if (buffer.length > MAX_RECEIPT_BYTES) {
+    errors.push(`receipt must be at most ${MAX_RECEIPT_BYTES} bytes`);
+  }
+
+  const type = RECEIPT_TYPES.find((candidate) => candidate.matches(buffer));
+  if (!type) {
+    errors.push(`receipt must be one of: ${ALLOWED_RECEIPT_TYPES.join(", ")}`);
+  } else if (declaredType && declaredType !== type.contentType) {
+    errors.push(`receipt content is ${type.contentType}, not ${declaredType}`);
+  }
+
+  const filename =
+    typeof input.filename === "string"
+      ? input.filename.replace(/[^\w.\- ]/g, "_").slice(0, 255) || null
+      : null;
+
+  if (errors.length > 0) return { errors, receipt: null };
+
+  return {
+    errors,
+    receipt: {
+      buffer,
+      content_type: type.contentType,
+      extension: type.extension,
+      filename,
+      size: buffer.length,
+      sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+    },
+  };
+};
+
+/**
+ * Store a parsed receipt
+ * @returns {Promise<object>} receipt columns for the payments row
+ */
+export const storeReceipt = async (receipt) => {
+  const key = `receipts/${receipt.sha256}.${receipt.extension}`;
+  await getStorage().put(key, receipt.buffer, {
+    contentType: receipt.content_type,
+  });
+
+  return {
+    receipt_key: key,
+    receipt_filename: receipt.filename,
+    receipt_content_type: receipt.content_type,
+    receipt_size: receipt.size,
+    receipt_sha256: receipt.sha256,
+  };
+};
+
+/**
+ * Contents of a payment's receipt
+ * @returns {Promise<Buffer|null>}
+ */
+export const readReceipt = async (payment) => {
+  if (!payment.receipt_key) return null;
+  return getStorage().get(payment.receipt_key);
+};
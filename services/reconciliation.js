@@ -0,0 +1,829 @@
+import { sql } from "../config/db.js";
+import { AUDIT_ACTIONS, recordAuditEvent } from "./audit.js";
+import { approvePayment } from "./payments.js";
+import {
+  CLOCK_SKEW_MS,
+  MAX_AGE_HOURS,
+  VERIFICATION_STATUS,
+  evaluateTransaction,
+} from "./paymentProviders/index.js";
+
+/**
+ * 🧮 STATEMENT RECONCILIATION
+ *
+ * Admins upload a CSV export of a bank or mobile-money statement. Each
+ * credit row is matched to a pending or approved payment by transaction
+ * reference (ignoring case, spacing and separators), then checked the same
+ * way as a provider lookup: the amount must be the plan price and the date
+ * must fall within PAYMENT_MAX_AGE_HOURS before the submission.
+ *
+ * The report lists:
+ * - matched: statement rows claimed by a payment, with any discrepancies
+ * - unmatched_in_statement: rows no payment claims, with payments of the
+ *   same amount and date window as candidates
+ * - unmatched_in_system: payments submitted during the statement period
+ *   that the statement does not show
+ *
+ * Confident matches on pending payments can then be approved in one go.
+ */
+
+export const DATE_ORDERS = ["dmy", "mdy", "ymd"];
+const DELIMITERS = [",", ";", "\t", "|"];
+const UTC_OFFSET = /^[+-]\d{2}:\d{2}$/;
+
+export const MAX_STATEMENT_BYTES = 2 * 1024 * 1024;
+const MAX_STATEMENT_ROWS = 5000;
+// Exports often start with a few lines of account details
+const HEADER_SEARCH_ROWS = 20;
+const MAX_CANDIDATES = 5;
+const MAX_COLUMN_NAME_LENGTH = 100;
+
+// Statement times are Addis Ababa local time unless the mapping says otherwise
+const BASE_MAPPING = {
+  status: null,
+  delimiter: ",",
+  date_order: "ymd",
+  utc_offset: "+03:00",
+};
+
+// Column names in each provider's standard export
+const DEFAULT_MAPPINGS = {
+  telebirr: {
+    ...BASE_MAPPING,
+    reference: "Transaction Number",
+    amount: "Amount",
+    date: "Transaction Time",
+    status: "Transaction Status",
+  },
+  cbe_birr: {
+    ...BASE_MAPPING,
+    reference: "Reference",
+    amount: "Amount",
+    date: "Date",
+    date_order: "dmy",
+  },
+  bank_transfer: {
+    ...BASE_MAPPING,
+    reference: "Reference",
+    amount: "Credit",
+    date: "Value Date",
+    date_order: "dmy",
+  },
+};
+
+const FALLBACK_MAPPING = {
+  ...BASE_MAPPING,
+  reference: "reference",
+  amount: "amount",
+  date: "date",
+};
+
+// A statement is an export of our own account, so there is no recipient
+// to compare against
+const STATEMENT_ACCOUNT = { recipient: null };
+
+/**
+ * Validate a column mapping from a request body
+ * @returns {{ errors: string[], mapping: object }}
+ */
+export const validateMapping = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { errors: ["mapping must be an object"], mapping: null };
+  }
+
+  const errors = [];
+  const mapping = {
+    reference: input.reference,
+    amount: input.amount,
+    date: input.date,
+    status: input.status || null,
+    delimiter: input.delimiter ?? BASE_MAPPING.delimiter,
+    date_order: input.date_order ?? BASE_MAPPING.date_order,
+    utc_offset: input.utc_offset ?? BASE_MAPPING.utc_offset,
+  };
+
+  for (const column of ["reference", "amount", "date", "status"]) {
+    const name = mapping[column];
+    if (column === "status" && name === null) continue;
+    if (typeof name !== "string" || !name.trim()) {
+      errors.push(`${column} column is required`);
+    } else if (name.length > MAX_COLUMN_NAME_LENGTH) {
+      errors.push(
+        `${column} column must be at most ${MAX_COLUMN_NAME_LENGTH} characters`
+      );
+    }
+  }
+
+  if (!DELIMITERS.includes(mapping.delimiter)) {
+    errors.push('delimiter must be one of: ",", ";", "|" or a tab');
+  }
+
+  if (!DATE_ORDERS.includes(mapping.date_order)) {
+    errors.push(`date_order must be one of: ${DATE_ORDERS.join(", ")}`);
+  }
+
+  if (
+    typeof mapping.utc_offset !== "string" ||
+    !UTC_OFFSET.test(mapping.utc_offset)
+  ) {
+    errors.push("utc_offset must look like +03:00");
+  }
+
+  return { errors, mapping };
+};
+
+/**
+ * Saved mappings merged over the built-in defaults
+ * @param {string[]} providers - provider names
+ * @returns {Promise<object[]>} { provider, mapping, source, updated_by, updated_at }
+ */
+export const listMappings = async (providers) => {
+  const saved = await sql`
+    SELECT * FROM reconciliation_mappings
+    WHERE provider = ANY(${providers}::text[])
+  `;
+  const byProvider = new Map(saved.map((row) => [row.provider, row]));
+
+  return providers.map((provider) => {
+    const row = byProvider.get(provider);
+    return row
+      ? {
+          provider,
+          mapping: row.mapping,
+          source: "saved",
+          updated_by: row.updated_by,
+          updated_at: row.updated_at,
+        }
+      : {
+          provider,
+          mapping: DEFAULT_MAPPINGS[provider] || FALLBACK_MAPPING,
+          source: "default",
+          updated_by: null,
+          updated_at: null,
+        };
+  });
+};
+
+export const getMapping = async (provider) => {
+  const [entry] = await listMappings([provider]);
+  return entry.mapping;
+};
+
+/**
+ * Save the mapping used for a provider's statements from now on
+ * @param {import("./audit.js").AuditActor} actor
+ */
+export const saveMapping = async (provider, mapping, actor) => {
+  const before = await getMapping(provider);
+
+  const [saved] = await sql`
+    INSERT INTO reconciliation_mappings (
+      provider, mapping, updated_by, updated_at
+    )
+    VALUES (
+      ${provider},
+      ${JSON.stringify(mapping)}::jsonb,
+      ${actor.id},
+      CURRENT_TIMESTAMP
+    )
+    ON CONFLICT (provider)
+    DO UPDATE SET
+      mapping = EXCLUDED.mapping,
+      updated_by = EXCLUDED.updated_by,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `;
+
+  await recordAuditEvent(actor, {
+    action: AUDIT_ACTIONS.RECONCILIATION_MAPPING_UPDATED,
+    targetType: "reconciliation_mapping",
+    targetId: provider,
+    before,
+    after: mapping,
+  });
+
+  return saved;
+};
+
+/**
+ * Split CSV text into rows of fields. Handles quoted fields (with doubled
+ * quotes and embedded line breaks) and any line ending.
+ * @returns {string[][]}
+ */
+export const parseCsv = (text, delimiter = ",") => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Same normalization as payments.normalized_transaction_id
+const normalizeReference = (reference) =>
+  reference.replace(/[^A-Za-z0-9]/g, "").toUpperCase();
+
+/**
+ * Statement amounts may carry thousands separators, a currency label, or
+ * a minus sign / parentheses for debits. A comma followed by one or two
+ * final digits is a decimal comma ("1.234,50"); any other comma or, next
+ * to a decimal comma, any dot separates thousands.
+ * @returns {number|null}
+ */
+const parseAmount = (value) => {
+  const text = String(value ?? "").trim();
+  const [number = ""] = text.match(/\d[\d.,]*/) || [];
+  const decimalComma = /,\d{1,2}$/.test(number);
+  const amount = parseFloat(
+    decimalComma
+      ? number
+          .replace(/\./g, "")
+          .replace(/,(?=\d{1,2}$)/, ".")
+          .replace(/,/g, "")
+      : number.replace(/,/g, "")
+  );
+  if (Number.isNaN(amount)) return null;
+  return text.includes("-") || /^\(.*\)$/.test(text) ? -amount : amount;
+};
+
+const DATE_PARTS =
+  /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*(AM|PM)?)?$/i;
+const HAS_ZONE = /\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}(:?\d{2})?)$/i;
+
+/**
+ * Read a statement date in the mapping's field order and UTC offset.
+ * Timestamps with their own zone are taken as they are.
+ * @returns {Date|null}
+ */
+export const parseStatementDate = (value, { date_order, utc_offset }) => {
+  const text = String(value ?? "").trim();
+
+  if (HAS_ZONE.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = text.match(DATE_PARTS);
+  if (!match) return null;
+
+  const [, first, second, third, hours = "0", minutes = "0"] = match;
+  const [seconds = "0", meridiem] = match.slice(6);
+  const [yearText, monthText, dayText] = {
+    ymd: [first, second, third],
+    dmy: [third, second, first],
+    mdy: [third, first, second],
+  }[date_order];
+
+  let year = parseInt(yearText);
+  if (yearText.length === 2) year += 2000;
+  const month = parseInt(monthText);
+  const day = parseInt(dayText);
+  let hour = parseInt(hours);
+  if (meridiem) hour = (hour % 12) + (meridiem.toUpperCase() === "PM" ? 12 : 0);
+
+  const local = new Date(
+    Date.UTC(year, month - 1, day, hour, parseInt(minutes), parseInt(seconds))
+  );
+  // Reject rollovers such as 31/02 or a swapped day and month
+  if (local.getUTCMonth() !== month - 1 || local.getUTCDate() !== day) {
+    return null;
+  }
+
+  const [offsetHours, offsetMinutes] = utc_offset.slice(1).split(":");
+  const offset =
+    (utc_offset[0] === "-" ? -1 : 1) *
+    (parseInt(offsetHours) * 60 + parseInt(offsetMinutes));
+
+  return new Date(local.getTime() - offset * 60 * 1000);
+};
+
+/**
+ * Turn statement CSV into credit rows using a column mapping. Debits and
+ * rows that cannot be read are listed as skipped rather than failing the
+ * whole import.
+ *
+ * @returns {{ errors: string[], rows: object[], skipped: object[] }}
+ */
+export const readStatement = (csv, mapping) => {
+  const table = parseCsv(csv.replace(/^\uFEFF/, ""), mapping.delimiter);
+  const normalize = (name) => String(name).trim().toLowerCase();
+
+  const wanted = {
+    reference: mapping.reference,
+    amount: mapping.amount,
+    date: mapping.date,
+  };
+  if (mapping.status) wanted.status = mapping.status;
+
+  const headerIndex = table.slice(0, HEADER_SEARCH_ROWS).findIndex((row) => {
+    const names = row.map(normalize);
+    return Object.values(wanted).every((column) =>
+      names.includes(normalize(column))
+    );
+  });
+
+  if (headerIndex === -1) {
+    return {
+      errors: [
+        `No header row with the columns: ${Object.values(wanted).join(", ")}`,
+      ],
+      rows: [],
+      skipped: [],
+    };
+  }
+
+  if (table.length - headerIndex - 1 > MAX_STATEMENT_ROWS) {
+    return {
+      errors: [`Statements can have at most ${MAX_STATEMENT_ROWS} rows`],
+      rows: [],
+      skipped: [],
+    };
+  }
+
+  const header = table[headerIndex].map(normalize);
+  const columns = Object.fromEntries(
+    Object.entries(wanted).map(([field, column]) => [
+      field,
+      header.indexOf(normalize(column)),
+    ])
+  );
+
+  const rows = [];
+  const skipped = [];
+
+  table.slice(headerIndex + 1).forEach((cells, i) => {
+    if (cells.every((cell) => !cell.trim())) return;
+
+    const row = headerIndex + i + 2;
+    const cell = (field) => (cells[columns[field]] ?? "").trim();
+    const reference = cell("reference");
+    const amount = parseAmount(cell("amount"));
+    const paidAt = parseStatementDate(cell("date"), mapping);
+
+    if (amount === null || amount <= 0) {
+      skipped.push({ row, reference, reason: "Not a credit" });
+    } else if (!normalizeReference(reference)) {
+      skipped.push({ row, reference, reason: "Missing reference" });
+    } else if (!paidAt) {
+      skipped.push({
+        row,
+        reference,
+        reason: `Unrecognised date "${cell("date")}"`,
+      });
+    } else {
+      rows.push({
+        row,
+        reference,
+        normalized_reference: normalizeReference(reference),
+        amount,
+        paid_at: paidAt,
+        // Midnight on the day; the payment may be any time that day
+        date_only: !/\d:\d/.test(cell("date")),
+        status: columns.status === undefined ? null : cell("status") || null,
+      });
+    }
+  });
+
+  return { errors: [], rows, skipped };
+};
+
+// Paid no later than the clock skew after submission and no more than
+// PAYMENT_MAX_AGE_HOURS before it
+const withinWindow = (paidAt, submittedAt) => {
+  const gap = new Date(submittedAt).getTime() - paidAt.getTime();
+  return gap >= -CLOCK_SKEW_MS && gap <= MAX_AGE_HOURS * 60 * 60 * 1000;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * First and last moment the statement covers
+ * @returns {{ periodStart: Date|null, periodEnd: Date|null }}
+ */
+const statementPeriod = (rows) => {
+  if (rows.length === 0) return { periodStart: null, periodEnd: null };
+  const starts = rows.map((row) => row.paid_at.getTime());
+  const ends = rows.map(
+    (row) => row.paid_at.getTime() + (row.date_only ? DAY_MS - 1 : 0)
+  );
+  return {
+    periodStart: new Date(Math.min(...starts)),
+    periodEnd: new Date(Math.max(...ends)),
+  };
+};
+
+// A match on one of these can still be approved from the report
+const isAwaitingApproval = (payment) =>
+  payment.status === "pending" || payment.status === "partially_approved";
+
+const paymentSummary = (payment) => ({
+  payment_id: payment.id,
+  transaction_id: payment.transaction_id,
+  clerk_user_id: payment.clerk_user_id,
+  user_email: payment.user_email,
+  amount: payment.amount,
+  status: payment.status,
+  submitted_at: payment.created_at,
+});
+
+/**
+ * Match statement rows against a provider's pending and approved payments
+ * @returns {Promise<{matched, unmatched_in_statement, unmatched_in_system}>}
+ */
+const matchStatement = async (provider, rows) => {
+  if (rows.length === 0) {
+    return { matched: [], unmatched_in_statement: [], unmatched_in_system: [] };
+  }
+
+  const { periodStart, periodEnd } = statementPeriod(rows);
+  const references = [...new Set(rows.map((row) => row.normalized_reference))];
+
+  // Everything a row could match by reference, plus everything submitted
+  // in the window any row could belong to
+  const payments = await sql`
+    SELECT
+      p.id, p.clerk_user_id, p.transaction_id, p.normalized_transaction_id,
+      p.amount, p.expected_amount, p.status, p.risk_level, p.created_at,
+      u.email as user_email
+    FROM payments p
+    LEFT JOIN users u ON u.clerk_user_id = p.clerk_user_id
+    WHERE p.provider = ${provider}
+      AND p.status IN ('pending', 'partially_approved', 'approved')
+      AND (
+        p.normalized_transaction_id = ANY(${references}::text[])
+        OR p.created_at BETWEEN ${new Date(periodStart.getTime() - CLOCK_SKEW_MS)}
+          AND ${new Date(periodEnd.getTime() + MAX_AGE_HOURS * 60 * 60 * 1000)}
+      )
+    ORDER BY p.created_at ASC, p.id ASC
+  `;
+
+  const referenceSet = new Set(references);
+  const claimsByReference = new Map();
+  for (const payment of payments) {
+    if (!referenceSet.has(payment.normalized_transaction_id)) continue;
+    const reference = payment.normalized_transaction_id;
+    claimsByReference.set(reference, [
+      ...(claimsByReference.get(reference) || []),
+      payment,
+    ]);
+  }
+  const unclaimed = payments.filter(
+    (payment) => !claimsByReference.has(payment.normalized_transaction_id)
+  );
+
+  const matched = [];
+  const unmatchedInStatement = [];
+  const firstRowByReference = new Map();
+
+  for (const row of rows) {
+    const entry = {
+      row: row.row,
+      reference: row.reference,
+      amount: row.amount,
+      paid_at: row.paid_at,
+    };
+
+    const firstRow = firstRowByReference.get(row.normalized_reference);
+    if (firstRow) {
+      unmatchedInStatement.push({
+        ...entry,
+        reason: `Same reference as row ${firstRow}`,
+        candidates: [],
+      });
+      continue;
+    }
+    firstRowByReference.set(row.normalized_reference, row.row);
+
+    const claims = claimsByReference.get(row.normalized_reference);
+    if (!claims) {
+      unmatchedInStatement.push({
+        ...entry,
+        reason: "No payment with this reference",
+        candidates: unclaimed
+          .filter(
+            (payment) =>
+              Math.abs(parseFloat(payment.amount) - row.amount) < 0.005 &&
+              withinWindow(row.paid_at, payment.created_at)
+          )
+          .slice(0, MAX_CANDIDATES)
+          .map(paymentSummary),
+      });
+      continue;
+    }
+
+    const [payment] = claims;
+    const { reasons } = evaluateTransaction(
+      STATEMENT_ACCOUNT,
+      {
+        reference: row.reference,
+        amount: row.amount,
+        currency: "ETB",
+        paid_at: row.paid_at,
+        status: row.status,
+      },
+      {
+        amount: payment.expected_amount ?? payment.amount,
+        submitted_at: payment.created_at,
+      }
+    );
+    if (claims.length > 1) {
+      reasons.push(
+        `Reference is claimed by payments #${claims
+          .map((claim) => claim.id)
+          .join(", #")}`
+      );
+    }
+    // Same rule as provider verification: high risk is never auto-approved
+    if (isAwaitingApproval(payment) && payment.risk_level === "high") {
+      reasons.push("Payment is rated high risk");
+    }
+
+    matched.push({
+      ...entry,
+      payment_id: payment.id,
+      transaction_id: payment.transaction_id,
+      clerk_user_id: payment.clerk_user_id,
+      user_email: payment.user_email,
+      payment_amount: payment.amount,
+      expected_amount: payment.expected_amount,
+      status: payment.status,
+      submitted_at: payment.created_at,
+      confident: reasons.length === 0,
+      reasons,
+    });
+  }
+
+  const unmatchedInSystem = unclaimed
+    .filter((payment) => {
+      const submittedAt = new Date(payment.created_at);
+      return submittedAt >= periodStart && submittedAt <= periodEnd;
+    })
+    .map(paymentSummary);
+
+  return {
+    matched,
+    unmatched_in_statement: unmatchedInStatement,
+    unmatched_in_system: unmatchedInSystem,
+  };
+};
+
+const isApprovable = (match) => match.confident && isAwaitingApproval(match);
+
+/**
+ * Import a statement, match it and keep the report
+ *
+ * @param {object} statement - provider, filename, csv, mapping (validated)
+ * @param {import("./audit.js").AuditActor} actor
+ * @returns {Promise<{ errors: string[], run: object|null }>}
+ */
+export const runReconciliation = async (
+  { provider, filename = null, csv, mapping },
+  actor
+) => {
+  const { errors, rows, skipped } = readStatement(csv, mapping);
+  if (errors.length > 0) return { errors, run: null };
+
+  const report = { ...(await matchStatement(provider, rows)), skipped };
+  const { periodStart, periodEnd } = statementPeriod(rows);
+  const summary = {
+    rows: rows.length + skipped.length,
+    skipped: skipped.length,
+    matched: report.matched.length,
+    confident: report.matched.filter((match) => match.confident).length,
+    approvable: report.matched.filter(isApprovable).length,
+    unmatched_in_statement: report.unmatched_in_statement.length,
+    unmatched_in_system: report.unmatched_in_system.length,
+    period_start: periodStart,
+    period_end: periodEnd,
+  };
+
+  const [run] = await sql`
+    INSERT INTO reconciliation_runs (
+      provider, filename, mapping, summary, report, admin_id
+    )
+    VALUES (
+      ${provider},
+      ${filename},
+      ${JSON.stringify(mapping)}::jsonb,
+      ${JSON.stringify(summary)}::jsonb,
+      ${JSON.stringify(report)}::jsonb,
+      ${actor.id}
+    )
+    RETURNING *
+  `;
+
+  await recordAuditEvent(actor, {
+    action: AUDIT_ACTIONS.RECONCILIATION_IMPORTED,
+    targetType: "reconciliation_run",
+    targetId: run.id,
+    after: summary,
+    metadata: { provider, filename },
+  });
+
+  console.log(
+    `🧮 Reconciled ${summary.rows} ${provider} statement rows: ${summary.matched} matched, ${summary.approvable} ready to approve`
+  );
+
+  return { errors: [], run };
+};
+
+export const listRuns = async ({ limit = 20 } = {}) => {
+  return sql`
+    SELECT id, provider, filename, summary, admin_id, created_at
+    FROM reconciliation_runs
+    ORDER BY created_at DESC, id DESC
+    LIMIT ${limit}
+  `;
+};
+
+/**
+ * A stored run, with each matched payment's status as it is now
+ * @returns {Promise<object|null>}
+ */
+export const getRun = async (runId) => {
+  const [run] = await sql`
+    SELECT * FROM reconciliation_runs WHERE id = ${runId} LIMIT 1
+  `;
+  if (!run) return null;
+
+  const paymentIds = run.report.matched.map((match) => match.payment_id);
+  const current = await sql`
+    SELECT id, status FROM payments WHERE id = ANY(${paymentIds}::int[])
+  `;
+  const statusById = new Map(
+    current.map((payment) => [payment.id, payment.status])
+  );
+
+  run.report.matched = run.report.matched.map((match) => ({
+    ...match,
+    status: statusById.get(match.payment_id) ?? match.status,
+  }));
+  run.summary.approvable = run.report.matched.filter(isApprovable).length;
+
+  return run;
+};
+
+/**
+ * Store the statement row as the payment's verification, like a provider
+ * lookup would. Only touches payments awaiting approval.
+ * @returns {Promise<object|null>} the payment, or null if no longer
+ *   awaiting approval
+ */
+const recordStatementVerification = async (match, run, actor) => {
+  const [verified] = await sql`
+    UPDATE payments p
+    SET
+      verification_status = ${VERIFICATION_STATUS.VERIFIED},
+      verification_details = ${JSON.stringify({
+        reasons: [],
+        transaction: {
+          reference: match.reference,
+          amount: match.amount,
+          paid_at: match.paid_at,
+        },
+        source: "reconciliation",
+        reconciliation_run_id: run.id,
+        statement_row: match.row,
+      })},
+      verified_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+    FROM payments previous
+    WHERE p.id = ${match.payment_id}
+      AND previous.id = p.id
+      AND p.status IN ('pending', 'partially_approved')
+    RETURNING p.*, previous.verification_status as previous_verification_status
+  `;
+  if (!verified) return null;
+
+  await recordAuditEvent(actor, {
+    action: AUDIT_ACTIONS.PAYMENT_VERIFIED,
+    targetType: "payment",
+    targetId: verified.id,
+    paymentId: verified.id,
+    userId: verified.clerk_user_id,
+    before: { verification_status: verified.previous_verification_status },
+    after: { verification_status: VERIFICATION_STATUS.VERIFIED, reasons: [] },
+    metadata: { reconciliation_run_id: run.id, statement_row: match.row },
+  });
+
+  return verified;
+};
+
+/**
+ * Approve the confident matches of a run that are still awaiting approval.
+ * Each payment commits on its own and reports its own outcome. This counts
+ * as the admin's own approval, so payments that need two admins may end up
+ * partially approved.
+ *
+ * @param {object} run - from getRun
+ * @param {import("./audit.js").AuditActor} actor
+ * @param {number[]|null} paymentIds - limit to these payments
+ * @returns {Promise<{ success: boolean, results: object[], summary: object }>}
+ */
+export const approveReconciledPayments = async (
+  run,
+  actor,
+  paymentIds = null
+) => {
+  const approvable = run.report.matched.filter(isApprovable);
+  const approvableIds = new Set(approvable.map((match) => match.payment_id));
+  const results = [];
+
+  for (const paymentId of paymentIds || []) {
+    if (!approvableIds.has(paymentId)) {
+      results.push({
+        payment_id: paymentId,
+        success: false,
+        error: "Not a confident match",
+        message: `Payment ${paymentId} is not a confident match awaiting approval in reconciliation run ${run.id}`,
+      });
+    }
+  }
+
+  const selected = paymentIds
+    ? approvable.filter((match) => paymentIds.includes(match.payment_id))
+    : approvable;
+
+  for (const match of selected) {
+    try {
+      const verified = await recordStatementVerification(match, run, actor);
+      // The statement shows the plan price was paid, whatever the user typed
+      const approved =
+        verified &&
+        (await approvePayment(match.payment_id, actor, {
+          allowAmountMismatch: true,
+        }));
+
+      results.push(
+        approved
+          ? {
+              payment_id: match.payment_id,
+              success: true,
+              status: approved.status,
+              user_id: approved.clerk_user_id,
+            }
+          : {
+              payment_id: match.payment_id,
+              success: false,
+              error: "Invalid payment status",
+              message: `Payment ${match.payment_id} is no longer awaiting approval, or you already approved it`,
+            }
+      );
+    } catch (error) {
+      console.error(
+        `❌ Reconciliation approval failed for payment ${match.payment_id}:`,
+        error
+      );
+      results.push({
+        payment_id: match.payment_id,
+        success: false,
+        error: "Processing failed",
+        message: error.message,
+      });
+    }
+  }
+
+  const succeeded = results.filter((result) => result.success).length;
+  return {
+    success: succeeded === results.length,
+    results,
+    summary: {
+      requested: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+    },
+  };
+};
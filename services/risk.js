@@ -0,0 +1,206 @@
+import { sql } from "../config/db.js";
+import { AUDIT_ACTIONS, recordAuditEvent, systemActor } from "./audit.js";
+import { hasAmountMismatch, rejectPayment } from "./payments.js";
+
+/**
+ * 🛡️ PAYMENT RISK SCORING
+ *
+ * Every submission is scored from 0 to 100 by adding up the points of the
+ * signals below. The score, level and reasons are stored on the payment.
+ *
+ * Levels:
+ * - low:    below RISK_MEDIUM_SCORE (default 30)
+ * - medium: below RISK_HIGH_SCORE (default 70)
+ * - high:   never auto-approved, even after provider verification
+ *
+ * Payments scoring at least RISK_AUTO_REJECT_SCORE are rejected straight
+ * away; 0 rejects every submission. Unset, nothing is auto-rejected.
+ */
+
+export const RISK_LEVEL = {
+  LOW: "low",
+  MEDIUM: "medium",
+  HIGH: "high",
+};
+
+// 0 is a valid threshold, so only a missing or unreadable value falls back
+const scoreFromEnv = (name, fallback) => {
+  const score = parseInt(process.env[name]);
+  return Number.isFinite(score) ? score : fallback;
+};
+
+const MEDIUM_SCORE = scoreFromEnv("RISK_MEDIUM_SCORE", 30);
+const HIGH_SCORE = scoreFromEnv("RISK_HIGH_SCORE", 70);
+const AUTO_REJECT_SCORE = scoreFromEnv("RISK_AUTO_REJECT_SCORE", null);
+const LOOKBACK_DAYS = parseInt(process.env.RISK_LOOKBACK_DAYS) || 30;
+const SHARED_IP_DAYS = 7;
+const MAX_SCORE = 100;
+
+// Shown to the user; the real reasons stay on the payment for admins
+const AUTO_REJECT_REASON =
+  "This payment could not be accepted automatically. Please contact support.";
+
+const idList = (rows) => rows.map((row) => `#${row.id}`).join(", ");
+
+/**
+ * Each signal returns { points, detail } when it fires, null otherwise
+ */
+const SIGNALS = [
+  {
+    name: "near_duplicate_transaction",
+    // Exact duplicates are refused at submission; this catches the same
+    // reference typed with different case, spacing or separators
+    async check(payment) {
+      const matches = await sql`
+        SELECT id FROM payments
+        WHERE normalized_transaction_id = ${payment.normalized_transaction_id}
+          AND id <> ${payment.id}
+        ORDER BY id
+        LIMIT 10
+      `;
+      if (matches.length === 0) return null;
+      return {
+        points: 60,
+        detail: `Transaction ID resembles payment(s) ${idList(matches)}`,
+      };
+    },
+  },
+  {
+    name: "amount_mismatch",
+    async check(payment) {
+      if (!hasAmountMismatch(payment)) return null;
+      return {
+        points: 25,
+        detail: `Submitted ETB ${payment.amount} but the plan costs ETB ${payment.expected_amount}`,
+      };
+    },
+  },
+  {
+    name: "prior_rejections",
+    async check(payment) {
+      const [{ count }] = await sql`
+        SELECT COUNT(*)::int as count FROM payments
+        WHERE clerk_user_id = ${payment.clerk_user_id}
+          AND status = 'rejected'
+          AND created_at > CURRENT_TIMESTAMP - make_interval(days => ${LOOKBACK_DAYS})
+      `;
+      if (count === 0) return null;
+      return {
+        points: Math.min(15 * count, 45),
+        detail: `${count} rejected payment(s) on this account in the last ${LOOKBACK_DAYS} days`,
+      };
+    },
+  },
+  {
+    name: "shared_ip",
+    async check(payment) {
+      if (!payment.submitted_ip) return null;
+      const [{ count }] = await sql`
+        SELECT COUNT(DISTINCT clerk_user_id)::int as count FROM payments
+        WHERE submitted_ip = ${payment.submitted_ip}
+          AND clerk_user_id <> ${payment.clerk_user_id}
+          AND created_at > CURRENT_TIMESTAMP - make_interval(days => ${SHARED_IP_DAYS})
+      `;
+      if (count < 2) return null;
+      return {
+        points: Math.min(10 * count, 50),
+        detail: `${count} other accounts submitted payments from this IP in the last ${SHARED_IP_DAYS} days`,
+      };
+    },
+  },
+  {
+    name: "reused_receipt",
+    async check(payment) {
+      if (!payment.receipt_sha256) return null;
+      const matches = await sql`
+        SELECT id FROM payments
+        WHERE receipt_sha256 = ${payment.receipt_sha256} AND id <> ${payment.id}
+        ORDER BY id
+        LIMIT 10
+      `;
+      if (matches.length === 0) return null;
+      return {
+        points: 60,
+        detail: `Receipt was already submitted with payment(s) ${idList(matches)}`,
+      };
+    },
+  },
+];
+
+export const riskLevel = (score) => {
+  if (score >= HIGH_SCORE) return RISK_LEVEL.HIGH;
+  if (score >= MEDIUM_SCORE) return RISK_LEVEL.MEDIUM;
+  return RISK_LEVEL.LOW;
+};
+
+/**
+ * Score a payment and store the result on it
+ * @param {object} payment - payments row
+ * @returns {Promise<{risk: {score: number, level: string, reasons: object[]}, payment: object}>}
+ */
+export const assessPaymentRisk = async (payment) => {
+  const reasons = [];
+  for (const signal of SIGNALS) {
+    const result = await signal.check(payment);
+    if (result) reasons.push({ signal: signal.name, ...result });
+  }
+
+  const score = Math.min(
+    reasons.reduce((total, reason) => total + reason.points, 0),
+    MAX_SCORE
+  );
+  const risk = { score, level: riskLevel(score), reasons };
+
+  const [updated] = await sql`
+    UPDATE payments
+    SET
+      risk_score = ${risk.score},
+      risk_level = ${risk.level},
+      risk_reasons = ${JSON.stringify(risk.reasons)},
+      risk_assessed_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${payment.id}
+    RETURNING *
+  `;
+
+  await recordAuditEvent(systemActor("risk-engine"), {
+    action: AUDIT_ACTIONS.PAYMENT_RISK_ASSESSED,
+    targetType: "payment",
+    targetId: payment.id,
+    paymentId: payment.id,
+    userId: payment.clerk_user_id,
+    before: { risk_score: payment.risk_score ?? null },
+    after: risk,
+  });
+
+  return { risk, payment: updated || payment };
+};
+
+/**
+ * Score a new submission and reject it outright if it reaches
+ * RISK_AUTO_REJECT_SCORE
+ * @returns {Promise<{risk: object, payment: object}>}
+ */
+export const screenPayment = async (payment) => {
+  const { risk, payment: assessed } = await assessPaymentRisk(payment);
+
+  if (AUTO_REJECT_SCORE !== null && risk.score >= AUTO_REJECT_SCORE) {
+    const rejected = await rejectPayment(
+      payment.id,
+      systemActor("risk-engine"),
+      AUTO_REJECT_REASON
+    );
+    if (rejected) {
+      console.log(
+        `🛡️ Payment ${payment.id} auto-rejected with risk score ${risk.score}`
+      );
+      return { risk, payment: rejected };
+    }
+  } else if (risk.level !== RISK_LEVEL.LOW) {
+    console.log(
+      `🛡️ Payment ${payment.id} scored ${risk.score} (${risk.level} risk)`
+    );
+  }
+
+  return { risk, payment: assessed };
+};
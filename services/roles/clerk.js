@@ -0,0 +1,22 @@
+import { clerkClient } from "../../config/clerk.js";
+import { ROLES, isRole } from "./permissions.js";
+
+/**
+ * Roles from Clerk user metadata: publicMetadata.role names the role.
+ * Admins from before roles existed (publicMetadata.role "admin" or
+ * privateMetadata.isAdmin) keep full access as superadmins.
+ */
+export const clerkRoleStore = {
+  name: "clerk",
+
+  async getRole(userId) {
+    const user = await clerkClient.users.getUser(userId);
+    const role = user.publicMetadata?.role;
+
+    if (isRole(role)) return role;
+    if (role === "admin" || user.privateMetadata?.isAdmin === true) {
+      return ROLES.SUPERADMIN;
+    }
+    return null;
+  },
+};
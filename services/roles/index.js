@@ -0,0 +1,70 @@
+import { getAuthProvider } from "../auth/index.js";
+import { clerkRoleStore } from "./clerk.js";
+import { localRoleStore } from "./local.js";
+import { PERMISSIONS, ROLES } from "./permissions.js";
+
+export { PERMISSIONS, ROLES };
+
+/**
+ * 🛡️ ADMIN ROLES
+ *
+ * Every admin has one role. Roles form a hierarchy: each one has its own
+ * permissions plus everything granted to the roles below it.
+ *
+ *   viewer     → view payments, users, plans, analytics and the audit trail
+ *   reviewer   → + approve and reject payments
+ *   finance    → + refunds, manual Pro changes, plans, exports, reconciliation
+ *   superadmin → + webhooks and database setup
+ *
+ * Role stores expose:
+ * - name
+ * - getRole(userId) → one of ROLES, null if the user is not an admin
+ *
+ * The store is chosen with ADMIN_ROLE_STORE, defaulting to the one that
+ * goes with the auth provider (clerk, or local for local accounts).
+ */
+
+// Lowest role first
+const ROLE_GRANTS = [
+  [ROLES.VIEWER, [PERMISSIONS.VIEW_PAYMENTS]],
+  [ROLES.REVIEWER, [PERMISSIONS.APPROVE_PAYMENTS, PERMISSIONS.REJECT_PAYMENTS]],
+  [
+    ROLES.FINANCE,
+    [
+      PERMISSIONS.REFUND_PAYMENTS,
+      PERMISSIONS.MANAGE_USERS,
+      PERMISSIONS.MANAGE_PLANS,
+      PERMISSIONS.EXPORT_DATA,
+      PERMISSIONS.RECONCILE,
+    ],
+  ],
+  [ROLES.SUPERADMIN, [PERMISSIONS.MANAGE_WEBHOOKS, PERMISSIONS.RUN_SETUP]],
+];
+
+export const ROLE_PERMISSIONS = Object.fromEntries(
+  ROLE_GRANTS.map(([role], i) => [
+    role,
+    ROLE_GRANTS.slice(0, i + 1).flatMap(([, grants]) => grants),
+  ])
+);
+
+/**
+ * @returns {string[]} permissions of the role, empty for unknown roles
+ */
+export const permissionsFor = (role) =>
+  Object.hasOwn(ROLE_PERMISSIONS, role) ? ROLE_PERMISSIONS[role] : [];
+
+const STORES = {
+  [clerkRoleStore.name]: clerkRoleStore,
+  [localRoleStore.name]: localRoleStore,
+};
+
+export const getRoleStore = () => {
+  const configured =
+    process.env.ADMIN_ROLE_STORE || getAuthProvider().roleStore;
+  const store = STORES[configured];
+  if (!store) {
+    throw new Error(`Unknown admin role store "${configured}"`);
+  }
+  return store;
+};
@@ -0,0 +1,35 @@
+import { isRole } from "./permissions.js";
+
+/**
+ * Roles kept in memory, for development and tests without Clerk.
+ * Seeded from ADMIN_ROLES, e.g. "user_123:superadmin,user_456:viewer", and
+ * from the roles of local accounts (see services/auth/local.js).
+ */
+const roles = new Map();
+
+for (const entry of (process.env.ADMIN_ROLES || "").split(",")) {
+  if (!entry.trim()) continue;
+  const [userId, role] = entry.split(":").map((part) => part.trim());
+  if (userId && isRole(role)) roles.set(userId, role);
+  else console.warn(`⚠️ Ignoring invalid ADMIN_ROLES entry "${entry}"`);
+}
+
+export const localRoleStore = {
+  name: "local",
+
+  async getRole(userId) {
+    return roles.get(userId) || null;
+  },
+
+  /**
+   * Assign a role, or remove admin access with null
+   */
+  setRole(userId, role) {
+    if (role === null) {
+      roles.delete(userId);
+      return;
+    }
+    if (!isRole(role)) throw new Error(`Unknown role "${role}"`);
+    roles.set(userId, role);
+  },
+};
@@ -0,0 +1,21 @@
+export const ROLES = {
+  VIEWER: "viewer",
+  REVIEWER: "reviewer",
+  FINANCE: "finance",
+  SUPERADMIN: "superadmin",
+};
+
+export const PERMISSIONS = {
+  VIEW_PAYMENTS: "payments.view",
+  APPROVE_PAYMENTS: "payments.approve",
+  REJECT_PAYMENTS: "payments.reject",
+  REFUND_PAYMENTS: "payments.refund",
+  MANAGE_USERS: "users.manage",
+  MANAGE_PLANS: "plans.manage",
+  EXPORT_DATA: "data.export",
+  RECONCILE: "reconciliation.run",
+  MANAGE_WEBHOOKS: "webhooks.manage",
+  RUN_SETUP: "database.setup",
+};
+
+export const isRole = (role) => Object.values(ROLES).includes(role);
@@ -0,0 +1,26 @@
+import { localDiskStorage } from "./local.js";
+
+/**
+ * 🗄️ FILE STORAGE
+ *
+ * Backends expose:
+ * - name
+ * - put(key, buffer, { contentType })
+ * - get(key) → Buffer, null if missing
+ * - remove(key)
+ *
+ * The backend is chosen with RECEIPT_STORAGE (default local).
+ */
+
+const BACKENDS = {
+  [localDiskStorage.name]: localDiskStorage,
+};
+
+export const getStorage = () => {
+  const configured = process.env.RECEIPT_STORAGE || "local";
+  const storage = BACKENDS[configured];
+  if (!storage) {
+    throw new Error(`Unknown storage backend "${configured}"`);
+  }
+  return storage;
+};
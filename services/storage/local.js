@@ -0,0 +1,46 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Local disk storage under RECEIPT_STORAGE_DIR (default ./uploads).
+ * Fine for a single server; use a shared backend when running several.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIR = path.join(__dirname, "..", "..", "uploads");
+
+const rootDir = () => path.resolve(process.env.RECEIPT_STORAGE_DIR || DEFAULT_DIR);
+
+// Keys are generated by us, but never let one escape the storage root
+const resolveKey = (key) => {
+  const root = rootDir();
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return file;
+};
+
+export const localDiskStorage = {
+  name: "local",
+
+  async put(key, buffer) {
+    const file = resolveKey(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  },
+
+  async get(key) {
+    try {
+      return await fs.readFile(resolveKey(key));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  },
+
+  async remove(key) {
+    await fs.rm(resolveKey(key), { force: true });
+  },
+};
@@ -0,0 +1,204 @@
+import { withTransaction } from "../config/db.js";
+import { AUDIT_ACTIONS } from "./audit.js";
+import { WEBHOOK_EVENTS, webhookEventQuery } from "./webhooks.js";
+
+/**
+ * ⏳ SUBSCRIPTION PERIODS
+ *
+ * States:
+ * - active:  within the paid period (or lifetime)
+ * - grace:   period ended less than SUBSCRIPTION_GRACE_DAYS ago; still Pro
+ * - expired: grace period over; the expiry job turns off is_pro
+ * - none:    never had Pro
+ *
+ * Renewals are ordinary payments. An active or grace subscriber may prepay
+ * once the period end is within SUBSCRIPTION_RENEWAL_WINDOW_DAYS; the new
+ * period starts where the current one ends.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 0 is a valid setting (no grace, renew only once expired)
+const daysFromEnv = (name, fallback) => {
+  const days = parseInt(process.env[name]);
+  return Number.isFinite(days) ? days : fallback;
+};
+
+export const GRACE_DAYS = daysFromEnv("SUBSCRIPTION_GRACE_DAYS", 3);
+export const RENEWAL_WINDOW_DAYS = daysFromEnv(
+  "SUBSCRIPTION_RENEWAL_WINDOW_DAYS",
+  30
+);
+const EXPIRY_INTERVAL_MINUTES =
+  parseInt(process.env.SUBSCRIPTION_EXPIRY_INTERVAL_MINUTES) || 60;
+
+export const SUBSCRIPTION_STATE = {
+  ACTIVE: "active",
+  GRACE: "grace",
+  EXPIRED: "expired",
+  NONE: "none",
+};
+
+/**
+ * Work out the subscription state of a users row from its dates, so the
+ * answer is right even if the expiry job has not run yet.
+ *
+ * @param {object|null} user - users row
+ * @param {Date} [now]
+ */
+export const getSubscriptionState = (user, now = new Date()) => {
+  const empty = {
+    state: SUBSCRIPTION_STATE.NONE,
+    isPro: false,
+    lifetime: false,
+    periodStart: null,
+    expiresAt: null,
+    graceEndsAt: null,
+    daysRemaining: null,
+    canRenew: true,
+  };
+
+  if (!user) return empty;
+
+  const periodEnd = user.current_period_end
+    ? new Date(user.current_period_end)
+    : null;
+
+  // Lifetime access
+  if (!periodEnd) {
+    return user.is_pro
+      ? {
+          ...empty,
+          state: SUBSCRIPTION_STATE.ACTIVE,
+          isPro: true,
+          lifetime: true,
+          periodStart: user.current_period_start ?? user.pro_since ?? null,
+          canRenew: false,
+        }
+      : empty;
+  }
+
+  const graceEndsAt = new Date(periodEnd.getTime() + GRACE_DAYS * DAY_MS);
+  const renewalOpensAt = new Date(
+    periodEnd.getTime() - RENEWAL_WINDOW_DAYS * DAY_MS
+  );
+
+  let state = SUBSCRIPTION_STATE.EXPIRED;
+  if (user.is_pro && now <= periodEnd) state = SUBSCRIPTION_STATE.ACTIVE;
+  else if (user.is_pro && now <= graceEndsAt) state = SUBSCRIPTION_STATE.GRACE;
+
+  return {
+    state,
+    isPro: state !== SUBSCRIPTION_STATE.EXPIRED,
+    lifetime: false,
+    periodStart: user.current_period_start,
+    expiresAt: periodEnd,
+    graceEndsAt,
+    daysRemaining: Math.max(0, Math.ceil((periodEnd - now) / DAY_MS)),
+    canRenew:
+      state === SUBSCRIPTION_STATE.EXPIRED || now >= renewalOpensAt,
+    renewalOpensAt,
+  };
+};
+
+/**
+ * Turn off Pro for subscriptions whose grace period has ended. Each expiry
+ * is written to the audit trail and queued as a webhook event in the same
+ * transaction.
+ * @returns {Promise<Array<{clerk_user_id: string}>>} users that expired
+ */
+export const expireLapsedSubscriptions = async () => {
+  const [expired] = await withTransaction((txn) => [
+    txn`
+      WITH expired AS (
+        UPDATE users
+        SET
+          is_pro = false,
+          expired_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE is_pro = true
+          AND current_period_end IS NOT NULL
+          AND current_period_end + make_interval(days => ${GRACE_DAYS}) < CURRENT_TIMESTAMP
+        RETURNING clerk_user_id, plan_id, current_period_end
+      )
+      INSERT INTO audit_events (
+        actor_id, actor_type, action, target_type, target_id, user_id,
+        before_state, after_state
+      )
+      SELECT
+        'system:subscription-expiry',
+        'system',
+        ${AUDIT_ACTIONS.SUBSCRIPTION_EXPIRED},
+        'user',
+        clerk_user_id,
+        clerk_user_id,
+        jsonb_build_object('is_pro', true),
+        jsonb_build_object(
+          'is_pro', false,
+          'plan_id', plan_id,
+          'current_period_end', current_period_end
+        )
+      FROM expired
+      RETURNING
+        user_id AS clerk_user_id,
+        after_state->>'plan_id' AS plan_id,
+        after_state->>'current_period_end' AS current_period_end,
+        created_at AS expired_at
+    `,
+    // Only the users the statement above expired have is_pro off with
+    // expired_at set to this transaction's time
+    webhookEventQuery(
+      txn,
+      WEBHOOK_EVENTS.SUBSCRIPTION_EXPIRED,
+      txn`
+        SELECT jsonb_build_object(
+          'user_id', clerk_user_id,
+          'plan_id', plan_id,
+          'current_period_end', current_period_end,
+          'expired_at', expired_at
+        ) AS data
+        FROM users
+        WHERE is_pro = false AND expired_at = CURRENT_TIMESTAMP
+      `
+    ),
+  ]);
+
+  if (expired.length > 0) {
+    console.log(`⌛ Expired ${expired.length} lapsed subscription(s)`);
+  }
+  return expired;
+};
+
+/**
+ * Run the expiry job now and then every SUBSCRIPTION_EXPIRY_INTERVAL_MINUTES
+ * @returns {() => void} stops the job
+ */
+export const startSubscriptionExpiryJob = ({
+  intervalMs = EXPIRY_INTERVAL_MINUTES * 60 * 1000,
+} = {}) => {
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      await expireLapsedSubscriptions();
+    } catch (error) {
+      console.error("❌ Subscription expiry job error:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  console.log(
+    `⏳ Subscription expiry job scheduled every ${Math.round(
+      intervalMs / 60000
+    )} minute(s)`
+  );
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,163 @@
+import crypto from "crypto";
+import { sql, withTransaction } from "../config/db.js";
+
+/**
+ * 🔄 CLERK USER SYNC
+ *
+ * Keeps users.email and users.name in step with Clerk. Profiles arrive
+ * three ways:
+ * - Clerk webhooks (user.created, user.updated, user.deleted), signed by
+ *   Svix with CLERK_WEBHOOK_SECRET
+ * - the first authenticated request of a user this process has not seen
+ *   (see middleware/bulletproofAuth.js)
+ * - scripts/backfill-users.js for users who predate the webhook
+ */
+
+export const CLERK_EVENTS = {
+  USER_CREATED: "user.created",
+  USER_UPDATED: "user.updated",
+  USER_DELETED: "user.deleted",
+};
+
+// Svix rejects messages older or newer than this
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const svixKey = (secret) =>
+  Buffer.from(String(secret).replace(/^whsec_/, ""), "base64");
+
+/**
+ * Sign a raw body the way Svix does. For replaying fixtures and tests.
+ * @returns {string} value for the svix-signature header
+ */
+export const signSvixPayload = (secret, id, timestamp, body) => {
+  const signature = crypto
+    .createHmac("sha256", svixKey(secret))
+    .update(`${id}.${timestamp}.${body}`)
+    .digest("base64");
+  return `v1,${signature}`;
+};
+
+/**
+ * Check the svix-id, svix-timestamp and svix-signature headers of a
+ * Clerk webhook. The signature header may list several space-separated
+ * signatures while the secret is being rotated; any match is accepted.
+ *
+ * @param {string} secret - whsec_... signing secret from the Clerk dashboard
+ * @param {object} headers - request headers (lower-case names)
+ * @param {string} body - raw request body
+ * @param {object} [options]
+ * @param {number} [options.now] - unix seconds, for checking recorded payloads
+ */
+export const verifySvixSignature = (
+  secret,
+  headers,
+  body,
+  { now = Math.floor(Date.now() / 1000) } = {}
+) => {
+  const id = headers["svix-id"];
+  const timestamp = parseInt(headers["svix-timestamp"]);
+  const signatures = String(headers["svix-signature"] || "").split(" ");
+
+  if (!secret || !id || !timestamp) return false;
+  if (Math.abs(now - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(
+    signSvixPayload(secret, id, timestamp, body).slice(3),
+    "base64"
+  );
+
+  return signatures.some((entry) => {
+    const [version, signature] = entry.split(",");
+    if (version !== "v1" || !signature) return false;
+    const received = Buffer.from(signature, "base64");
+    return (
+      received.length === expected.length &&
+      crypto.timingSafeEqual(received, expected)
+    );
+  });
+};
+
+/**
+ * Email and display name from a Clerk user. Accepts both webhook payloads
+ * (snake_case) and SDK User objects (camelCase).
+ * @returns {{clerk_user_id: string, email: string|null, name: string|null}}
+ */
+export const profileFromClerkUser = (user) => {
+  const addresses = user.email_addresses ?? user.emailAddresses ?? [];
+  const primaryId =
+    user.primary_email_address_id ?? user.primaryEmailAddressId ?? null;
+  const primary =
+    addresses.find((address) => address.id === primaryId) ?? addresses[0];
+
+  const name = [user.first_name ?? user.firstName, user.last_name ?? user.lastName]
+    .filter(Boolean)
+    .join(" ");
+
+  return {
+    clerk_user_id: user.id,
+    email: primary?.email_address ?? primary?.emailAddress ?? null,
+    name: name || user.username || null,
+  };
+};
+
+/**
+ * Create or refresh a user's profile without touching their Pro status.
+ * Users deleted in Clerk are left alone.
+ * @returns {Promise<object|null>} the users row, or null if it was deleted
+ */
+export const upsertUserProfile = async ({ clerk_user_id, email, name }) => {
+  const user = await sql`
+    INSERT INTO users (clerk_user_id, email, name)
+    VALUES (${clerk_user_id}, ${email}, ${name})
+    ON CONFLICT (clerk_user_id)
+    DO UPDATE SET
+      email = EXCLUDED.email,
+      name = EXCLUDED.name,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE users.deleted_at IS NULL
+    RETURNING *
+  `;
+  return user[0] || null;
+};
+
+/**
+ * Forget a deleted Clerk user's personal data. The row stays because
+ * payments and audit events refer to it.
+ */
+export const markUserDeleted = async (clerkUserId) => {
+  await withTransaction((txn) => [
+    txn`
+      INSERT INTO users (clerk_user_id, deleted_at)
+      VALUES (${clerkUserId}, CURRENT_TIMESTAMP)
+      ON CONFLICT (clerk_user_id)
+      DO UPDATE SET
+        email = NULL,
+        name = NULL,
+        deleted_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    `,
+    txn`
+      DELETE FROM notification_preferences WHERE clerk_user_id = ${clerkUserId}
+    `,
+  ]);
+};
+
+/**
+ * Apply a verified Clerk webhook event
+ * @param {object} event - parsed webhook body
+ * @returns {Promise<"synced"|"deleted"|"ignored">}
+ */
+export const handleClerkEvent = async (event) => {
+  switch (event?.type) {
+    case CLERK_EVENTS.USER_CREATED:
+    case CLERK_EVENTS.USER_UPDATED:
+      await upsertUserProfile(profileFromClerkUser(event.data));
+      return "synced";
+    case CLERK_EVENTS.USER_DELETED:
+      if (!event.data?.id) return "ignored";
+      await markUserDeleted(event.data.id);
+      return "deleted";
+    default:
+      return "ignored";
+  }
+};
@@ -0,0 +1,268 @@
+import { sql, withTransaction } from "../config/db.js";
+import { GRACE_DAYS } from "./subscriptions.js";
+import { AUDIT_ACTIONS } from "./audit.js";
+import {
+  listColumns,
+  listConditions,
+  listOrder,
+  listPage,
+} from "./listQuery.js";
+
+/**
+ * 👥 USER MANAGEMENT
+ *
+ * Admin lookups over the users table and manual Pro grants/revocations.
+ * Manual changes follow the same period rules as approved payments and
+ * write their audit event in the same transaction.
+ */
+
+export const PRO_FILTER = {
+  ALL: "all",
+  PRO: "pro",
+  NON_PRO: "non_pro",
+};
+
+/**
+ * Sorting, search and date filters for listUsers (see services/listQuery.js)
+ * @type {import("./listQuery.js").ListSpec}
+ */
+export const USER_LIST = {
+  sorts: {
+    created_at: { expression: "u.created_at", type: "timestamp" },
+    last_payment_at: {
+      expression: "COALESCE(stats.last_payment_at, '-infinity')",
+      type: "timestamp",
+    },
+    total_paid: {
+      expression: "COALESCE(stats.total_paid, 0)",
+      type: "numeric",
+    },
+  },
+  defaultSort: "-created_at",
+  id: "u.id",
+  search: ["u.clerk_user_id", "u.email", "u.name"],
+  dateColumn: "u.created_at",
+};
+
+/**
+ * Search users by ID, email or name, one page at a time
+ * @param {object} filters - pro (one of PRO_FILTER)
+ * @param {object} list - parsed by parseListQuery with USER_LIST
+ * @returns {Promise<{users: object[], next_cursor: string|null, has_more: boolean}>}
+ */
+export const listUsers = async ({ pro = PRO_FILTER.ALL } = {}, list) => {
+  const isPro = pro === PRO_FILTER.ALL ? null : pro === PRO_FILTER.PRO;
+
+  const rows = await sql`
+    SELECT
+      u.*,
+      pl.name as plan_name,
+      COALESCE(stats.payment_count, 0) as payment_count,
+      COALESCE(stats.total_paid, 0) as total_paid,
+      stats.last_payment_at,
+      ${listColumns(list, USER_LIST)}
+    FROM users u
+    LEFT JOIN plans pl ON u.plan_id = pl.id
+    LEFT JOIN LATERAL (
+      SELECT
+        COUNT(*) as payment_count,
+        SUM(amount - refunded_amount) FILTER (WHERE status = 'approved') as total_paid,
+        MAX(created_at) as last_payment_at
+      FROM payments
+      WHERE clerk_user_id = u.clerk_user_id
+    ) stats ON true
+    WHERE (${isPro}::boolean IS NULL OR COALESCE(u.is_pro, false) = ${isPro})
+      ${listConditions(list, USER_LIST)}
+    ${listOrder(list, USER_LIST)}
+  `;
+
+  const { items, next_cursor, has_more } = listPage(rows, list);
+  return { users: items, next_cursor, has_more };
+};
+
+/**
+ * @returns {Promise<object|null>} users row with plan_name
+ */
+export const getUser = async (clerkUserId) => {
+  const user = await sql`
+    SELECT u.*, pl.name as plan_name
+    FROM users u
+    LEFT JOIN plans pl ON u.plan_id = pl.id
+    WHERE u.clerk_user_id = ${clerkUserId}
+    LIMIT 1
+  `;
+  return user[0] || null;
+};
+
+/**
+ * Every payment a user has made, newest first
+ */
+export const getUserPayments = async (clerkUserId) => {
+  return sql`
+    SELECT p.*, pl.name as plan_name
+    FROM payments p
+    LEFT JOIN plans pl ON p.plan_id = pl.id
+    WHERE p.clerk_user_id = ${clerkUserId}
+    ORDER BY p.created_at DESC
+  `;
+};
+
+const proState = (user) =>
+  user
+    ? {
+        is_pro: Boolean(user.is_pro),
+        plan_id: user.plan_id ?? null,
+        current_period_end: user.current_period_end ?? null,
+      }
+    : null;
+
+/**
+ * Give a user Pro without a payment. A duration extends an active or
+ * grace-period subscription from its current end, like a renewal; no
+ * duration grants lifetime access. Users with lifetime Pro are left alone.
+ *
+ * @param {string} clerkUserId
+ * @param {import("./audit.js").AuditActor} actor
+ * @param {object} grant - reason, planId, durationDays (null for lifetime)
+ * @returns {Promise<object|null>} the updated users row, or null if the
+ *   user already has lifetime Pro
+ */
+export const grantPro = async (
+  clerkUserId,
+  actor,
+  { reason, planId = null, durationDays = null }
+) => {
+  const before = proState(await getUser(clerkUserId));
+
+  const [granted] = await withTransaction((txn) => [
+    txn`
+      INSERT INTO users (
+        clerk_user_id, is_pro, pro_since, plan_id,
+        current_period_start, current_period_end, created_at
+      )
+      VALUES (
+        ${clerkUserId},
+        true,
+        CURRENT_TIMESTAMP,
+        ${planId},
+        CURRENT_TIMESTAMP,
+        CURRENT_TIMESTAMP + make_interval(days => ${durationDays}),
+        CURRENT_TIMESTAMP
+      )
+      ON CONFLICT (clerk_user_id)
+      DO UPDATE SET
+        is_pro = true,
+        pro_since = CASE
+          WHEN users.is_pro THEN COALESCE(users.pro_since, CURRENT_TIMESTAMP)
+          ELSE CURRENT_TIMESTAMP
+        END,
+        plan_id = COALESCE(EXCLUDED.plan_id, users.plan_id),
+        current_period_start = CASE
+          WHEN users.is_pro
+            AND EXCLUDED.current_period_end IS NOT NULL
+            AND users.current_period_end + make_interval(days => ${GRACE_DAYS}) >= CURRENT_TIMESTAMP
+            THEN users.current_period_start
+          ELSE CURRENT_TIMESTAMP
+        END,
+        current_period_end = CASE
+          WHEN users.is_pro
+            AND EXCLUDED.current_period_end IS NOT NULL
+            AND users.current_period_end + make_interval(days => ${GRACE_DAYS}) >= CURRENT_TIMESTAMP
+            THEN users.current_period_end
+              + (EXCLUDED.current_period_end - EXCLUDED.current_period_start)
+          ELSE EXCLUDED.current_period_end
+        END,
+        expired_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE NOT (users.is_pro AND users.current_period_end IS NULL)
+      RETURNING *
+    `,
+    // updated_at is CURRENT_TIMESTAMP only if the upsert above wrote the row
+    txn`
+      INSERT INTO audit_events (
+        actor_id, actor_type, action, target_type, target_id, user_id,
+        before_state, after_state, metadata, ip_address, user_agent
+      )
+      SELECT
+        ${actor.id},
+        ${actor.type},
+        ${AUDIT_ACTIONS.PRO_GRANTED},
+        'user',
+        clerk_user_id,
+        clerk_user_id,
+        ${before === null ? null : JSON.stringify(before)}::jsonb,
+        jsonb_build_object(
+          'is_pro', is_pro,
+          'plan_id', plan_id,
+          'current_period_end', current_period_end
+        ),
+        ${JSON.stringify({ reason, duration_days: durationDays })}::jsonb,
+        ${actor.ip},
+        ${actor.userAgent}
+      FROM users
+      WHERE clerk_user_id = ${clerkUserId}
+        AND is_pro = true
+        AND updated_at = CURRENT_TIMESTAMP
+    `,
+  ]);
+
+  return granted[0] || null;
+};
+
+/**
+ * Take Pro away from a user immediately. The current period is cut short
+ * so the subscription reads as expired rather than in grace.
+ *
+ * @param {string} clerkUserId
+ * @param {import("./audit.js").AuditActor} actor
+ * @param {object} revocation - reason
+ * @returns {Promise<object|null>} the updated users row, or null if the
+ *   user does not have Pro
+ */
+export const revokePro = async (clerkUserId, actor, { reason }) => {
+  const before = proState(await getUser(clerkUserId));
+
+  const [revoked] = await withTransaction((txn) => [
+    txn`
+      UPDATE users
+      SET
+        is_pro = false,
+        current_period_end = LEAST(
+          COALESCE(current_period_end, CURRENT_TIMESTAMP),
+          CURRENT_TIMESTAMP
+        ),
+        expired_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE clerk_user_id = ${clerkUserId} AND is_pro = true
+      RETURNING *
+    `,
+    txn`
+      INSERT INTO audit_events (
+        actor_id, actor_type, action, target_type, target_id, user_id,
+        before_state, after_state, metadata, ip_address, user_agent
+      )
+      SELECT
+        ${actor.id},
+        ${actor.type},
+        ${AUDIT_ACTIONS.PRO_REVOKED},
+        'user',
+        clerk_user_id,
+        clerk_user_id,
+        ${before === null ? null : JSON.stringify(before)}::jsonb,
+        jsonb_build_object(
+          'is_pro', is_pro,
+          'plan_id', plan_id,
+          'current_period_end', current_period_end
+        ),
+        ${JSON.stringify({ reason })}::jsonb,
+        ${actor.ip},
+        ${actor.userAgent}
+      FROM users
+      WHERE clerk_user_id = ${clerkUserId}
+        AND is_pro = false
+        AND updated_at = CURRENT_TIMESTAMP
+    `,
+  ]);
+
+  return revoked[0] || null;
+};
@@ -0,0 +1,301 @@
+import crypto from "crypto";
+import { sql } from "../config/db.js";
+
+/**
+ * 📡 OUTBOUND WEBHOOKS
+ *
+ * Events are fanned out to every active endpoint subscribed to them and
+ * stored in webhook_deliveries. A background worker posts due deliveries
+ * and retries failures with exponential backoff until WEBHOOK_MAX_ATTEMPTS.
+ *
+ * Each request carries:
+ * - X-Webhook-Id: event id (stable across retries and redeliveries)
+ * - X-Webhook-Event: event type
+ * - X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">
+ */
+
+export const WEBHOOK_EVENTS = {
+  PAYMENT_SUBMITTED: "payment.submitted",
+  PAYMENT_APPROVED: "payment.approved",
+  PAYMENT_REJECTED: "payment.rejected",
+  PAYMENT_REFUNDED: "payment.refunded",
+  PAYMENT_REVERSED: "payment.reversed",
+  SUBSCRIPTION_EXPIRED: "subscription.expired",
+  TEST: "webhook.test",
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const POLL_INTERVAL_SECONDS =
+  parseInt(process.env.WEBHOOK_POLL_INTERVAL_SECONDS) || 10;
+const REQUEST_TIMEOUT_MS = 10000;
+const BASE_RETRY_SECONDS = 30;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+// A claimed delivery becomes due again if the worker dies mid-request
+const CLAIM_LEASE_SECONDS = 120;
+const BATCH_SIZE = 20;
+
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * Sign a raw request body
+ * @returns {string} value for the X-Webhook-Signature header
+ */
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Check an X-Webhook-Signature header. For receivers and tests.
+ * @param {number} [toleranceSeconds=300] - reject older timestamps (replays)
+ */
+export const verifySignature = (secret, body, header, toleranceSeconds = 300) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = signPayload(secret, body, timestamp).split("v1=")[1];
+  const received = Buffer.from(parts.v1, "hex");
+  return (
+    received.length === expected.length / 2 &&
+    crypto.timingSafeEqual(received, Buffer.from(expected, "hex"))
+  );
+};
+
+/**
+ * Seconds to wait before the next attempt after `attempts` failures
+ */
+export const retryDelaySeconds = (attempts) =>
+  Math.min(BASE_RETRY_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+
+/**
+ * INSERT queueing an event for every active endpoint subscribed to it.
+ * Pass a transaction's `txn` to queue the event with the change it
+ * announces, so it commits (or rolls back) together with it.
+ *
+ * @param {Function} query - sql or txn
+ * @param {string} type - one of WEBHOOK_EVENTS
+ * @param {object} source - fragment selecting the event-specific payload as
+ *   a jsonb `data` column, one row per event; no row queues nothing
+ * @param {object} [options]
+ * @param {number} [options.endpointId] - only deliver to this endpoint
+ */
+export const webhookEventQuery = (
+  query,
+  type,
+  source,
+  { endpointId = null } = {}
+) => query`
+  -- Materialized so each event keeps one id across its endpoints
+  WITH events AS MATERIALIZED (
+    SELECT 'evt_' || gen_random_uuid() AS id, s.data
+    FROM (${source}) s
+  )
+  INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload)
+  SELECT
+    e.id,
+    ev.id,
+    ${type},
+    jsonb_build_object(
+      'id', ev.id,
+      'type', ${type}::text,
+      'created_at', ${new Date().toISOString()}::text,
+      'data', ev.data
+    )
+  FROM events ev
+  CROSS JOIN webhook_endpoints e
+  WHERE e.is_active = true
+    AND (e.events ? ${type} OR e.events ? '*' OR ${type} = ${WEBHOOK_EVENTS.TEST})
+    AND (${endpointId}::integer IS NULL OR e.id = ${endpointId})
+  RETURNING id
+`;
+
+/**
+ * Queue an event for every active endpoint subscribed to it.
+ * Failures are logged rather than thrown so webhooks never break the
+ * action that triggered them.
+ *
+ * @param {string} type - one of WEBHOOK_EVENTS
+ * @param {object} data - event-specific payload
+ * @param {object} [options]
+ * @param {number} [options.endpointId] - only deliver to this endpoint
+ * @returns {Promise<number>} number of deliveries queued
+ */
+export const enqueueWebhookEvent = async (type, data, { endpointId = null } = {}) => {
+  try {
+    const queued = await webhookEventQuery(
+      sql,
+      type,
+      sql`SELECT ${JSON.stringify(data)}::jsonb AS data`,
+      { endpointId }
+    );
+    return queued.length;
+  } catch (error) {
+    console.error(`❌ Failed to queue webhook event ${type}:`, error);
+    return 0;
+  }
+};
+
+/**
+ * POST one delivery and record the outcome
+ */
+const attemptDelivery = async (delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "PaymentPro-Webhooks/1.0",
+        "X-Webhook-Id": delivery.event_id,
+        "X-Webhook-Event": delivery.event_type,
+        "X-Webhook-Signature": signPayload(delivery.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    responseStatus = response.status;
+    responseBody = (await response.text()).slice(0, 1000);
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  if (!error) {
+    await sql`
+      UPDATE webhook_deliveries
+      SET
+        status = 'delivered',
+        response_status = ${responseStatus},
+        response_body = ${responseBody},
+        last_error = NULL,
+        last_attempt_at = CURRENT_TIMESTAMP,
+        delivered_at = CURRENT_TIMESTAMP
+      WHERE id = ${delivery.id}
+    `;
+    return true;
+  }
+
+  const exhausted = delivery.attempts >= MAX_ATTEMPTS;
+  await sql`
+    UPDATE webhook_deliveries
+    SET
+      status = ${exhausted ? "failed" : "pending"},
+      response_status = ${responseStatus},
+      response_body = ${responseBody},
+      last_error = ${error},
+      last_attempt_at = CURRENT_TIMESTAMP,
+      next_attempt_at = CURRENT_TIMESTAMP
+        + make_interval(secs => ${retryDelaySeconds(delivery.attempts)})
+    WHERE id = ${delivery.id}
+  `;
+  console.log(
+    `📡 Webhook delivery ${delivery.id} (${delivery.event_type}) failed: ${error}${
+      exhausted ? " - giving up" : ""
+    }`
+  );
+  return false;
+};
+
+/**
+ * Claim due deliveries and send them
+ * @returns {Promise<{delivered: number, failed: number}>}
+ */
+export const processDueDeliveries = async () => {
+  // Claiming bumps attempts and pushes next_attempt_at out by the lease, so
+  // concurrent workers never pick up the same delivery
+  const claimed = await sql`
+    UPDATE webhook_deliveries d
+    SET
+      attempts = d.attempts + 1,
+      next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => ${CLAIM_LEASE_SECONDS})
+    FROM webhook_endpoints e
+    WHERE d.id IN (
+      SELECT id FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+      ORDER BY next_attempt_at
+      LIMIT ${BATCH_SIZE}
+      FOR UPDATE SKIP LOCKED
+    )
+      AND e.id = d.endpoint_id
+    RETURNING d.*, e.url, e.secret
+  `;
+
+  let delivered = 0;
+  for (const delivery of claimed) {
+    if (await attemptDelivery(delivery)) delivered++;
+  }
+
+  return { delivered, failed: claimed.length - delivered };
+};
+
+/**
+ * Poll for due deliveries every WEBHOOK_POLL_INTERVAL_SECONDS
+ * @returns {() => void} stops the worker
+ */
+export const startWebhookWorker = ({
+  intervalMs = POLL_INTERVAL_SECONDS * 1000,
+} = {}) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      console.error("❌ Webhook worker error:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  console.log(`📡 Webhook worker polling every ${intervalMs / 1000}s`);
+  return () => clearInterval(timer);
+};
+
+/**
+ * Endpoint URLs must be http(s); plain http only outside production
+ * unless WEBHOOK_ALLOW_HTTP=true
+ * @returns {string|null} error message
+ */
+export const validateWebhookUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return "url must be a valid URL";
+  }
+
+  const allowHttp =
+    process.env.NODE_ENV !== "production" ||
+    process.env.WEBHOOK_ALLOW_HTTP === "true";
+
+  if (url.protocol === "https:") return null;
+  if (url.protocol === "http:" && allowHttp) return null;
+  return allowHttp ? "url must use http or https" : "url must use https";
+};
+
+/**
+ * Hide most of the secret when listing endpoints
+ */
+export const maskEndpoint = (endpoint) => ({
+  ...endpoint,
+  secret: `${endpoint.secret.slice(0, 10)}…`,
+});
@@ -0,0 +1,669 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import {
+  DUAL_APPROVAL_THRESHOLD,
+  startTestApp,
+  uniqueTransactionId,
+} from "./helpers/app.js";
+
+let app;
+let plan;
+let largePlan;
+
+before(async () => {
+  app = await startTestApp();
+  plan = await app.createPlan({ price: 1000, duration_days: 30 });
+  largePlan = await app.createPlan({
+    price: DUAL_APPROVAL_THRESHOLD * 2,
+    duration_days: 365,
+  });
+});
+
+after(() => app.close());
+
+// Users are reused across tests, so clear their payments first
+const pendingPayment = async (userId, planId = plan.id) => {
+  await app.sql`
+    UPDATE payments SET status = 'rejected', rejection_reason = 'test reset'
+    WHERE clerk_user_id = ${userId}
+      AND status IN ('pending', 'partially_approved')
+  `;
+  const response = await app.submitPayment(userId, {
+    plan_id: planId,
+    transaction_id: uniqueTransactionId(),
+  });
+  assert.equal(response.status, 201);
+  return response.body.payment;
+};
+
+const approve = (paymentId, adminId, body = {}) =>
+  app.request("POST", `/admin/subscription/payments/${paymentId}/approve`, {
+    as: adminId,
+    body,
+  });
+
+const reject = (paymentId, adminId, body = { rejection_reason: "Not found" }) =>
+  app.request("POST", `/admin/subscription/payments/${paymentId}/reject`, {
+    as: adminId,
+    body,
+  });
+
+const paymentStatus = async (paymentId) => {
+  const [payment] = await app.sql`
+    SELECT status FROM payments WHERE id = ${paymentId}
+  `;
+  return payment.status;
+};
+
+const auditCount = async (paymentId, action) => {
+  const [{ count }] = await app.sql`
+    SELECT COUNT(*)::int as count FROM audit_events
+    WHERE payment_id = ${paymentId} AND action = ${action}
+  `;
+  return count;
+};
+
+describe("approve and reject", () => {
+  test("approving upgrades the user, and approving again changes nothing", async () => {
+    const payment = await pendingPayment("user_1");
+
+    const first = await approve(payment.id, "admin_reviewer");
+    assert.equal(first.status, 200);
+    assert.equal(first.body.status, "approved");
+
+    const [user] = await app.sql`
+      SELECT is_pro, current_period_end FROM users WHERE clerk_user_id = 'user_1'
+    `;
+    assert.equal(user.is_pro, true);
+    assert.ok(user.current_period_end);
+
+    const again = await approve(payment.id, "admin_second");
+    assert.equal(again.status, 200);
+    assert.equal(again.body.message, "Payment already approved");
+    assert.equal(await auditCount(payment.id, "payment.approved"), 1);
+  });
+
+  test("rejecting needs a reason and is idempotent", async () => {
+    const payment = await pendingPayment("user_2");
+
+    const noReason = await reject(payment.id, "admin_reviewer", {});
+    assert.equal(noReason.status, 400);
+    assert.equal(noReason.body.error, "Invalid request");
+    assert.deepEqual(noReason.body.fields, [
+      { field: "body.rejection_reason", message: "is required" },
+    ]);
+
+    const first = await reject(payment.id, "admin_reviewer");
+    assert.equal(first.status, 200);
+    assert.equal(await paymentStatus(payment.id), "rejected");
+
+    const again = await reject(payment.id, "admin_second");
+    assert.equal(again.status, 200);
+    assert.equal(again.body.message, "Payment already rejected");
+    assert.equal(await auditCount(payment.id, "payment.rejected"), 1);
+  });
+
+  test("a decided payment cannot be switched", async () => {
+    const rejected = await pendingPayment("user_3");
+    await reject(rejected.id, "admin_reviewer");
+    const approveRejected = await approve(rejected.id, "admin_reviewer");
+    assert.equal(approveRejected.status, 400);
+    assert.equal(approveRejected.body.error, "Invalid payment status");
+
+    const approved = await pendingPayment("user_4");
+    await approve(approved.id, "admin_reviewer");
+    const rejectApproved = await reject(approved.id, "admin_reviewer");
+    assert.equal(rejectApproved.status, 400);
+    assert.equal(await paymentStatus(approved.id), "approved");
+  });
+
+  test("404 for unknown payments", async () => {
+    const response = await approve(999999, "admin_reviewer");
+    assert.equal(response.status, 404);
+  });
+
+  test("400 for payment IDs that are not IDs", async () => {
+    for (const paymentId of ["abc", "0", "-1", "1.5", "99999999999"]) {
+      const response = await app.request(
+        "GET",
+        `/admin/subscription/payments/${paymentId}`,
+        { as: "admin_viewer" }
+      );
+      assert.equal(response.status, 400, paymentId);
+      assert.equal(response.body.fields[0].field, "params.paymentId");
+
+      const approval = await approve(paymentId, "admin_reviewer");
+      assert.equal(approval.status, 400, paymentId);
+    }
+  });
+
+  test("bulk actions check every payment ID up front", async () => {
+    const payment = await pendingPayment("user_2");
+    const response = await app.request(
+      "POST",
+      "/admin/subscription/payments/bulk-reject",
+      {
+        as: "admin_reviewer",
+        body: { payment_ids: [payment.id, "x"], rejection_reason: "Not found" },
+      }
+    );
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.fields, [
+      { field: "body.payment_ids[1]", message: "must be an integer" },
+    ]);
+    assert.equal(await paymentStatus(payment.id), "pending");
+    await reject(payment.id, "admin_reviewer");
+  });
+
+  test("payments above the threshold need two different admins", async () => {
+    const payment = await pendingPayment("user_5", largePlan.id);
+
+    const first = await approve(payment.id, "admin_reviewer");
+    assert.equal(first.status, 200);
+    assert.equal(first.body.status, "partially_approved");
+
+    const sameAdmin = await approve(payment.id, "admin_reviewer");
+    assert.equal(sameAdmin.status, 409);
+    assert.equal(sameAdmin.body.error, "Second approver required");
+
+    const second = await approve(payment.id, "admin_second");
+    assert.equal(second.status, 200);
+    assert.equal(second.body.status, "approved");
+
+    const approvals = await app.sql`
+      SELECT admin_id FROM payment_approvals
+      WHERE payment_id = ${payment.id} ORDER BY admin_id
+    `;
+    assert.deepEqual(
+      approvals.map((row) => row.admin_id),
+      ["admin_reviewer", "admin_second"]
+    );
+  });
+});
+
+describe("concurrent decisions", () => {
+  test("simultaneous approvals by two admins approve once", async () => {
+    const payment = await pendingPayment("user_6");
+
+    const responses = await Promise.all([
+      approve(payment.id, "admin_reviewer"),
+      approve(payment.id, "admin_second"),
+      approve(payment.id, "admin_super"),
+    ]);
+
+    for (const response of responses) assert.equal(response.status, 200);
+    const applied = responses.filter((r) => r.body.status === "approved");
+    assert.equal(applied.length, 1);
+    assert.equal(await auditCount(payment.id, "payment.approved"), 1);
+
+    const approvals = await app.sql`
+      SELECT admin_id FROM payment_approvals WHERE payment_id = ${payment.id}
+    `;
+    assert.equal(approvals.length, 1);
+  });
+
+  test("one admin approving twice at once counts once toward dual approval", async () => {
+    const payment = await pendingPayment("user_7", largePlan.id);
+
+    const responses = await Promise.all([
+      approve(payment.id, "admin_reviewer"),
+      approve(payment.id, "admin_reviewer"),
+    ]);
+
+    const statuses = responses.map((response) => response.status).sort();
+    assert.deepEqual(statuses, [200, 409]);
+    assert.equal(await paymentStatus(payment.id), "partially_approved");
+  });
+
+  test("approve racing reject: exactly one wins", async () => {
+    const payment = await pendingPayment("user_8");
+
+    const [approved, rejected] = await Promise.all([
+      approve(payment.id, "admin_reviewer"),
+      reject(payment.id, "admin_second"),
+    ]);
+
+    const status = await paymentStatus(payment.id);
+    assert.ok(["approved", "rejected"].includes(status));
+    const winner = status === "approved" ? approved : rejected;
+    const loser = status === "approved" ? rejected : approved;
+    assert.equal(winner.status, 200);
+    assert.equal(loser.status, 400);
+    assert.equal(
+      (await auditCount(payment.id, "payment.approved")) +
+        (await auditCount(payment.id, "payment.rejected")),
+      1
+    );
+  });
+});
+
+describe("GET /admin/subscription/payments", () => {
+  let payments;
+
+  before(async () => {
+    payments = [];
+    for (const userId of ["user_9", "user_10", "user_11"]) {
+      payments.push(await pendingPayment(userId));
+    }
+    await approve(payments[0].id, "admin_reviewer");
+    await reject(payments[1].id, "admin_reviewer");
+  });
+
+  const list = (query) =>
+    app.request("GET", `/admin/subscription/payments?${query}`, {
+      as: "admin_viewer",
+    });
+
+  test("filters by status", async () => {
+    const response = await list("status=rejected&limit=200");
+    assert.equal(response.status, 200);
+    assert.ok(response.body.payments.length > 0);
+    assert.ok(response.body.payments.every((p) => p.status === "rejected"));
+    assert.ok(response.body.payments.some((p) => p.id === payments[1].id));
+  });
+
+  test("filters by user", async () => {
+    const response = await list("user_id=user_11");
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.payments.map((p) => p.id),
+      [payments[2].id]
+    );
+  });
+
+  test("searches transaction IDs", async () => {
+    const response = await list(
+      `search=${encodeURIComponent(payments[0].transaction_id)}`
+    );
+    assert.deepEqual(
+      response.body.payments.map((p) => p.id),
+      [payments[0].id]
+    );
+  });
+
+  test("pages with a cursor without repeating payments", async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const response = await list(
+        `sort=created_at&limit=2${cursor ? `&cursor=${cursor}` : ""}`
+      );
+      assert.equal(response.status, 200);
+      assert.ok(response.body.payments.length <= 2);
+      seen.push(...response.body.payments.map((p) => p.id));
+      cursor = response.body.next_cursor;
+    } while (cursor);
+
+    const [{ count }] = await app.sql`SELECT COUNT(*)::int as count FROM payments`;
+    assert.equal(seen.length, count);
+    assert.equal(new Set(seen).size, count);
+    assert.deepEqual(seen, [...seen].sort((a, b) => a - b));
+  });
+
+  test("400 for an unknown sort", async () => {
+    const response = await list("sort=password");
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Invalid list query");
+  });
+
+  test("400 for malformed filters", async () => {
+    const cases = [
+      ["limit=0", "query.limit"],
+      ["limit=ten", "query.limit"],
+      ["status=paid", "query.status"],
+      ["from=yesterday", "query.from"],
+      ["to=2024-02-30", "query.to"],
+    ];
+    for (const [query, field] of cases) {
+      const response = await list(query);
+      assert.equal(response.status, 400, query);
+      assert.deepEqual(
+        response.body.fields.map((error) => error.field),
+        [field]
+      );
+    }
+  });
+
+  test("empty filters count as left out", async () => {
+    const response = await list("status=&from=&limit=");
+    assert.equal(response.status, 200);
+  });
+});
+
+describe("bulk approval with amount mismatches", () => {
+  test("mismatched payments can be approved anyway with the returned IDs", async () => {
+    const payments = [];
+    for (const userId of ["user_10", "user_11"]) {
+      const payment = await pendingPayment(userId);
+      await app.sql`UPDATE payments SET amount = 900 WHERE id = ${payment.id}`;
+      payments.push(payment);
+    }
+    const paymentIds = payments.map((payment) => payment.id);
+
+    const first = await app.request(
+      "POST",
+      "/admin/subscription/payments/bulk-approve",
+      { as: "admin_reviewer", body: { payment_ids: paymentIds } }
+    );
+    assert.equal(first.status, 200);
+    const mismatched = first.body.results
+      .filter((result) => result.error === "Amount mismatch")
+      .map((result) => result.payment_id);
+    assert.deepEqual(mismatched, paymentIds);
+
+    // What the dashboard's "approve anyway" sends
+    const retry = await app.request(
+      "POST",
+      "/admin/subscription/payments/bulk-approve",
+      {
+        as: "admin_reviewer",
+        body: { payment_ids: mismatched, allow_amount_mismatch: true },
+      }
+    );
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.summary.succeeded, 2);
+    for (const paymentId of paymentIds) {
+      assert.equal(await paymentStatus(paymentId), "approved");
+    }
+  });
+});
+
+describe("refunds", () => {
+  const refund = (paymentId, body) =>
+    app.request("POST", `/admin/subscription/payments/${paymentId}/refund`, {
+      as: "admin_super",
+      body,
+    });
+
+  const approvedPayment = async (userId) => {
+    const [payment] = await app.sql`
+      SELECT id FROM payments
+      WHERE clerk_user_id = ${userId} AND status = 'approved'
+      ORDER BY id DESC LIMIT 1
+    `;
+    return payment;
+  };
+
+  test("accepts amounts sent as text", async () => {
+    const payment = await approvedPayment("user_10");
+    const response = await refund(payment.id, {
+      reason: "Partial refund",
+      amount: "100.50",
+    });
+    assert.equal(response.status, 200);
+
+    const [{ refunded_amount }] = await app.sql`
+      SELECT refunded_amount FROM payments WHERE id = ${payment.id}
+    `;
+    assert.equal(Number(refunded_amount), 100.5);
+  });
+
+  test("400 for malformed amounts", async () => {
+    const payment = await approvedPayment("user_10");
+    for (const amount of ["0", "0.00", "-5", "1.005", "abc", "123456789", 0]) {
+      const response = await refund(payment.id, { reason: "Refund", amount });
+      assert.equal(response.status, 400, String(amount));
+      assert.deepEqual(response.body.fields, [
+        {
+          field: "body.amount",
+          message: "must be a positive amount with at most 2 decimals",
+        },
+      ]);
+    }
+  });
+
+  test("a payment from before subscription periods does not keep Pro after a refund", async () => {
+    // Approved before payments recorded their period, then revoked
+    await app.sql`
+      INSERT INTO users (clerk_user_id, is_pro) VALUES ('user_legacy', false)
+    `;
+    await app.sql`
+      INSERT INTO payments (
+        clerk_user_id, amount, expected_amount, plan_id, transaction_id,
+        status, processed_at, created_at
+      )
+      VALUES (
+        'user_legacy', 1000, 1000, ${plan.id}, ${uniqueTransactionId()},
+        'approved', NOW() - INTERVAL '1 year', NOW() - INTERVAL '1 year'
+      )
+    `;
+    const [payment] = await app.sql`
+      INSERT INTO payments (
+        clerk_user_id, amount, expected_amount, plan_id, transaction_id
+      )
+      VALUES ('user_legacy', 1000, 1000, ${plan.id}, ${uniqueTransactionId()})
+      RETURNING id
+    `;
+    const approved = await approve(payment.id, "admin_reviewer");
+    assert.equal(approved.status, 200);
+
+    const response = await refund(payment.id, { reason: "Refunded in full" });
+    assert.equal(response.status, 200);
+
+    const [user] = await app.sql`
+      SELECT is_pro FROM users WHERE clerk_user_id = 'user_legacy'
+    `;
+    assert.equal(user.is_pro, false);
+  });
+
+  test("reversals take no amount", async () => {
+    const payment = await approvedPayment("user_11");
+    const response = await refund(payment.id, {
+      reason: "Chargeback",
+      type: "reversal",
+      amount: 100,
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.fields[0].field, "body.amount");
+    assert.equal(await paymentStatus(payment.id), "approved");
+  });
+});
+
+describe("webhook events and notifications", () => {
+  before(async () => {
+    await app.sql`
+      INSERT INTO webhook_endpoints (url, secret)
+      VALUES ('http://127.0.0.1:9/hooks', 'whsec_test')
+    `;
+    await app.sql`
+      INSERT INTO notification_preferences (clerk_user_id, email)
+      VALUES ('user_hooks_1', 'hooks@example.com')
+    `;
+    process.env.ADMIN_NOTIFICATION_EMAILS = "ops@example.com";
+  });
+
+  after(() => {
+    delete process.env.ADMIN_NOTIFICATION_EMAILS;
+  });
+
+  const insertPayment = async (userId) => {
+    const [payment] = await app.sql`
+      INSERT INTO payments (
+        clerk_user_id, amount, expected_amount, plan_id, transaction_id
+      )
+      VALUES (${userId}, 1000, 1000, ${plan.id}, ${uniqueTransactionId()})
+      RETURNING id
+    `;
+    return payment;
+  };
+
+  const queuedEvents = (paymentId) => app.sql`
+    SELECT event_type, payload FROM webhook_deliveries
+    WHERE payload->'data'->>'payment_id' = ${String(paymentId)}
+    ORDER BY id
+  `;
+
+  test("approving queues payment.approved once", async () => {
+    const payment = await insertPayment("user_hooks_1");
+    assert.equal((await approve(payment.id, "admin_reviewer")).status, 200);
+    const again = await approve(payment.id, "admin_second");
+    assert.equal(again.body.message, "Payment already approved");
+
+    const events = await queuedEvents(payment.id);
+    assert.deepEqual(
+      events.map((event) => event.event_type),
+      ["payment.approved"]
+    );
+    const { data } = events[0].payload;
+    assert.equal(data.user_id, "user_hooks_1");
+    assert.equal(data.amount, "1000.00");
+    assert.equal(data.approved_by, "admin_reviewer");
+    assert.ok(data.period_end);
+  });
+
+  test("approving notifies the user, rendered when sent", async () => {
+    const payment = await insertPayment("user_hooks_1");
+    assert.equal((await approve(payment.id, "admin_reviewer")).status, 200);
+
+    const [queued] = await app.sql`
+      SELECT id, recipient, body, data FROM notifications
+      WHERE template = 'payment.approved'
+        AND data->>'transaction_id' = (
+          SELECT transaction_id FROM payments WHERE id = ${payment.id}
+        )
+    `;
+    assert.equal(queued.recipient, "hooks@example.com");
+    assert.equal(queued.body, null);
+    assert.equal(queued.data.amount, "1000.00");
+
+    const { processDueNotifications } = await import(
+      "../services/notifications/index.js"
+    );
+    await processDueNotifications();
+
+    const [sent] = await app.sql`
+      SELECT status, subject, body FROM notifications WHERE id = ${queued.id}
+    `;
+    assert.equal(sent.status, "sent");
+    assert.ok(sent.subject);
+    assert.match(sent.body, /ETB 1000\.00/);
+  });
+
+  test("submitting notifies the admins", async () => {
+    const payment = await pendingPayment("user_1");
+
+    const queued = await app.sql`
+      SELECT audience, recipient FROM notifications
+      WHERE template = 'admin.payment_submitted'
+        AND data->>'payment_id' = ${String(payment.id)}
+    `;
+    assert.deepEqual(queued, [{ audience: "admin", recipient: "ops@example.com" }]);
+  });
+
+  test("rejecting queues payment.rejected", async () => {
+    const payment = await insertPayment("user_hooks_1");
+    assert.equal((await reject(payment.id, "admin_reviewer")).status, 200);
+
+    const events = await queuedEvents(payment.id);
+    assert.deepEqual(
+      events.map((event) => event.event_type),
+      ["payment.rejected"]
+    );
+    assert.equal(events[0].payload.data.rejection_reason, "Not found");
+  });
+
+  test("a full refund queues payment.refunded with the revoked access", async () => {
+    const payment = await insertPayment("user_hooks_2");
+    assert.equal((await approve(payment.id, "admin_reviewer")).status, 200);
+
+    const response = await app.request(
+      "POST",
+      `/admin/subscription/payments/${payment.id}/refund`,
+      { as: "admin_super", body: { reason: "Refunded in full" } }
+    );
+    assert.equal(response.status, 200);
+
+    const events = await queuedEvents(payment.id);
+    assert.deepEqual(
+      events.map((event) => event.event_type),
+      ["payment.approved", "payment.refunded"]
+    );
+    const { data } = events[1].payload;
+    assert.equal(data.refund_amount, "1000.00");
+    assert.equal(data.status, "refunded");
+    assert.equal(data.pro_revoked, true);
+  });
+});
+
+describe("GET /admin/subscription/audit", () => {
+  const search = (query) =>
+    app.request("GET", `/admin/subscription/audit?${query}`, {
+      as: "admin_viewer",
+    });
+
+  test("pages with a cursor like the other lists", async () => {
+    const seen = [];
+    let cursor = null;
+    let response;
+    do {
+      response = await search(
+        `action=payment.submitted&limit=2${cursor ? `&cursor=${cursor}` : ""}`
+      );
+      assert.equal(response.status, 200);
+      assert.ok(response.body.events.length <= 2);
+      assert.equal(response.body.has_more, response.body.next_cursor !== null);
+      seen.push(...response.body.events.map((event) => event.id));
+      cursor = response.body.next_cursor;
+    } while (cursor);
+
+    const [{ count }] = await app.sql`
+      SELECT COUNT(*)::int as count FROM audit_events
+      WHERE action = 'payment.submitted'
+    `;
+    assert.ok(count > 2);
+    assert.equal(seen.length, count);
+    assert.equal(new Set(seen).size, count);
+  });
+
+  test("filters by payment", async () => {
+    const payment = await pendingPayment("user_3");
+    await reject(payment.id, "admin_reviewer");
+
+    const response = await search(`payment_id=${payment.id}`);
+    assert.equal(response.status, 200);
+    const { events } = response.body;
+    assert.ok(events.every((event) => event.payment_id === payment.id));
+    assert.equal(events[0].action, "payment.rejected");
+    assert.equal(events[events.length - 1].action, "payment.submitted");
+    assert.equal(response.body.has_more, false);
+  });
+
+  test("400 for a cursor from another list", async () => {
+    const response = await search("cursor=not-a-cursor");
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Invalid list query");
+  });
+});
+
+describe("GET /admin/subscription/stats", () => {
+  test("counts follow approvals, rejections and dual approvals", async () => {
+    const stats = async () => {
+      const response = await app.request("GET", "/admin/subscription/stats", {
+        as: "admin_viewer",
+      });
+      return response.body;
+    };
+
+    const before = await stats();
+    const toApprove = await pendingPayment("user_12");
+    const toReject = await pendingPayment("user_3");
+    const large = await pendingPayment("user_2", largePlan.id);
+    const submitted = await stats();
+    assert.equal(submitted.pending_payments, before.pending_payments + 3);
+
+    await approve(toApprove.id, "admin_reviewer");
+    await reject(toReject.id, "admin_reviewer");
+    await approve(large.id, "admin_reviewer");
+    const after = await stats();
+
+    assert.equal(after.pending_payments, before.pending_payments);
+    assert.equal(
+      after.partially_approved_payments,
+      before.partially_approved_payments + 1
+    );
+    assert.equal(after.total_payments, before.total_payments + 1);
+    assert.equal(after.gross_revenue, before.gross_revenue + 1000);
+    assert.equal(after.total_revenue, before.total_revenue + 1000);
+    assert.equal(after.pro_users, before.pro_users + 1);
+  });
+});
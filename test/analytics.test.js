@@ -0,0 +1,257 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestApp } from "./helpers/app.js";
+
+const RANGE = { from: "2026-01-01", to: "2026-02-28" };
+
+let app;
+let plan;
+
+before(async () => {
+  app = await startTestApp();
+  plan = await app.createPlan({ price: 1000, duration_days: 30 });
+
+  const payment = async ({
+    userId,
+    status,
+    createdAt,
+    processedAt,
+    amount = 1000,
+  }) => {
+    const [row] = await app.sql`
+      INSERT INTO payments (
+        clerk_user_id, plan_id, provider, transaction_id, amount,
+        expected_amount, status, created_at, processed_at
+      )
+      VALUES (
+        ${userId}, ${plan.id}, 'bank_transfer',
+        ${`FTANALYTICS${userId}${createdAt}`}, ${amount}, ${amount},
+        ${status}, ${createdAt}::timestamp, ${processedAt}::timestamp
+      )
+      RETURNING id
+    `;
+    return row;
+  };
+
+  // user_1 converts on Jan 5 (two hours to approve) and is partly
+  // refunded on Feb 3
+  const converted = await payment({
+    userId: "user_1",
+    status: "approved",
+    createdAt: "2026-01-05 10:00",
+    processedAt: "2026-01-05 12:00",
+  });
+  await app.sql`
+    UPDATE payments SET refunded_amount = 400 WHERE id = ${converted.id}
+  `;
+  await app.sql`
+    INSERT INTO payment_refunds (payment_id, type, amount, reason, created_at)
+    VALUES (${converted.id}, 'refund', 400, 'Partial refund', '2026-02-03 09:00')
+  `;
+
+  // Submitted on Jan 20, rejected on Jan 21
+  await payment({
+    userId: "user_2",
+    status: "rejected",
+    createdAt: "2026-01-20 08:00",
+    processedAt: "2026-01-21 08:00",
+  });
+
+  // Waiting for a second admin: submitted, but neither approved nor revenue
+  await payment({
+    userId: "user_3",
+    status: "partially_approved",
+    amount: 8000,
+    createdAt: "2026-01-12 08:00",
+    processedAt: "2026-01-12 09:00",
+  });
+
+  // user_4 first paid before the range, so renewing in it is no conversion
+  await payment({
+    userId: "user_4",
+    status: "approved",
+    createdAt: "2025-12-20 08:00",
+    processedAt: "2025-12-20 09:00",
+  });
+  await payment({
+    userId: "user_4",
+    status: "approved",
+    createdAt: "2026-01-25 09:00",
+    processedAt: "2026-01-25 10:00",
+  });
+
+  // user_1 renews on Feb 10, a day after submitting
+  await payment({
+    userId: "user_1",
+    status: "approved",
+    createdAt: "2026-02-09 12:00",
+    processedAt: "2026-02-10 12:00",
+  });
+});
+
+after(() => app.close());
+
+const analytics = async (granularity) => {
+  const response = await app.request(
+    "GET",
+    `/admin/subscription/analytics?from=${RANGE.from}&to=${RANGE.to}&granularity=${granularity}`,
+    { as: "admin_viewer" }
+  );
+  assert.equal(response.status, 200);
+  return response.body;
+};
+
+/**
+ * Series points by the UTC date they start on, without the empty ones
+ */
+const activePeriods = (series) =>
+  Object.fromEntries(
+    series
+      .filter(
+        (point) =>
+          point.submissions ||
+          point.approvals ||
+          point.rejections ||
+          point.refunded ||
+          point.new_pro_users
+      )
+      .map(({ period, ...figures }) => [
+        new Date(period).toISOString().slice(0, 10),
+        figures,
+      ])
+  );
+
+const figures = ({
+  gross = 0,
+  refunded = 0,
+  submissions = 0,
+  approvals = 0,
+  rejections = 0,
+  median = null,
+  newPro = 0,
+}) => ({
+  gross_revenue: gross,
+  refunded,
+  net_revenue: gross - refunded,
+  submissions,
+  approvals,
+  rejections,
+  approval_rate:
+    approvals + rejections === 0
+      ? null
+      : Math.round((approvals / (approvals + rejections)) * 10000) / 10000,
+  median_time_to_approval_seconds: median,
+  new_pro_users: newPro,
+});
+
+const HOUR = 60 * 60;
+
+describe("GET /admin/subscription/analytics", () => {
+  test("totals net refunds, skip partial approvals and count first approvals", async () => {
+    const { range, totals, by_plan } = await analytics("day");
+    assert.deepEqual(range, { ...RANGE, granularity: "day" });
+    assert.deepEqual(
+      totals,
+      figures({
+        gross: 3000,
+        refunded: 400,
+        submissions: 5,
+        approvals: 3,
+        rejections: 1,
+        median: 2 * HOUR,
+        newPro: 1,
+      })
+    );
+    assert.deepEqual(by_plan, [
+      {
+        plan_id: plan.id,
+        plan_name: plan.name,
+        approvals: 3,
+        gross_revenue: 3000,
+        refunded: 400,
+        net_revenue: 2600,
+      },
+    ]);
+  });
+
+  test("daily series puts each event on its own day", async () => {
+    const { series } = await analytics("day");
+    assert.equal(series.length, 59);
+    assert.deepEqual(activePeriods(series), {
+      "2026-01-05": figures({
+        gross: 1000,
+        submissions: 1,
+        approvals: 1,
+        median: 2 * HOUR,
+        newPro: 1,
+      }),
+      "2026-01-12": figures({ submissions: 1 }),
+      "2026-01-20": figures({ submissions: 1 }),
+      "2026-01-21": figures({ rejections: 1 }),
+      "2026-01-25": figures({
+        gross: 1000,
+        submissions: 1,
+        approvals: 1,
+        median: HOUR,
+      }),
+      "2026-02-03": figures({ refunded: 400 }),
+      "2026-02-09": figures({ submissions: 1 }),
+      "2026-02-10": figures({ gross: 1000, approvals: 1, median: 24 * HOUR }),
+    });
+  });
+
+  test("weekly series starts weeks on Monday", async () => {
+    const { series } = await analytics("week");
+    assert.equal(
+      new Date(series[0].period).toISOString(),
+      "2025-12-29T00:00:00.000Z"
+    );
+    assert.equal(series.length, 9);
+    assert.deepEqual(activePeriods(series), {
+      "2026-01-05": figures({
+        gross: 1000,
+        submissions: 1,
+        approvals: 1,
+        median: 2 * HOUR,
+        newPro: 1,
+      }),
+      "2026-01-12": figures({ submissions: 1 }),
+      "2026-01-19": figures({
+        gross: 1000,
+        submissions: 2,
+        approvals: 1,
+        rejections: 1,
+        median: HOUR,
+      }),
+      "2026-02-02": figures({ refunded: 400 }),
+      "2026-02-09": figures({
+        gross: 1000,
+        submissions: 1,
+        approvals: 1,
+        median: 24 * HOUR,
+      }),
+    });
+  });
+
+  test("monthly series nets the February refund against February", async () => {
+    const { series } = await analytics("month");
+    assert.equal(series.length, 2);
+    assert.deepEqual(activePeriods(series), {
+      "2026-01-01": figures({
+        gross: 2000,
+        submissions: 4,
+        approvals: 2,
+        rejections: 1,
+        median: 1.5 * HOUR,
+        newPro: 1,
+      }),
+      "2026-02-01": figures({
+        gross: 1000,
+        refunded: 400,
+        submissions: 1,
+        approvals: 1,
+        median: 24 * HOUR,
+      }),
+    });
+  });
+});
@@ -0,0 +1,223 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import jwt from "jsonwebtoken";
+import { TEST_SECRET, startTestApp } from "./helpers/app.js";
+
+let app;
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app.close());
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+describe("authentication failures", () => {
+  test("401 without a token", async () => {
+    for (const endpoint of [
+      "/payment-flow/pro-status",
+      "/admin/subscription/payments",
+      "/auth/check",
+    ]) {
+      const response = await app.request("GET", endpoint);
+      assert.equal(response.status, 401, endpoint);
+      assert.equal(response.body.error, "Authentication required");
+    }
+  });
+
+  test("401 for tampered, foreign and expired tokens", async () => {
+    const valid = app.tokenFor("user_1");
+    const tokens = [
+      `${valid.slice(0, -2)}xx`,
+      jwt.sign({}, "some-other-secret", {
+        subject: "user_1",
+        issuer: "payment-pro-local",
+      }),
+      jwt.sign({}, TEST_SECRET, {
+        subject: "user_1",
+        issuer: "payment-pro-local",
+        expiresIn: -60,
+      }),
+      "not-a-jwt",
+    ];
+
+    for (const token of tokens) {
+      const response = await app.request("GET", "/payment-flow/pro-status", {
+        headers: bearer(token),
+      });
+      assert.equal(response.status, 401);
+      assert.equal(response.body.error, "Invalid token");
+    }
+  });
+
+  test("401 for a well-signed token of an unknown user", async () => {
+    const token = jwt.sign({}, TEST_SECRET, {
+      subject: "user_ghost",
+      issuer: "payment-pro-local",
+    });
+    const response = await app.request("GET", "/auth/check", {
+      headers: bearer(token),
+    });
+    assert.equal(response.status, 401);
+  });
+
+  test("403 for non-admins on admin routes", async () => {
+    const response = await app.request("GET", "/admin/subscription/payments", {
+      as: "user_1",
+    });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error, "Admin access required");
+  });
+
+  test("403 when the admin's role lacks the permission", async () => {
+    const list = await app.request("GET", "/admin/subscription/payments", {
+      as: "admin_viewer",
+    });
+    assert.equal(list.status, 200);
+
+    const approve = await app.request(
+      "POST",
+      "/admin/subscription/payments/1/approve",
+      { as: "admin_viewer", body: {} }
+    );
+    assert.equal(approve.status, 403);
+    assert.equal(approve.body.error, "Permission denied");
+    assert.deepEqual(approve.body.required, ["payments.approve"]);
+  });
+});
+
+describe("local password login", () => {
+  const login = (body) => app.request("POST", "/auth/login", { body });
+
+  test("rejects a wrong password and an unknown email alike", async () => {
+    for (const body of [
+      { email: "super@example.com", password: "wrong" },
+      { email: "nobody@example.com", password: "correct horse" },
+    ]) {
+      const response = await login(body);
+      assert.equal(response.status, 401);
+      assert.equal(response.body.error, "Invalid credentials");
+    }
+  });
+
+  test("users without a password cannot log in", async () => {
+    const response = await login({
+      email: "reviewer@example.com",
+      password: "correct horse",
+    });
+    assert.equal(response.status, 401);
+  });
+
+  test("returns a token the API accepts", async () => {
+    const response = await login({
+      email: "SUPER@example.com",
+      password: "correct horse",
+    });
+    assert.equal(response.status, 200);
+
+    const check = await app.request("GET", "/auth/check", {
+      headers: bearer(response.body.token),
+    });
+    assert.equal(check.status, 200);
+    assert.equal(check.body.user.id, "admin_super");
+  });
+});
+
+describe("admin session cookies", () => {
+  const startSession = async () => {
+    const response = await app.request("POST", "/admin/session/login", {
+      as: "admin_super",
+    });
+    assert.equal(response.status, 201);
+    const cookie = response.headers.get("set-cookie").split(";")[0];
+    return {
+      cookie,
+      csrfToken: response.body.csrf_token,
+      id: response.body.session.id,
+    };
+  };
+
+  test("the cookie authenticates reads; writes need the CSRF token", async () => {
+    const { cookie, csrfToken } = await startSession();
+
+    const read = await app.request("GET", "/admin/subscription/me", {
+      headers: { Cookie: cookie },
+    });
+    assert.equal(read.status, 200);
+    assert.equal(read.body.admin_id, "admin_super");
+
+    const plan = { name: "Cookie Plan", price: 10 };
+    const withoutCsrf = await app.request("POST", "/admin/subscription/plans", {
+      headers: { Cookie: cookie },
+      body: plan,
+    });
+    assert.equal(withoutCsrf.status, 403);
+    assert.equal(withoutCsrf.body.error, "Invalid CSRF token");
+
+    const withCsrf = await app.request("POST", "/admin/subscription/plans", {
+      headers: { Cookie: cookie, "X-CSRF-Token": csrfToken },
+      body: plan,
+    });
+    assert.equal(withCsrf.status, 201);
+  });
+
+  test("a revoked session is refused", async () => {
+    const current = await startSession();
+    const other = await startSession();
+
+    const revoke = await app.request(
+      "DELETE",
+      `/admin/session/sessions/${other.id}`,
+      { headers: { Cookie: current.cookie, "X-CSRF-Token": current.csrfToken } }
+    );
+    assert.equal(revoke.status, 200);
+
+    const refused = await app.request("GET", "/admin/subscription/me", {
+      headers: { Cookie: other.cookie },
+    });
+    assert.equal(refused.status, 401);
+    assert.equal(refused.body.error, "Session expired");
+  });
+
+  test("logout ends a live session and clears the cookie", async () => {
+    const { cookie, csrfToken, id } = await startSession();
+
+    const withoutCsrf = await app.request("POST", "/admin/session/logout", {
+      headers: { Cookie: cookie },
+    });
+    assert.equal(withoutCsrf.status, 403);
+
+    const logout = await app.request("POST", "/admin/session/logout", {
+      headers: { Cookie: cookie, "X-CSRF-Token": csrfToken },
+    });
+    assert.equal(logout.status, 200);
+    assert.match(logout.headers.get("set-cookie"), /^admin_session=;.*Expires=/);
+
+    const [session] = await app.sql`
+      SELECT revoked_at FROM admin_sessions WHERE id = ${id}
+    `;
+    assert.ok(session.revoked_at);
+  });
+
+  test("logout clears the cookie of a session that has already ended", async () => {
+    const { cookie, id } = await startSession();
+    await app.sql`
+      UPDATE admin_sessions
+      SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'
+      WHERE id = ${id}
+    `;
+
+    for (const headers of [
+      { Cookie: cookie },
+      { Cookie: "admin_session=unknown" },
+      {},
+    ]) {
+      const logout = await app.request("POST", "/admin/session/logout", {
+        headers,
+      });
+      assert.equal(logout.status, 200);
+      assert.match(logout.headers.get("set-cookie"), /^admin_session=;.*Expires=/);
+    }
+  });
+});
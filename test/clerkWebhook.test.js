@@ -0,0 +1,147 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { after, before, describe, test } from "node:test";
+import { startTestApp } from "./helpers/app.js";
+import {
+  signSvixPayload,
+  verifySvixSignature,
+} from "../services/userSync.js";
+
+/**
+ * Svix deliveries recorded from Clerk, each with the secret they were
+ * signed with. The recorded timestamps are long past the 5 minute
+ * tolerance, so replays are re-signed with the current time.
+ */
+const fixture = (name) =>
+  JSON.parse(
+    fs.readFileSync(new URL(`./fixtures/clerk/${name}.json`, import.meta.url))
+  );
+
+const created = fixture("user.created");
+const updated = fixture("user.updated");
+const deleted = fixture("user.deleted");
+const USER_ID = JSON.parse(created.body).data.id;
+
+let app;
+
+before(async () => {
+  app = await startTestApp({ CLERK_WEBHOOK_SECRET: created.secret });
+});
+
+after(() => app.close());
+
+const post = async (body, headers) => {
+  const response = await fetch(`${app.baseUrl}/webhooks/clerk`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body,
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const freshHeaders = ({ secret, headers, body }) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  return {
+    "svix-id": headers["svix-id"],
+    "svix-timestamp": String(timestamp),
+    "svix-signature": signSvixPayload(secret, headers["svix-id"], timestamp, body),
+  };
+};
+
+const replay = (recorded) => post(recorded.body, freshHeaders(recorded));
+
+const syncedUser = async () => {
+  const [user] = await app.sql`
+    SELECT email, name, deleted_at FROM users WHERE clerk_user_id = ${USER_ID}
+  `;
+  return user;
+};
+
+describe("signature verification", () => {
+  test("the recorded signatures verify at the time they were sent", () => {
+    for (const recorded of [created, updated, deleted]) {
+      const now = parseInt(recorded.headers["svix-timestamp"]);
+      assert.ok(
+        verifySvixSignature(recorded.secret, recorded.headers, recorded.body, { now }),
+        recorded.headers["svix-id"]
+      );
+    }
+  });
+
+  test("400 for a recorded delivery past the timestamp tolerance", async () => {
+    const response = await post(created.body, created.headers);
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Invalid signature");
+    assert.equal(await syncedUser(), undefined);
+  });
+
+  test("400 for a tampered body", async () => {
+    const headers = freshHeaders(created);
+    const tampered = created.body.replace("Abebe", "Mallory");
+    assert.notEqual(tampered, created.body);
+
+    const response = await post(tampered, headers);
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Invalid signature");
+    assert.equal(await syncedUser(), undefined);
+  });
+
+  test("400 for a signature made with another secret", async () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await post(created.body, {
+      "svix-id": created.headers["svix-id"],
+      "svix-timestamp": String(timestamp),
+      "svix-signature": signSvixPayload(
+        "whsec_c29tZS1vdGhlci1zZWNyZXQ=",
+        created.headers["svix-id"],
+        timestamp,
+        created.body
+      ),
+    });
+    assert.equal(response.status, 400);
+  });
+});
+
+describe("user sync", () => {
+  test("user.created stores the primary email and name", async () => {
+    const response = await replay(created);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result, "synced");
+
+    const user = await syncedUser();
+    assert.equal(user.email, "abebe.kebede@example.com");
+    assert.equal(user.name, "Abebe Kebede");
+  });
+
+  test("user.updated refreshes the profile", async () => {
+    const response = await replay(updated);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result, "synced");
+
+    const user = await syncedUser();
+    assert.equal(user.name, "Abebech Kebede");
+  });
+
+  test("user.deleted forgets the profile, and later updates do not bring it back", async () => {
+    await app.sql`
+      INSERT INTO notification_preferences (clerk_user_id, email)
+      VALUES (${USER_ID}, 'abebe.kebede@example.com')
+    `;
+
+    const response = await replay(deleted);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result, "deleted");
+
+    const user = await syncedUser();
+    assert.equal(user.email, null);
+    assert.equal(user.name, null);
+    assert.ok(user.deleted_at);
+    const preferences = await app.sql`
+      SELECT 1 FROM notification_preferences WHERE clerk_user_id = ${USER_ID}
+    `;
+    assert.equal(preferences.length, 0);
+
+    assert.equal((await replay(updated)).status, 200);
+    assert.equal((await syncedUser()).email, null);
+  });
+});
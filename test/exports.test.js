@@ -0,0 +1,226 @@
+import assert from "node:assert/strict";
+import ExcelJS from "exceljs";
+import { after, before, describe, test } from "node:test";
+import { startTestApp, uniqueTransactionId } from "./helpers/app.js";
+import { streamExport } from "../services/exports.js";
+import { parseCsv } from "../services/reconciliation.js";
+
+// Names a spreadsheet would run as formulas, keyed by user
+const FORMULA_NAMES = {
+  user_1: '=HYPERLINK("http://example.com","Click")',
+  user_2: "+251911000000",
+  user_3: "@SUM(A1:A9)",
+};
+
+let app;
+
+before(async () => {
+  app = await startTestApp();
+  const plan = await app.createPlan({ price: 1000, duration_days: 30 });
+
+  for (const [userId, name] of Object.entries(FORMULA_NAMES)) {
+    await app.sql`
+      INSERT INTO users (clerk_user_id, email, name)
+      VALUES (${userId}, ${`${userId}@example.com`}, ${name})
+    `;
+  }
+
+  const submit = async (userId) => {
+    const response = await app.submitPayment(userId, {
+      plan_id: plan.id,
+      transaction_id: uniqueTransactionId(),
+    });
+    assert.equal(response.status, 201);
+    return response.body.payment;
+  };
+  const approved = await submit("user_1");
+  const rejected = await submit("user_2");
+  await submit("user_3");
+
+  const approval = await app.request(
+    "POST",
+    `/admin/subscription/payments/${approved.id}/approve`,
+    { as: "admin_reviewer", body: {} }
+  );
+  assert.equal(approval.status, 200);
+  const rejection = await app.request(
+    "POST",
+    `/admin/subscription/payments/${rejected.id}/reject`,
+    { as: "admin_reviewer", body: { rejection_reason: "Not found" } }
+  );
+  assert.equal(rejection.status, 200);
+});
+
+after(() => app.close());
+
+const download = async (path) => {
+  const response = await fetch(`${app.baseUrl}${path}`, {
+    headers: { Authorization: `Bearer ${app.tokenFor("admin_super")}` },
+  });
+  assert.equal(response.status, 200);
+  return {
+    headers: response.headers,
+    body: Buffer.from(await response.arrayBuffer()),
+  };
+};
+
+const lastExportAudit = async () => {
+  const [event] = await app.sql`
+    SELECT actor_id, target_id, metadata FROM audit_events
+    WHERE action = 'data.exported'
+    ORDER BY id DESC
+    LIMIT 1
+  `;
+  return event;
+};
+
+describe("GET /admin/subscription/payments/export", () => {
+  test("CSV has a UTF-8 BOM, fixed columns and escaped formulas", async () => {
+    const { headers, body } = await download(
+      "/admin/subscription/payments/export?format=csv"
+    );
+    assert.equal(headers.get("content-type"), "text/csv; charset=utf-8");
+    assert.match(
+      headers.get("content-disposition"),
+      /^attachment; filename="payments-\d{4}-\d{2}-\d{2}\.csv"$/
+    );
+
+    const text = body.toString("utf8");
+    assert.ok(text.startsWith("\uFEFFPayment ID,Submitted At (UTC),"));
+    assert.ok(
+      text.includes('"\'=HYPERLINK(""http://example.com"",""Click"")"')
+    );
+
+    const [header, ...rows] = parseCsv(text.slice(1).trimEnd());
+    const column = (name) => header.indexOf(name);
+    assert.equal(rows.length, 3);
+    assert.deepEqual(
+      rows.map((row) => [
+        row[column("User ID")],
+        row[column("User Name")],
+        row[column("Status")],
+        row[column("Amount (ETB)")],
+        row[column("Net Revenue (ETB)")],
+      ]),
+      [
+        [
+          "user_1",
+          `'${FORMULA_NAMES.user_1}`,
+          "approved",
+          "1000.00",
+          "1000.00",
+        ],
+        ["user_2", `'${FORMULA_NAMES.user_2}`, "rejected", "1000.00", "0.00"],
+        ["user_3", `'${FORMULA_NAMES.user_3}`, "pending", "1000.00", "0.00"],
+      ]
+    );
+    assert.match(
+      rows[0][column("Submitted At (UTC)")],
+      /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/
+    );
+
+    const audit = await lastExportAudit();
+    assert.equal(audit.actor_id, "admin_super");
+    assert.equal(audit.target_id, "payments");
+    assert.equal(audit.metadata.format, "csv");
+    assert.equal(audit.metadata.rows, 3);
+    assert.equal(audit.metadata.completed, true);
+  });
+
+  test("XLSX keeps text as text and adds a summary sheet", async () => {
+    const { headers, body } = await download(
+      "/admin/subscription/payments/export?format=xlsx&status=all"
+    );
+    assert.equal(
+      headers.get("content-type"),
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(body);
+    assert.deepEqual(
+      workbook.worksheets.map((sheet) => sheet.name),
+      ["Payments", "Summary"]
+    );
+
+    const sheet = workbook.getWorksheet("Payments");
+    const header = sheet.getRow(1).values;
+    const nameCell = sheet.getRow(2).getCell(header.indexOf("User Name"));
+    assert.equal(nameCell.type, ExcelJS.ValueType.String);
+    assert.equal(nameCell.value, FORMULA_NAMES.user_1);
+    assert.equal(
+      sheet.getRow(2).getCell(header.indexOf("Amount (ETB)")).value,
+      1000
+    );
+    assert.equal(sheet.rowCount, 4);
+
+    const summary = [];
+    workbook.getWorksheet("Summary").eachRow((row) => {
+      summary.push(row.values.slice(1));
+    });
+    assert.deepEqual(summary[0], ["Export", "payments"]);
+    assert.ok(summary.some(([label]) => label === "Generated By"));
+    const table = summary.slice(
+      summary.findIndex(([label]) => label === "Status")
+    );
+    assert.deepEqual(table, [
+      [
+        "Status",
+        "Payments",
+        "Amount (ETB)",
+        "Refunded (ETB)",
+        "Net Revenue (ETB)",
+      ],
+      ["approved", 1, 1000, 0, 1000],
+      ["pending", 1, 1000, 0, 0],
+      ["rejected", 1, 1000, 0, 0],
+      ["Total", 3, 3000, 0, 1000],
+    ]);
+
+    const audit = await lastExportAudit();
+    assert.equal(audit.metadata.format, "xlsx");
+    assert.equal(audit.metadata.rows, 3);
+    assert.equal(audit.metadata.completed, true);
+  });
+
+  test("a status filter limits the rows", async () => {
+    const { body } = await download(
+      "/admin/subscription/payments/export?status=approved"
+    );
+    const [, ...rows] = parseCsv(body.toString("utf8").slice(1).trimEnd());
+    assert.equal(rows.length, 1);
+    assert.equal((await lastExportAudit()).metadata.filters.status, "approved");
+  });
+});
+
+describe("streamExport", () => {
+  const disconnected = { setHeader() {}, destroyed: true };
+
+  test("a failed export is audited as incomplete", async () => {
+    await assert.rejects(
+      streamExport(
+        { resource: "users", format: "csv", filters: { pro: "all" } },
+        disconnected,
+        { id: "admin_super", type: "admin", ip: null, userAgent: null }
+      ),
+      /Client disconnected/
+    );
+
+    const audit = await lastExportAudit();
+    assert.equal(audit.target_id, "users");
+    assert.equal(audit.metadata.completed, false);
+    assert.equal(audit.metadata.error, "Client disconnected");
+  });
+
+  test("an audit failure does not replace the export error", async () => {
+    // actor_id is NOT NULL, so the audit insert fails
+    await assert.rejects(
+      streamExport(
+        { resource: "users", format: "csv", filters: { pro: "all" } },
+        disconnected,
+        { id: null, type: "admin", ip: null, userAgent: null }
+      ),
+      /Client disconnected/
+    );
+  });
+});
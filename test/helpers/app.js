@@ -0,0 +1,142 @@
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * 🧪 INTEGRATION TEST HARNESS
+ *
+ * Boots the Express app from server.js on a random port against an
+ * in-process PGlite database with every migration applied. Auth uses the
+ * local provider with the accounts in test/fixtures/auth/users.json:
+ * admin_super (superadmin), admin_reviewer and admin_second (reviewer),
+ * admin_viewer (viewer) and user_1 … user_12.
+ *
+ * Payments default to bank_transfer, which is always reviewed by hand;
+ * submit with provider "mock" and register the transaction with
+ * addMockTransaction (services/paymentProviders/mock.js) to exercise
+ * provider verification.
+ *
+ * Each test file runs in its own process, so each gets a fresh database.
+ * Set TEST_LOGS=true to see the server's console output.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const TEST_SECRET = "test-local-auth-secret";
+
+// Payments above this need two approvals
+export const DUAL_APPROVAL_THRESHOLD = 5000;
+
+const TEST_ENV = {
+  NODE_ENV: "test",
+  DATABASE_DRIVER: "pglite",
+  AUTH_PROVIDER: "local",
+  LOCAL_AUTH_SECRET: TEST_SECRET,
+  LOCAL_AUTH_USERS: path.join(__dirname, "..", "fixtures", "auth", "users.json"),
+  PAYMENT_PROVIDERS: "bank_transfer,mock",
+  PAYMENT_DEFAULT_PROVIDER: "bank_transfer",
+  PAYMENT_DUAL_APPROVAL_THRESHOLD: String(DUAL_APPROVAL_THRESHOLD),
+  // Every request comes from one address
+  RATE_LIMIT_MAX: "100000",
+  PAYMENT_RATE_LIMIT_MAX: "100000",
+  LOGIN_RATE_LIMIT_MAX: "100000",
+};
+
+let transactionCounter = 0;
+
+/**
+ * A transaction ID no other test uses
+ */
+export const uniqueTransactionId = () =>
+  `FT${Date.now().toString(36).toUpperCase()}${++transactionCounter}`;
+
+/**
+ * Start the app. Call close() when the file's tests are done so the
+ * process can exit.
+ * @param {Record<string, string>} [env] - overrides for the test
+ *   environment, e.g. a low PAYMENT_RATE_LIMIT_MAX
+ */
+export const startTestApp = async (env = {}) => {
+  // Modules read their configuration on import, so set it first
+  Object.assign(process.env, TEST_ENV, env);
+  delete process.env.PGLITE_DATA_DIR;
+  if (process.env.TEST_LOGS !== "true") {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const { default: app } = await import("../../server.js");
+  const db = await import("../../config/db.js");
+  const { localAuthProvider } = await import("../../services/auth/local.js");
+  await db.initDB();
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  const tokenFor = (userId) => {
+    const user = localAuthProvider.findUser(userId);
+    if (!user) throw new Error(`No test user "${userId}"`);
+    return localAuthProvider.signToken(user);
+  };
+
+  /**
+   * @param {string} method
+   * @param {string} endpoint - path below /api
+   * @param {object} [options]
+   * @param {string} [options.as] - send a bearer token for this test user
+   * @param {object} [options.body] - sent as JSON
+   * @param {object} [options.headers]
+   * @returns {Promise<{status: number, body: object|null, headers: Headers}>}
+   */
+  const request = async (method, endpoint, { as, body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(as && { Authorization: `Bearer ${tokenFor(as)}` }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // Not JSON (e.g. CSV exports)
+    }
+    return { status: response.status, body: json, headers: response.headers };
+  };
+
+  const createPlan = async ({
+    name = `Plan ${++transactionCounter}`,
+    price = 1000,
+    duration_days = 30,
+    is_active = true,
+  } = {}) => {
+    const [plan] = await db.sql`
+      INSERT INTO plans (name, price, duration_days, is_active)
+      VALUES (${name}, ${price}, ${duration_days}, ${is_active})
+      RETURNING *
+    `;
+    return plan;
+  };
+
+  const submitPayment = (userId, body) =>
+    request("POST", "/payment-flow/submit-payment", { as: userId, body });
+
+  return {
+    baseUrl,
+    sql: db.sql,
+    request,
+    tokenFor,
+    createPlan,
+    submitPayment,
+    async close() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await db.closeConnection();
+    },
+  };
+};
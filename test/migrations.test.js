@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestApp } from "./helpers/app.js";
+import {
+  getMigrationStatus,
+  migrateDown,
+  migrateUp,
+} from "../config/migrator.js";
+
+let app;
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app.close());
+
+const appliedVersions = async () =>
+  (await getMigrationStatus()).applied.map((row) => row.version);
+
+describe("migrateDown", () => {
+  test("refuses step counts below 1", async () => {
+    const current = await appliedVersions();
+
+    for (const steps of [0, -1, 1.5]) {
+      await assert.rejects(migrateDown({ steps }), /steps must be at least 1/);
+    }
+    assert.deepEqual(await appliedVersions(), current);
+  });
+
+  test("reverts the latest migrations and migrateUp applies them again", async () => {
+    const current = await appliedVersions();
+
+    const reverted = await migrateDown({ steps: 2 });
+    assert.deepEqual(
+      reverted.map((row) => row.version),
+      current.slice(-2).reverse()
+    );
+    assert.deepEqual(await appliedVersions(), current.slice(0, -2));
+
+    const applied = await migrateUp();
+    assert.deepEqual(
+      applied.map((migration) => migration.version),
+      current.slice(-2)
+    );
+    assert.deepEqual(await appliedVersions(), current);
+  });
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestApp } from "./helpers/app.js";
+
+let app;
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app.close());
+
+describe("GET /openapi.json", () => {
+  test("documents every payment flow and admin subscription route", async () => {
+    const response = await app.request("GET", "/openapi.json");
+    assert.equal(response.status, 200);
+    assert.equal(response.body.openapi, "3.1.0");
+
+    const routers = {
+      "/api/payment-flow": (await import("../routes/paymentFlow.js")).default,
+      "/api/admin/subscription": (
+        await import("../routes/adminSubscriptionRoute.js")
+      ).default,
+    };
+
+    for (const [prefix, router] of Object.entries(routers)) {
+      for (const { route } of router.stack.filter((layer) => layer.route)) {
+        const path = `${prefix}${route.path}`.replace(/:(\w+)/g, "{$1}");
+        for (const method of Object.keys(route.methods)) {
+          assert.ok(
+            response.body.paths[path]?.[method],
+            `${method.toUpperCase()} ${path} is not documented`
+          );
+        }
+      }
+    }
+  });
+
+  test("describes parameters and bodies from the request schemas", async () => {
+    const { body } = await app.request("GET", "/openapi.json");
+
+    const submit = body.paths["/api/payment-flow/submit-payment"].post;
+    const schema = submit.requestBody.content["application/json"].schema;
+    assert.deepEqual(schema.required, ["plan_id", "transaction_id"]);
+    assert.equal(schema.properties.transaction_id.maxLength, 100);
+    assert.deepEqual(body.paths["/api/payment-flow/plans"].get.security, []);
+
+    const approve =
+      body.paths["/api/admin/subscription/payments/{paymentId}/approve"].post;
+    assert.deepEqual(
+      approve.parameters.map(({ name, in: location, required }) => [
+        name,
+        location,
+        required,
+      ]),
+      [["paymentId", "path", true]]
+    );
+
+    const history = body.paths["/api/payment-flow/payment-history"].get;
+    const limit = history.parameters.find((p) => p.name === "limit");
+    assert.equal(limit.in, "query");
+    assert.equal(limit.required, false);
+    assert.equal(limit.schema.maximum, 200);
+  });
+});
@@ -0,0 +1,417 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import {
+  DUAL_APPROVAL_THRESHOLD,
+  startTestApp,
+  uniqueTransactionId,
+} from "./helpers/app.js";
+import { addMockTransaction } from "../services/paymentProviders/mock.js";
+
+const RECEIPT_MAX_BYTES = 1024;
+
+let app;
+let plan;
+let receiptDir;
+
+before(async () => {
+  receiptDir = await fs.mkdtemp(path.join(os.tmpdir(), "receipts-"));
+  app = await startTestApp({
+    RECEIPT_MAX_BYTES: String(RECEIPT_MAX_BYTES),
+    RECEIPT_STORAGE_DIR: receiptDir,
+  });
+  plan = await app.createPlan({ price: 1000, duration_days: 30 });
+});
+
+after(async () => {
+  await app.close();
+  await fs.rm(receiptDir, { recursive: true, force: true });
+});
+
+describe("POST /payment-flow/submit-payment", () => {
+  test("requires plan_id and transaction_id", async () => {
+    const missingPlan = await app.submitPayment("user_1", {
+      transaction_id: uniqueTransactionId(),
+    });
+    assert.equal(missingPlan.status, 400);
+    assert.equal(missingPlan.body.error, "Invalid request");
+    assert.deepEqual(missingPlan.body.fields, [
+      { field: "body.plan_id", message: "is required" },
+    ]);
+
+    const missingTransaction = await app.submitPayment("user_1", {
+      plan_id: plan.id,
+    });
+    assert.equal(missingTransaction.status, 400);
+    assert.deepEqual(
+      missingTransaction.body.fields.map((error) => error.field),
+      ["body.transaction_id"]
+    );
+  });
+
+  test("rejects malformed amounts", async () => {
+    for (const amount of [-5, 0, "1000", 123456789012, 10.005]) {
+      const response = await app.submitPayment("user_1", {
+        plan_id: plan.id,
+        transaction_id: uniqueTransactionId(),
+        amount,
+      });
+      assert.equal(response.status, 400, String(amount));
+      assert.equal(response.body.fields[0].field, "body.amount");
+    }
+  });
+
+  test("rejects malformed transaction IDs and unknown fields", async () => {
+    const cases = [
+      [{ transaction_id: "x".repeat(10_000) }, "body.transaction_id"],
+      [{ transaction_id: "   " }, "body.transaction_id"],
+      [{ transaction_id: 12345 }, "body.transaction_id"],
+      [{ plan_id: "1" }, "body.plan_id"],
+      [{ coupon: "FREE" }, "body.coupon"],
+    ];
+
+    for (const [fields, field] of cases) {
+      const response = await app.submitPayment("user_1", {
+        plan_id: plan.id,
+        transaction_id: uniqueTransactionId(),
+        ...fields,
+      });
+      assert.equal(response.status, 400, field);
+      assert.deepEqual(
+        response.body.fields.map((error) => error.field),
+        [field]
+      );
+    }
+
+    const [{ count }] = await app.sql`
+      SELECT COUNT(*)::int as count FROM payments WHERE clerk_user_id = 'user_1'
+    `;
+    assert.equal(count, 0);
+  });
+
+  test("keeps an amount with cents as submitted", async () => {
+    const response = await app.submitPayment("user_11", {
+      plan_id: plan.id,
+      transaction_id: uniqueTransactionId(),
+      amount: 999.99,
+    });
+    assert.equal(response.status, 201);
+    assert.equal(Number(response.body.payment.amount), 999.99);
+  });
+
+  test("lists every invalid field at once", async () => {
+    const response = await app.submitPayment("user_1", {
+      amount: -1,
+      provider: "",
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.fields.map((error) => error.field).sort(), [
+      "body.amount",
+      "body.plan_id",
+      "body.provider",
+      "body.transaction_id",
+    ]);
+    assert.match(response.body.message, /body\.amount must be greater than 0/);
+  });
+
+  test("rejects unknown and inactive plans", async () => {
+    const unknown = await app.submitPayment("user_1", {
+      plan_id: 999999,
+      transaction_id: uniqueTransactionId(),
+    });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, "Invalid plan");
+
+    const retired = await app.createPlan({ is_active: false });
+    const inactive = await app.submitPayment("user_1", {
+      plan_id: retired.id,
+      transaction_id: uniqueTransactionId(),
+    });
+    assert.equal(inactive.status, 400);
+    assert.equal(inactive.body.error, "Invalid plan");
+  });
+
+  test("rejects unsupported providers", async () => {
+    const response = await app.submitPayment("user_1", {
+      plan_id: plan.id,
+      transaction_id: uniqueTransactionId(),
+      provider: "paypal",
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Unsupported payment provider");
+  });
+
+  test("records a pending payment at the plan price", async () => {
+    const transactionId = uniqueTransactionId();
+    const response = await app.submitPayment("user_2", {
+      plan_id: plan.id,
+      transaction_id: transactionId,
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.payment.status, "pending");
+    assert.equal(response.body.payment.transaction_id, transactionId);
+    assert.equal(Number(response.body.payment.amount), 1000);
+    assert.equal(response.body.renewal, false);
+
+    const [audit] = await app.sql`
+      SELECT actor_id FROM audit_events
+      WHERE payment_id = ${response.body.payment.id}
+        AND action = 'payment.submitted'
+    `;
+    assert.equal(audit.actor_id, "user_2");
+  });
+
+  test("409 while the user already has a pending payment", async () => {
+    const first = await app.submitPayment("user_3", {
+      plan_id: plan.id,
+      transaction_id: uniqueTransactionId(),
+    });
+    assert.equal(first.status, 201);
+
+    const second = await app.submitPayment("user_3", {
+      plan_id: plan.id,
+      transaction_id: uniqueTransactionId(),
+    });
+    assert.equal(second.status, 409);
+    assert.equal(second.body.error, "Pending payment exists");
+  });
+
+  test("409 when the transaction ID was already submitted", async () => {
+    const transactionId = uniqueTransactionId();
+    const first = await app.submitPayment("user_4", {
+      plan_id: plan.id,
+      transaction_id: transactionId,
+    });
+    assert.equal(first.status, 201);
+
+    const reused = await app.submitPayment("user_5", {
+      plan_id: plan.id,
+      transaction_id: transactionId,
+    });
+    assert.equal(reused.status, 409);
+    assert.equal(reused.body.error, "Transaction ID already used");
+  });
+
+  test("409 for lifetime Pro users", async () => {
+    await app.sql`
+      INSERT INTO users (clerk_user_id, is_pro, pro_since)
+      VALUES ('user_6', true, CURRENT_TIMESTAMP)
+    `;
+
+    const response = await app.submitPayment("user_6", {
+      plan_id: plan.id,
+      transaction_id: uniqueTransactionId(),
+    });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, "User already has Pro status");
+  });
+
+  test("409 before the renewal window opens", async () => {
+    await app.sql`
+      INSERT INTO users (
+        clerk_user_id, is_pro, pro_since, current_period_start, current_period_end
+      )
+      VALUES (
+        'user_7', true, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP,
+        CURRENT_TIMESTAMP + INTERVAL '200 days'
+      )
+    `;
+
+    const response = await app.submitPayment("user_7", {
+      plan_id: plan.id,
+      transaction_id: uniqueTransactionId(),
+    });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, "Renewal not yet available");
+  });
+
+  test("simultaneous submissions of one transaction ID: only one is kept", async () => {
+    const transactionId = uniqueTransactionId();
+    const responses = await Promise.all(
+      ["user_8", "user_9", "user_10"].map((userId) =>
+        app.submitPayment(userId, {
+          plan_id: plan.id,
+          transaction_id: transactionId,
+        })
+      )
+    );
+
+    const statuses = responses.map((response) => response.status).sort();
+    assert.deepEqual(statuses, [201, 409, 409]);
+    for (const response of responses.filter((r) => r.status === 409)) {
+      assert.equal(response.body.error, "Transaction ID already used");
+    }
+
+    const rows = await app.sql`
+      SELECT id FROM payments WHERE transaction_id = ${transactionId}
+    `;
+    assert.equal(rows.length, 1);
+  });
+});
+
+describe("receipts", () => {
+  const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+  const receipt = (bytes, content_type = "image/png") => ({
+    filename: "receipt.png",
+    content_type,
+    data: bytes.toString("base64"),
+  });
+
+  const submitWithReceipt = (userId, receiptInput) =>
+    app.submitPayment(userId, {
+      plan_id: plan.id,
+      transaction_id: uniqueTransactionId(),
+      receipt: receiptInput,
+    });
+
+  const assertInvalidReceipt = async (receiptInput, message) => {
+    const response = await submitWithReceipt("user_1", receiptInput);
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Invalid receipt");
+    assert.equal(response.body.message, message);
+  };
+
+  test("rejects a receipt whose content is not the declared type", async () => {
+    await assertInvalidReceipt(
+      receipt(Buffer.concat([PNG, Buffer.from("image")]), "image/jpeg"),
+      "receipt content is image/png, not image/jpeg"
+    );
+  });
+
+  test("rejects a receipt over RECEIPT_MAX_BYTES", async () => {
+    await assertInvalidReceipt(
+      receipt(Buffer.concat([PNG, Buffer.alloc(RECEIPT_MAX_BYTES)])),
+      `receipt must be at most ${RECEIPT_MAX_BYTES} bytes`
+    );
+  });
+
+  test("rejects a file type it does not recognise", async () => {
+    await assertInvalidReceipt(
+      receipt(Buffer.from("GIF89a receipt"), "image/gif"),
+      "receipt must be one of: image/png, image/jpeg, image/webp, application/pdf"
+    );
+
+    const [{ count }] = await app.sql`
+      SELECT COUNT(*)::int as count FROM payments WHERE clerk_user_id = 'user_1'
+    `;
+    assert.equal(count, 0);
+  });
+
+  test("only admins can download a stored receipt", async () => {
+    const bytes = Buffer.concat([PNG, Buffer.from("receipt")]);
+    const response = await submitWithReceipt("user_1", receipt(bytes));
+    assert.equal(response.status, 201);
+    assert.equal(response.body.payment.has_receipt, true);
+
+    const receiptPath = `/admin/subscription/payments/${response.body.payment.id}/receipt`;
+    for (const userId of ["user_1", "user_2"]) {
+      const refused = await app.request("GET", receiptPath, { as: userId });
+      assert.equal(refused.status, 403);
+      assert.equal(refused.body.error, "Admin access required");
+    }
+
+    const download = await fetch(`${app.baseUrl}${receiptPath}`, {
+      headers: { Authorization: `Bearer ${app.tokenFor("admin_viewer")}` },
+    });
+    assert.equal(download.status, 200);
+    assert.equal(download.headers.get("content-type"), "image/png");
+    assert.deepEqual(Buffer.from(await download.arrayBuffer()), bytes);
+  });
+});
+
+describe("provider verification", () => {
+  // Users are reused across tests, so clear their pending payments first.
+  // Without a transaction the reference is unknown to the provider.
+  const submitWithMock = async (userId, transaction, body = {}) => {
+    await app.sql`
+      UPDATE payments SET status = 'rejected', rejection_reason = 'test reset'
+      WHERE clerk_user_id = ${userId} AND status = 'pending'
+    `;
+    const transactionId = uniqueTransactionId();
+    if (transaction) {
+      addMockTransaction({ reference: transactionId, ...transaction });
+    }
+    return app.submitPayment(userId, {
+      plan_id: plan.id,
+      transaction_id: transactionId,
+      provider: "mock",
+      ...body,
+    });
+  };
+
+  const storedVerification = async (paymentId) => {
+    const [payment] = await app.sql`
+      SELECT status, verification_status, verification_details
+      FROM payments WHERE id = ${paymentId}
+    `;
+    return payment;
+  };
+
+  test("a completed transaction for the plan price is auto-approved", async () => {
+    const response = await submitWithMock("user_11", { amount: 1000 });
+    assert.equal(response.status, 201);
+    assert.equal(response.body.payment.status, "approved");
+    assert.equal(response.body.payment.verification_status, "verified");
+
+    const [user] = await app.sql`
+      SELECT is_pro FROM users WHERE clerk_user_id = 'user_11'
+    `;
+    assert.equal(user.is_pro, true);
+  });
+
+  test("a different amount is flagged for review", async () => {
+    const response = await submitWithMock("user_12", { amount: 500 });
+    assert.equal(response.status, 201);
+    assert.equal(response.body.payment.status, "pending");
+    assert.equal(response.body.payment.verification_status, "mismatch");
+  });
+
+  for (const status of [null, ""]) {
+    test(`a transaction with status ${JSON.stringify(status)} is left for an admin`, async () => {
+      const response = await submitWithMock("user_12", {
+        amount: 1000,
+        status,
+      });
+      assert.equal(response.status, 201);
+      assert.equal(response.body.payment.status, "pending");
+      assert.equal(response.body.payment.verification_status, "manual_review");
+
+      const stored = await storedVerification(response.body.payment.id);
+      assert.equal(stored.status, "pending");
+      assert.deepEqual(stored.verification_details.reasons, [
+        "Mock Provider did not report a transaction status",
+      ]);
+    });
+  }
+
+  test("a low typed amount for a plan above the threshold still needs two admins", async () => {
+    const largePlan = await app.createPlan({
+      price: DUAL_APPROVAL_THRESHOLD * 2,
+      duration_days: 365,
+    });
+    // Every test user submits from 127.0.0.1; keep the shared-IP signal
+    // from holding the payment as high risk instead
+    await app.sql`UPDATE payments SET submitted_ip = NULL`;
+    const response = await submitWithMock(
+      "user_10",
+      { amount: DUAL_APPROVAL_THRESHOLD * 2 },
+      { plan_id: largePlan.id, amount: 1 }
+    );
+    assert.equal(response.status, 201);
+    assert.notEqual(response.body.payment.status, "approved");
+
+    const stored = await storedVerification(response.body.payment.id);
+    assert.ok(["pending", "partially_approved"].includes(stored.status));
+  });
+
+  test("an unknown reference is flagged as not found", async () => {
+    const response = await submitWithMock("user_12", null);
+    assert.equal(response.status, 201);
+    assert.equal(response.body.payment.status, "pending");
+    assert.equal(response.body.payment.verification_status, "not_found");
+  });
+});
@@ -0,0 +1,30 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { startTestApp } from "./helpers/app.js";
+
+let app;
+
+before(async () => {
+  app = await startTestApp({ PAYMENT_RATE_LIMIT_MAX: "2" });
+});
+
+after(() => app.close());
+
+test("payment submissions are limited per address", async () => {
+  // Invalid submissions count too
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const response = await app.submitPayment("user_1", {});
+    assert.equal(response.status, 400);
+  }
+
+  const limited = await app.submitPayment("user_2", {});
+  assert.equal(limited.status, 429);
+  assert.equal(
+    limited.body.error,
+    "Too many payment attempts. Please try again later."
+  );
+
+  // Other endpoints keep working
+  const plans = await app.request("GET", "/payment-flow/plans");
+  assert.equal(plans.status, 200);
+});
@@ -0,0 +1,318 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestApp, uniqueTransactionId } from "./helpers/app.js";
+import {
+  parseCsv,
+  parseStatementDate,
+  readStatement,
+} from "../services/reconciliation.js";
+
+const ADDIS = { date_order: "ymd", utc_offset: "+03:00" };
+
+const MAPPING = {
+  reference: "Reference",
+  amount: "Amount",
+  date: "Date",
+  status: null,
+  delimiter: ",",
+  date_order: "ymd",
+  utc_offset: "+03:00",
+};
+
+describe("parseCsv", () => {
+  test("reads quoted fields with delimiters, doubled quotes and line breaks", () => {
+    const rows = parseCsv(
+      'Reference,Narration,Amount\r\nFT1,"Rent, ""May""",100\r\nFT2,"two\nlines",200\n'
+    );
+    assert.deepEqual(rows, [
+      ["Reference", "Narration", "Amount"],
+      ["FT1", 'Rent, "May"', "100"],
+      ["FT2", "two\nlines", "200"],
+    ]);
+  });
+
+  test("splits on the given delimiter and keeps a last line without a newline", () => {
+    assert.deepEqual(parseCsv("a;b\r1,5;2", ";"), [
+      ["a", "b"],
+      ["1,5", "2"],
+    ]);
+  });
+});
+
+describe("parseStatementDate", () => {
+  test("reads the fields in the mapping's order at its UTC offset", () => {
+    const expected = "2026-03-04T07:30:00.000Z";
+    const read = (value, date_order) =>
+      parseStatementDate(value, { ...ADDIS, date_order })?.toISOString();
+
+    assert.equal(read("2026-03-04 10:30", "ymd"), expected);
+    assert.equal(read("04/03/2026 10:30", "dmy"), expected);
+    assert.equal(read("03/04/2026 10:30 AM", "mdy"), expected);
+    assert.equal(read("04.03.26 10:30:00", "dmy"), expected);
+    assert.equal(
+      parseStatementDate("2026-03-04 10:30", {
+        date_order: "ymd",
+        utc_offset: "-05:00",
+      }).toISOString(),
+      "2026-03-04T15:30:00.000Z"
+    );
+  });
+
+  test("rejects a swapped day and month and other rollovers", () => {
+    // 13 is not a month, so this cannot be read as mdy
+    assert.equal(
+      parseStatementDate("13/03/2026", { ...ADDIS, date_order: "mdy" }),
+      null
+    );
+    assert.equal(
+      parseStatementDate("31/02/2026", { ...ADDIS, date_order: "dmy" }),
+      null
+    );
+    assert.equal(parseStatementDate("2026-02-29", ADDIS), null);
+    assert.equal(parseStatementDate("yesterday", ADDIS), null);
+  });
+
+  test("takes a timestamp with its own zone as it is", () => {
+    assert.equal(
+      parseStatementDate("2026-03-04T10:30:00Z", {
+        ...ADDIS,
+        date_order: "dmy",
+      }).toISOString(),
+      "2026-03-04T10:30:00.000Z"
+    );
+  });
+});
+
+describe("readStatement", () => {
+  const read = (amounts) =>
+    readStatement(
+      [
+        "Reference,Amount,Date",
+        ...amounts.map((amount, i) => `FT${i},"${amount}",2026-03-04`),
+      ].join("\n"),
+      MAPPING
+    );
+
+  test("reads thousands separators, currency labels and decimal commas", () => {
+    const { rows } = read([
+      "1,234.50",
+      "ETB 1,000",
+      "Br. 2,500.00",
+      "1.234,50",
+      "12,5",
+    ]);
+    assert.deepEqual(
+      rows.map((row) => row.amount),
+      [1234.5, 1000, 2500, 1234.5, 12.5]
+    );
+  });
+
+  test("skips debits, including parenthesised amounts", () => {
+    const { rows, skipped } = read([
+      "-500.00",
+      "(1,000.00)",
+      "0",
+      "n/a",
+      "100",
+    ]);
+    assert.deepEqual(
+      rows.map((row) => row.reference),
+      ["FT4"]
+    );
+    assert.deepEqual(
+      skipped.map((row) => [row.row, row.reason]),
+      [
+        [2, "Not a credit"],
+        [3, "Not a credit"],
+        [4, "Not a credit"],
+        [5, "Not a credit"],
+      ]
+    );
+  });
+
+  test("finds the header below account details and skips unreadable dates", () => {
+    const { errors, rows, skipped } = readStatement(
+      [
+        "Account,1000123456789",
+        "",
+        "reference,amount,date",
+        "FT1,100,2026-02-30",
+        "FT2,100,2026-03-01",
+      ].join("\n"),
+      MAPPING
+    );
+    assert.deepEqual(errors, []);
+    assert.equal(rows.length, 1);
+    assert.deepEqual(skipped, [
+      { row: 4, reference: "FT1", reason: 'Unrecognised date "2026-02-30"' },
+    ]);
+  });
+
+  test("reports a missing header row", () => {
+    const { errors } = readStatement("Ref,Credit\nFT1,100", MAPPING);
+    assert.deepEqual(errors, [
+      "No header row with the columns: Reference, Amount, Date",
+    ]);
+  });
+});
+
+describe("reconciliation runs", () => {
+  let app;
+  let plan;
+
+  before(async () => {
+    app = await startTestApp();
+    plan = await app.createPlan({ price: 1000, duration_days: 30 });
+  });
+
+  after(() => app.close());
+
+  const submit = async (userId, transactionId) => {
+    const response = await app.submitPayment(userId, {
+      plan_id: plan.id,
+      transaction_id: transactionId,
+    });
+    assert.equal(response.status, 201);
+    return response.body.payment;
+  };
+
+  // Paid a minute before now, so every submission in the test falls after it
+  const statement = (rows) =>
+    [
+      "Reference,Credit,Value Date",
+      ...rows.map(([reference, amount]) =>
+        [
+          reference,
+          `"${amount}"`,
+          new Date(Date.now() - 60 * 1000).toISOString(),
+        ].join(",")
+      ),
+    ].join("\n");
+
+  const importStatement = async (csv) => {
+    const response = await app.request("POST", "/admin/reconciliation/runs", {
+      as: "admin_super",
+      body: { provider: "bank_transfer", filename: "statement.csv", csv },
+    });
+    assert.equal(response.status, 201);
+    return response.body.run;
+  };
+
+  const approveRun = (runId, body = {}) =>
+    app.request("POST", `/admin/reconciliation/runs/${runId}/approve`, {
+      as: "admin_super",
+      body,
+    });
+
+  const matchFor = (run, paymentId) =>
+    run.report.matched.find((match) => match.payment_id === paymentId);
+
+  test("only confident matches on payments awaiting approval are approved", async () => {
+    const clean = await submit("user_1", uniqueTransactionId());
+    const risky = await submit("user_2", uniqueTransactionId());
+    const underpaid = await submit("user_3", uniqueTransactionId());
+    await app.sql`UPDATE payments SET risk_level = 'low'`;
+    await app.sql`
+      UPDATE payments SET risk_level = 'high' WHERE id = ${risky.id}
+    `;
+
+    const run = await importStatement(
+      statement([
+        [clean.transaction_id.toLowerCase(), "1,000.00"],
+        [risky.transaction_id, "1,000.00"],
+        [underpaid.transaction_id, "900.00"],
+        ["FTUNKNOWN", "1,000.00"],
+        ["FTREFUND", "(1,000.00)"],
+      ])
+    );
+
+    assert.equal(run.summary.rows, 5);
+    assert.equal(run.summary.skipped, 1);
+    assert.equal(run.summary.matched, 3);
+    assert.equal(run.summary.confident, 1);
+    assert.equal(run.summary.approvable, 1);
+
+    assert.equal(matchFor(run, clean.id).confident, true);
+    assert.deepEqual(matchFor(run, risky.id).reasons, [
+      "Payment is rated high risk",
+    ]);
+    assert.equal(matchFor(run, underpaid.id).confident, false);
+    assert.match(
+      matchFor(run, underpaid.id).reasons[0],
+      /Paid amount ETB 900 does not match/
+    );
+    assert.deepEqual(
+      run.report.unmatched_in_statement.map((row) => row.reference),
+      ["FTUNKNOWN"]
+    );
+
+    const refused = await approveRun(run.id, { payment_ids: [risky.id] });
+    assert.equal(refused.status, 200);
+    assert.equal(refused.body.success, false);
+    assert.equal(refused.body.results[0].error, "Not a confident match");
+
+    const approved = await approveRun(run.id);
+    assert.equal(approved.status, 200);
+    assert.deepEqual(approved.body.summary, {
+      requested: 1,
+      succeeded: 1,
+      failed: 0,
+    });
+    assert.equal(approved.body.results[0].payment_id, clean.id);
+
+    const payments = await app.sql`
+      SELECT id, status, verification_status FROM payments
+      WHERE id IN (${clean.id}, ${risky.id}, ${underpaid.id})
+      ORDER BY id
+    `;
+    assert.deepEqual(
+      payments.map((payment) => payment.status),
+      ["approved", "pending", "pending"]
+    );
+    assert.equal(payments[0].verification_status, "verified");
+
+    const stored = await app.request(
+      "GET",
+      `/admin/reconciliation/runs/${run.id}`,
+      { as: "admin_super" }
+    );
+    assert.equal(stored.body.run.summary.approvable, 0);
+    assert.equal(matchFor(stored.body.run, clean.id).status, "approved");
+  });
+
+  test("a reference claimed by two payments is not a confident match", async () => {
+    const reference = uniqueTransactionId();
+    const first = await submit("user_4", reference);
+    const second = await submit(
+      "user_5",
+      `${reference.slice(0, 2)}-${reference.slice(2)}`
+    );
+    await app.sql`
+      UPDATE payments SET risk_level = 'low'
+      WHERE id IN (${first.id}, ${second.id})
+    `;
+
+    const run = await importStatement(
+      statement([
+        [reference, "1000"],
+        [reference, "1000"],
+      ])
+    );
+
+    assert.equal(run.summary.matched, 1);
+    assert.equal(run.summary.approvable, 0);
+    const [match] = run.report.matched;
+    assert.equal(match.payment_id, first.id);
+    assert.equal(match.confident, false);
+    assert.deepEqual(match.reasons, [
+      `Reference is claimed by payments #${first.id}, #${second.id}`,
+    ]);
+    assert.equal(
+      run.report.unmatched_in_statement[0].reason,
+      "Same reference as row 2"
+    );
+
+    const approved = await approveRun(run.id);
+    assert.equal(approved.body.summary.requested, 0);
+  });
+});
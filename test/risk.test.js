@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { startTestApp, uniqueTransactionId } from "./helpers/app.js";
+
+// A near-duplicate transaction ID and a reused receipt together reach it
+const AUTO_REJECT_SCORE = 100;
+
+let app;
+let plan;
+let receiptDir;
+
+before(async () => {
+  receiptDir = await fs.mkdtemp(path.join(os.tmpdir(), "receipts-"));
+  app = await startTestApp({
+    RISK_AUTO_REJECT_SCORE: String(AUTO_REJECT_SCORE),
+    RECEIPT_STORAGE_DIR: receiptDir,
+  });
+  plan = await app.createPlan({ price: 1000, duration_days: 30 });
+});
+
+after(async () => {
+  await app.close();
+  await fs.rm(receiptDir, { recursive: true, force: true });
+});
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const pngReceipt = (text) => ({
+  filename: "receipt.png",
+  content_type: "image/png",
+  data: Buffer.concat([Buffer.from(PNG_SIGNATURE), Buffer.from(text)]).toString(
+    "base64"
+  ),
+});
+
+const submit = async (userId, body) => {
+  // Every test user submits from 127.0.0.1; keep the shared-IP signal out
+  // of the scores
+  await app.sql`UPDATE payments SET submitted_ip = NULL`;
+  const response = await app.submitPayment(userId, {
+    plan_id: plan.id,
+    transaction_id: uniqueTransactionId(),
+    ...body,
+  });
+  assert.equal(response.status, 201);
+  return response.body.payment;
+};
+
+const storedRisk = async (paymentId) => {
+  const [payment] = await app.sql`
+    SELECT status, rejection_reason, risk_score, risk_level, risk_reasons
+    FROM payments WHERE id = ${paymentId}
+  `;
+  return payment;
+};
+
+describe("risk signals", () => {
+  test("a transaction ID typed differently from an earlier one", async () => {
+    const reference = uniqueTransactionId();
+    const first = await submit("user_1", { transaction_id: reference });
+    const second = await submit("user_2", {
+      transaction_id: ` ${reference.slice(0, 2)}-${reference.slice(2).toLowerCase()}`,
+    });
+
+    assert.equal((await storedRisk(first.id)).risk_score, 0);
+    const risk = await storedRisk(second.id);
+    assert.equal(risk.status, "pending");
+    assert.equal(risk.risk_score, 60);
+    assert.equal(risk.risk_level, "medium");
+    assert.deepEqual(risk.risk_reasons, [
+      {
+        signal: "near_duplicate_transaction",
+        points: 60,
+        detail: `Transaction ID resembles payment(s) #${first.id}`,
+      },
+    ]);
+  });
+
+  test("a receipt already attached to another payment", async () => {
+    const first = await submit("user_3", { receipt: pngReceipt("shared") });
+    const second = await submit("user_4", { receipt: pngReceipt("shared") });
+    const other = await submit("user_5", { receipt: pngReceipt("other") });
+
+    assert.equal((await storedRisk(first.id)).risk_score, 0);
+    assert.equal((await storedRisk(other.id)).risk_score, 0);
+    const risk = await storedRisk(second.id);
+    assert.equal(risk.status, "pending");
+    assert.deepEqual(risk.risk_reasons, [
+      {
+        signal: "reused_receipt",
+        points: 60,
+        detail: `Receipt was already submitted with payment(s) #${first.id}`,
+      },
+    ]);
+  });
+});
+
+describe("auto-reject", () => {
+  test("a payment at RISK_AUTO_REJECT_SCORE is rejected straight away", async () => {
+    const reference = uniqueTransactionId();
+    await submit("user_6", {
+      transaction_id: reference,
+      receipt: pngReceipt("reused"),
+    });
+
+    const payment = await submit("user_7", {
+      transaction_id: reference.toLowerCase(),
+      receipt: pngReceipt("reused"),
+    });
+    assert.equal(payment.status, "rejected");
+
+    const risk = await storedRisk(payment.id);
+    assert.equal(risk.risk_score, AUTO_REJECT_SCORE);
+    assert.equal(risk.risk_level, "high");
+    assert.deepEqual(
+      risk.risk_reasons.map((reason) => reason.signal),
+      ["near_duplicate_transaction", "reused_receipt"]
+    );
+    assert.equal(
+      risk.rejection_reason,
+      "This payment could not be accepted automatically. Please contact support."
+    );
+
+    const [rejection] = await app.sql`
+      SELECT actor_type, actor_id FROM audit_events
+      WHERE payment_id = ${payment.id} AND action = 'payment.rejected'
+    `;
+    assert.deepEqual(rejection, {
+      actor_type: "system",
+      actor_id: "system:risk-engine",
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestApp } from "./helpers/app.js";
+
+let app;
+let expireLapsedSubscriptions;
+
+before(async () => {
+  app = await startTestApp({ SUBSCRIPTION_GRACE_DAYS: "2" });
+  ({ expireLapsedSubscriptions } = await import(
+    "../services/subscriptions.js"
+  ));
+  await app.sql`
+    INSERT INTO webhook_endpoints (url, secret)
+    VALUES ('http://127.0.0.1:9/hooks', 'whsec_test')
+  `;
+});
+
+after(() => app.close());
+
+/**
+ * Give a user Pro until `days` from now (negative: in the past)
+ */
+const setPeriodEnd = (userId, days) => app.sql`
+  INSERT INTO users (
+    clerk_user_id, is_pro, pro_since, current_period_start, current_period_end
+  )
+  VALUES (
+    ${userId},
+    true,
+    CURRENT_TIMESTAMP - INTERVAL '40 days',
+    CURRENT_TIMESTAMP - INTERVAL '40 days',
+    CURRENT_TIMESTAMP + make_interval(days => ${days})
+  )
+  ON CONFLICT (clerk_user_id) DO UPDATE SET
+    is_pro = true,
+    expired_at = NULL,
+    current_period_end = EXCLUDED.current_period_end
+`;
+
+const proStatus = async (userId) => {
+  const response = await app.request("GET", "/payment-flow/pro-status", {
+    as: userId,
+  });
+  assert.equal(response.status, 200);
+  return response.body;
+};
+
+describe("GET /payment-flow/pro-status", () => {
+  test("an active subscription counts the days remaining", async () => {
+    await setPeriodEnd("user_1", 10);
+
+    const status = await proStatus("user_1");
+    assert.equal(status.state, "active");
+    assert.equal(status.isPro, true);
+    assert.equal(status.daysRemaining, 10);
+    assert.equal(status.canRenew, true);
+  });
+
+  test("an ended period stays Pro for the configured grace days", async () => {
+    await setPeriodEnd("user_2", -1);
+
+    const status = await proStatus("user_2");
+    assert.equal(status.state, "grace");
+    assert.equal(status.isPro, true);
+    assert.equal(status.daysRemaining, 0);
+    assert.equal(
+      new Date(status.graceEndsAt) - new Date(status.expiresAt),
+      2 * 24 * 60 * 60 * 1000
+    );
+  });
+
+  test("past the grace period it is expired before the job runs", async () => {
+    await setPeriodEnd("user_3", -3);
+
+    const status = await proStatus("user_3");
+    assert.equal(status.state, "expired");
+    assert.equal(status.isPro, false);
+  });
+});
+
+describe("expireLapsedSubscriptions", () => {
+  test("turns off Pro after the grace period and queues one event per user", async () => {
+    await setPeriodEnd("user_4", 5);
+    await setPeriodEnd("user_5", -1);
+    await setPeriodEnd("user_6", -3);
+    await setPeriodEnd("user_7", -30);
+
+    const expired = await expireLapsedSubscriptions();
+    const expiredIds = expired.map((user) => user.clerk_user_id).sort();
+    assert.ok(expiredIds.includes("user_6"));
+    assert.ok(expiredIds.includes("user_7"));
+    assert.ok(!expiredIds.includes("user_4"));
+    assert.ok(!expiredIds.includes("user_5"));
+
+    const users = await app.sql`
+      SELECT clerk_user_id, is_pro, expired_at FROM users
+      WHERE clerk_user_id IN ('user_4', 'user_5', 'user_6', 'user_7')
+      ORDER BY clerk_user_id
+    `;
+    assert.deepEqual(
+      users.map((user) => [user.clerk_user_id, user.is_pro]),
+      [
+        ["user_4", true],
+        ["user_5", true],
+        ["user_6", false],
+        ["user_7", false],
+      ]
+    );
+
+    const events = await app.sql`
+      SELECT event_id, payload FROM webhook_deliveries
+      WHERE event_type = 'subscription.expired'
+    `;
+    const eventUsers = events.map((event) => event.payload.data.user_id).sort();
+    assert.deepEqual(eventUsers, expiredIds);
+    const eventIds = new Set(events.map((event) => event.event_id));
+    assert.equal(eventIds.size, events.length);
+
+    const audited = await app.sql`
+      SELECT user_id FROM audit_events
+      WHERE action = 'subscription.expired'
+      ORDER BY user_id
+    `;
+    assert.deepEqual(audited.map((event) => event.user_id), expiredIds);
+  });
+
+  test("a second run expires nothing", async () => {
+    assert.deepEqual(await expireLapsedSubscriptions(), []);
+  });
+});
@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, test } from "node:test";
+import { startTestApp } from "./helpers/app.js";
+import {
+  processDueDeliveries,
+  retryDelaySeconds,
+  verifySignature,
+} from "../services/webhooks.js";
+
+let app;
+let receiver;
+let endpoint;
+
+// What the receiver got, and the status it answers with next
+const received = [];
+let responseStatus = 200;
+
+before(async () => {
+  app = await startTestApp();
+
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(responseStatus).end("ok");
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+
+  const response = await app.request("POST", "/admin/webhooks", {
+    as: "admin_super",
+    body: { url: `http://127.0.0.1:${receiver.address().port}/hooks` },
+  });
+  assert.equal(response.status, 201);
+  endpoint = response.body.endpoint;
+});
+
+after(async () => {
+  receiver.closeAllConnections();
+  await new Promise((resolve) => receiver.close(resolve));
+  await app.close();
+});
+
+const sendTestEvent = async () => {
+  const response = await app.request(
+    "POST",
+    `/admin/webhooks/${endpoint.id}/test`,
+    { as: "admin_super" }
+  );
+  assert.equal(response.status, 202);
+  const [delivery] = await app.sql`
+    SELECT * FROM webhook_deliveries ORDER BY id DESC LIMIT 1
+  `;
+  return delivery;
+};
+
+const deliveryRow = async (deliveryId) => {
+  const [delivery] = await app.sql`
+    SELECT * FROM webhook_deliveries WHERE id = ${deliveryId}
+  `;
+  return delivery;
+};
+
+describe("webhook delivery", () => {
+  test("posts the event signed with the endpoint secret", async () => {
+    responseStatus = 200;
+    received.length = 0;
+    const delivery = await sendTestEvent();
+
+    const outcome = await processDueDeliveries();
+    assert.deepEqual(outcome, { delivered: 1, failed: 0 });
+
+    assert.equal(received.length, 1);
+    const [{ headers, body }] = received;
+    assert.equal(headers["x-webhook-id"], delivery.event_id);
+    assert.equal(headers["x-webhook-event"], "webhook.test");
+    assert.match(headers["x-webhook-signature"], /^t=\d+,v1=[0-9a-f]{64}$/);
+    assert.ok(
+      verifySignature(endpoint.secret, body, headers["x-webhook-signature"])
+    );
+    assert.ok(
+      !verifySignature(
+        `${endpoint.secret}x`,
+        body,
+        headers["x-webhook-signature"]
+      )
+    );
+    assert.ok(
+      !verifySignature(
+        endpoint.secret,
+        `${body} `,
+        headers["x-webhook-signature"]
+      )
+    );
+
+    const event = JSON.parse(body);
+    assert.equal(event.id, delivery.event_id);
+    assert.equal(event.type, "webhook.test");
+    assert.equal(event.data.sent_by, "admin_super");
+
+    const stored = await deliveryRow(delivery.id);
+    assert.equal(stored.status, "delivered");
+    assert.equal(stored.response_status, 200);
+    assert.equal(stored.attempts, 1);
+  });
+
+  test("a non-2xx answer is retried with exponential backoff", async () => {
+    responseStatus = 500;
+    received.length = 0;
+    const delivery = await sendTestEvent();
+
+    const outcome = await processDueDeliveries();
+    assert.deepEqual(outcome, { delivered: 0, failed: 1 });
+    assert.equal(received.length, 1);
+
+    const stored = await deliveryRow(delivery.id);
+    assert.equal(stored.status, "pending");
+    assert.equal(stored.attempts, 1);
+    assert.equal(stored.response_status, 500);
+    assert.equal(stored.last_error, "HTTP 500");
+    assert.equal(
+      (stored.next_attempt_at - stored.last_attempt_at) / 1000,
+      retryDelaySeconds(1)
+    );
+
+    // Not due yet, so the next run leaves it alone
+    assert.deepEqual(await processDueDeliveries(), { delivered: 0, failed: 0 });
+
+    assert.deepEqual([1, 2, 3, 4].map(retryDelaySeconds), [30, 60, 120, 240]);
+    assert.equal(retryDelaySeconds(20), 6 * 60 * 60);
+  });
+
+  test("a redelivery sends the same event again", async () => {
+    responseStatus = 200;
+    received.length = 0;
+    const [failed] = await app.sql`
+      SELECT * FROM webhook_deliveries WHERE status = 'pending'
+    `;
+
+    const response = await app.request(
+      "POST",
+      `/admin/webhooks/deliveries/${failed.id}/redeliver`,
+      { as: "admin_super" }
+    );
+    assert.equal(response.status, 202);
+    assert.notEqual(response.body.delivery.id, failed.id);
+
+    assert.deepEqual(await processDueDeliveries(), { delivered: 1, failed: 0 });
+    assert.equal(received.length, 1);
+    assert.equal(received[0].headers["x-webhook-id"], failed.event_id);
+    assert.equal(
+      (await deliveryRow(response.body.delivery.id)).status,
+      "delivered"
+    );
+  });
+});